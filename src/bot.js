@@ -14,6 +14,17 @@ const UserStateService = require('./services/user-state.service');
 const MatrixService = require('./services/matrix.service');
 const VoucherService = require('./services/voucher.service');
 const BotAnchorClientService = require('./services/bot-anchor-client.service');
+const WebhookServerService = require('./services/webhook-server.service');
+const ConversationStateService = require('./services/conversation-state.service');
+const BroadcastService = require('./services/broadcast.service');
+const AdminService = require('./services/admin.service');
+const AuditService = require('./services/audit.service');
+const TransactionMonitorService = require('./services/transaction-monitor.service');
+const TransactionSenderService = require('./services/transaction-sender.service');
+const TransactionHistoryService = require('./services/transaction-history.service');
+const SpendingLimitService = require('./services/spending-limit.service');
+const connectionManager = require('./services/connection-manager.service');
+const solanaConfig = require('./config/solana-programs.config');
 
 // Handlers
 const CallbackHandler = require('./handlers/callback.handler');
@@ -22,19 +33,25 @@ const WalletOperationsHandler = require('./handlers/wallet-operations.handler');
 const SimplifiedFlowHandler = require('./handlers/simplified-flow.handler');
 const MatrixHandler = require('./handlers/matrix.handler');
 const VoucherHandler = require('./handlers/voucher.handler');
+const AirdropHandler = require('./handlers/airdrop.handler');
+const AdminHandler = require('./handlers/admin.handler');
 
 // Utils
 const Logger = require('./utils/logger');
+const encryptionManager = require('./utils/encryption');
 const logger = new Logger('DonutTelegramBot');
 
 class DonutTelegramBot {
     constructor() {
+        // Modo de recebimento de updates: polling (padrão) ou webhook
+        this.mode = (process.env.BOT_MODE || 'polling').toLowerCase();
+
         // Validar configuração
         this.validateConfig();
 
-        // Inicializar bot
+        // Inicializar bot (polling só começa em start(); em modo webhook os updates chegam pelo servidor HTTP)
         this.bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { 
-            polling: true,
+            polling: false,
             request: {
                 agentOptions: {
                     keepAlive: true,
@@ -45,23 +62,54 @@ class DonutTelegramBot {
 
         // Estado do bot
         this.isRunning = false;
-        this.userStates = new Map(); // Estados temporários dos usuários
+        this.conversationState = null; // Estados de conversa (SQLite + cache), criado em initServices
 
         console.log('🍩 Donut Telegram Bot inicializado!');
     }
 
+    /**
+     * O banco guarda o cluster em que foi criado: wallets, matrizes e assinaturas
+     * de um cluster não valem em outro
+     */
+    async assertDatabaseCluster() {
+        const row = await this.db.get(`SELECT value FROM bot_metadata WHERE name = 'solana_cluster'`);
+
+        if (!row) {
+            await this.db.run(`INSERT INTO bot_metadata (name, value) VALUES ('solana_cluster', ?)`, [solanaConfig.CLUSTER]);
+            return;
+        }
+
+        if (row.value !== solanaConfig.CLUSTER) {
+            throw new Error(`Banco de dados pertence ao cluster ${row.value}, mas SOLANA_CLUSTER é ${solanaConfig.CLUSTER}`);
+        }
+    }
+
     validateConfig() {
         const required = [
             'TELEGRAM_BOT_TOKEN',
-            'SOLANA_RPC_URL',
-            'MATRIX_PROGRAM_ID',
-            'AIRDROP_PROGRAM_ID'
+            'SOLANA_RPC_URL'
         ];
 
+        if (!['polling', 'webhook'].includes(this.mode)) {
+            throw new Error(`BOT_MODE inválido: ${this.mode} (use polling ou webhook)`);
+        }
+
+        if (this.mode === 'webhook') {
+            required.push('WEBHOOK_URL', 'WEBHOOK_PATH', 'WEBHOOK_SECRET_TOKEN');
+        }
+
         const missing = required.filter(key => !process.env[key]);
         if (missing.length > 0) {
             throw new Error(`Variáveis de ambiente ausentes: ${missing.join(', ')}`);
         }
+
+        // Telegram aceita apenas A-Z, a-z, 0-9, _ e - no secret token (1-256 caracteres)
+        if (this.mode === 'webhook' && !/^[A-Za-z0-9_-]{1,256}$/.test(process.env.WEBHOOK_SECRET_TOKEN)) {
+            throw new Error('WEBHOOK_SECRET_TOKEN contém caracteres inválidos');
+        }
+
+        // Sem o pepper nenhuma wallet abre: falhar aqui, não no primeiro PIN
+        encryptionManager.loadPepper();
     }
 
     async initServices() {
@@ -71,10 +119,27 @@ class DonutTelegramBot {
             // Inicializar database
             this.db = new Database();
             await this.db.connect();
+            await this.assertDatabaseCluster();
+
+            // Restaurar fluxos em andamento antes de receber updates
+            this.conversationState = new ConversationStateService(this.db);
+            await this.conversationState.init();
+
+            this.adminService = new AdminService(this.db);
+            await this.adminService.init();
+            this.auditService = new AuditService(this.db, this.adminService);
 
             // Inicializar serviços básicos
             this.walletService = new WalletService();
             await this.walletService.init();
+            const notifier = (telegramId, message) =>
+                this.bot.sendMessage(telegramId, message, { parse_mode: 'Markdown' });
+            this.walletService.setNotifier(notifier);
+            this.spendingLimitService = new SpendingLimitService(this.db);
+            this.spendingLimitService.setNotifier(notifier);
+
+            // Pool RPC compartilhado: medir os endpoints antes do primeiro uso
+            await connectionManager.start();
 
             this.solanaService = new SolanaService();
             await this.solanaService.init();
@@ -84,7 +149,9 @@ class DonutTelegramBot {
             this.gamificationService = new GamificationService(this.db);
             this.userStateService = new UserStateService(this.db);
             this.priceService = new PriceService();
+            this.transactionHistoryService = new TransactionHistoryService(this);
             this.depositMonitorService = new DepositMonitorService(this);
+            this.broadcastService = new BroadcastService(this.db, this.bot, this.userStateService);
             
             // Inicializar BotAnchorClientService
             this.botAnchorClient = new BotAnchorClientService();
@@ -104,6 +171,15 @@ class DonutTelegramBot {
                 this.db,
                 this.walletService
             );
+
+            // Notificações de slot em tempo real (o monitorMatrices segue como rede de segurança)
+            this.transactionMonitor = new TransactionMonitorService(this);
+
+            // Todos os envios passam pelo sender (rebroadcast + resultado persistido)
+            this.transactionSender = new TransactionSenderService(this);
+            this.solanaService.setTransactionSender(this.transactionSender);
+            this.botAnchorClient.setTransactionSender(this.transactionSender);
+            this.matrixService.botAnchorClient.setTransactionSender(this.transactionSender);
             
             console.log('✅ Todos os serviços inicializados!');
 
@@ -133,16 +209,24 @@ class DonutTelegramBot {
         
         this.voucherHandler = new VoucherHandler(this);
         this.voucherHandler.setServices(this.voucherService, this.matrixService);
+
+        this.airdropHandler = new AirdropHandler(this);
+
+        this.adminHandler = new AdminHandler(this);
         
         // Conectar handlers entre si
         this.callbackHandler.setMessageHandler(this.messageHandler);
         this.callbackHandler.walletOperationsHandler = this.walletOperationsHandler;
         this.callbackHandler.matrixHandler = this.matrixHandler;
         this.callbackHandler.voucherHandler = this.voucherHandler;
+        this.callbackHandler.airdropHandler = this.airdropHandler;
+        this.callbackHandler.adminHandler = this.adminHandler;
         this.walletOperationsHandler.setMessageHandler(this.messageHandler);
         this.messageHandler.setWalletOperationsHandler(this.walletOperationsHandler);
         this.messageHandler.setMatrixHandler(this.matrixHandler);
         this.messageHandler.setVoucherHandler(this.voucherHandler);
+        this.messageHandler.setAirdropHandler(this.airdropHandler);
+        this.messageHandler.setAdminHandler(this.adminHandler);
         
         console.log('✅ Handlers configurados e conectados!');
 
@@ -199,8 +283,32 @@ class DonutTelegramBot {
             });
         });
 
-        // Comando admin
-        this.bot.onText(/\/admin/, async (msg) => {
+        // Encerrar o desbloqueio temporário na hora (zera o keypair em memória)
+        this.bot.onText(/^\/lock(?:@\w+)?$/, async (msg) => {
+            const telegramId = msg.from.id.toString();
+
+            try {
+                const wasUnlocked = this.walletService.lockSession(telegramId);
+
+                const message = wasUnlocked
+                    ? '🔒 *Wallet bloqueada.*\n\nO PIN volta a ser pedido em cada operação.'
+                    : '🔒 A wallet já está bloqueada.';
+
+                await this.bot.sendMessage(msg.chat.id, message, {
+                    parse_mode: 'Markdown',
+                    reply_markup: {
+                        inline_keyboard: [
+                            [{ text: '⬅️ Menu Principal', callback_data: 'main_menu' }]
+                        ]
+                    }
+                });
+            } catch (error) {
+                logger.error('Erro no comando /lock', { telegramId, error: error.message });
+            }
+        });
+
+        // Comando admin: /admin, /admin grant <telegram_id> <papel>, /admin revoke <telegram_id>
+        this.bot.onText(/^\/admin(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
             const telegramId = msg.from.id.toString();
             
             if (!this.isAdmin(telegramId)) {
@@ -208,21 +316,26 @@ class DonutTelegramBot {
                 return;
             }
 
-            const message = `🔧 *Painel Administrativo*\n\nEscolha uma opção:`;
-            const keyboard = {
-                inline_keyboard: [
-                    [{ text: '📊 Estatísticas', callback_data: 'admin_stats' }],
-                    [{ text: '👥 Usuários Ativos', callback_data: 'admin_users' }],
-                    [{ text: '🎯 Matrizes Ativas', callback_data: 'admin_matrices' }],
-                    [{ text: '🎫 Top Vouchers', callback_data: 'admin_vouchers' }],
-                    [{ text: '📢 Broadcast', callback_data: 'admin_broadcast' }]
-                ]
-            };
-
-            await this.bot.sendMessage(msg.chat.id, message, {
-                parse_mode: 'Markdown',
-                reply_markup: keyboard
-            });
+            const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+            if (args.length > 0) {
+                await this.adminHandler.handleCommand(msg.chat.id, telegramId, args);
+                return;
+            }
+
+            await this.adminHandler.showMenu(msg.chat.id, null, telegramId);
+        });
+
+        // Log de auditoria: /audit [csv] [actor=] [action=] [target=] [days=]
+        this.bot.onText(/^\/audit(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+            const telegramId = msg.from.id.toString();
+
+            if (!this.isAdmin(telegramId)) {
+                await this.bot.sendMessage(msg.chat.id, '❌ Acesso negado.');
+                return;
+            }
+
+            const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+            await this.adminHandler.handleAuditCommand(msg.chat.id, telegramId, args);
         });
 
         // Callback queries (botões)
@@ -242,7 +355,7 @@ class DonutTelegramBot {
             console.error('❌ Polling error:', error);
             logger.error('Polling error', { error: error.message });
             
-            if (error.code === 'EFATAL' || error.code === 'ETELEGRAM') {
+            if (this.mode === 'polling' && (error.code === 'EFATAL' || error.code === 'ETELEGRAM')) {
                 console.log('🔄 Tentando reconectar em 5 segundos...');
                 setTimeout(() => {
                     this.bot.startPolling();
@@ -319,9 +432,18 @@ class DonutTelegramBot {
             // DEPOIS configurar middlewares
             this.setupMiddlewares();
 
+            // Em modo webhook, subir servidor HTTP só depois dos handlers
+            if (this.mode === 'webhook') {
+                await this.startWebhookServer();
+            } else {
+                // Webhook deixado por uma execução em modo webhook faz o getUpdates responder 409
+                await this.bot.deleteWebHook();
+                await this.bot.startPolling();
+            }
+
             this.isRunning = true;
             
-            console.log('🚀 Bot iniciado com sucesso!');
+            console.log(`🚀 Bot iniciado com sucesso! (modo: ${this.mode})`);
             console.log('📱 Aguardando mensagens...');
             console.log(`🤖 Bot username: @${(await this.bot.getMe()).username}`);
 
@@ -331,7 +453,8 @@ class DonutTelegramBot {
             // Log inicial
             logger.info('Bot started successfully', {
                 botUsername: (await this.bot.getMe()).username,
-                environment: process.env.NODE_ENV || 'development'
+                environment: process.env.NODE_ENV || 'development',
+                mode: this.mode
             });
 
         } catch (error) {
@@ -341,9 +464,27 @@ class DonutTelegramBot {
         }
     }
 
+    async startWebhookServer() {
+        this.webhookServer = new WebhookServerService(this.bot, {
+            publicUrl: process.env.WEBHOOK_URL,
+            path: process.env.WEBHOOK_PATH,
+            secretToken: process.env.WEBHOOK_SECRET_TOKEN,
+            host: process.env.WEBHOOK_HOST,
+            port: parseInt(process.env.WEBHOOK_PORT) || 8080
+        });
+
+        await this.webhookServer.start();
+    }
+
     async startBackgroundTasks() {
         console.log('🔄 Iniciando tarefas em background...');
 
+        // Reassinar wallets com matriz ativa e logs do programa
+        await this.transactionMonitor.init();
+
+        // Retomar transações enviadas antes de um restart e avisar o resultado
+        await this.transactionSender.start();
+
         // Monitoramento de funding
         this.fundingMonitor = setInterval(async () => {
             try {
@@ -362,6 +503,15 @@ class DonutTelegramBot {
             }
         }, parseInt(process.env.MATRIX_CHECK_INTERVAL) || 60000);
 
+        // Limites e endereços confiáveis que passaram a valer: aplicar e avisar o usuário
+        this.spendingLimitMonitor = setInterval(async () => {
+            try {
+                await this.spendingLimitService.processDueChanges();
+            } catch (error) {
+                logger.error('Spending limit monitor error', { error: error.message });
+            }
+        }, 60000);
+
         // Limpeza de rate limiter
         this.cleanupInterval = setInterval(() => {
             const now = Date.now();
@@ -379,8 +529,11 @@ class DonutTelegramBot {
                 }
             }
             
+            const expiredStates = this.conversationState.cleanupExpired();
+
             logger.debug('Rate limiter cleanup completed', { 
-                usersTracked: this.rateLimiter.size 
+                usersTracked: this.rateLimiter.size,
+                expiredStates
             });
         }, 300000);
 
@@ -510,15 +663,40 @@ class DonutTelegramBot {
                 console.log('🧹 Limpando monitoramentos de depósito...');
                 this.depositMonitorService.cleanup();
             }
+
+            if (this.transactionMonitor) {
+                await this.transactionMonitor.cleanup();
+            }
+
+            if (this.transactionSender) {
+                this.transactionSender.stop();
+            }
+
+            connectionManager.stop();
+
+            // Zerar keypairs das sessões desbloqueadas
+            if (this.walletService) {
+                this.walletService.unlockSessions.lockAll();
+            }
             
             // Parar intervalos
             if (this.fundingMonitor) clearInterval(this.fundingMonitor);
             if (this.matrixMonitor) clearInterval(this.matrixMonitor);
+            if (this.spendingLimitMonitor) clearInterval(this.spendingLimitMonitor);
             if (this.cleanupInterval) clearInterval(this.cleanupInterval);
             
-            // Parar polling do bot
-            await this.bot.stopPolling();
+            // Parar recebimento de updates
+            if (this.webhookServer) {
+                await this.webhookServer.stop();
+            } else {
+                await this.bot.stopPolling();
+            }
             
+            // Garantir que estados de conversa foram gravados
+            if (this.conversationState) {
+                await this.conversationState.flush();
+            }
+
             // Fechar conexão com banco
             if (this.db) {
                 this.db.close();
@@ -535,8 +713,11 @@ class DonutTelegramBot {
 
     // Métodos utilitários
     isAdmin(telegramId) {
-        const adminId = process.env.TELEGRAM_ADMIN_ID;
-        return adminId && telegramId.toString() === adminId;
+        return this.adminService.isAdmin(telegramId);
+    }
+
+    hasAdminPermission(telegramId, permission) {
+        return this.adminService.hasPermission(telegramId, permission);
     }
 
     async sendMessage(telegramId, text, options = {}) {
@@ -552,15 +733,15 @@ class DonutTelegramBot {
     }
 
     getUserState(telegramId) {
-        return this.userStates.get(telegramId.toString()) || {};
+        return this.conversationState.get(telegramId.toString()) || {};
     }
 
     setUserState(telegramId, state) {
-        this.userStates.set(telegramId.toString(), state);
+        this.conversationState.set(telegramId.toString(), state);
     }
 
     clearUserState(telegramId) {
-        this.userStates.delete(telegramId.toString());
+        this.conversationState.clear(telegramId.toString());
     }
 }
 
@@ -28,15 +28,48 @@ function loadJSONSafely(filePath, defaultValue = {}) {
     }
 }
 
-// Carregar configurações dos contratos
-const addressesPath = path.join(__dirname, '../../contracts/config/addresses.json');
-const addresses = loadJSONSafely(addressesPath, {
-    network: "mainnet-beta",
-    programs: {
-        matrix: "27j1sNEtfRWBYnaNfWcbpJ4t3QAiWqq9rB4bBgLATmPW",
-        airdrop: "ABSanWxsMbM2uLfBz31vbB33qdaEjE8wjRfVWgBw9Cdw"
+// Perfis de cluster: contracts/config/clusters/<SOLANA_CLUSTER>.json.
+// Cada perfil tem seus próprios programas, PDAs de estado, pool, mint e referrer padrão
+const CLUSTERS = {
+    'mainnet-beta': { rpcUrl: 'https://api.mainnet-beta.solana.com', explorerSuffix: '' },
+    devnet: { rpcUrl: 'https://api.devnet.solana.com', explorerSuffix: '?cluster=devnet' },
+    localnet: { rpcUrl: 'http://127.0.0.1:8899', explorerSuffix: null }
+};
+
+const CLUSTER = process.env.SOLANA_CLUSTER || 'mainnet-beta';
+
+if (!CLUSTERS[CLUSTER]) {
+    throw new Error(`SOLANA_CLUSTER inválido: ${CLUSTER} (use ${Object.keys(CLUSTERS).join(', ')})`);
+}
+
+// SOLANA_NETWORK é o nome antigo: aceito só se apontar para o mesmo cluster
+if (process.env.SOLANA_NETWORK && process.env.SOLANA_NETWORK !== CLUSTER) {
+    throw new Error(`SOLANA_NETWORK (${process.env.SOLANA_NETWORK}) diverge de SOLANA_CLUSTER (${CLUSTER})`);
+}
+
+const CLUSTERS_DIR = path.join(__dirname, '../../contracts/config/clusters');
+
+function getClusterProfilePath(cluster) {
+    return path.join(CLUSTERS_DIR, `${cluster}.json`);
+}
+
+const addresses = loadJSONSafely(getClusterProfilePath(CLUSTER), null);
+
+if (!addresses) {
+    throw new Error(`Perfil do cluster ${CLUSTER} não encontrado. Para localnet/devnet rode: npm run cluster:bootstrap -- --cluster ${CLUSTER}`);
+}
+
+if (addresses.cluster !== CLUSTER) {
+    throw new Error(`Perfil ${CLUSTER}.json pertence ao cluster "${addresses.cluster}"`);
+}
+
+// Endereço obrigatório do perfil: sem fallback para mainnet
+function profileKey(value, name) {
+    if (!value) {
+        throw new Error(`Endereço ausente no perfil ${CLUSTER}: ${name}`);
     }
-});
+    return new PublicKey(value);
+}
 
 // Carregar IDLs
 const matrixIdlPath = path.join(__dirname, '../../contracts/idl/matrix.json');
@@ -54,13 +87,30 @@ console.log('  Matrix IDL:', MATRIX_IDL && MATRIX_IDL.instructions ? `✅ ${MATR
 console.log('  Airdrop IDL:', AIRDROP_IDL && AIRDROP_IDL.instructions ? `✅ ${AIRDROP_IDL.instructions.length} instruções` : '❌ Vazio');
 
 // Configuração da rede
-const NETWORK = process.env.SOLANA_NETWORK || addresses.network || 'mainnet-beta';
-const RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+const NETWORK = CLUSTER;
+const GENESIS_HASH = addresses.genesisHash || null;
+const RPC_URL = process.env.SOLANA_RPC_URL || CLUSTERS[CLUSTER].rpcUrl;
+
+// Pool de RPC: SOLANA_RPC_URL é o primário (envios); SOLANA_RPC_URLS adiciona endpoints de leitura/failover.
+// SOLANA_WS_URL / SOLANA_WS_URLS seguem a mesma ordem; sem eles o WS é derivado da URL HTTP
+function parseUrlList(value) {
+    return (value || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+const RPC_ENDPOINTS = (() => {
+    const httpUrls = [...new Set([RPC_URL, ...parseUrlList(process.env.SOLANA_RPC_URLS)])];
+    const wsUrls = [process.env.SOLANA_WS_URL, ...parseUrlList(process.env.SOLANA_WS_URLS)];
+
+    return httpUrls.map((url, index) => ({
+        url,
+        wsUrl: wsUrls[index] || url.replace(/^http/, 'ws')
+    }));
+})();
 
 // Program IDs - GARANTIR que sejam PublicKey válidos
 const PROGRAM_IDS = {
-    MATRIX: new PublicKey(addresses.programs?.matrix || "27j1sNEtfRWBYnaNfWcbpJ4t3QAiWqq9rB4bBgLATmPW"),
-    AIRDROP: new PublicKey(addresses.programs?.airdrop || "ABSanWxsMbM2uLfBz31vbB33qdaEjE8wjRfVWgBw9Cdw"),
+    MATRIX: profileKey(addresses.programs?.matrix, 'programs.matrix'),
+    AIRDROP: profileKey(addresses.programs?.airdrop, 'programs.airdrop'),
     SYSTEM: new PublicKey(addresses.systemProgram || "11111111111111111111111111111111"),
     TOKEN: new PublicKey(addresses.tokenProgram || "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA"),
     ASSOCIATED_TOKEN: new PublicKey(addresses.associatedTokenProgram || "ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL"),
@@ -70,56 +120,79 @@ const PROGRAM_IDS = {
 // Endereços da Matriz
 const MATRIX_CONFIG = {
     PROGRAM_ID: PROGRAM_IDS.MATRIX,
-    STATE_ADDRESS: new PublicKey(addresses.matrix?.stateAddress || "C5w4cAmQXU1K8HYCBBACRw451QNsmRbtLS7J59rL1DEN"),
-    PROGRAM_SOL_VAULT: new PublicKey(addresses.matrix?.programSolVault || "4zim7ftQ6Kk2Ygd4tgakof4k7CQM9Dsm3idbYjWGXvSy"),
-    PROGRAM_SOL_VAULT_BUMP: addresses.matrix?.programSolVaultBump || 255,
-    OWNER_WALLET: new PublicKey(addresses.matrix?.ownerWallet || "24bvHXAxxVT2HxuoBptyG9guhE4vUKUTzFWPVBmHRCzw"),
-    MULTISIG_TREASURY: new PublicKey(addresses.matrix?.multisigTreasury || "QgNN4aW9hPz4ANP1LqzR2FkDPZo9MzDZxDQ4abovHYv"),
-    DEFAULT_REFERRER: new PublicKey(addresses.matrix?.defaultReferrer || "7xGZx4p8ta1jsMU96opkeH8iF84gfLv5kaEvbTfeEGxU")
+    STATE_ADDRESS: profileKey(addresses.matrix?.stateAddress, 'matrix.stateAddress'),
+    PROGRAM_SOL_VAULT: profileKey(addresses.matrix?.programSolVault, 'matrix.programSolVault'),
+    PROGRAM_SOL_VAULT_BUMP: addresses.matrix?.programSolVaultBump ?? 255,
+    OWNER_WALLET: profileKey(addresses.matrix?.ownerWallet, 'matrix.ownerWallet'),
+    MULTISIG_TREASURY: profileKey(addresses.matrix?.multisigTreasury, 'matrix.multisigTreasury'),
+    DEFAULT_REFERRER: profileKey(addresses.matrix?.defaultReferrer, 'matrix.defaultReferrer')
 };
 
 // Endereços do Airdrop
 const AIRDROP_CONFIG = {
     PROGRAM_ID: PROGRAM_IDS.AIRDROP,
-    PROGRAM_STATE: new PublicKey(addresses.airdrop?.programState || "9HFnt2fksAfQhYh2TfKczpiBmBsE1kGASsf6VHcaTUwt"),
-    TOKEN_VAULT: new PublicKey(addresses.airdrop?.tokenVault || "BbQZnzMhpxQwL5ECdeZQ2BDFFQ6QWUf9FFo8psGwKij9"),
-    VAULT_METADATA: new PublicKey(addresses.airdrop?.vaultMetadata || "3dNWQT9QkN7qS1QL2p2WMGpYazRaphvDdQ4WotPdRkpt"),
-    ADMIN_PUBLIC_KEY: new PublicKey(addresses.airdrop?.adminPublicKey || "24bvHXAxxVT2HxuoBptyG9guhE4vUKUTzFWPVBmHRCzw")
+    PROGRAM_STATE: profileKey(addresses.airdrop?.programState, 'airdrop.programState'),
+    TOKEN_VAULT: profileKey(addresses.airdrop?.tokenVault, 'airdrop.tokenVault'),
+    VAULT_METADATA: profileKey(addresses.airdrop?.vaultMetadata, 'airdrop.vaultMetadata'),
+    ADMIN_PUBLIC_KEY: profileKey(addresses.airdrop?.adminPublicKey, 'airdrop.adminPublicKey')
 };
 
 // Tokens
 const TOKEN_CONFIG = {
-    DONUT_MINT: new PublicKey(addresses.tokens?.donut || "DoNUTcc99FrkpQyeaLkYRcangQboNBYP17x7wbqvCqdo"),
+    DONUT_MINT: profileKey(addresses.tokens?.donut, 'tokens.donut'),
     WSOL_MINT: new PublicKey(addresses.tokens?.wsol || "So11111111111111111111111111111111111111112")
 };
 
 // Meteora (Pool e Vaults)
 const METEORA_CONFIG = {
-    POOL: new PublicKey(addresses.meteora?.pool || "CbPqqtMDr23yGoBgWwYdd3DdDPs6Md9fkYDLvN2nhhTE"),
-    AMM_PROGRAM: new PublicKey(addresses.meteora?.ammProgram || "Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB"),
-    VAULT_PROGRAM: new PublicKey(addresses.meteora?.vaultProgram || "24Uqj9JCLxUeoC3hGfh5W3s9FM9uCHDS2SG3LYwBpyTi"),
+    POOL: profileKey(addresses.meteora?.pool, 'meteora.pool'),
+    AMM_PROGRAM: profileKey(addresses.meteora?.ammProgram, 'meteora.ammProgram'),
+    VAULT_PROGRAM: profileKey(addresses.meteora?.vaultProgram, 'meteora.vaultProgram'),
     
     // Vault A (DONUT)
-    A_VAULT: new PublicKey(addresses.meteora?.aVault || "5w7Jtio3JdQNA5AJ5xscf4CXCoYyh8bKLRMifrwyVvmC"),
-    A_TOKEN_VAULT: new PublicKey(addresses.meteora?.aTokenVault || "EpCRN19HhzSRouHX2A3ww3v6MkivZntuYzMoEKbi4TBd"),
-    A_VAULT_LP: new PublicKey(addresses.meteora?.aVaultLp || "AVd4YdUCmU5uC1pvCNeDMi9aLq2zLX7m3Waxc1AMoUTa"),
-    A_VAULT_LP_MINT: new PublicKey(addresses.meteora?.aVaultLpMint || "36kcK9rFc8pQhzDnGj95ik86gnENqKZxNoKu4Lu6UcNZ"),
+    A_VAULT: profileKey(addresses.meteora?.aVault, 'meteora.aVault'),
+    A_TOKEN_VAULT: profileKey(addresses.meteora?.aTokenVault, 'meteora.aTokenVault'),
+    A_VAULT_LP: profileKey(addresses.meteora?.aVaultLp, 'meteora.aVaultLp'),
+    A_VAULT_LP_MINT: profileKey(addresses.meteora?.aVaultLpMint, 'meteora.aVaultLpMint'),
     
     // Vault B (WSOL)
-    B_VAULT: new PublicKey(addresses.meteora?.bVault || "FERjPVNEa7Udq8CEv68h6tPL46Tq7ieE49HrE2wea3XT"),
-    B_TOKEN_VAULT: new PublicKey(addresses.meteora?.bTokenVault || "HZeLxbZ9uHtSpwZC3LBr4Nubd14iHwz7bRSghRZf5VCG"),
-    B_VAULT_LP: new PublicKey(addresses.meteora?.bVaultLp || "AqjUDqBoSSHrmMPaj9NaLaFVVTxLGJf2vAtNGTVur1XP"),
-    B_VAULT_LP_MINT: new PublicKey(addresses.meteora?.bVaultLpMint || "FZN7QZ8ZUUAxMPfxYEYkH3cXUASzH8EqA6B4tyCL8f1j"),
+    B_VAULT: profileKey(addresses.meteora?.bVault, 'meteora.bVault'),
+    B_TOKEN_VAULT: profileKey(addresses.meteora?.bTokenVault, 'meteora.bTokenVault'),
+    B_VAULT_LP: profileKey(addresses.meteora?.bVaultLp, 'meteora.bVaultLp'),
+    B_VAULT_LP_MINT: profileKey(addresses.meteora?.bVaultLpMint, 'meteora.bVaultLpMint'),
     
-    PROTOCOL_TOKEN_FEE: new PublicKey(addresses.meteora?.protocolTokenFee || "FjT6jkxcZPU78v5E4Pomri1Kq6SBmkuz1n5M36xZyhwW")
+    PROTOCOL_TOKEN_FEE: profileKey(addresses.meteora?.protocolTokenFee, 'meteora.protocolTokenFee')
 };
 
 // Chainlink Oracle
 const CHAINLINK_CONFIG = {
-    PROGRAM: new PublicKey(addresses.chainlink?.program || "HEvSKofvBgfaexv23kMabbYqxasxU3mQ4ibBMEmJWHny"),
-    SOL_USD_FEED: new PublicKey(addresses.chainlink?.solUsdFeed || "99B2bTijsU6f1GCT73HmdR7HCFFjGMBcPZY6jZ96ynrR")
+    PROGRAM: profileKey(addresses.chainlink?.program, 'chainlink.program'),
+    SOL_USD_FEED: profileKey(addresses.chainlink?.solUsdFeed, 'chainlink.solUsdFeed')
 };
 
+// Variáveis antigas do .env continuam aceitas, mas só como conferência do perfil
+const ENV_ADDRESS_CHECKS = [
+    ['MATRIX_PROGRAM_ID', PROGRAM_IDS.MATRIX],
+    ['AIRDROP_PROGRAM_ID', PROGRAM_IDS.AIRDROP],
+    ['DONUT_TOKEN_MINT', TOKEN_CONFIG.DONUT_MINT]
+];
+
+for (const [name, expected] of ENV_ADDRESS_CHECKS) {
+    if (process.env[name] && process.env[name] !== expected.toString()) {
+        throw new Error(`${name} (${process.env[name]}) não pertence ao perfil ${CLUSTER} (${expected.toString()})`);
+    }
+}
+
+// Link do explorer no cluster atual (localnet aponta o Solscan para o próprio RPC)
+function getExplorerUrl(signature) {
+    const { explorerSuffix } = CLUSTERS[CLUSTER];
+    const suffix = explorerSuffix !== null
+        ? explorerSuffix
+        : `?cluster=custom&customUrl=${encodeURIComponent(RPC_URL)}`;
+
+    return `https://solscan.io/tx/${signature}${suffix}`;
+}
+
 // Configurações de valor para matriz
 const MATRIX_VALUES = {
     REGISTRATION_USD: 10.00,  // $10 USD para registro
@@ -221,7 +294,7 @@ function validateConfig() {
     }
     
     if (!isValid) {
-        console.error('❌ Configuração crítica faltando. Verifique addresses.json');
+        console.error(`❌ Configuração crítica faltando. Verifique clusters/${CLUSTER}.json`);
         return false;
     }
     
@@ -232,8 +305,12 @@ function validateConfig() {
 // Exportar configurações
 module.exports = {
     // Configurações de rede
+    CLUSTER,
+    CLUSTERS,
     NETWORK,
+    GENESIS_HASH,
     RPC_URL,
+    RPC_ENDPOINTS,
     
     // IDLs
     MATRIX_IDL,
@@ -255,6 +332,8 @@ module.exports = {
     // Helpers
     derivePDA,
     getRegistrationAccounts,
+    getClusterProfilePath,
+    getExplorerUrl,
     validateConfig
 };
 
@@ -0,0 +1,50 @@
+// src/config/tokens.config.js
+const config = require('./solana-programs.config');
+
+const WSOL = { symbol: 'WSOL', name: 'Wrapped SOL', emoji: '💎' };
+
+// Registro local de metadados (símbolo/nome) por mint. Decimais vêm sempre da conta on-chain.
+// stable: cotado a $1 (usado no limite em USD da sessão desbloqueada)
+const MAINNET_TOKENS = {
+    EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: { symbol: 'USDC', name: 'USD Coin', emoji: '💵', stable: true },
+    Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB: { symbol: 'USDT', name: 'Tether USD', emoji: '💵', stable: true },
+    JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN: { symbol: 'JUP', name: 'Jupiter', emoji: '🪐' },
+    DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263: { symbol: 'BONK', name: 'Bonk', emoji: '🐶' },
+    So11111111111111111111111111111111111111112: WSOL
+};
+
+const KNOWN_TOKENS = {
+    'mainnet-beta': MAINNET_TOKENS,
+    devnet: {
+        '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU': { symbol: 'USDC', name: 'USD Coin (devnet)', emoji: '💵', stable: true },
+        So11111111111111111111111111111111111111112: WSOL
+    },
+    // A localnet clona contas da mainnet, com os mesmos endereços
+    localnet: MAINNET_TOKENS
+};
+
+const REGISTRY = {
+    ...KNOWN_TOKENS[config.CLUSTER],
+    [config.TOKEN_CONFIG.DONUT_MINT.toString()]: { symbol: 'DONUT', name: 'Donut', emoji: '🍩' }
+};
+
+/**
+ * Metadados do mint; desconhecidos aparecem com o endereço abreviado
+ */
+function getTokenMetadata(mint) {
+    const known = REGISTRY[mint];
+    if (known) {
+        return { ...known, known: true };
+    }
+
+    return {
+        symbol: `${mint.slice(0, 4)}…${mint.slice(-4)}`,
+        name: 'Token desconhecido',
+        emoji: '🪙',
+        known: false
+    };
+}
+
+module.exports = {
+    getTokenMetadata
+};
@@ -0,0 +1,163 @@
+// src/database/adapters/postgres.adapter.js
+const { Pool, types } = require('pg');
+const { toPostgres } = require('../dialect');
+
+// COUNT/SUM e colunas BIGINT voltam como string por padrão no pg
+types.setTypeParser(20, (value) => parseInt(value, 10));   // int8
+types.setTypeParser(1700, (value) => parseFloat(value));   // numeric
+
+/**
+ * Executor de queries sobre um client/pool do pg com a mesma API do SQLite
+ */
+class PostgresExecutor {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async query(sql, params = []) {
+        const text = toPostgres(sql);
+        return params.length > 0
+            ? this.client.query(text, params)
+            : this.client.query(text);
+    }
+
+    async run(sql, params = []) {
+        let statement = sql;
+
+        // Equivalente ao lastID do SQLite
+        if (/^\s*INSERT\s/i.test(statement) && !/\bRETURNING\b/i.test(statement)) {
+            statement = `${statement.trim()} RETURNING *`;
+        }
+
+        try {
+            const result = await this.query(statement, params);
+            return {
+                id: result.rows?.[0]?.id ?? null,
+                changes: result.rowCount || 0
+            };
+        } catch (err) {
+            console.error('❌ Erro SQL RUN:', err.message);
+            throw err;
+        }
+    }
+
+    async get(sql, params = []) {
+        try {
+            const result = await this.query(sql, params);
+            return result.rows[0];
+        } catch (err) {
+            console.error('❌ Erro SQL GET:', err.message);
+            throw err;
+        }
+    }
+
+    async all(sql, params = []) {
+        try {
+            const result = await this.query(sql, params);
+            return result.rows || [];
+        } catch (err) {
+            console.error('❌ Erro SQL ALL:', err.message);
+            throw err;
+        }
+    }
+}
+
+class PostgresAdapter extends PostgresExecutor {
+    constructor(connectionString) {
+        super(null);
+        this.dialect = 'postgres';
+        this.connectionString = connectionString;
+        this.pool = null;
+    }
+
+    async connect() {
+        try {
+            this.pool = new Pool({
+                connectionString: this.connectionString,
+                max: parseInt(process.env.DATABASE_POOL_SIZE) || 10
+            });
+            this.client = this.pool;
+
+            // Validar credenciais/host já na inicialização
+            await this.pool.query('SELECT 1');
+            console.log('✅ Conectado ao PostgreSQL database');
+        } catch (err) {
+            console.error('❌ Erro ao conectar com PostgreSQL:', err.message);
+            throw err;
+        }
+    }
+
+    // Transações precisam de um client dedicado do pool
+    async transaction(work) {
+        const client = await this.pool.connect();
+        const executor = new PostgresExecutor(client);
+
+        try {
+            await client.query('BEGIN');
+
+            let result;
+            if (typeof work === 'function') {
+                result = await work(executor);
+            } else {
+                result = [];
+                for (const { sql, params = [] } of work) {
+                    result.push(await executor.run(sql, params));
+                }
+            }
+
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            console.error('❌ Transaction error:', error.message);
+            await client.query('ROLLBACK');
+            throw typeof work === 'function' ? error : new Error('Transaction rolled back');
+        } finally {
+            client.release();
+        }
+    }
+
+    async close() {
+        if (this.pool) {
+            await this.pool.end();
+            this.pool = null;
+            this.client = null;
+            console.log('✅ Conexão PostgreSQL fechada');
+        }
+    }
+
+    async listTables() {
+        const rows = await this.all(
+            "SELECT table_name AS name FROM information_schema.tables WHERE table_schema = current_schema() AND table_type = 'BASE TABLE'"
+        );
+        return rows.map(row => row.name);
+    }
+
+    async tableExists(tableName) {
+        const result = await this.get(
+            'SELECT 1 AS found FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = ?',
+            [tableName]
+        );
+        return !!result;
+    }
+
+    async checkIntegrity() {
+        await this.get('SELECT 1');
+        return true;
+    }
+
+    async optimize() {
+        await this.run('VACUUM ANALYZE');
+    }
+
+    async backup() {
+        throw new Error('Backup não suportado no PostgreSQL: use pg_dump');
+    }
+
+    executeWithCallback(sql, params, callback) {
+        this.all(sql, params)
+            .then(rows => callback(null, rows))
+            .catch(err => callback(err));
+    }
+}
+
+module.exports = PostgresAdapter;
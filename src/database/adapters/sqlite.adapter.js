@@ -0,0 +1,243 @@
+// src/database/adapters/sqlite.adapter.js
+const sqlite3 = require('sqlite3').verbose();
+
+class SQLiteAdapter {
+    constructor(dbPath) {
+        this.dialect = 'sqlite';
+        this.dbPath = dbPath;
+        this.db = null;
+        this.currentTransaction = null;   // Promise resolvida quando a transação aberta termina
+    }
+
+    // Conectar ao arquivo
+    connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    console.error('❌ Erro ao conectar com SQLite:', err.message);
+                    reject(err);
+                } else {
+                    console.log('✅ Conectado ao SQLite database');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    // Executar query com parâmetros
+    run(sql, params = []) {
+        return this.whenIdle(() => this.execRun(sql, params));
+    }
+
+    // Buscar uma linha
+    get(sql, params = []) {
+        return this.whenIdle(() => this.execGet(sql, params));
+    }
+
+    // Buscar todas as linhas
+    all(sql, params = []) {
+        return this.whenIdle(() => this.execAll(sql, params));
+    }
+
+    /**
+     * Conexão única: enquanto uma transação está aberta, qualquer outra chamada
+     * cairia dentro dela. fn roda no mesmo tick em que o laço termina, então
+     * nenhuma outra chamada entra entre a checagem e o envio ao sqlite3
+     */
+    async whenIdle(fn) {
+        while (this.currentTransaction) {
+            await this.currentTransaction;
+        }
+        return fn();
+    }
+
+    execRun(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    console.error('❌ Erro SQL RUN:', err.message);
+                    reject(err);
+                } else {
+                    resolve({ id: this.lastID, changes: this.changes });
+                }
+            });
+        });
+    }
+
+    execGet(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) {
+                    console.error('❌ Erro SQL GET:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    execAll(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    console.error('❌ Erro SQL ALL:', err.message);
+                    reject(err);
+                } else {
+                    resolve(rows || []);
+                }
+            });
+        });
+    }
+
+    // Executar lista de queries ou função em transação (uma por vez na conexão)
+    transaction(work) {
+        return this.whenIdle(() => this.runTransaction(work));
+    }
+
+    async runTransaction(work) {
+        // Marcado antes do primeiro await: as chamadas seguintes já esperam
+        let release;
+        this.currentTransaction = new Promise(resolve => { release = resolve; });
+
+        try {
+            if (typeof work !== 'function') {
+                return await this.runQueryList(work);
+            }
+
+            // Só o executor passa pela transação: chamar o adapter aqui dentro travaria esperando ela
+            const executor = {
+                run: (sql, params) => this.execRun(sql, params),
+                get: (sql, params) => this.execGet(sql, params),
+                all: (sql, params) => this.execAll(sql, params)
+            };
+
+            await this.execRun('BEGIN TRANSACTION');
+            try {
+                const result = await work(executor);
+                await this.execRun('COMMIT');
+                return result;
+            } catch (error) {
+                await this.execRun('ROLLBACK');
+                throw error;
+            }
+        } finally {
+            this.currentTransaction = null;
+            release();
+        }
+    }
+
+    runQueryList(queries) {
+        return new Promise((resolve, reject) => {
+            this.db.serialize(() => {
+                this.db.run('BEGIN TRANSACTION');
+
+                const results = [];
+                let hasError = false;
+
+                const executeNext = (index) => {
+                    if (index >= queries.length) {
+                        if (hasError) {
+                            this.db.run('ROLLBACK', () => {
+                                reject(new Error('Transaction rolled back'));
+                            });
+                        } else {
+                            this.db.run('COMMIT', () => {
+                                resolve(results);
+                            });
+                        }
+                        return;
+                    }
+
+                    const { sql, params = [] } = queries[index];
+
+                    this.db.run(sql, params, function(err) {
+                        if (err) {
+                            console.error('❌ Transaction error:', err.message);
+                            hasError = true;
+                        } else {
+                            results.push({ id: this.lastID, changes: this.changes });
+                        }
+                        executeNext(index + 1);
+                    });
+                };
+
+                executeNext(0);
+            });
+        });
+    }
+
+    // Fechar conexão
+    close() {
+        return new Promise((resolve) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        console.error('❌ Erro ao fechar SQLite:', err.message);
+                    } else {
+                        console.log('✅ Conexão SQLite fechada');
+                    }
+                    this.db = null;
+                    resolve();
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+
+    // Listar tabelas da aplicação
+    async listTables() {
+        const rows = await this.all(
+            "SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'"
+        );
+        return rows.map(row => row.name);
+    }
+
+    async tableExists(tableName) {
+        const result = await this.get(
+            "SELECT name FROM sqlite_master WHERE type='table' AND name=?",
+            [tableName]
+        );
+        return !!result;
+    }
+
+    async checkIntegrity() {
+        const result = await this.get('PRAGMA integrity_check');
+        return result.integrity_check === 'ok';
+    }
+
+    async optimize() {
+        await this.run('VACUUM');
+    }
+
+    // Backup do arquivo
+    backup(backupPath) {
+        return new Promise((resolve, reject) => {
+            const backup = this.db.backup(backupPath);
+
+            backup.step(-1, (err) => {
+                if (err) {
+                    console.error('❌ Erro no backup:', err.message);
+                    reject(err);
+                } else {
+                    backup.finish((err) => {
+                        if (err) {
+                            console.error('❌ Erro ao finalizar backup:', err.message);
+                            reject(err);
+                        } else {
+                            console.log(`✅ Backup salvo em: ${backupPath}`);
+                            resolve();
+                        }
+                    });
+                }
+            });
+        });
+    }
+
+    executeWithCallback(sql, params, callback) {
+        this.db.all(sql, params, callback);
+    }
+}
+
+module.exports = SQLiteAdapter;
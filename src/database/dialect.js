@@ -0,0 +1,115 @@
+// src/database/dialect.js
+// O SQL da aplicação e das migrações é escrito no dialeto do SQLite.
+// Aqui ele é traduzido para o PostgreSQL quando esse backend está ativo.
+
+// Trigger de timestamp no formato usado pelas migrações
+const TIMESTAMP_TRIGGER = /CREATE\s+TRIGGER\s+IF\s+NOT\s+EXISTS\s+(\w+)\s+AFTER\s+UPDATE\s+ON\s+(\w+)\s+BEGIN\s+UPDATE\s+\2\s+SET\s+(\w+)\s*=\s*CURRENT_TIMESTAMP\s+WHERE\s+id\s*=\s*NEW\.id\s*;\s*END/i;
+
+// Trigger que bloqueia UPDATE/DELETE (tabelas append-only)
+const GUARD_TRIGGER = /CREATE\s+TRIGGER\s+IF\s+NOT\s+EXISTS\s+(\w+)\s+BEFORE\s+(UPDATE|DELETE)\s+ON\s+(\w+)\s+BEGIN\s+SELECT\s+RAISE\s*\(\s*ABORT\s*,\s*'([^']*)'\s*\)\s*;\s*END/i;
+
+/**
+ * Converter placeholders ? para $1, $2... (ignorando literais e identificadores)
+ */
+function convertPlaceholders(sql) {
+    let result = '';
+    let index = 0;
+    let quote = null;
+
+    for (const char of sql) {
+        if (quote) {
+            if (char === quote) quote = null;
+            result += char;
+        } else if (char === "'" || char === '"') {
+            quote = char;
+            result += char;
+        } else if (char === '?') {
+            result += `$${++index}`;
+        } else {
+            result += char;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Traduzir DDL (CREATE TABLE / TRIGGER) do SQLite para o PostgreSQL
+ */
+function translateDDL(sql) {
+    const trigger = sql.match(TIMESTAMP_TRIGGER);
+    if (trigger) {
+        const [, name, table, column] = trigger;
+        const fn = `set_${column}_timestamp`;
+
+        return `
+            CREATE OR REPLACE FUNCTION ${fn}() RETURNS TRIGGER AS $$
+            BEGIN
+                NEW.${column} = CURRENT_TIMESTAMP;
+                RETURN NEW;
+            END;
+            $$ LANGUAGE plpgsql;
+
+            DROP TRIGGER IF EXISTS ${name} ON ${table};
+            CREATE TRIGGER ${name} BEFORE UPDATE ON ${table}
+                FOR EACH ROW EXECUTE FUNCTION ${fn}();
+        `;
+    }
+
+    const guard = sql.match(GUARD_TRIGGER);
+    if (guard) {
+        const [, name, operation, table, message] = guard;
+        const fn = `${name}_fn`;
+
+        return `
+            CREATE OR REPLACE FUNCTION ${fn}() RETURNS TRIGGER AS $$
+            BEGIN
+                RAISE EXCEPTION '${message}';
+            END;
+            $$ LANGUAGE plpgsql;
+
+            DROP TRIGGER IF EXISTS ${name} ON ${table};
+            CREATE TRIGGER ${name} BEFORE ${operation.toUpperCase()} ON ${table}
+                FOR EACH ROW EXECUTE FUNCTION ${fn}();
+        `;
+    }
+
+    if (/CREATE\s+TRIGGER/i.test(sql)) {
+        throw new Error('Trigger não suportado no PostgreSQL: apenas triggers de timestamp e de bloqueio são traduzidos');
+    }
+
+    return sql
+        // SQLite não aplica FOREIGN KEY sem PRAGMA foreign_keys; mantemos o mesmo comportamento
+        .replace(/,\s*FOREIGN\s+KEY\s*\([^)]*\)\s*REFERENCES\s+\w+\s*\([^)]*\)/gi, '')
+        .replace(/INTEGER\s+PRIMARY\s+KEY\s+AUTOINCREMENT/gi, 'SERIAL PRIMARY KEY')
+        .replace(/\bDATETIME\b/gi, 'TIMESTAMP')
+        // SQLite grava booleanos como 0/1 e as queries comparam com inteiros
+        .replace(/\bBOOLEAN\b/gi, 'SMALLINT')
+        // Timestamps em ms (Date.now()) não cabem em INTEGER de 32 bits
+        .replace(/\bINTEGER\b/gi, 'BIGINT')
+        // SQLite aceita strings entre aspas duplas em DEFAULT
+        .replace(/DEFAULT\s+"([^"]*)"/gi, (_, value) => `DEFAULT '${value.replace(/'/g, "''")}'`);
+}
+
+/**
+ * Traduzir uma instrução completa para o PostgreSQL
+ */
+function toPostgres(sql) {
+    const trimmed = sql.trim();
+
+    if (/^(CREATE|ALTER)\s/i.test(trimmed)) {
+        return translateDDL(trimmed);
+    }
+
+    if (/^BEGIN(\s+TRANSACTION)?$/i.test(trimmed)) {
+        return 'BEGIN';
+    }
+
+    return convertPlaceholders(trimmed);
+}
+
+module.exports = {
+    toPostgres,
+    convertPlaceholders,
+    translateDDL
+};
@@ -0,0 +1,58 @@
+// src/database/migrate.js
+require('dotenv').config();
+const Database = require('./connection');
+const Migrator = require('./migrator');
+
+async function main() {
+    const command = process.argv[2] || 'up';
+    const db = new Database();
+
+    try {
+        await db.connect({ skipMigrationCheck: true });
+        const migrator = new Migrator(db);
+
+        switch (command) {
+            case 'up': {
+                const applied = await migrator.migrate();
+                console.log(applied.length > 0
+                    ? `✅ ${applied.length} migração(ões) aplicada(s)`
+                    : '✅ Banco já está atualizado');
+                break;
+            }
+
+            case 'down': {
+                const steps = parseInt(process.argv[3]) || 1;
+                const reverted = await migrator.rollback(steps);
+                console.log(reverted.length > 0
+                    ? `✅ ${reverted.length} migração(ões) revertida(s)`
+                    : 'ℹ️ Nenhuma migração para reverter');
+                break;
+            }
+
+            case 'status': {
+                const migrations = await migrator.status();
+                console.log('📋 Status das migrações:');
+                for (const m of migrations) {
+                    const mark = m.applied ? '✅' : '⏳';
+                    const when = m.applied ? ` (${m.appliedAt})` : ' (pendente)';
+                    console.log(`   ${mark} ${m.version}_${m.name} - ${m.description}${when}`);
+                }
+                break;
+            }
+
+            default:
+                console.error(`❌ Comando desconhecido: ${command}`);
+                console.log('Uso: node src/database/migrate.js [up|down [passos]|status]');
+                process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Erro nas migrações:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await db.close();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
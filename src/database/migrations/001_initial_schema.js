@@ -0,0 +1,278 @@
+// src/database/migrations/001_initial_schema.js
+// Schema original do setup.js. Usa IF NOT EXISTS para que bancos criados
+// antes do sistema de migrações possam ser adotados sem recriar tabelas.
+
+module.exports = {
+    description: 'Schema inicial (usuários, wallets, tarefas, matrizes e vouchers)',
+
+    async up(db) {
+        // ================== TABELAS EXISTENTES ==================
+        
+        // Tabela de usuários
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_id TEXT UNIQUE NOT NULL,
+                telegram_username TEXT,
+                first_name TEXT,
+                last_name TEXT,
+                language_code TEXT DEFAULT 'pt',
+                is_active BOOLEAN DEFAULT 1,
+                current_step TEXT DEFAULT 'start',
+                onboarding_completed BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Tabela de wallets (criptografadas)
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS wallets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_id TEXT NOT NULL,
+                public_key TEXT UNIQUE NOT NULL,
+                encrypted_seed TEXT NOT NULL,
+                encrypted_private_key TEXT NOT NULL,
+                pin_hash TEXT NOT NULL,
+                derivation_path TEXT DEFAULT "m/44'/501'/0'/0'",
+                wallet_name TEXT DEFAULT 'Principal',
+                is_active BOOLEAN DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (telegram_id) REFERENCES users (telegram_id)
+            )
+        `);
+
+        // Tabela de tarefas
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS tasks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_id TEXT NOT NULL,
+                task_type TEXT NOT NULL,
+                task_data TEXT,
+                status TEXT DEFAULT 'pending',
+                completed_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (telegram_id) REFERENCES users (telegram_id)
+            )
+        `);
+
+        // Tabela de notificações
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS notifications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_id TEXT NOT NULL,
+                type TEXT NOT NULL,
+                title TEXT NOT NULL,
+                message TEXT NOT NULL,
+                data TEXT,
+                sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                read_at DATETIME,
+                FOREIGN KEY (telegram_id) REFERENCES users (telegram_id)
+            )
+        `);
+
+        // Tabela de monitoramento
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS monitors (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_id TEXT NOT NULL,
+                public_key TEXT NOT NULL,
+                monitor_type TEXT NOT NULL,
+                is_active BOOLEAN DEFAULT 1,
+                last_balance REAL DEFAULT 0,
+                last_slots INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (telegram_id) REFERENCES users (telegram_id)
+            )
+        `);
+
+        // Tabela de convites (existente)
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS invites (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                referrer_telegram_id TEXT NOT NULL,
+                referred_telegram_id TEXT,
+                voucher_used TEXT,
+                matrix_completed BOOLEAN DEFAULT 0,
+                reward_claimed BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (referrer_telegram_id) REFERENCES users (telegram_id)
+            )
+        `);
+
+        // Tabela de backups de wallet
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS wallet_backups (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_id TEXT NOT NULL,
+                public_key TEXT NOT NULL,
+                progress_data TEXT NOT NULL,
+                deleted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                restored BOOLEAN DEFAULT 0,
+                FOREIGN KEY (telegram_id) REFERENCES users (telegram_id)
+            )
+        `);
+
+        // ================== NOVAS TABELAS PARA MATRIZ E VOUCHER ==================
+        
+        // Tabela de Vouchers
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS user_vouchers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_id TEXT NOT NULL,
+                wallet_address TEXT NOT NULL,
+                voucher_slug TEXT UNIQUE NOT NULL,
+                email TEXT DEFAULT 'test@donut.bot',
+                email_verified BOOLEAN DEFAULT 1,
+                challenge_id TEXT DEFAULT 'test-challenge',
+                verification_code TEXT DEFAULT '0000',
+                referral_link TEXT,
+                uses_count INTEGER DEFAULT 0,
+                is_active BOOLEAN DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (telegram_id) REFERENCES users (telegram_id)
+            )
+        `);
+
+        // Tabela de Tracking de Referências
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS referral_tracking (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                referrer_telegram_id TEXT NOT NULL,
+                referrer_wallet TEXT NOT NULL,
+                referrer_voucher TEXT,
+                referred_telegram_id TEXT NOT NULL,
+                referred_wallet TEXT,
+                slot_occupied INTEGER,
+                matrix_created BOOLEAN DEFAULT 0,
+                transaction_signature TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (referrer_telegram_id) REFERENCES users (telegram_id),
+                FOREIGN KEY (referred_telegram_id) REFERENCES users (telegram_id)
+            )
+        `);
+
+        // Tabela de Matrizes
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS user_matrices (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_id TEXT NOT NULL,
+                wallet_address TEXT NOT NULL,
+                matrix_external_id TEXT,
+                referrer_address TEXT NOT NULL,
+                slot_in_referrer INTEGER,
+                status TEXT DEFAULT 'pending',
+                transaction_signature TEXT,
+                slots_filled INTEGER DEFAULT 0,
+                slot_1_wallet TEXT,
+                slot_1_filled_at DATETIME,
+                slot_2_wallet TEXT,
+                slot_2_filled_at DATETIME,
+                slot_3_wallet TEXT,
+                slot_3_filled_at DATETIME,
+                sol_reserved REAL DEFAULT 0,
+                total_earned REAL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (telegram_id) REFERENCES users (telegram_id)
+            )
+        `);
+
+        // Tabela de Transações da Matriz
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS matrix_transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_id TEXT NOT NULL,
+                wallet_address TEXT NOT NULL,
+                transaction_type TEXT NOT NULL,
+                transaction_signature TEXT UNIQUE,
+                amount_sol REAL,
+                amount_usd REAL,
+                slot_index INTEGER,
+                referrer_address TEXT,
+                status TEXT DEFAULT 'pending',
+                error_message TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                confirmed_at DATETIME,
+                FOREIGN KEY (telegram_id) REFERENCES users (telegram_id)
+            )
+        `);
+
+        // ================== ÍNDICES PARA PERFORMANCE ==================
+        
+        // Índices existentes
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_users_telegram_id ON users (telegram_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_wallets_telegram_id ON wallets (telegram_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_wallets_public_key ON wallets (public_key)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_tasks_telegram_id_status ON tasks (telegram_id, status)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_notifications_telegram_id ON notifications (telegram_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_monitors_telegram_id_type ON monitors (telegram_id, monitor_type)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_wallet_backups_public_key ON wallet_backups (public_key)`);
+        
+        // Novos índices
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_vouchers_slug ON user_vouchers (voucher_slug)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_vouchers_telegram_id ON user_vouchers (telegram_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_vouchers_wallet ON user_vouchers (wallet_address)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_referral_referrer ON referral_tracking (referrer_telegram_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_referral_referred ON referral_tracking (referred_telegram_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_referral_voucher ON referral_tracking (referrer_voucher)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_matrices_telegram_id ON user_matrices (telegram_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_matrices_wallet ON user_matrices (wallet_address)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_matrices_referrer ON user_matrices (referrer_address)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_matrices_status ON user_matrices (status)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_matrix_tx_telegram_id ON matrix_transactions (telegram_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_matrix_tx_signature ON matrix_transactions (transaction_signature)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_matrix_tx_type ON matrix_transactions (transaction_type)`);
+
+        // ================== TRIGGERS ==================
+        
+        // Trigger para atualizar timestamp
+        await db.run(`
+            CREATE TRIGGER IF NOT EXISTS update_users_timestamp 
+            AFTER UPDATE ON users
+            BEGIN
+                UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END
+        `);
+
+        // Trigger para vouchers
+        await db.run(`
+            CREATE TRIGGER IF NOT EXISTS update_vouchers_timestamp 
+            AFTER UPDATE ON user_vouchers
+            BEGIN
+                UPDATE user_vouchers SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END
+        `);
+
+        // Trigger para matrizes
+        await db.run(`
+            CREATE TRIGGER IF NOT EXISTS update_matrices_timestamp 
+            AFTER UPDATE ON user_matrices
+            BEGIN
+                UPDATE user_matrices SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END
+        `);
+    },
+
+    async down(db) {
+        // Triggers e índices são removidos junto com as tabelas
+        const tables = [
+            'matrix_transactions',
+            'user_matrices',
+            'referral_tracking',
+            'user_vouchers',
+            'wallet_backups',
+            'invites',
+            'monitors',
+            'notifications',
+            'tasks',
+            'wallets',
+            'users'
+        ];
+
+        for (const table of tables) {
+            await db.run(`DROP TABLE IF EXISTS ${table}`);
+        }
+    }
+};
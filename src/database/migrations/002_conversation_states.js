@@ -0,0 +1,25 @@
+// src/database/migrations/002_conversation_states.js
+
+module.exports = {
+    description: 'Estados de conversa persistidos (fluxos multi-etapa)',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS conversation_states (
+                telegram_id TEXT NOT NULL,
+                scope TEXT NOT NULL DEFAULT 'flow',
+                data TEXT NOT NULL,
+                secrets TEXT,
+                expires_at INTEGER NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (telegram_id, scope)
+            )
+        `);
+
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_conversation_states_expires ON conversation_states (expires_at)`);
+    },
+
+    async down(db) {
+        await db.run(`DROP TABLE IF EXISTS conversation_states`);
+    }
+};
@@ -0,0 +1,21 @@
+// src/database/migrations/003_admins.js
+
+module.exports = {
+    description: 'Administradores com papéis (owner, operator, support)',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS admins (
+                telegram_id TEXT PRIMARY KEY,
+                role TEXT NOT NULL,
+                granted_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.run(`DROP TABLE IF EXISTS admins`);
+    }
+};
@@ -0,0 +1,46 @@
+// src/database/migrations/004_admin_audit_log.js
+
+module.exports = {
+    description: 'Log de auditoria das ações administrativas (append-only)',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS admin_audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                actor_telegram_id TEXT NOT NULL,
+                actor_role TEXT,
+                action TEXT NOT NULL,
+                target_telegram_id TEXT,
+                target_wallet TEXT,
+                changes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_audit_actor ON admin_audit_log (actor_telegram_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_audit_action ON admin_audit_log (action)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_audit_target ON admin_audit_log (target_telegram_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_audit_created ON admin_audit_log (created_at)`);
+
+        // Registros nunca são alterados nem apagados
+        await db.run(`
+            CREATE TRIGGER IF NOT EXISTS admin_audit_log_no_update
+            BEFORE UPDATE ON admin_audit_log
+            BEGIN
+                SELECT RAISE(ABORT, 'admin_audit_log é append-only');
+            END
+        `);
+
+        await db.run(`
+            CREATE TRIGGER IF NOT EXISTS admin_audit_log_no_delete
+            BEFORE DELETE ON admin_audit_log
+            BEGIN
+                SELECT RAISE(ABORT, 'admin_audit_log é append-only');
+            END
+        `);
+    },
+
+    async down(db) {
+        await db.run(`DROP TABLE IF EXISTS admin_audit_log`);
+    }
+};
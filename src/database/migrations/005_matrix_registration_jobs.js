@@ -0,0 +1,39 @@
+// src/database/migrations/005_matrix_registration_jobs.js
+
+module.exports = {
+    description: 'Jobs de registro na matriz retomáveis passo a passo',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS matrix_registration_jobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_id TEXT NOT NULL,
+                wallet_address TEXT NOT NULL,
+                referrer_address TEXT,
+                slot_index INTEGER,
+                step TEXT NOT NULL DEFAULT 'created',
+                status TEXT NOT NULL DEFAULT 'running',
+                ata_signature TEXT,
+                airdrop_signature TEXT,
+                lut_address TEXT,
+                lut_create_signature TEXT,
+                lut_extend_signatures TEXT,
+                registration_signature TEXT,
+                amount_sol REAL,
+                amount_usd REAL,
+                attempts INTEGER DEFAULT 0,
+                last_error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                completed_at DATETIME
+            )
+        `);
+
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_registration_jobs_wallet ON matrix_registration_jobs (wallet_address, status)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_registration_jobs_telegram_id ON matrix_registration_jobs (telegram_id)`);
+    },
+
+    async down(db) {
+        await db.run(`DROP TABLE IF EXISTS matrix_registration_jobs`);
+    }
+};
@@ -0,0 +1,13 @@
+// src/database/migrations/006_user_tx_speed.js
+
+module.exports = {
+    description: 'Velocidade preferida das transações (taxa de prioridade)',
+
+    async up(db) {
+        await db.run(`ALTER TABLE users ADD COLUMN tx_speed TEXT DEFAULT 'normal'`);
+    },
+
+    async down(db) {
+        await db.run(`ALTER TABLE users DROP COLUMN tx_speed`);
+    }
+};
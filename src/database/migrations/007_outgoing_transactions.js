@@ -0,0 +1,32 @@
+// src/database/migrations/007_outgoing_transactions.js
+
+module.exports = {
+    description: 'Transações enviadas com rebroadcast até confirmação ou expiração do blockhash',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS outgoing_transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                signature TEXT UNIQUE NOT NULL,
+                telegram_id TEXT,
+                wallet_address TEXT,
+                description TEXT,
+                raw_transaction TEXT NOT NULL,
+                last_valid_block_height INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                error TEXT,
+                broadcast_count INTEGER DEFAULT 0,
+                notified BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                resolved_at DATETIME
+            )
+        `);
+
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_outgoing_transactions_status ON outgoing_transactions (status)`);
+    },
+
+    async down(db) {
+        await db.run(`DROP TABLE IF EXISTS outgoing_transactions`);
+    }
+};
@@ -0,0 +1,26 @@
+// src/database/migrations/008_bot_metadata.js
+
+module.exports = {
+    description: 'Metadados do bot (cluster Solana ao qual o banco pertence)',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS bot_metadata (
+                name TEXT PRIMARY KEY,
+                value TEXT NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Bancos com wallets criados antes dos perfis só podiam ser de mainnet
+        await db.run(`
+            INSERT INTO bot_metadata (name, value)
+            SELECT 'solana_cluster', 'mainnet-beta'
+            WHERE EXISTS (SELECT 1 FROM wallets)
+        `);
+    },
+
+    async down(db) {
+        await db.run(`DROP TABLE IF EXISTS bot_metadata`);
+    }
+};
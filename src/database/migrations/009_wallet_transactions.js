@@ -0,0 +1,43 @@
+// src/database/migrations/009_wallet_transactions.js
+
+module.exports = {
+    description: 'Cache do histórico de transações classificadas por wallet',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS wallet_transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                wallet_address TEXT NOT NULL,
+                signature TEXT NOT NULL,
+                slot INTEGER NOT NULL,
+                block_time INTEGER,
+                category TEXT NOT NULL,
+                token TEXT,
+                amount REAL,
+                counterparty TEXT,
+                fee INTEGER DEFAULT 0,
+                usd_value REAL,
+                success BOOLEAN DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (wallet_address, signature)
+            )
+        `);
+
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_wallet_transactions_wallet_slot ON wallet_transactions (wallet_address, slot)`);
+
+        // Até onde o histórico antigo já foi carregado (cursor de getSignaturesForAddress)
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS wallet_history_sync (
+                wallet_address TEXT PRIMARY KEY,
+                oldest_signature TEXT,
+                complete BOOLEAN DEFAULT 0,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.run(`DROP TABLE IF EXISTS wallet_history_sync`);
+        await db.run(`DROP TABLE IF EXISTS wallet_transactions`);
+    }
+};
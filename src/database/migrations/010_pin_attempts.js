@@ -0,0 +1,25 @@
+// src/database/migrations/010_pin_attempts.js
+
+module.exports = {
+    description: 'Tentativas de PIN por wallet: bloqueios progressivos e trava da exportação da seed',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS pin_attempts (
+                wallet_id INTEGER PRIMARY KEY,
+                telegram_id TEXT NOT NULL,
+                failed_attempts INTEGER DEFAULT 0,
+                lockout_level INTEGER DEFAULT 0,
+                locked_until INTEGER,
+                seed_export_locked BOOLEAN DEFAULT 0,
+                seed_export_locked_at DATETIME,
+                last_failed_at DATETIME,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.run(`DROP TABLE IF EXISTS pin_attempts`);
+    }
+};
@@ -0,0 +1,32 @@
+// src/database/migrations/011_wallet_data_keys.js
+
+module.exports = {
+    description: 'Data keys (cifradas pela master key) que selam os segredos da tabela wallets',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS wallet_data_keys (
+                key_id TEXT PRIMARY KEY,
+                master_key_id TEXT NOT NULL,
+                wrapped_key TEXT NOT NULL,
+                status TEXT DEFAULT 'active',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                retired_at DATETIME
+            )
+        `);
+
+        // NULL = linha ainda sem a camada da master key (selada na próxima inicialização)
+        await db.run(`ALTER TABLE wallets ADD COLUMN data_key_id TEXT`);
+    },
+
+    async down(db) {
+        // Sem as data keys os segredos selados ficariam ilegíveis
+        const sealed = await db.get(`SELECT COUNT(*) as count FROM wallets WHERE data_key_id IS NOT NULL`);
+        if (sealed && sealed.count > 0) {
+            throw new Error(`${sealed.count} wallet(s) seladas pela master key: reverter apagaria as chaves delas`);
+        }
+
+        await db.run(`ALTER TABLE wallets DROP COLUMN data_key_id`);
+        await db.run(`DROP TABLE IF EXISTS wallet_data_keys`);
+    }
+};
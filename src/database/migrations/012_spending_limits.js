@@ -0,0 +1,58 @@
+// src/database/migrations/012_spending_limits.js
+
+module.exports = {
+    description: 'Limites de envio por wallet, registro dos envios e endereços confiáveis',
+
+    async up(db) {
+        // Limites em USD (NULL = sem limite). Afrouxar fica em pending_* até *_effective_at (ms)
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS spending_limits (
+                wallet_id INTEGER PRIMARY KEY,
+                telegram_id TEXT NOT NULL,
+                daily_limit_usd REAL,
+                per_tx_limit_usd REAL,
+                pending_daily_limit_usd REAL,
+                pending_daily_effective_at INTEGER,
+                pending_per_tx_limit_usd REAL,
+                pending_per_tx_effective_at INTEGER,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS spending_ledger (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                wallet_id INTEGER NOT NULL,
+                telegram_id TEXT NOT NULL,
+                signature TEXT,
+                token TEXT NOT NULL,
+                amount REAL NOT NULL,
+                usd_value REAL,
+                recipient TEXT NOT NULL,
+                trusted BOOLEAN DEFAULT 0,
+                created_at INTEGER NOT NULL
+            )
+        `);
+
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_spending_ledger_wallet ON spending_ledger (wallet_id, created_at)`);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS trusted_addresses (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                wallet_id INTEGER NOT NULL,
+                telegram_id TEXT NOT NULL,
+                address TEXT NOT NULL,
+                label TEXT,
+                effective_at INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(wallet_id, address)
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.run(`DROP TABLE IF EXISTS trusted_addresses`);
+        await db.run(`DROP TABLE IF EXISTS spending_ledger`);
+        await db.run(`DROP TABLE IF EXISTS spending_limits`);
+    }
+};
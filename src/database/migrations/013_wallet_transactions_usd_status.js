@@ -0,0 +1,20 @@
+// src/database/migrations/013_wallet_transactions_usd_status.js
+
+module.exports = {
+    description: 'Situação da cotação em USD de cada transação do histórico',
+
+    async up(db) {
+        // ok = valor gravado, retry = cotação falhou (tenta de novo ao exibir), unavailable = sem fonte de preço
+        await db.run(`ALTER TABLE wallet_transactions ADD COLUMN usd_status TEXT DEFAULT 'retry'`);
+
+        // Sem valor: refeito na próxima exibição (o que não tiver fonte vira unavailable)
+        await db.run(`
+            UPDATE wallet_transactions
+            SET usd_status = CASE WHEN usd_value IS NULL THEN 'retry' ELSE 'ok' END
+        `);
+    },
+
+    async down(db) {
+        await db.run(`ALTER TABLE wallet_transactions DROP COLUMN usd_status`);
+    }
+};
@@ -0,0 +1,15 @@
+// src/database/migrations/014_spending_ledger_reservations.js
+
+module.exports = {
+    description: 'Reserva do valor no registro de envios antes da transação sair',
+
+    async up(db) {
+        // reserved = conferido e reservado, ainda sem assinatura; sent = saiu da wallet
+        await db.run(`ALTER TABLE spending_ledger ADD COLUMN status TEXT DEFAULT 'sent'`);
+    },
+
+    async down(db) {
+        await db.run(`DELETE FROM spending_ledger WHERE status = 'reserved'`);
+        await db.run(`ALTER TABLE spending_ledger DROP COLUMN status`);
+    }
+};
@@ -0,0 +1,16 @@
+// src/database/migrations/015_trusted_address_notices.js
+
+module.exports = {
+    description: 'Aviso ao usuário quando um endereço confiável passa a valer',
+
+    async up(db) {
+        await db.run(`ALTER TABLE trusted_addresses ADD COLUMN activation_notified BOOLEAN DEFAULT 0`);
+
+        // Endereços que já valiam antes do aviso existir não geram aviso atrasado
+        await db.run(`UPDATE trusted_addresses SET activation_notified = 1 WHERE effective_at <= ?`, [Date.now()]);
+    },
+
+    async down(db) {
+        await db.run(`ALTER TABLE trusted_addresses DROP COLUMN activation_notified`);
+    }
+};
@@ -0,0 +1,114 @@
+// src/database/migrator.js
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+class Migrator {
+    constructor(db) {
+        this.db = db; // Instância de Database já conectada
+        this.migrationsDir = MIGRATIONS_DIR;
+    }
+
+    // Criar tabela de controle
+    async ensureTable() {
+        await this.db.run(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    // Listar arquivos de migração em ordem
+    loadMigrations() {
+        if (!fs.existsSync(this.migrationsDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.migrationsDir)
+            .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => {
+                const migration = require(path.join(this.migrationsDir, file));
+                return {
+                    version: match[1],
+                    name: match[2],
+                    description: migration.description || match[2],
+                    up: migration.up,
+                    down: migration.down
+                };
+            })
+            .sort((a, b) => a.version.localeCompare(b.version));
+    }
+
+    // Versões já aplicadas
+    async getApplied() {
+        await this.ensureTable();
+        return this.db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    }
+
+    async getPending() {
+        const applied = new Set((await this.getApplied()).map(row => row.version));
+        return this.loadMigrations().filter(migration => !applied.has(migration.version));
+    }
+
+    // Aplicar todas as migrações pendentes
+    async migrate() {
+        const pending = await this.getPending();
+
+        for (const migration of pending) {
+            console.log(`⬆️  Aplicando ${migration.version}_${migration.name}...`);
+
+            await this.db.transaction(async (tx) => {
+                await migration.up(tx);
+                await tx.run(
+                    'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                );
+            });
+        }
+
+        return pending;
+    }
+
+    // Reverter as últimas N migrações
+    async rollback(steps = 1) {
+        const applied = await this.getApplied();
+        const available = new Map(this.loadMigrations().map(m => [m.version, m]));
+        const toRevert = applied.slice(-steps).reverse();
+
+        for (const row of toRevert) {
+            const migration = available.get(row.version);
+            if (!migration || typeof migration.down !== 'function') {
+                throw new Error(`Migração ${row.version}_${row.name} não pode ser revertida (arquivo ou down ausente)`);
+            }
+
+            console.log(`⬇️  Revertendo ${row.version}_${row.name}...`);
+
+            await this.db.transaction(async (tx) => {
+                await migration.down(tx);
+                await tx.run('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+            });
+        }
+
+        return toRevert;
+    }
+
+    // Situação de cada migração
+    async status() {
+        const applied = new Map((await this.getApplied()).map(row => [row.version, row]));
+
+        return this.loadMigrations().map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            description: migration.description,
+            applied: applied.has(migration.version),
+            appliedAt: applied.get(migration.version)?.applied_at || null
+        }));
+    }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,1344 @@
+// src/handlers/admin.handler.js
+const Logger = require('../utils/logger');
+const { formatters } = require('../utils/formatting');
+const connectionManager = require('../services/connection-manager.service');
+
+const USERS_PER_PAGE = 8;
+const MATRICES_PER_PAGE = 8;
+const AUDIT_PER_PAGE = 10;
+
+// Permissão exigida por callback (prefixo). admin_menu fica livre para qualquer papel
+const CALLBACK_PERMISSIONS = [
+    ['admin_menu', null],
+    ['admin_stats', 'view_stats'],
+    ['admin_rpc', 'view_stats'],
+    ['admin_users', 'view_users'],
+    ['admin_user_', 'view_users'],
+    ['admin_task_', 'manage_tasks'],
+    ['admin_resync_', 'manage_matrices'],
+    ['admin_seedunlock_', 'manage_security'],
+    ['admin_matrices', 'view_matrices'],
+    ['admin_vouchers', 'view_vouchers'],
+    ['admin_airdrop', 'manage_airdrop'],
+    ['admin_broadcast', 'broadcast'],
+    ['admin_bc_', 'broadcast'],
+    ['admin_admins', 'manage_admins'],
+    ['admin_audit', 'view_audit']
+];
+
+const ROLE_LABELS = {
+    owner: '👑 Owner',
+    operator: '🛠 Operator',
+    support: '🎧 Support'
+};
+
+const AUDIT_ACTION_LABELS = {
+    view_user: '👁 Visualizou usuário',
+    task_completed: '✅ Concluiu tarefa',
+    tasks_reset: '♻️ Resetou tarefas',
+    matrix_resync: '🔄 Resync da matriz',
+    airdrop_week_initialized: '🆕 Inicializou semana do airdrop',
+    airdrop_week_processed: '⚙️ Processou semana do airdrop',
+    broadcast_started: '📣 Iniciou broadcast',
+    broadcast_sent: '📢 Broadcast',
+    admin_granted: '👮 Concedeu papel',
+    admin_revoked: '🚫 Revogou acesso',
+    audit_exported: '📤 Exportou auditoria',
+    seed_export_unlocked: '🔓 Liberou exportação da seed'
+};
+
+const AUDIT_FILTERS = ['actor', 'action', 'target', 'days'];
+
+const AIRDROP_WEEK_SECONDS = 7 * 24 * 60 * 60;
+const AIRDROP_RECENT_WEEKS = 5;
+
+class AdminHandler {
+    constructor(bot) {
+        this.bot = bot.bot;
+        this.botInstance = bot;
+        this.db = bot.db;
+        this.logger = new Logger('AdminHandler');
+
+        this.userStateService = bot.userStateService;
+        this.gamificationService = bot.gamificationService;
+        this.voucherService = bot.voucherService;
+        this.broadcastService = bot.broadcastService;
+        this.auditService = bot.auditService;
+    }
+
+    /**
+     * Processar callbacks admin_* (todas as telas passam por aqui)
+     */
+    async handleCallback(data, chatId, telegramId, messageId) {
+        if (!this.botInstance.isAdmin(telegramId)) {
+            this.logger.warn(`Acesso admin negado para ${telegramId}: ${data}`);
+            return await this.sendMessage(chatId, '❌ Acesso negado.');
+        }
+
+        const rule = CALLBACK_PERMISSIONS.find(([prefix]) => data.startsWith(prefix));
+        if (!rule) {
+            this.logger.warn(`Callback admin não reconhecido: ${data}`);
+            return await this.sendMessage(chatId, '❓ Ação não reconhecida.');
+        }
+
+        const permission = rule[1];
+        if (permission && !this.botInstance.hasAdminPermission(telegramId, permission)) {
+            this.logger.warn(`Permissão ${permission} negada para ${telegramId}: ${data}`);
+            return await this.sendMessage(chatId, '🚫 Seu papel não tem permissão para esta ação.');
+        }
+
+        if (data === 'admin_menu') {
+            return await this.showMenu(chatId, messageId, telegramId);
+        }
+
+        if (data === 'admin_rpc') {
+            return await this.showRpcStatus(chatId, messageId);
+        }
+
+        if (data === 'admin_stats') {
+            return await this.showStats(chatId, messageId);
+        }
+
+        if (data === 'admin_users' || data.startsWith('admin_users_')) {
+            const page = parseInt(data.replace('admin_users_', '')) || 0;
+            return await this.showUsers(chatId, messageId, page);
+        }
+
+        if (data.startsWith('admin_user_')) {
+            return await this.showUserDetail(chatId, telegramId, messageId, data.replace('admin_user_', ''));
+        }
+
+        if (data.startsWith('admin_task_')) {
+            // admin_task_<complete|reset>[_ok]_<telegram_id>
+            const [, , action, ...rest] = data.split('_');
+            const confirmed = rest[0] === 'ok';
+            const targetId = rest[rest.length - 1];
+            return await this.handleTaskAction(chatId, telegramId, messageId, action, targetId, confirmed);
+        }
+
+        if (data.startsWith('admin_seedunlock_')) {
+            // admin_seedunlock[_ok]_<telegram_id>
+            const rest = data.replace('admin_seedunlock_', '');
+            const confirmed = rest.startsWith('ok_');
+            return await this.unlockSeedExport(chatId, telegramId, messageId, rest.replace('ok_', ''), confirmed);
+        }
+
+        if (data.startsWith('admin_resync_')) {
+            return await this.resyncUserMatrix(chatId, telegramId, messageId, data.replace('admin_resync_', ''));
+        }
+
+        if (data === 'admin_matrices') {
+            return await this.showMatrices(chatId, messageId, 'active', 0);
+        }
+
+        if (data.startsWith('admin_matrices_')) {
+            // admin_matrices_<status>_<page>
+            const [, , status, page] = data.split('_');
+            return await this.showMatrices(chatId, messageId, status, parseInt(page) || 0);
+        }
+
+        if (data === 'admin_vouchers') {
+            return await this.showTopVouchers(chatId, messageId);
+        }
+
+        // ========== AIRDROP ==========
+        if (data === 'admin_airdrop') {
+            return await this.showAirdropOps(chatId, messageId);
+        }
+
+        if (data.startsWith('admin_airdrop_')) {
+            // admin_airdrop_<init|process>[_ok]_<semana>
+            const [, , action, ...rest] = data.split('_');
+            const confirmed = rest[0] === 'ok';
+            const week = parseInt(rest[rest.length - 1]);
+            return await this.handleAirdropWeekAction(chatId, telegramId, messageId, action, week, confirmed);
+        }
+
+        // ========== BROADCAST ==========
+        if (data === 'admin_broadcast') {
+            return await this.startBroadcastCompose(chatId, telegramId, messageId);
+        }
+
+        if (data === 'admin_bc_segments') {
+            return await this.showBroadcastSegments(chatId, telegramId, messageId);
+        }
+
+        if (data.startsWith('admin_bc_seg_')) {
+            const segment = data.replace('admin_bc_seg_', '');
+            return await this.showBroadcastConfirmation(chatId, telegramId, messageId, segment);
+        }
+
+        if (data === 'admin_bc_send') {
+            return await this.executeBroadcast(chatId, telegramId, messageId);
+        }
+
+        if (data === 'admin_bc_cancel') {
+            return await this.cancelBroadcast(chatId, telegramId, messageId);
+        }
+
+        if (data === 'admin_admins') {
+            return await this.showAdmins(chatId, messageId);
+        }
+
+        // ========== AUDITORIA ==========
+        if (data === 'admin_audit') {
+            this.botInstance.conversationState.clear(telegramId, 'audit');
+            return await this.showAuditLog(chatId, telegramId, messageId, 0);
+        }
+
+        if (data.startsWith('admin_audit_p_')) {
+            const page = parseInt(data.replace('admin_audit_p_', '')) || 0;
+            return await this.showAuditLog(chatId, telegramId, messageId, page);
+        }
+
+        if (data === 'admin_audit_csv') {
+            const filters = this.botInstance.conversationState.get(telegramId, 'audit') || {};
+            return await this.exportAuditCSV(chatId, telegramId, filters);
+        }
+
+        this.logger.warn(`Callback admin não reconhecido: ${data}`);
+        return await this.sendMessage(chatId, '❓ Ação não reconhecida.');
+    }
+
+    /**
+     * Comandos de texto: /admin grant <telegram_id> <papel> e /admin revoke <telegram_id>
+     */
+    async handleCommand(chatId, telegramId, args) {
+        const [subcommand, targetId, role] = args;
+        const adminService = this.botInstance.adminService;
+
+        if (!['grant', 'revoke'].includes(subcommand)) {
+            return await this.sendMessage(chatId,
+                '❓ Uso:\n`/admin grant <telegram_id> <owner|operator|support>`\n`/admin revoke <telegram_id>`');
+        }
+
+        if (!this.botInstance.hasAdminPermission(telegramId, 'manage_admins')) {
+            this.logger.warn(`Tentativa de ${subcommand} sem permissão por ${telegramId}`);
+            return await this.sendMessage(chatId, '🚫 Apenas o owner pode gerenciar administradores.');
+        }
+
+        if (!targetId || !/^\d+$/.test(targetId)) {
+            return await this.sendMessage(chatId, '❌ Informe um telegram\\_id numérico válido.');
+        }
+
+        if (subcommand === 'grant') {
+            const result = await adminService.grant(telegramId, targetId, (role || '').toLowerCase());
+            if (!result.success) {
+                return await this.sendMessage(chatId, `❌ ${this.escape(result.error)}`);
+            }
+
+            await this.auditService.record({
+                actorId: telegramId,
+                action: 'admin_granted',
+                targetTelegramId: targetId,
+                changes: this.auditService.diff({ role: result.previousRole }, { role: result.role })
+            });
+
+            let message = `✅ \`${targetId}\` agora é ${ROLE_LABELS[result.role]}`;
+            if (result.previousRole && result.previousRole !== result.role) {
+                message += ` (antes: ${ROLE_LABELS[result.previousRole]})`;
+            }
+            return await this.sendMessage(chatId, message);
+        }
+
+        const result = await adminService.revoke(telegramId, targetId);
+        if (!result.success) {
+            return await this.sendMessage(chatId, `❌ ${this.escape(result.error)}`);
+        }
+
+        await this.auditService.record({
+            actorId: telegramId,
+            action: 'admin_revoked',
+            targetTelegramId: targetId,
+            changes: this.auditService.diff({ role: result.previousRole }, { role: null })
+        });
+
+        // Fluxos administrativos em andamento perdem a validade junto com o acesso
+        this.botInstance.conversationState.clear(targetId, 'broadcast');
+        if (this.botInstance.getUserState(targetId).action === 'waiting_broadcast_message') {
+            this.botInstance.clearUserState(targetId);
+        }
+
+        return await this.sendMessage(chatId,
+            `✅ Acesso de \`${targetId}\` revogado (era ${ROLE_LABELS[result.previousRole]})`);
+    }
+
+    /**
+     * Teclado do painel principal (apenas opções permitidas ao papel)
+     */
+    getMenuKeyboard(telegramId) {
+        const options = [
+            ['view_stats', { text: '📊 Estatísticas', callback_data: 'admin_stats' }],
+            ['view_stats', { text: '🌐 RPC', callback_data: 'admin_rpc' }],
+            ['view_users', { text: '👥 Usuários Ativos', callback_data: 'admin_users' }],
+            ['view_matrices', { text: '🎯 Matrizes Ativas', callback_data: 'admin_matrices' }],
+            ['view_vouchers', { text: '🎫 Top Vouchers', callback_data: 'admin_vouchers' }],
+            ['manage_airdrop', { text: '🎁 Airdrop', callback_data: 'admin_airdrop' }],
+            ['broadcast', { text: '📢 Broadcast', callback_data: 'admin_broadcast' }],
+            ['view_audit', { text: '📜 Auditoria', callback_data: 'admin_audit' }],
+            ['manage_admins', { text: '👮 Administradores', callback_data: 'admin_admins' }]
+        ];
+
+        return {
+            inline_keyboard: options
+                .filter(([permission]) => this.botInstance.hasAdminPermission(telegramId, permission))
+                .map(([, button]) => [button])
+        };
+    }
+
+    /**
+     * Mostrar painel principal (edita a mensagem se houver messageId)
+     */
+    async showMenu(chatId, messageId, telegramId) {
+        const role = this.botInstance.adminService.getRole(telegramId);
+        const message = `🔧 *Painel Administrativo*\n\nPapel: ${ROLE_LABELS[role]}\n\nEscolha uma opção:`;
+        const keyboard = this.getMenuKeyboard(telegramId);
+
+        if (messageId) {
+            return await this.editMessage(chatId, messageId, message, keyboard);
+        }
+        return await this.sendMessage(chatId, message, keyboard);
+    }
+
+    /**
+     * Lista de administradores e seus papéis
+     */
+    async showAdmins(chatId, messageId) {
+        try {
+            const admins = await this.botInstance.adminService.listAdmins();
+
+            let message = `👮 *Administradores* (${admins.length})\n\n`;
+
+            for (const admin of admins) {
+                const name = formatters.formatUserName(admin.first_name, null, admin.telegram_username);
+                message += `${ROLE_LABELS[admin.role]} — ${this.escape(name)} \`${admin.telegram_id}\`\n`;
+                if (admin.bootstrap) {
+                    message += '   Definido em TELEGRAM\\_ADMIN\\_ID\n';
+                } else {
+                    message += `   Por \`${admin.granted_by}\` em ${formatters.formatDate(admin.created_at)}\n`;
+                }
+            }
+
+            message += '\n*Gerenciar:*\n';
+            message += '`/admin grant <telegram_id> <owner|operator|support>`\n';
+            message += '`/admin revoke <telegram_id>`';
+
+            const keyboard = {
+                inline_keyboard: [
+                    [{ text: '⬅️ Painel Admin', callback_data: 'admin_menu' }]
+                ]
+            };
+
+            return await this.editMessage(chatId, messageId, message, keyboard);
+
+        } catch (error) {
+            this.logger.error('Erro ao listar administradores:', error);
+            return await this.sendMessage(chatId, '❌ Erro ao listar administradores.');
+        }
+    }
+
+    /**
+     * Estatísticas agregadas
+     */
+    async showStats(chatId, messageId) {
+        try {
+            const [totalUsers, activeUsers, activeWallets, vouchers] = await Promise.all([
+                this.db.count('users'),
+                this.db.count('users', 'is_active = 1'),
+                this.db.count('wallets', 'is_active = 1'),
+                this.db.count('user_vouchers', 'is_active = 1')
+            ]);
+
+            const matrixRows = await this.db.all(`
+                SELECT status, COUNT(*) as count
+                FROM user_matrices
+                GROUP BY status
+            `);
+            const matrices = {};
+            matrixRows.forEach(row => { matrices[row.status] = row.count; });
+
+            const taskStats = await this.gamificationService.getTaskStats();
+
+            let message = '📊 *Estatísticas Gerais*\n\n';
+            message += '👥 *Usuários*\n';
+            message += `• Total: ${totalUsers}\n`;
+            message += `• Ativos: ${activeUsers}\n`;
+            message += `• Wallets ativas: ${activeWallets}\n\n`;
+
+            message += '🎯 *Matrizes*\n';
+            message += `• Ativas: ${matrices.active || 0}\n`;
+            message += `• Processando: ${matrices.processing || 0}\n`;
+            message += `• Falharam: ${matrices.failed || 0}\n\n`;
+
+            message += `🎫 *Vouchers ativos:* ${vouchers}\n\n`;
+
+            message += '📋 *Tarefas* (✅ completas / 🔄 em progresso / ⏳ pendentes)\n';
+            for (const [taskType, stats] of Object.entries(taskStats)) {
+                message += `• ${this.getTaskName(taskType)}: ✅ ${stats.completed} / 🔄 ${stats.inProgress} / ⏳ ${stats.pending}\n`;
+            }
+
+            const keyboard = {
+                inline_keyboard: [
+                    [{ text: '🔄 Atualizar', callback_data: 'admin_stats' }],
+                    [{ text: '⬅️ Painel Admin', callback_data: 'admin_menu' }]
+                ]
+            };
+
+            return await this.editMessage(chatId, messageId, message, keyboard);
+
+        } catch (error) {
+            this.logger.error('Erro ao carregar estatísticas admin:', error);
+            return await this.sendMessage(chatId, '❌ Erro ao carregar estatísticas.');
+        }
+    }
+
+    /**
+     * Saúde dos endpoints RPC do pool
+     */
+    async showRpcStatus(chatId, messageId) {
+        const status = connectionManager.getStatus();
+
+        let message = `🌐 *Endpoints RPC* — ${status.cluster}\n\n`;
+        message += `📖 Leituras: \`${status.readEndpoint}\`\n`;
+        message += `📤 Envios: \`${status.sendEndpoint}\``;
+        message += status.sendFailover ? ' ⚠️ _failover_\n\n' : '\n\n';
+
+        for (const endpoint of status.endpoints) {
+            message += `${endpoint.healthy ? '🟢' : '🔴'} \`${endpoint.name}\`${endpoint.primary ? ' (primário)' : ''}\n`;
+
+            if (endpoint.wrongCluster) {
+                message += '   🚫 Outro cluster (fora do pool)\n\n';
+                continue;
+            }
+
+            message += `   Latência: ${endpoint.latency === null ? '—' : `${endpoint.latency} ms`}`;
+            message += ` • Erros: ${Math.round(endpoint.errorRate * 100)}%`;
+            message += ` • Atraso: ${endpoint.slotLag === null ? '—' : `${endpoint.slotLag} slots`}\n`;
+
+            if (endpoint.lastError) {
+                message += `   Último erro (${formatters.formatRelativeTime(endpoint.lastError.at)}): ${this.escape(this.truncate(endpoint.lastError.message, 80))}\n`;
+            }
+            message += '\n';
+        }
+
+        const keyboard = {
+            inline_keyboard: [
+                [{ text: '🔄 Atualizar', callback_data: 'admin_rpc' }],
+                [{ text: '⬅️ Painel Admin', callback_data: 'admin_menu' }]
+            ]
+        };
+
+        return await this.editMessage(chatId, messageId, message, keyboard);
+    }
+
+    /**
+     * Lista paginada de usuários com estado do fluxo
+     */
+    async showUsers(chatId, messageId, page = 0) {
+        try {
+            const total = await this.db.count('users', 'is_active = 1');
+            const totalPages = Math.max(1, Math.ceil(total / USERS_PER_PAGE));
+            const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+
+            const users = await this.db.all(`
+                SELECT telegram_id, telegram_username, first_name, last_name, created_at
+                FROM users
+                WHERE is_active = 1
+                ORDER BY created_at DESC
+                LIMIT ? OFFSET ?
+            `, [USERS_PER_PAGE, currentPage * USERS_PER_PAGE]);
+
+            let message = `👥 *Usuários Ativos* (${total})\n`;
+            message += `Página ${currentPage + 1}/${totalPages}\n\n`;
+
+            if (users.length === 0) {
+                message += 'Nenhum usuário encontrado.';
+            }
+
+            for (const [index, user] of users.entries()) {
+                const flowState = await this.userStateService.getUserFlowState(user.telegram_id);
+                const name = formatters.formatUserName(user.first_name, user.last_name, user.telegram_username);
+                const position = currentPage * USERS_PER_PAGE + index + 1;
+
+                message += `${position}. ${this.escape(name)} — \`${user.telegram_id}\`\n`;
+                message += `   Estado: \`${flowState}\` · Desde ${formatters.formatDate(user.created_at)}\n`;
+            }
+
+            // Botões numerados abrem o detalhe de cada usuário
+            const userButtons = users.map((user, index) => ({
+                text: `🔍 ${currentPage * USERS_PER_PAGE + index + 1}`,
+                callback_data: `admin_user_${user.telegram_id}`
+            }));
+            const userRows = [];
+            for (let i = 0; i < userButtons.length; i += 4) {
+                userRows.push(userButtons.slice(i, i + 4));
+            }
+
+            const keyboard = {
+                inline_keyboard: [
+                    ...userRows,
+                    ...this.getPaginationRow('admin_users_', currentPage, totalPages),
+                    [{ text: '⬅️ Painel Admin', callback_data: 'admin_menu' }]
+                ]
+            };
+
+            return await this.editMessage(chatId, messageId, message, keyboard);
+
+        } catch (error) {
+            this.logger.error('Erro ao listar usuários admin:', error);
+            return await this.sendMessage(chatId, '❌ Erro ao listar usuários.');
+        }
+    }
+
+    /**
+     * Matrizes ativas ou com falha
+     */
+    async showMatrices(chatId, messageId, status = 'active', page = 0) {
+        try {
+            if (!['active', 'failed'].includes(status)) {
+                status = 'active';
+            }
+
+            const total = await this.db.count('user_matrices', 'status = ?', [status]);
+            const totalPages = Math.max(1, Math.ceil(total / MATRICES_PER_PAGE));
+            const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+
+            const matrices = await this.db.all(`
+                SELECT m.telegram_id, m.wallet_address, m.slots_filled, m.total_earned,
+                       m.created_at, m.updated_at, u.first_name, u.telegram_username
+                FROM user_matrices m
+                LEFT JOIN users u ON u.telegram_id = m.telegram_id
+                WHERE m.status = ?
+                ORDER BY m.updated_at DESC
+                LIMIT ? OFFSET ?
+            `, [status, MATRICES_PER_PAGE, currentPage * MATRICES_PER_PAGE]);
+
+            const title = status === 'active' ? '🎯 *Matrizes Ativas*' : '❌ *Matrizes com Falha*';
+            let message = `${title} (${total})\n`;
+            message += `Página ${currentPage + 1}/${totalPages}\n\n`;
+
+            if (matrices.length === 0) {
+                message += 'Nenhuma matriz encontrada.';
+            }
+
+            for (const matrix of matrices) {
+                const name = formatters.formatUserName(matrix.first_name, null, matrix.telegram_username);
+
+                message += `• ${this.escape(name)} — \`${matrix.telegram_id}\`\n`;
+                message += `   Wallet: \`${formatters.formatAddress(matrix.wallet_address, 6, 6)}\`\n`;
+                if (status === 'active') {
+                    message += `   Slots: ${matrix.slots_filled || 0}/3 · Ganhos: ${(matrix.total_earned || 0).toFixed(4)} SOL\n`;
+                } else {
+                    message += `   Última tentativa: ${formatters.formatDateTime(matrix.updated_at)}\n`;
+                }
+            }
+
+            const otherStatus = status === 'active' ? 'failed' : 'active';
+            const keyboard = {
+                inline_keyboard: [
+                    ...this.getPaginationRow(`admin_matrices_${status}_`, currentPage, totalPages),
+                    [{
+                        text: otherStatus === 'failed' ? '❌ Ver Falhas' : '🎯 Ver Ativas',
+                        callback_data: `admin_matrices_${otherStatus}_0`
+                    }],
+                    [{ text: '⬅️ Painel Admin', callback_data: 'admin_menu' }]
+                ]
+            };
+
+            return await this.editMessage(chatId, messageId, message, keyboard);
+
+        } catch (error) {
+            this.logger.error('Erro ao listar matrizes admin:', error);
+            return await this.sendMessage(chatId, '❌ Erro ao listar matrizes.');
+        }
+    }
+
+    /**
+     * Detalhe de um usuário (registrado na auditoria)
+     */
+    async showUserDetail(chatId, adminId, messageId, targetId) {
+        try {
+            const user = await this.db.get('SELECT * FROM users WHERE telegram_id = ?', [targetId]);
+            if (!user) {
+                return await this.sendMessage(chatId, '❌ Usuário não encontrado.');
+            }
+
+            const [flowState, wallet, tasks, matrix] = await Promise.all([
+                this.userStateService.getUserFlowState(targetId),
+                this.db.get('SELECT id, public_key, created_at FROM wallets WHERE telegram_id = ? AND is_active = 1', [targetId]),
+                this.getTaskStatuses(targetId),
+                this.db.get('SELECT * FROM user_matrices WHERE telegram_id = ? ORDER BY created_at DESC LIMIT 1', [targetId])
+            ]);
+
+            await this.auditService.record({
+                actorId: adminId,
+                action: 'view_user',
+                targetTelegramId: targetId,
+                targetWallet: wallet?.public_key || null
+            });
+
+            const name = formatters.formatUserName(user.first_name, user.last_name, user.telegram_username);
+
+            let message = `👤 *${this.escape(name)}*\n`;
+            message += `🆔 \`${user.telegram_id}\`\n`;
+            message += `📅 Desde ${formatters.formatDate(user.created_at)}\n`;
+            message += `🧭 Estado: \`${flowState}\`\n`;
+            message += `${user.is_active ? '🟢 Ativo' : '🔴 Inativo'}\n\n`;
+
+            message += wallet
+                ? `💼 Wallet: \`${wallet.public_key}\`\n`
+                : '💼 Sem wallet ativa\n';
+
+            const pinState = wallet ? await this.botInstance.walletService.pinGuard.getState(wallet.id) : null;
+            if (pinState && Number(pinState.failed_attempts) > 0) {
+                message += `🔐 PIN: ${pinState.failed_attempts} erro(s) seguido(s)`;
+                if (pinState.locked_until && Number(pinState.locked_until) > Date.now()) {
+                    message += ` · bloqueado até ${formatters.formatDateTime(Number(pinState.locked_until))}`;
+                }
+                message += '\n';
+            }
+            const seedLocked = Boolean(Number(pinState?.seed_export_locked));
+            if (seedLocked) {
+                message += '🚫 Exportação da seed bloqueada\n';
+            }
+            message += '\n';
+
+            message += '📋 *Tarefas*\n';
+            const statusIcons = { completed: '✅', in_progress: '🔄', pending: '⏳' };
+            for (const [taskType, status] of Object.entries(tasks)) {
+                message += `${statusIcons[status] || '▫️'} ${this.getTaskName(taskType)}\n`;
+            }
+
+            if (matrix) {
+                message += `\n🎯 *Matriz:* ${matrix.status} · Slots ${matrix.slots_filled || 0}/3\n`;
+            }
+
+            const rows = [];
+            if (this.botInstance.hasAdminPermission(adminId, 'manage_tasks')) {
+                rows.push([
+                    { text: '✅ Concluir tarefa atual', callback_data: `admin_task_complete_${targetId}` },
+                    { text: '♻️ Resetar tarefas', callback_data: `admin_task_reset_${targetId}` }
+                ]);
+            }
+            if (matrix && this.botInstance.hasAdminPermission(adminId, 'manage_matrices')) {
+                rows.push([{ text: '🔄 Resync com blockchain', callback_data: `admin_resync_${targetId}` }]);
+            }
+            if (seedLocked && this.botInstance.hasAdminPermission(adminId, 'manage_security')) {
+                rows.push([{ text: '🔓 Liberar exportação da seed', callback_data: `admin_seedunlock_${targetId}` }]);
+            }
+            rows.push([{ text: '⬅️ Usuários', callback_data: 'admin_users' }]);
+
+            return await this.editMessage(chatId, messageId, message, { inline_keyboard: rows });
+
+        } catch (error) {
+            this.logger.error('Erro ao carregar usuário admin:', error);
+            return await this.sendMessage(chatId, '❌ Erro ao carregar usuário.');
+        }
+    }
+
+    /**
+     * Status de cada tarefa do usuário, na ordem do fluxo
+     */
+    async getTaskStatuses(telegramId) {
+        const rows = await this.db.all('SELECT task_type, status FROM tasks WHERE telegram_id = ?', [telegramId]);
+        const byType = {};
+        rows.forEach(row => { byType[row.task_type] = row.status; });
+
+        const statuses = {};
+        for (const taskType of this.gamificationService.TASK_TYPES) {
+            statuses[taskType] = byType[taskType] || null;
+        }
+        return statuses;
+    }
+
+    /**
+     * Concluir tarefa atual ou resetar tarefas (com confirmação)
+     */
+    async handleTaskAction(chatId, adminId, messageId, action, targetId, confirmed) {
+        if (!['complete', 'reset'].includes(action)) {
+            return await this.sendMessage(chatId, '❓ Ação não reconhecida.');
+        }
+
+        const before = await this.getTaskStatuses(targetId);
+        const currentTask = Object.keys(before).find(taskType => before[taskType] && before[taskType] !== 'completed');
+
+        if (action === 'complete' && !currentTask) {
+            return await this.editMessage(chatId, messageId, 'ℹ️ Este usuário não tem tarefas em aberto.', {
+                inline_keyboard: [[{ text: '⬅️ Voltar', callback_data: `admin_user_${targetId}` }]]
+            });
+        }
+
+        if (!confirmed) {
+            const message = action === 'complete'
+                ? `✅ *Concluir tarefa*\n\nMarcar *${this.getTaskName(currentTask)}* como concluída para \`${targetId}\`?`
+                : `♻️ *Resetar tarefas*\n\nTodas as tarefas de \`${targetId}\` voltarão para pendente. Confirmar?`;
+
+            return await this.editMessage(chatId, messageId, message, {
+                inline_keyboard: [
+                    [{ text: '✅ Confirmar', callback_data: `admin_task_${action}_ok_${targetId}` }],
+                    [{ text: '❌ Cancelar', callback_data: `admin_user_${targetId}` }]
+                ]
+            });
+        }
+
+        try {
+            if (action === 'complete') {
+                await this.gamificationService.forceCompleteTask(targetId, currentTask);
+            } else {
+                await this.gamificationService.resetUserTasks(targetId);
+            }
+
+            const after = await this.getTaskStatuses(targetId);
+
+            await this.auditService.record({
+                actorId: adminId,
+                action: action === 'complete' ? 'task_completed' : 'tasks_reset',
+                targetTelegramId: targetId,
+                changes: this.auditService.diff(before, after)
+            });
+
+            return await this.showUserDetail(chatId, adminId, messageId, targetId);
+
+        } catch (error) {
+            this.logger.error('Erro ao alterar tarefas admin:', error);
+            return await this.sendMessage(chatId, '❌ Erro ao alterar tarefas.');
+        }
+    }
+
+    /**
+     * Recuperação da trava da seed: só depois de o suporte verificar a identidade do usuário
+     */
+    async unlockSeedExport(chatId, adminId, messageId, targetId, confirmed) {
+        const wallet = await this.db.get('SELECT id, public_key FROM wallets WHERE telegram_id = ? AND is_active = 1', [targetId]);
+        if (!wallet) {
+            return await this.sendMessage(chatId, '❌ Usuário sem wallet ativa.');
+        }
+
+        if (!confirmed) {
+            return await this.editMessage(chatId, messageId,
+                '🔓 *Liberar exportação da seed*\n\n' +
+                `Confirme apenas se a identidade de \`${targetId}\` foi verificada fora do bot.\n` +
+                'O contador de PINs errados também será zerado.',
+                {
+                    inline_keyboard: [
+                        [{ text: '✅ Identidade verificada, liberar', callback_data: `admin_seedunlock_ok_${targetId}` }],
+                        [{ text: '❌ Cancelar', callback_data: `admin_user_${targetId}` }]
+                    ]
+                }
+            );
+        }
+
+        try {
+            const pinGuard = this.botInstance.walletService.pinGuard;
+            const unlocked = await pinGuard.unlockSeedExport(wallet.id);
+
+            if (unlocked) {
+                await this.auditService.record({
+                    actorId: adminId,
+                    action: 'seed_export_unlocked',
+                    targetTelegramId: targetId,
+                    targetWallet: wallet.public_key,
+                    changes: this.auditService.diff({ seed_export_locked: true }, { seed_export_locked: false })
+                });
+
+                await pinGuard.notify(targetId,
+                    '🔓 *Exportação da seed liberada*\n\n' +
+                    'O suporte liberou a exibição da sua seed phrase. Ela volta a exigir o PIN normalmente.'
+                );
+            }
+
+            return await this.showUserDetail(chatId, adminId, messageId, targetId);
+
+        } catch (error) {
+            this.logger.error('Erro ao liberar exportação da seed:', error);
+            return await this.sendMessage(chatId, '❌ Erro ao liberar exportação da seed.');
+        }
+    }
+
+    /**
+     * Forçar sincronização da matriz com a blockchain
+     */
+    async resyncUserMatrix(chatId, adminId, messageId, targetId) {
+        try {
+            const fields = 'status, slots_filled, total_earned';
+            const query = `SELECT ${fields} FROM user_matrices WHERE telegram_id = ? ORDER BY created_at DESC LIMIT 1`;
+
+            const before = await this.db.get(query, [targetId]);
+            if (!before) {
+                return await this.sendMessage(chatId, '❌ Usuário não possui matriz.');
+            }
+
+            const synced = await this.botInstance.matrixService.syncWithBlockchain(targetId);
+            const after = await this.db.get(query, [targetId]);
+
+            await this.auditService.record({
+                actorId: adminId,
+                action: 'matrix_resync',
+                targetTelegramId: targetId,
+                changes: { synced: !!synced, ...this.auditService.diff(before, after) }
+            });
+
+            let message = synced
+                ? '🔄 *Resync concluído*\n\n'
+                : '⚠️ *Resync sem efeito*\n\nConta não encontrada na blockchain ou wallet inativa.\n\n';
+            message += `Slots: ${before.slots_filled || 0} → ${after.slots_filled || 0}`;
+
+            return await this.editMessage(chatId, messageId, message, {
+                inline_keyboard: [[{ text: '⬅️ Voltar', callback_data: `admin_user_${targetId}` }]]
+            });
+
+        } catch (error) {
+            this.logger.error('Erro no resync admin:', error);
+            return await this.sendMessage(chatId, '❌ Erro ao sincronizar matriz.');
+        }
+    }
+
+    /**
+     * Operações semanais do airdrop: status das semanas e próximas instruções
+     */
+    async showAirdropOps(chatId, messageId) {
+        try {
+            const anchorClient = this.botInstance.botAnchorClient;
+            const state = await anchorClient.getAirdropProgramState();
+            const weeks = await anchorClient.getAirdropWeeklyData(1, state.currentWeek);
+            const signer = await anchorClient.getAirdropAdminStatus(state.admin);
+            const now = Math.floor(Date.now() / 1000);
+
+            const weekEnd = (week) => state.startTimestamp + week * AIRDROP_WEEK_SECONDS;
+            const current = weeks[weeks.length - 1];
+
+            let message = '🎁 *Operações do Airdrop*\n\n';
+            message += `📅 Semana atual: *${state.currentWeek}*\n`;
+            message += `⏰ Termina em: ${formatters.formatDateTime(weekEnd(state.currentWeek) * 1000)}\n`;
+            message += `👥 Usuários: ${state.totalUsers} | 🎯 Matrizes: ${state.totalMatricesCompleted}\n\n`;
+
+            message += '*Semanas recentes:*\n';
+            for (const week of weeks.slice(-AIRDROP_RECENT_WEEKS).reverse()) {
+                const matrices = state.matricesByWeek[week.week - 1] || 0;
+                let status;
+                if (!week.exists) {
+                    status = '❔ sem WeeklyData';
+                } else if (week.distributionProcessed) {
+                    status = `✅ processada — ${formatters.formatToken(Number(week.tokensPerMatrix) / 1e9)}/matriz`;
+                } else if (now >= weekEnd(week.week)) {
+                    status = '⚠️ encerrada, não processada';
+                } else {
+                    status = '⏳ em andamento';
+                }
+                message += `• Semana ${week.week} (${matrices} matrizes): ${status}\n`;
+            }
+
+            // Semanas já encerradas que nunca tiveram a distribuição processada
+            const pending = weeks.filter(week => now >= weekEnd(week.week) && !week.distributionProcessed);
+            if (pending.length > 0) {
+                message += `\n⚠️ *Atenção:* semana(s) ${pending.map(week => week.week).join(', ')} encerrada(s) sem processamento!\n`;
+            }
+
+            message += '\n*Signer admin:* ';
+            if (!signer.configured) {
+                message += `❌ ${this.escape(signer.error)}\n`;
+            } else {
+                message += `\`${formatters.formatAddress(signer.publicKey)}\` ${signer.matches ? '✅' : '❌ não é o admin do programa'}\n`;
+            }
+
+            const keyboard = [];
+            if (signer.configured && signer.matches) {
+                if (!current.exists) {
+                    keyboard.push([{ text: `🆕 Inicializar semana ${current.week}`, callback_data: `admin_airdrop_init_${current.week}` }]);
+                } else if (!current.distributionProcessed && now >= weekEnd(current.week)) {
+                    keyboard.push([{ text: `⚙️ Processar semana ${current.week}`, callback_data: `admin_airdrop_process_${current.week}` }]);
+                }
+            }
+            keyboard.push([{ text: '🔄 Atualizar', callback_data: 'admin_airdrop' }]);
+            keyboard.push([{ text: '⬅️ Voltar', callback_data: 'admin_menu' }]);
+
+            return await this.editMessage(chatId, messageId, message, { inline_keyboard: keyboard });
+
+        } catch (error) {
+            this.logger.error('Erro ao mostrar operações do airdrop:', error);
+            return await this.sendMessage(chatId, '❌ Erro ao consultar o programa de airdrop.');
+        }
+    }
+
+    /**
+     * initializeWeek / processWeeklyDistribution com confirmação explícita
+     */
+    async handleAirdropWeekAction(chatId, adminId, messageId, action, week, confirmed) {
+        if (!['init', 'process'].includes(action) || !week) {
+            return await this.sendMessage(chatId, '❓ Ação não reconhecida.');
+        }
+
+        const backKeyboard = { inline_keyboard: [[{ text: '⬅️ Voltar', callback_data: 'admin_airdrop' }]] };
+        const anchorClient = this.botInstance.botAnchorClient;
+
+        try {
+            // Revalidar contra o estado on-chain: a tela pode estar desatualizada
+            const state = await anchorClient.getAirdropProgramState();
+            const [before] = await anchorClient.getAirdropWeeklyData(week, week);
+
+            let problem = null;
+            if (week !== state.currentWeek) {
+                problem = `A semana atual agora é ${state.currentWeek}.`;
+            } else if (action === 'init' && before.exists) {
+                problem = `A semana ${week} já foi inicializada.`;
+            } else if (action === 'process' && !before.exists) {
+                problem = `A semana ${week} ainda não foi inicializada.`;
+            } else if (action === 'process' && before.distributionProcessed) {
+                problem = `A semana ${week} já foi processada.`;
+            }
+
+            if (problem) {
+                return await this.editMessage(chatId, messageId, `⚠️ ${problem}`, backKeyboard);
+            }
+
+            if (!confirmed) {
+                const matrices = state.matricesByWeek[week - 1] || 0;
+                const message = action === 'init'
+                    ? `🆕 *Inicializar semana ${week}*\n\nCria a conta WeeklyData da semana ${week}. Confirmar?`
+                    : `⚙️ *Processar semana ${week}*\n\nFecha a distribuição com ${matrices} matrizes e prepara a semana ${week + 1}. Esta ação não pode ser desfeita. Confirmar?`;
+
+                return await this.editMessage(chatId, messageId, message, {
+                    inline_keyboard: [
+                        [{ text: '✅ Confirmar', callback_data: `admin_airdrop_${action}_ok_${week}` }],
+                        [{ text: '❌ Cancelar', callback_data: 'admin_airdrop' }]
+                    ]
+                });
+            }
+
+            await this.editMessage(chatId, messageId, '⏳ Enviando transação...');
+
+            const result = action === 'init'
+                ? await anchorClient.initializeAirdropWeek(week)
+                : await anchorClient.processAirdropWeek(week);
+
+            if (!result.success) {
+                return await this.editMessage(chatId, messageId,
+                    `❌ *Falha na transação*\n\n${this.escape(this.truncate(result.error, 200))}`, backKeyboard);
+            }
+
+            const [after] = await anchorClient.getAirdropWeeklyData(week, week);
+            const snapshot = (data) => data.exists
+                ? { exists: true, tokensPerMatrix: data.tokensPerMatrix.toString(), distributionProcessed: data.distributionProcessed }
+                : { exists: false };
+
+            await this.auditService.record({
+                actorId: adminId,
+                action: action === 'init' ? 'airdrop_week_initialized' : 'airdrop_week_processed',
+                changes: { week, signature: result.signature, ...this.auditService.diff(snapshot(before), snapshot(after)) }
+            });
+
+            const message = action === 'init'
+                ? `✅ *Semana ${week} inicializada*`
+                : `✅ *Semana ${week} processada*\n\nTokens por matriz: ${formatters.formatToken(Number(after.tokensPerMatrix || 0n) / 1e9)}`;
+
+            return await this.editMessage(chatId, messageId, `${message}\n\n🔗 [Ver no Solscan](${result.explorerUrl})`, backKeyboard);
+
+        } catch (error) {
+            this.logger.error('Erro na operação do airdrop:', error);
+            return await this.sendMessage(chatId, '❌ Erro ao executar operação do airdrop.');
+        }
+    }
+
+    /**
+     * Ranking de vouchers por indicações
+     */
+    async showTopVouchers(chatId, messageId) {
+        try {
+            const vouchers = await this.voucherService.getTopVouchers(10);
+
+            let message = '🎫 *Top Vouchers*\n\n';
+
+            if (vouchers.length === 0) {
+                message += 'Nenhum voucher ativo ainda.';
+            }
+
+            vouchers.forEach((voucher, index) => {
+                const medal = ['🥇', '🥈', '🥉'][index] || `${index + 1}.`;
+                const owner = formatters.formatUserName(voucher.first_name, null, voucher.telegram_username);
+
+                message += `${medal} \`${voucher.voucher_slug}\` — ${this.escape(owner)}\n`;
+                message += `   Indicações: ${voucher.total_referrals || 0} · Matrizes: ${voucher.matrices_created || 0}\n`;
+            });
+
+            const keyboard = {
+                inline_keyboard: [
+                    [{ text: '🔄 Atualizar', callback_data: 'admin_vouchers' }],
+                    [{ text: '⬅️ Painel Admin', callback_data: 'admin_menu' }]
+                ]
+            };
+
+            return await this.editMessage(chatId, messageId, message, keyboard);
+
+        } catch (error) {
+            this.logger.error('Erro ao listar vouchers admin:', error);
+            return await this.sendMessage(chatId, '❌ Erro ao listar vouchers.');
+        }
+    }
+
+    /**
+     * Iniciar composição de broadcast
+     */
+    async startBroadcastCompose(chatId, telegramId, messageId) {
+        this.botInstance.conversationState.clear(telegramId, 'broadcast');
+        this.botInstance.setUserState(telegramId, { action: 'waiting_broadcast_message' });
+
+        let message = '📢 *Novo Broadcast*\n\n';
+        message += 'Envie agora a mensagem que será disparada.\n\n';
+        message += '• Formatação Markdown é suportada (*negrito*, _itálico_, `código`)\n';
+        message += '• Você verá uma prévia antes de escolher o público';
+
+        const keyboard = {
+            inline_keyboard: [
+                [{ text: '❌ Cancelar', callback_data: 'admin_bc_cancel' }]
+            ]
+        };
+
+        return await this.editMessage(chatId, messageId, message, keyboard);
+    }
+
+    /**
+     * Receber texto do broadcast, mostrar prévia e segmentos
+     */
+    async processBroadcastText(chatId, telegramId, text) {
+        if (!this.botInstance.hasAdminPermission(telegramId, 'broadcast')) {
+            this.botInstance.clearUserState(telegramId);
+            return await this.sendMessage(chatId, '❌ Acesso negado.');
+        }
+
+        // Prévia exatamente como os usuários vão receber
+        try {
+            await this.bot.sendMessage(chatId, text, { parse_mode: 'Markdown' });
+        } catch (error) {
+            this.logger.warn('Prévia de broadcast com Markdown inválido', { error: error.message });
+            return await this.bot.sendMessage(chatId,
+                '⚠️ Não foi possível formatar a mensagem. Verifique o Markdown e envie novamente.');
+        }
+
+        this.botInstance.clearUserState(telegramId);
+        this.botInstance.conversationState.set(telegramId, { text }, 'broadcast');
+
+        return await this.showBroadcastSegments(chatId, telegramId);
+    }
+
+    /**
+     * Escolha do público, com contagem de destinatários por segmento
+     */
+    async showBroadcastSegments(chatId, telegramId, messageId = null) {
+        if (!this.botInstance.conversationState.get(telegramId, 'broadcast')) {
+            return await this.showDraftExpired(chatId, messageId);
+        }
+
+        const segments = this.broadcastService.getSegments();
+        const rows = [];
+
+        for (const [key, segment] of Object.entries(segments)) {
+            const recipients = await this.broadcastService.getSegmentRecipients(key);
+            rows.push([{
+                text: `${segment.label} (${recipients.length})`,
+                callback_data: `admin_bc_seg_${key}`
+            }]);
+        }
+
+        rows.push([
+            { text: '✏️ Reescrever', callback_data: 'admin_broadcast' },
+            { text: '❌ Cancelar', callback_data: 'admin_bc_cancel' }
+        ]);
+
+        const message = '👆 *Prévia acima.*\n\nEscolha o público do broadcast:';
+
+        if (messageId) {
+            return await this.editMessage(chatId, messageId, message, { inline_keyboard: rows });
+        }
+        return await this.sendMessage(chatId, message, { inline_keyboard: rows });
+    }
+
+    /**
+     * Confirmar segmento antes de enviar
+     */
+    async showBroadcastConfirmation(chatId, telegramId, messageId, segment) {
+        const draft = this.botInstance.conversationState.get(telegramId, 'broadcast');
+        const segments = this.broadcastService.getSegments();
+
+        if (!draft || !segments[segment]) {
+            return await this.showDraftExpired(chatId, messageId);
+        }
+
+        const recipients = await this.broadcastService.getSegmentRecipients(segment);
+        this.botInstance.conversationState.set(telegramId, { ...draft, segment }, 'broadcast');
+
+        let message = '📢 *Confirmar Broadcast*\n\n';
+        message += `🎯 Público: ${segments[segment].label}\n`;
+        message += `👥 Destinatários: ${recipients.length}\n\n`;
+        message += '⚠️ Após confirmar, o envio não pode ser interrompido.';
+
+        const keyboard = {
+            inline_keyboard: [
+                [{ text: '✅ Enviar agora', callback_data: 'admin_bc_send' }],
+                [
+                    { text: '⬅️ Trocar público', callback_data: 'admin_bc_segments' },
+                    { text: '❌ Cancelar', callback_data: 'admin_bc_cancel' }
+                ]
+            ]
+        };
+
+        return await this.editMessage(chatId, messageId, message, keyboard);
+    }
+
+    /**
+     * Disparar broadcast em background e reportar resultado
+     */
+    async executeBroadcast(chatId, telegramId, messageId) {
+        const draft = this.botInstance.conversationState.get(telegramId, 'broadcast');
+
+        if (!draft || !draft.segment) {
+            return await this.showDraftExpired(chatId, messageId);
+        }
+
+        // Evitar disparo duplo com cliques repetidos
+        this.botInstance.conversationState.clear(telegramId, 'broadcast');
+
+        // Registrado antes do primeiro envio: o broadcast pode levar minutos e o bot cair no meio
+        const audited = await this.auditService.record({
+            actorId: telegramId,
+            action: 'broadcast_started',
+            changes: { segment: draft.segment, text: draft.text }
+        });
+
+        if (!audited) {
+            return await this.editMessage(chatId, messageId,
+                '❌ Não foi possível registrar o broadcast na auditoria. Nada foi enviado.',
+                { inline_keyboard: [[{ text: '⬅️ Painel Admin', callback_data: 'admin_menu' }]] });
+        }
+
+        await this.editMessage(chatId, messageId,
+            '📤 *Broadcast em andamento...*\n\nVocê receberá o relatório ao final.');
+
+        this.broadcastService.sendBroadcast({
+            adminId: telegramId,
+            text: draft.text,
+            segment: draft.segment
+        }).then(async (result) => {
+            await this.auditService.record({
+                actorId: telegramId,
+                action: 'broadcast_sent',
+                changes: {
+                    segment: draft.segment,
+                    ...(result.success
+                        ? { broadcastId: result.broadcastId, total: result.total, sent: result.sent, failed: result.failed, blocked: result.blocked }
+                        : { error: result.error })
+                }
+            });
+
+            if (!result.success) {
+                return await this.sendMessage(chatId, `❌ Broadcast falhou: ${this.escape(result.error)}`);
+            }
+
+            let report = '📊 *Relatório do Broadcast*\n\n';
+            report += `🆔 \`${result.broadcastId}\`\n`;
+            report += `👥 Destinatários: ${result.total}\n`;
+            report += `✅ Enviados: ${result.sent}\n`;
+            report += `❌ Falharam: ${result.failed}\n`;
+            report += `🚫 Bloquearam o bot (desativados): ${result.blocked}`;
+
+            await this.sendMessage(chatId, report, {
+                inline_keyboard: [[{ text: '⬅️ Painel Admin', callback_data: 'admin_menu' }]]
+            });
+        }).catch((error) => {
+            this.logger.error('Erro ao reportar broadcast:', error);
+        });
+    }
+
+    async showDraftExpired(chatId, messageId = null) {
+        const message = '⏰ Rascunho expirado. Comece um novo broadcast.';
+        const keyboard = { inline_keyboard: [[{ text: '📢 Novo Broadcast', callback_data: 'admin_broadcast' }]] };
+
+        if (messageId) {
+            return await this.editMessage(chatId, messageId, message, keyboard);
+        }
+        return await this.sendMessage(chatId, message, keyboard);
+    }
+
+    async cancelBroadcast(chatId, telegramId, messageId) {
+        this.botInstance.clearUserState(telegramId);
+        this.botInstance.conversationState.clear(telegramId, 'broadcast');
+        return await this.showMenu(chatId, messageId, telegramId);
+    }
+
+    /**
+     * /audit [csv] [actor=<id>] [action=<ação>] [target=<id|wallet>] [days=<n>]
+     */
+    async handleAuditCommand(chatId, telegramId, args) {
+        if (!this.botInstance.hasAdminPermission(telegramId, 'view_audit')) {
+            return await this.sendMessage(chatId, '🚫 Seu papel não tem permissão para esta ação.');
+        }
+
+        const exportCsv = args[0] === 'csv';
+        const filters = {};
+
+        for (const arg of exportCsv ? args.slice(1) : args) {
+            const [key, value] = arg.split('=');
+            if (!AUDIT_FILTERS.includes(key) || !value || (key === 'days' && !/^\d+$/.test(value))) {
+                let usage = '❓ Uso: `/audit [csv] [actor=<id>] [action=<ação>] [target=<id|wallet>] [days=<n>]`\n\n';
+                usage += '*Ações:* ' + Object.keys(AUDIT_ACTION_LABELS).map(a => `\`${a}\``).join(', ');
+                return await this.sendMessage(chatId, usage);
+            }
+            filters[key] = key === 'days' ? parseInt(value) : value;
+        }
+
+        if (exportCsv) {
+            return await this.exportAuditCSV(chatId, telegramId, filters);
+        }
+
+        this.botInstance.conversationState.set(telegramId, filters, 'audit');
+        return await this.showAuditLog(chatId, telegramId, null, 0);
+    }
+
+    /**
+     * Lista paginada do log de auditoria com os filtros ativos
+     */
+    async showAuditLog(chatId, telegramId, messageId, page = 0) {
+        try {
+            const filters = this.botInstance.conversationState.get(telegramId, 'audit') || {};
+
+            const total = await this.auditService.count(filters);
+            const totalPages = Math.max(1, Math.ceil(total / AUDIT_PER_PAGE));
+            const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+            const entries = await this.auditService.query(filters, AUDIT_PER_PAGE, currentPage * AUDIT_PER_PAGE);
+
+            let message = `📜 *Auditoria* (${total})\n`;
+            message += `Página ${currentPage + 1}/${totalPages}\n`;
+            message += `🔎 Filtros: ${this.describeAuditFilters(filters)}\n\n`;
+
+            if (entries.length === 0) {
+                message += 'Nenhum registro encontrado.';
+            }
+
+            for (const entry of entries) {
+                const label = AUDIT_ACTION_LABELS[entry.action] || entry.action;
+
+                message += `*#${entry.id}* · ${formatters.formatDateTime(entry.created_at)}\n`;
+                message += `${label} — \`${entry.actor_telegram_id}\` (${entry.actor_role || '?'})\n`;
+                if (entry.target_telegram_id || entry.target_wallet) {
+                    const wallet = entry.target_wallet ? ` · \`${formatters.formatAddress(entry.target_wallet, 4, 4)}\`` : '';
+                    message += `🎯 \`${entry.target_telegram_id || '-'}\`${wallet}\n`;
+                }
+                if (entry.changes) {
+                    message += `📝 \`${this.truncate(entry.changes.replace(/`/g, "'"), 120)}\`\n`;
+                }
+                message += '\n';
+            }
+
+            const keyboard = {
+                inline_keyboard: [
+                    ...this.getPaginationRow('admin_audit_p_', currentPage, totalPages),
+                    [{ text: '📤 Exportar CSV', callback_data: 'admin_audit_csv' }],
+                    [{ text: '⬅️ Painel Admin', callback_data: 'admin_menu' }]
+                ]
+            };
+
+            if (messageId) {
+                return await this.editMessage(chatId, messageId, message, keyboard);
+            }
+            return await this.sendMessage(chatId, message, keyboard);
+
+        } catch (error) {
+            this.logger.error('Erro ao carregar auditoria:', error);
+            return await this.sendMessage(chatId, '❌ Erro ao carregar auditoria.');
+        }
+    }
+
+    /**
+     * Enviar CSV com os registros filtrados (a exportação também é auditada)
+     */
+    async exportAuditCSV(chatId, telegramId, filters = {}) {
+        try {
+            const { csv, total } = await this.auditService.exportCSV(filters);
+
+            await this.auditService.record({
+                actorId: telegramId,
+                action: 'audit_exported',
+                changes: { filters, total }
+            });
+
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+            return await this.bot.sendDocument(chatId, Buffer.from(csv, 'utf8'), {
+                caption: `📤 Auditoria: ${total} registro(s)`
+            }, {
+                filename: `admin_audit_${timestamp}.csv`,
+                contentType: 'text/csv'
+            });
+
+        } catch (error) {
+            this.logger.error('Erro ao exportar auditoria:', error);
+            return await this.sendMessage(chatId, '❌ Erro ao exportar auditoria.');
+        }
+    }
+
+    describeAuditFilters(filters) {
+        const parts = Object.entries(filters).map(([key, value]) => `${key}=\`${value}\``);
+        return parts.length > 0 ? parts.join(' ') : 'nenhum';
+    }
+
+    /**
+     * Helpers
+     */
+    getPaginationRow(prefix, page, totalPages) {
+        const row = [];
+        if (page > 0) {
+            row.push({ text: '⬅️ Anterior', callback_data: `${prefix}${page - 1}` });
+        }
+        if (page < totalPages - 1) {
+            row.push({ text: 'Próxima ➡️', callback_data: `${prefix}${page + 1}` });
+        }
+        return row.length > 0 ? [row] : [];
+    }
+
+    getTaskName(taskType) {
+        const names = {
+            create_wallet: 'Criar Wallet',
+            fund_wallet: 'Adicionar Fundos',
+            create_matrix: 'Criar Matriz',
+            create_voucher: 'Criar Voucher',
+            first_referral: 'Primeiro Convite',
+            second_referral: 'Segundo Convite',
+            third_referral: 'Terceiro Convite'
+        };
+        return names[taskType] || taskType;
+    }
+
+    truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+
+    // Escapar caracteres do Markdown legado em nomes de usuários
+    escape(text) {
+        return String(text || '').replace(/([_*`\[])/g, '\\$1');
+    }
+
+    async sendMessage(chatId, text, keyboard = null) {
+        const options = { parse_mode: 'Markdown' };
+        if (keyboard) options.reply_markup = keyboard;
+        return await this.bot.sendMessage(chatId, text, options);
+    }
+
+    async editMessage(chatId, messageId, text, keyboard = null) {
+        const options = {
+            parse_mode: 'Markdown',
+            chat_id: chatId,
+            message_id: messageId
+        };
+        if (keyboard) options.reply_markup = keyboard;
+
+        try {
+            return await this.bot.editMessageText(text, options);
+        } catch (error) {
+            if (error.message && error.message.includes('message is not modified')) {
+                return;
+            }
+            this.logger.warn('Erro ao editar mensagem, enviando nova:', error.message);
+            return await this.sendMessage(chatId, text, keyboard);
+        }
+    }
+}
+
+module.exports = AdminHandler;
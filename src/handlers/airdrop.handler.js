@@ -0,0 +1,265 @@
+// src/handlers/airdrop.handler.js
+const Logger = require('../utils/logger');
+const { formatters } = require('../utils/formatting');
+
+const DONUT_DECIMALS = 9;
+const WEEK_SECONDS = 7 * 24 * 60 * 60;
+
+class AirdropHandler {
+    constructor(bot) {
+        this.bot = bot.bot;
+        this.botInstance = bot;
+        this.logger = new Logger('AirdropHandler');
+
+        this.walletService = bot.walletService;
+        this.solanaService = bot.solanaService;
+        this.userStateService = bot.userStateService;
+        this.anchorClient = bot.botAnchorClient;
+    }
+
+    /**
+     * Tela do airdrop: matrizes por semana, DONUT ganho x resgatado e botão de claim
+     */
+    async showAirdrop(chatId, telegramId, messageId) {
+        try {
+            const canAccess = await this.userStateService.canAccessFeature(telegramId, 'view_airdrop');
+            if (!canAccess) {
+                return await this.editMessage(chatId, messageId,
+                    this.userStateService.getBlockedFeatureMessage('view_airdrop'),
+                    { inline_keyboard: [[{ text: '⬅️ Menu Principal', callback_data: 'main_menu' }]] });
+            }
+
+            const wallet = await this.walletService.getActiveWallet(telegramId);
+            if (!wallet) {
+                return await this.editMessage(chatId, messageId, '❌ Você não tem uma wallet ativa.', {
+                    inline_keyboard: [[{ text: '⬅️ Menu Principal', callback_data: 'main_menu' }]]
+                });
+            }
+
+            await this.editMessage(chatId, messageId, '⏳ Consultando airdrop na blockchain...');
+
+            const [programState, account] = await Promise.all([
+                this.anchorClient.getAirdropProgramState(),
+                this.anchorClient.getAirdropUserAccount(wallet.public_key)
+            ]);
+
+            let message = '🎁 **Airdrop DONUT**\n\n';
+            message += `📅 Semana atual: **${programState.currentWeek}**\n\n`;
+
+            if (!account.exists) {
+                message += 'Você ainda não está registrado no airdrop.\n';
+                message += 'O registro acontece automaticamente ao criar sua matriz.';
+
+                return await this.editMessage(chatId, messageId, message, {
+                    inline_keyboard: [
+                        [{ text: '🔄 Atualizar', callback_data: 'view_airdrop' }],
+                        [{ text: '⬅️ Menu Principal', callback_data: 'main_menu' }]
+                    ]
+                });
+            }
+
+            const { data } = account;
+
+            message += '**🎯 Matrizes completadas por semana:**\n';
+            const weeks = this.getWeeklyCounts(data.matrixCounts, programState);
+            if (weeks.length === 0) {
+                message += '• Nenhuma matriz completada ainda\n';
+            }
+            for (const week of weeks) {
+                const current = week.week === programState.currentWeek ? ' (atual)' : '';
+                message += `• Semana ${week.week}${current} — ${formatters.formatDate(week.startsAt)}: ${week.count}\n`;
+            }
+            message += `• Total: ${data.totalMatricesCompleted}\n\n`;
+
+            const claimable = data.tokensEarned - data.tokensClaimed;
+
+            message += '**💰 DONUT:**\n';
+            message += `• Ganho: ${this.formatDonut(data.tokensEarned)} DONUT\n`;
+            message += `• Resgatado: ${this.formatDonut(data.tokensClaimed)} DONUT\n`;
+            message += `• Disponível: **${this.formatDonut(claimable)} DONUT**\n`;
+
+            const rows = [];
+            if (claimable > 0n) {
+                rows.push([{ text: '💎 Resgatar DONUT', callback_data: 'airdrop_claim' }]);
+            } else {
+                message += '\n_Os tokens ficam disponíveis após o processamento semanal._';
+            }
+            rows.push([{ text: '🔄 Atualizar', callback_data: 'view_airdrop' }]);
+            rows.push([{ text: '⬅️ Menu Principal', callback_data: 'main_menu' }]);
+
+            return await this.editMessage(chatId, messageId, message, { inline_keyboard: rows });
+
+        } catch (error) {
+            this.logger.error('Erro ao mostrar airdrop:', error);
+            return await this.showErrorMessage(chatId, messageId);
+        }
+    }
+
+    /**
+     * Pedir PIN para o claim
+     */
+    async startClaim(chatId, telegramId, messageId) {
+        const session = this.walletService.unlockSessions.check(telegramId, 'airdrop_claim');
+
+        let message = '💎 **Resgatar DONUT**\n\n';
+        message += 'Os tokens disponíveis serão enviados para sua wallet.\n';
+        message += 'A taxa de rede é paga em SOL pela sua wallet.\n\n';
+        message += session.allowed
+            ? '🔓 Wallet desbloqueada: toque em **Resgatar Agora** ou digite seu PIN:'
+            : 'Digite seu PIN para confirmar:';
+
+        this.botInstance.setUserState(telegramId, {
+            action: 'waiting_pin_for_airdrop_claim',
+            messageId: messageId
+        });
+
+        const rows = [[{ text: '❌ Cancelar', callback_data: 'cancel_airdrop_claim' }]];
+        if (session.allowed) {
+            rows.unshift([{ text: '🔓 Resgatar Agora', callback_data: 'airdrop_claim_session' }]);
+        }
+
+        return await this.editMessage(chatId, messageId, message, { inline_keyboard: rows });
+    }
+
+    /**
+     * "Resgatar Agora" com a wallet desbloqueada
+     */
+    async claimWithSession(chatId, telegramId, messageId) {
+        const state = this.botInstance.getUserState(telegramId);
+        if (state.action !== 'waiting_pin_for_airdrop_claim') {
+            return await this.showAirdrop(chatId, telegramId, messageId);
+        }
+
+        // Limpo antes do primeiro await: um segundo toque (ou o PIN digitado junto) não resgata de novo
+        this.botInstance.clearUserState(telegramId);
+
+        const keypairResult = await this.walletService.getSessionKeypair(telegramId, 'airdrop_claim');
+        if (!keypairResult) {
+            this.botInstance.setUserState(telegramId, state);
+            return await this.editMessage(chatId, messageId,
+                '🔒 **Sessão encerrada**\n\nDigite seu PIN para confirmar o resgate:',
+                { inline_keyboard: [[{ text: '❌ Cancelar', callback_data: 'cancel_airdrop_claim' }]] });
+        }
+
+        return await this.processClaim(chatId, telegramId, null, messageId, keypairResult);
+    }
+
+    /**
+     * Executar claimTokens com o PIN já validado (ou o keypair da sessão)
+     */
+    async processClaim(chatId, telegramId, pin, messageId, sessionKeypair = null) {
+        try {
+            await this.editMessage(chatId, messageId, '⏳ Resgatando seus DONUT na blockchain...');
+
+            const keypairResult = sessionKeypair || await this.walletService.getKeypair(telegramId, pin);
+            if (!keypairResult.success) {
+                return await this.showClaimError(chatId, messageId, keypairResult.error);
+            }
+
+            const walletAddress = keypairResult.publicKey;
+            const before = await this.anchorClient.getAirdropUserAccount(walletAddress);
+
+            const speed = await this.userStateService.getTransactionSpeed(telegramId);
+            const result = await this.anchorClient.claimAirdropTokens(keypairResult.keypair, speed);
+            if (!result.success) {
+                return await this.showClaimError(chatId, messageId, result.error);
+            }
+
+            const claimed = before.exists ? before.data.tokensEarned - before.data.tokensClaimed : null;
+            const balance = await this.solanaService.getTokenBalance(walletAddress, result.tokenMint);
+
+            this.logger.info('Airdrop resgatado', { telegramId, signature: result.signature });
+
+            let message = '✅ **DONUT RESGATADO!**\n\n';
+            if (claimed !== null) {
+                message += `💎 Resgatado: ${this.formatDonut(claimed)} DONUT\n`;
+            }
+            message += `💰 Novo saldo: **${this.formatDonut(BigInt(balance))} DONUT**\n\n`;
+            message += `🔗 [Ver no Solscan](${result.explorerUrl})`;
+
+            return await this.editMessage(chatId, messageId, message, {
+                inline_keyboard: [
+                    [{ text: '🎁 Voltar ao Airdrop', callback_data: 'view_airdrop' }],
+                    [{ text: '⬅️ Menu Principal', callback_data: 'main_menu' }]
+                ]
+            });
+
+        } catch (error) {
+            this.logger.error('Erro ao resgatar airdrop:', error);
+            return await this.showClaimError(chatId, messageId, error.message);
+        }
+    }
+
+    /**
+     * Semanas com matrizes (mais a semana atual), com a data de início de cada uma
+     */
+    getWeeklyCounts(matrixCounts, programState) {
+        const weeks = [];
+
+        for (let week = 1; week <= programState.currentWeek && week <= matrixCounts.length; week++) {
+            const count = matrixCounts[week - 1];
+            if (count > 0 || week === programState.currentWeek) {
+                weeks.push({
+                    week,
+                    count,
+                    startsAt: new Date((programState.startTimestamp + (week - 1) * WEEK_SECONDS) * 1000)
+                });
+            }
+        }
+
+        // Semana atual sem matrizes não conta como histórico
+        return weeks.some(week => week.count > 0) ? weeks : [];
+    }
+
+    formatDonut(baseUnits) {
+        const amount = Number(baseUnits) / 10 ** DONUT_DECIMALS;
+        return amount.toLocaleString('pt-BR', { maximumFractionDigits: 4 });
+    }
+
+    async showClaimError(chatId, messageId, error) {
+        // Erros do RPC trazem caracteres que quebram o Markdown
+        const reason = String(error || 'Erro desconhecido').replace(/[_*`\[\]]/g, ' ').substring(0, 150);
+
+        return await this.editMessage(chatId, messageId, `❌ **Erro ao resgatar DONUT**\n\n${reason}`, {
+            inline_keyboard: [
+                [{ text: '🔄 Tentar Novamente', callback_data: 'view_airdrop' }],
+                [{ text: '⬅️ Menu Principal', callback_data: 'main_menu' }]
+            ]
+        });
+    }
+
+    async showErrorMessage(chatId, messageId) {
+        return await this.editMessage(chatId, messageId,
+            '❌ **Erro**\n\nNão foi possível consultar o airdrop agora.',
+            { inline_keyboard: [[{ text: '⬅️ Menu Principal', callback_data: 'main_menu' }]] });
+    }
+
+    async editMessage(chatId, messageId, text, keyboard = null) {
+        const options = {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+        };
+
+        if (keyboard) {
+            options.reply_markup = keyboard;
+        }
+
+        try {
+            return await this.bot.editMessageText(text, options);
+        } catch (error) {
+            if (error.message && error.message.includes('message is not modified')) {
+                return;
+            }
+            this.logger.warn('Erro ao editar mensagem, enviando nova:', error.message);
+            return await this.bot.sendMessage(chatId, text, {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true,
+                reply_markup: keyboard
+            });
+        }
+    }
+}
+
+module.exports = AirdropHandler;
@@ -1,6 +1,7 @@
 // src/handlers/callback.handler.js
 const Logger = require('../utils/logger');
 const MainKeyboard = require('../keyboards/main.keyboard');
+const WalletKeyboard = require('../keyboards/wallet.keyboard');
 const { formatters } = require('../utils/formatting');
 
 class CallbackHandler {
@@ -16,6 +17,8 @@ class CallbackHandler {
         this.walletOperationsHandler = null;
         this.matrixHandler = null;
         this.voucherHandler = null;
+        this.airdropHandler = null;
+        this.adminHandler = null;
         this.logger = new Logger('CallbackHandler');
     }
 
@@ -54,6 +57,12 @@ class CallbackHandler {
      * Processar callback baseado no tipo
      */
     async processCallback(data, chatId, telegramId, user, messageId) {
+        // ========== CALLBACKS ADMINISTRATIVOS ==========
+        // O AdminHandler valida papel e permissão antes de qualquer tela
+        if (data.startsWith('admin_') && this.adminHandler) {
+            return await this.adminHandler.handleCallback(data, chatId, telegramId, messageId);
+        }
+
         // Callback de confirmação de seed phrase salva
         if (data === 'confirm_seed_saved') {
             await this.gamificationService.updateTaskData(telegramId, 'create_wallet', {
@@ -137,6 +146,12 @@ class CallbackHandler {
             }
         }
 
+        if (data === 'matrix_session_confirm') {
+            if (this.matrixHandler) {
+                return await this.matrixHandler.confirmWithSession(chatId, telegramId, messageId);
+            }
+        }
+
         if (data === 'cancel_matrix') {
             this.messageHandler?.clearUserState(telegramId);
             return await this.editMessage(chatId, messageId, '❌ Criação de matriz cancelada.', {
@@ -180,6 +195,35 @@ class CallbackHandler {
             });
         }
 
+        // ========== CALLBACKS DO AIRDROP ==========
+        if (data === 'view_airdrop') {
+            if (this.airdropHandler) {
+                return await this.airdropHandler.showAirdrop(chatId, telegramId, messageId);
+            }
+        }
+
+        if (data === 'airdrop_claim') {
+            if (this.airdropHandler) {
+                return await this.airdropHandler.startClaim(chatId, telegramId, messageId);
+            }
+        }
+
+        if (data === 'airdrop_claim_session') {
+            if (this.airdropHandler) {
+                return await this.airdropHandler.claimWithSession(chatId, telegramId, messageId);
+            }
+        }
+
+        if (data === 'cancel_airdrop_claim') {
+            this.messageHandler?.clearUserState(telegramId);
+            return await this.editMessage(chatId, messageId, '❌ Resgate cancelado.', {
+                inline_keyboard: [
+                    [{ text: '🎁 Voltar ao Airdrop', callback_data: 'view_airdrop' }],
+                    [{ text: '⬅️ Menu Principal', callback_data: 'main_menu' }]
+                ]
+            });
+        }
+
         // ========== CALLBACKS DE IMPORTAÇÃO ==========
         if (data === 'import_wallet_menu') {
             if (!this.botInstance.simplifiedFlowHandler) {
@@ -214,6 +258,68 @@ class CallbackHandler {
             return await this.showWalletSettings(chatId, telegramId, messageId);
         }
 
+        if (data === 'tx_speed_menu') {
+            return await this.showTransactionSpeed(chatId, telegramId, messageId);
+        }
+
+        if (data.startsWith('tx_speed_set_')) {
+            await this.botInstance.userStateService.setTransactionSpeed(telegramId, data.replace('tx_speed_set_', ''));
+            return await this.showTransactionSpeed(chatId, telegramId, messageId);
+        }
+
+        // Desbloqueio temporário (sessão sem PIN)
+        if (data === 'unlock_session_menu' || data === 'unlock_session_lock' || data.startsWith('unlock_session_start_')) {
+            if (!this.walletOperationsHandler) {
+                return await this.sendErrorMessage(chatId, 'Erro de configuração.');
+            }
+
+            if (this.botInstance.getUserState(telegramId).action === 'waiting_pin_for_unlock') {
+                this.messageHandler?.clearUserState(telegramId);
+            }
+
+            if (data === 'unlock_session_lock') {
+                this.walletService.lockSession(telegramId);
+            }
+
+            if (data.startsWith('unlock_session_start_')) {
+                const minutes = parseInt(data.replace('unlock_session_start_', ''));
+                return await this.walletOperationsHandler.requestPinForUnlock(chatId, telegramId, messageId, minutes);
+            }
+
+            return await this.walletOperationsHandler.showUnlockSession(chatId, telegramId, messageId);
+        }
+
+        // Limites de envio e endereços confiáveis
+        if (data.startsWith('spending_') || data.startsWith('trusted_')) {
+            if (!this.walletOperationsHandler) {
+                return await this.sendErrorMessage(chatId, 'Erro de configuração.');
+            }
+
+            const action = this.botInstance.getUserState(telegramId).action;
+            if (action === 'waiting_spending_limit' || action === 'waiting_trusted_address') {
+                this.messageHandler?.clearUserState(telegramId);
+            }
+
+            if (data.startsWith('spending_set_')) {
+                return await this.walletOperationsHandler.requestSpendingLimit(chatId, telegramId, messageId, data.replace('spending_set_', ''));
+            }
+            if (data === 'spending_cancel_pending') {
+                return await this.walletOperationsHandler.cancelPendingLimits(chatId, telegramId, messageId);
+            }
+            if (data === 'trusted_addresses_menu') {
+                return await this.walletOperationsHandler.showTrustedAddresses(chatId, telegramId, messageId);
+            }
+            if (data === 'trusted_add') {
+                return await this.walletOperationsHandler.requestTrustedAddress(chatId, telegramId, messageId);
+            }
+            if (data.startsWith('trusted_remove_')) {
+                const id = parseInt(data.replace('trusted_remove_', ''));
+                return await this.walletOperationsHandler.removeTrustedAddress(chatId, telegramId, messageId, id);
+            }
+
+            return await this.walletOperationsHandler.showSpendingLimits(chatId, telegramId, messageId);
+        }
+
         if (data === 'create_new_wallet') {
             return await this.initWalletCreation(chatId, telegramId, messageId);
         }
@@ -273,6 +379,36 @@ class CallbackHandler {
             return await this.walletOperationsHandler.initSendDONUT(chatId, telegramId, messageId);
         }
 
+        if (data.startsWith('send_spl_')) {
+            if (!this.walletOperationsHandler) {
+                return await this.sendErrorMessage(chatId, 'Erro de configuração.');
+            }
+            const mint = data.replace('send_spl_', '');
+            return await this.walletOperationsHandler.initSendToken(chatId, telegramId, messageId, mint);
+        }
+
+        if (data === 'close_empty_accounts') {
+            if (!this.walletOperationsHandler) {
+                return await this.sendErrorMessage(chatId, 'Erro de configuração.');
+            }
+            return await this.walletOperationsHandler.showCloseEmptyAccounts(chatId, telegramId, messageId);
+        }
+
+        if (data === 'close_empty_confirm') {
+            if (!this.walletOperationsHandler) {
+                return await this.sendErrorMessage(chatId, 'Erro de configuração.');
+            }
+            return await this.walletOperationsHandler.requestPinForCloseAccounts(chatId, telegramId, messageId);
+        }
+
+        if (data === 'transaction_history' || data.startsWith('tx_history_page_')) {
+            if (!this.walletOperationsHandler) {
+                return await this.sendErrorMessage(chatId, 'Erro de configuração.');
+            }
+            const page = parseInt(data.replace('tx_history_page_', '')) || 0;
+            return await this.walletOperationsHandler.showTransactionHistory(chatId, telegramId, messageId, page);
+        }
+
         if (data === 'receive_tokens') {
             if (!this.walletOperationsHandler) {
                 return await this.sendErrorMessage(chatId, 'Erro de configuração.');
@@ -288,6 +424,21 @@ class CallbackHandler {
             return await this.walletOperationsHandler.confirmSend(chatId, telegramId, messageId);
         }
 
+        if (data.startsWith('send_speed_')) {
+            if (!this.walletOperationsHandler) {
+                return await this.sendErrorMessage(chatId, 'Erro de configuração.');
+            }
+            const speed = data.replace('send_speed_', '');
+            return await this.walletOperationsHandler.changeSendSpeed(chatId, telegramId, messageId, speed);
+        }
+
+        if (data === 'send_session_confirm') {
+            if (!this.walletOperationsHandler) {
+                return await this.sendErrorMessage(chatId, 'Erro de configuração.');
+            }
+            return await this.walletOperationsHandler.processSessionSend(chatId, telegramId, messageId);
+        }
+
         if (data === 'cancel_send') {
             if (!this.walletOperationsHandler) {
                 return await this.sendErrorMessage(chatId, 'Erro de configuração.');
@@ -357,7 +508,7 @@ class CallbackHandler {
         }
 
         // Funcionalidades em desenvolvimento
-        if (['view_matrix', 'view_airdrop', 'view_vouchers', 'dashboard'].includes(data)) {
+        if (['view_matrix', 'view_vouchers', 'dashboard'].includes(data)) {
             return await this.showDevelopmentMessage(chatId, messageId, data);
         }
 
@@ -442,6 +593,15 @@ class CallbackHandler {
                     [
                         { text: '🔑 Ver Seed Phrase', callback_data: 'show_seed' }
                     ],
+                    [
+                        { text: '⚡ Velocidade das Transações', callback_data: 'tx_speed_menu' }
+                    ],
+                    [
+                        { text: '🔓 Desbloqueio Temporário', callback_data: 'unlock_session_menu' }
+                    ],
+                    [
+                        { text: '🛡️ Limites de Envio', callback_data: 'spending_limits_menu' }
+                    ],
                     [
                         { text: '🗑️ Deletar Wallet', callback_data: 'delete_wallet' }
                     ],
@@ -459,6 +619,29 @@ class CallbackHandler {
         }
     }
 
+    /**
+     * Velocidade padrão das transações (taxa de prioridade)
+     */
+    async showTransactionSpeed(chatId, telegramId, messageId) {
+        try {
+            const speed = await this.botInstance.userStateService.getTransactionSpeed(telegramId);
+
+            let message = '⚡ *Velocidade das Transações*\n\n';
+            message += 'Define a taxa de prioridade paga em envios, matriz e resgates.\n';
+            message += 'A taxa acompanha o que a rede está cobrando no momento:\n\n';
+            message += '🐢 *Econômica:* mais barata, pode demorar em congestionamento\n';
+            message += '🚗 *Normal:* taxa mediana da rede\n';
+            message += '🚀 *Rápida:* prioridade alta, custa mais\n\n';
+            message += 'O custo exato aparece antes de cada confirmação.';
+
+            return await this.editMessage(chatId, messageId, message, WalletKeyboard.getTransactionSpeedMenu(speed));
+
+        } catch (error) {
+            this.logger.error('Erro ao mostrar velocidade das transações:', error);
+            return await this.sendErrorMessage(chatId, 'Erro ao carregar configurações.');
+        }
+    }
+
     /**
      * Mostrar menu da wallet
      */
@@ -696,6 +879,15 @@ class CallbackHandler {
      */
     async showSeedPhrase(chatId, telegramId, messageId) {
         try {
+            if (await this.walletService.isSeedExportLocked(telegramId)) {
+                return await this.editMessage(chatId, messageId,
+                    '🚫 *Seed phrase bloqueada*\n\n' +
+                    'A exibição foi bloqueada depois de muitos PINs incorretos.\n\n' +
+                    '🎧 Fale com o suporte para liberar: sua identidade será verificada antes.',
+                    { inline_keyboard: [[{ text: '⬅️ Voltar', callback_data: 'manage_wallet' }]] }
+                );
+            }
+
             let message = '🔑 **Ver Seed Phrase**\n\n';
             message += '⚠️ **ATENÇÃO:**\n';
             message += 'Para ver sua seed phrase, digite seu PIN de segurança.\n\n';
@@ -786,10 +978,6 @@ class CallbackHandler {
                 title: 'Matriz',
                 description: 'Sistema de matriz 3x1 com distribuição automática de recompensas'
             },
-            'view_airdrop': {
-                title: 'Airdrop',
-                description: 'Distribuição semanal de tokens DONUT para holders'
-            },
             'view_vouchers': {
                 title: 'Vouchers',
                 description: 'Sistema de códigos de convite personalizados'
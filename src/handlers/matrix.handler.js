@@ -1,6 +1,8 @@
 // src/handlers/matrix.handler.js
 const Logger = require('../utils/logger');
 const { formatters } = require('../utils/formatting');
+const { formatSimulationSummary } = require('../utils/simulation');
+const config = require('../config/solana-programs.config');
 
 class MatrixHandler {
     constructor(bot) {
@@ -78,6 +80,15 @@ class MatrixHandler {
         // Calcular quantidade exata de SOL necessária
         const requiredUSD = 10.3;
         const requiredSOL = requiredUSD / solPrice;
+
+        await this.editMessage(chatId, messageId, '⏳ Simulando o registro na blockchain...');
+
+        // Simulação recusada: não pedir PIN para uma transação que falharia
+        const speed = await this.botInstance.userStateService.getTransactionSpeed(telegramId);
+        const simulation = await this.matrixService.simulateRegistration(telegramId, speed);
+        if (!simulation.success && !simulation.tooLarge) {
+            return await this.showMatrixError(chatId, messageId, simulation.error, simulation.programError);
+        }
         
         let message = '🎯 **Criar Sua Matriz 3x1**\n\n';
         message += '📊 **Como funciona:**\n';
@@ -99,8 +110,19 @@ class MatrixHandler {
         message += '• **Slot 2:** Reserva SOL para você\n';
         message += '• **Slot 3:** Paga SOL reservado + bônus\n\n';
         
+        if (simulation.tooLarge) {
+            message += '🧪 Simulação: a transação usa Lookup Table e será validada no envio.\n\n';
+        } else if (!simulation.alreadyRegistered) {
+            message += formatSimulationSummary(simulation) + '\n';
+        }
+
+        // Registro em USD: o teto da sessão desbloqueada é comparado com o valor total
+        const session = this.walletService.unlockSessions.check(telegramId, 'matrix', config.MATRIX_VALUES.getRegistrationAmountWithBuffer());
+
         message += '⚠️ **Confirmar criação da matriz?**\n';
-        message += 'Digite seu PIN para confirmar:';
+        message += session.allowed
+            ? '🔓 Wallet desbloqueada: toque em **Confirmar Agora** ou digite seu PIN:'
+            : 'Digite seu PIN para confirmar:';
 
         const keyboard = {
             inline_keyboard: [
@@ -110,6 +132,10 @@ class MatrixHandler {
             ]
         };
 
+        if (session.allowed) {
+            keyboard.inline_keyboard.unshift([{ text: '🔓 Confirmar Agora', callback_data: 'matrix_session_confirm' }]);
+        }
+
         // Definir estado para aguardar PIN
         this.botInstance.setUserState(telegramId, {
             action: 'waiting_pin_for_matrix',
@@ -120,20 +146,58 @@ class MatrixHandler {
     }
 
     /**
-     * Processar PIN para criar matriz
+     * "Confirmar Agora" com a wallet desbloqueada (no lugar do PIN)
+     */
+    async confirmWithSession(chatId, telegramId, messageId) {
+        const state = this.botInstance.getUserState(telegramId);
+        if (state.action !== 'waiting_pin_for_matrix') {
+            return await this.handleMatrixTask(chatId, telegramId, messageId);
+        }
+
+        // Limpo antes do primeiro await: um segundo toque (ou o PIN digitado junto) não cria de novo
+        this.botInstance.clearUserState(telegramId);
+
+        const keypairResult = await this.walletService.getSessionKeypair(
+            telegramId,
+            'matrix',
+            config.MATRIX_VALUES.getRegistrationAmountWithBuffer()
+        );
+
+        if (!keypairResult) {
+            this.botInstance.setUserState(telegramId, state);
+            return await this.editMessage(chatId, messageId,
+                '🔒 **Sessão encerrada ou fora do limite**\n\nDigite seu PIN para confirmar a criação da matriz:',
+                { inline_keyboard: [[{ text: '❌ Cancelar', callback_data: 'cancel_matrix' }]] });
+        }
+
+        return await this.processMatrixCreation(chatId, telegramId, null, messageId, keypairResult);
+    }
+
+    /**
+     * Processar PIN para criar matriz (ou keypair da sessão desbloqueada)
      */
-    async processMatrixCreation(chatId, telegramId, pin, messageId) {
+    async processMatrixCreation(chatId, telegramId, pin, messageId, keypairResult = null) {
         try {
             // Mostrar loading
             await this.editMessage(chatId, messageId, '⏳ Criando sua matriz na blockchain...\n\nIsso pode levar alguns segundos...');
 
             // Criar matriz (PIN validado apenas uma vez aqui)
-            const result = await this.matrixService.createMatrix(telegramId, pin);
+            const speed = await this.botInstance.userStateService.getTransactionSpeed(telegramId);
+            const result = await this.matrixService.createMatrix(telegramId, pin, speed, keypairResult);
 
             if (result.success) {
+                const wallet = await this.walletService.getActiveWallet(telegramId);
+                if (wallet && this.botInstance.transactionMonitor) {
+                    await this.botInstance.transactionMonitor.startMonitoring(telegramId, wallet.public_key);
+                }
+
                 await this.showMatrixSuccess(chatId, telegramId, messageId, result);
             } else {
-                await this.showMatrixError(chatId, messageId, result.error);
+                // Sem resultado desconhecido o registro não saiu da wallet
+                if (!result.pending) {
+                    this.walletService.refundSessionCharge(telegramId, keypairResult);
+                }
+                await this.showMatrixError(chatId, messageId, result.error, result.programError);
             }
 
         } catch (error) {
@@ -294,7 +358,7 @@ class MatrixHandler {
                 message += `• Tipo: ${type}\n`;
                 message += `• Valor: ${tx.amount_sol?.toFixed(4) || 0} SOL\n`;
                 if (tx.transaction_signature) {
-                    message += `• [Ver transação](https://solscan.io/tx/${tx.transaction_signature})\n`;
+                    message += `• [Ver transação](${config.getExplorerUrl(tx.transaction_signature)})\n`;
                 }
                 message += '\n';
             }
@@ -385,8 +449,42 @@ class MatrixHandler {
         await this.editMessage(chatId, messageId, message, keyboard);
     }
 
-    async showMatrixError(chatId, messageId, error) {
+    /**
+     * Erro decodificado da IDL: explicação, ação sugerida e código para o suporte
+     */
+    async showProgramError(chatId, messageId, programError) {
+        const rows = [];
+        if (programError.action === 'retry') {
+            rows.push([{ text: '🔄 Tentar Novamente', callback_data: 'task_create_matrix' }]);
+        }
+        if (programError.action === 'fund') {
+            rows.push([{ text: '💰 Ver Saldo', callback_data: 'view_balance' }]);
+            rows.push([{ text: '🔄 Tentar Novamente', callback_data: 'task_create_matrix' }]);
+        }
+        rows.push([{ text: '👥 Grupo de Ajuda', url: 'https://t.me/donutmatrix' }]);
+        rows.push([{ text: '⬅️ Menu Principal', callback_data: 'main_menu' }]);
+
+        // Texto puro: nomes da IDL têm caracteres que quebram o Markdown
+        const message = `❌ Erro ao Criar Matriz\n\n${programError.explanation}\n\n💡 ${programError.suggestion}\n\nCódigo: ${programError.label}`;
+        const keyboard = { inline_keyboard: rows };
+
         try {
+            await this.bot.editMessageText(message, {
+                chat_id: chatId,
+                message_id: messageId,
+                reply_markup: keyboard
+            });
+        } catch (editError) {
+            await this.bot.sendMessage(chatId, message, { reply_markup: keyboard });
+        }
+    }
+
+    async showMatrixError(chatId, messageId, error, programError = null) {
+        try {
+            if (programError) {
+                return await this.showProgramError(chatId, messageId, programError);
+            }
+
             // Extrair mensagem de erro
             let errorMessage = '';
             
@@ -24,11 +24,12 @@ class MessageHandler {
         this.walletOperationsHandler = null;
         this.matrixHandler = null;
         this.voucherHandler = null;
+        this.airdropHandler = null;
+        this.adminHandler = null;
         
         this.logger = new Logger('MessageHandler');
         
-        // Mapas internos para gerenciamento de estado
-        this.userStates = new Map();
+        // Estados de conversa ficam no botInstance (persistidos em SQLite)
         this.messageIds = new Map();
     }
 
@@ -56,6 +57,22 @@ class MessageHandler {
         this.logger.info('VoucherHandler conectado ao MessageHandler');
     }
 
+    /**
+     * Injetar AirdropHandler
+     */
+    setAirdropHandler(handler) {
+        this.airdropHandler = handler;
+        this.logger.info('AirdropHandler conectado ao MessageHandler');
+    }
+
+    /**
+     * Injetar AdminHandler
+     */
+    setAdminHandler(handler) {
+        this.adminHandler = handler;
+        this.logger.info('AdminHandler conectado ao MessageHandler');
+    }
+
     /**
      * Processar mensagens de texto baseado no estado do usuário
      */
@@ -175,6 +192,42 @@ class MessageHandler {
                         return result;
                     }
                     break;
+
+                case 'waiting_pin_for_close_accounts':
+                    if (this.walletOperationsHandler) {
+                        const result = await this.walletOperationsHandler.processPinForCloseAccounts(text, chatId, telegramId);
+                        setTimeout(async () => {
+                            try {
+                                await this.bot.deleteMessage(chatId, msg.message_id);
+                            } catch (e) {}
+                        }, 3000);
+                        return result;
+                    }
+                    break;
+
+                case 'waiting_pin_for_unlock':
+                    if (this.walletOperationsHandler) {
+                        return await this.walletOperationsHandler.processPinForUnlock(text, chatId, telegramId, userState.data);
+                    }
+                    break;
+
+                case 'waiting_spending_limit':
+                    if (this.walletOperationsHandler) {
+                        return await this.walletOperationsHandler.processSpendingLimit(text, chatId, telegramId, userState.data);
+                    }
+                    break;
+
+                case 'waiting_trusted_address':
+                    if (this.walletOperationsHandler) {
+                        return await this.walletOperationsHandler.processTrustedAddress(text, chatId, telegramId);
+                    }
+                    break;
+
+                case 'waiting_pin_for_security_change':
+                    if (this.walletOperationsHandler) {
+                        return await this.walletOperationsHandler.processPinForSecurityChange(text, chatId, telegramId, userState.data);
+                    }
+                    break;
                 
                 // ========== NOVOS ESTADOS PARA MATRIZ ==========
                 case 'waiting_pin_for_matrix':
@@ -184,6 +237,14 @@ class MessageHandler {
                 case 'waiting_voucher_slug':
                     return await this.processVoucherSlug(text, chatId, telegramId);
                 
+                // ========== ESTADOS DO AIRDROP ==========
+                case 'waiting_pin_for_airdrop_claim':
+                    return await this.processPinForAirdropClaim(text, chatId, telegramId, msg.message_id, userState.data);
+                
+                // ========== ESTADOS ADMINISTRATIVOS ==========
+                case 'waiting_broadcast_message':
+                    return await this.adminHandler.processBroadcastText(chatId, telegramId, text);
+                
                 default:
                     return await this.handleUnknownMessage(chatId, telegramId, text);
             }
@@ -712,11 +773,8 @@ class MessageHandler {
             const result = await this.walletService.getSeedPhrase(telegramId, pin);
             
             if (!result.success) {
-                if (result.error === 'PIN incorreto') {
-                    return await this.sendMessage(chatId,
-                        '❌ *PIN incorreto!*\n\n' +
-                        'Digite novamente ou use /cancel para cancelar:'
-                    );
+                if (result.pinRejected) {
+                    return await this.replyPinRejected(chatId, telegramId, result);
                 }
                 
                 this.clearUserState(telegramId);
@@ -779,13 +837,10 @@ class MessageHandler {
         }, 3000);
 
         try {
-            const isValid = await this.walletService.verifyPIN(telegramId, oldPin);
+            const pinCheck = await this.walletService.checkPIN(telegramId, oldPin);
             
-            if (!isValid) {
-                return await this.sendMessage(chatId,
-                    '❌ *PIN incorreto!*\n\n' +
-                    'Digite seu PIN atual novamente:'
-                );
+            if (!pinCheck.valid) {
+                return await this.replyPinRejected(chatId, telegramId, pinCheck, 'Digite seu PIN atual novamente:');
             }
 
             this.setUserState(telegramId, 'waiting_new_pin', { oldPin });
@@ -943,11 +998,8 @@ class MessageHandler {
             const result = await this.walletService.deleteWallet(telegramId, pin);
             
             if (!result.success) {
-                if (result.error === 'PIN incorreto') {
-                    return await this.sendMessage(chatId,
-                        '❌ *PIN incorreto!*\n\n' +
-                        'Digite novamente ou use /cancel para cancelar:'
-                    );
+                if (result.pinRejected) {
+                    return await this.replyPinRejected(chatId, telegramId, result);
                 }
                 
                 this.clearUserState(telegramId);
@@ -1012,16 +1064,18 @@ class MessageHandler {
             return;
         }
         
-        // Verificar PIN
-        const isValid = await this.walletService.verifyPIN(telegramId, text);
+        // Limpo antes do primeiro await: o PIN repetido (ou "Confirmar Agora" junto) não cria de novo
+        this.clearUserState(telegramId);
+
+        const pinCheck = await this.walletService.checkPIN(telegramId, text);
         
-        if (!isValid) {
-            await this.sendMessage(chatId, '❌ PIN incorreto! Tente novamente:');
+        if (!pinCheck.valid) {
+            if (!pinCheck.locked) {
+                this.botInstance.setUserState(telegramId, stateData);
+            }
+            await this.replyPinRejected(chatId, telegramId, pinCheck, 'Tente novamente:');
             return;
         }
-
-        // PIN válido, limpar estado
-        this.clearUserState(telegramId);
         
         this.logger.info(`PIN validado para criação de matriz do usuário ${telegramId}`);
         
@@ -1040,6 +1094,48 @@ class MessageHandler {
         }
     }
 
+    // ========== PROCESSADORES PARA AIRDROP ==========
+
+    async processPinForAirdropClaim(text, chatId, telegramId, messageId, stateData) {
+        setTimeout(async () => {
+            try {
+                await this.bot.deleteMessage(chatId, messageId);
+            } catch (e) {}
+        }, 3000);
+        
+        if (text.toLowerCase() === 'cancelar' || text === '/cancel') {
+            this.clearUserState(telegramId);
+            await this.sendMessage(chatId, '❌ Resgate cancelado.', {
+                inline_keyboard: [
+                    [{ text: '🎁 Voltar ao Airdrop', callback_data: 'view_airdrop' }],
+                    [{ text: '⬅️ Menu Principal', callback_data: 'main_menu' }]
+                ]
+            });
+            return;
+        }
+        
+        // Limpo antes do primeiro await: o PIN repetido (ou "Resgatar Agora" junto) não resgata de novo
+        this.clearUserState(telegramId);
+
+        const pinCheck = await this.walletService.checkPIN(telegramId, text);
+        
+        if (!pinCheck.valid) {
+            if (!pinCheck.locked) {
+                this.botInstance.setUserState(telegramId, stateData);
+            }
+            await this.replyPinRejected(chatId, telegramId, pinCheck, 'Tente novamente:');
+            return;
+        }
+        
+        if (!this.airdropHandler) {
+            this.logger.error('AirdropHandler não está definido!');
+            await this.sendMessage(chatId, '❌ Erro interno. Por favor, tente novamente.');
+            return;
+        }
+
+        await this.airdropHandler.processClaim(chatId, telegramId, text, stateData?.messageId || messageId);
+    }
+
     // ========== NOVOS PROCESSADORES PARA VOUCHER ==========
 
     async processVoucherSlug(text, chatId, telegramId) {
@@ -1089,14 +1185,6 @@ class MessageHandler {
     // ========== HELPERS DE ESTADO ==========
 
     getUserState(telegramId) {
-        // Primeiro verificar estado local
-        const localState = this.userStates.get(telegramId);
-        if (localState) {
-            this.logger.debug(`Estado local encontrado para ${telegramId}:`, localState);
-            return localState;
-        }
-        
-        // Se não tem local, verificar no botInstance
         const botState = this.botInstance.getUserState(telegramId);
         if (botState && botState.action) {
             this.logger.debug(`Estado do bot encontrado para ${telegramId}:`, botState);
@@ -1110,31 +1198,16 @@ class MessageHandler {
     }
 
     getUserStateData(telegramId) {
-        // Retorna os dados do estado do botInstance também
-        const localState = this.userStates.get(telegramId);
         const botState = this.botInstance.getUserState(telegramId);
-        
-        // Combina os dois estados
-        if (localState && botState) {
-            return { ...botState, ...localState.data };
-        }
-        return localState?.data || botState || null;
+        return botState && botState.action ? botState : null;
     }
 
     setUserState(telegramId, state, data = {}) {
-        this.userStates.set(telegramId, { 
-            state, 
-            data, 
-            timestamp: Date.now() 
-        });
-        this.logger.info(`Estado configurado para ${telegramId}: ${state}`);
-        
-        // Também salva no botInstance para compatibilidade
         this.botInstance.setUserState(telegramId, { action: state, ...data });
+        this.logger.info(`Estado configurado para ${telegramId}: ${state}`);
     }
 
     clearUserState(telegramId) {
-        this.userStates.delete(telegramId);
         this.botInstance.clearUserState(telegramId);
         this.logger.info(`Estado limpo para ${telegramId}`);
     }
@@ -1153,6 +1226,18 @@ class MessageHandler {
         }
     }
 
+    /**
+     * PIN recusado: com bloqueio ativo o fluxo é encerrado, senão o usuário tenta de novo
+     */
+    async replyPinRejected(chatId, telegramId, pinCheck, retryPrompt = 'Digite novamente ou use /cancel para cancelar:') {
+        if (pinCheck.locked) {
+            this.clearUserState(telegramId);
+            return await this.sendMessage(chatId, `🔒 *${pinCheck.error}*`, MainKeyboard.getBackMenu());
+        }
+
+        return await this.sendMessage(chatId, `❌ *${pinCheck.error}*\n\n${retryPrompt}`);
+    }
+
     async sendErrorMessage(chatId, errorText) {
         const message = `❌ **Erro**\n\n${errorText}`;
         return await this.sendMessage(chatId, message, MainKeyboard.getBackMenu());
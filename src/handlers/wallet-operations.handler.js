@@ -5,6 +5,33 @@ const SolanaService = require('../services/solana.service');
 const WalletKeyboard = require('../keyboards/wallet.keyboard');
 const { formatters } = require('../utils/formatting');
 const { validators } = require('../utils/validation');
+const { formatSimulationSummary } = require('../utils/simulation');
+const config = require('../config/solana-programs.config');
+const { getTokenMetadata } = require('../config/tokens.config');
+
+// Tokens além de SOL/DONUT listados no saldo e no menu de envio
+const MAX_LISTED_TOKENS = 8;
+
+// Rótulo e relação com a contraparte de cada categoria do histórico
+const HISTORY_CATEGORIES = {
+    sol_in: { emoji: '📥', label: 'SOL recebido', counterparty: 'De' },
+    sol_out: { emoji: '📤', label: 'SOL enviado', counterparty: 'Para' },
+    donut_in: { emoji: '🍩', label: 'DONUT recebido', counterparty: 'De' },
+    donut_out: { emoji: '🍩', label: 'DONUT enviado', counterparty: 'Para' },
+    token_in: { emoji: '🪙', label: 'Token recebido', counterparty: 'De' },
+    token_out: { emoji: '🪙', label: 'Token enviado', counterparty: 'Para' },
+    matrix_registration: { emoji: '🔷', label: 'Registro na matriz', counterparty: 'Programa' },
+    airdrop_claim: { emoji: '🎁', label: 'Resgate de airdrop', counterparty: 'Programa' },
+    unknown_program: { emoji: '❓', label: 'Programa desconhecido', counterparty: 'Programa' }
+};
+
+const LIMIT_LABELS = {
+    daily: 'Limite diário',
+    perTx: 'Limite por envio'
+};
+
+// Respostas aceitas para remover um limite
+const NO_LIMIT_INPUTS = ['sem limite', 'sem', 'nenhum'];
 
 class WalletOperationsHandler {
     constructor(bot) {
@@ -14,8 +41,6 @@ class WalletOperationsHandler {
         this.solanaService = bot.solanaService;
         this.messageHandler = null;
         this.logger = new Logger('WalletOperationsHandler');
-        
-        this.sendStates = new Map();
     }
 
     setMessageHandler(messageHandler) {
@@ -46,12 +71,24 @@ class WalletOperationsHandler {
             message += `🏷️ *Nome:* ${wallet.wallet_name}\n\n`;
             
             message += `💎 *SOL:* ${balances.sol.formatted}\n`;
-            message += `🍩 *DONUT:* ${balances.donut.formatted}\n\n`;
+            message += `🍩 *DONUT:* ${balances.donut.formatted}\n`;
+
+            for (const token of balances.tokens.slice(0, MAX_LISTED_TOKENS)) {
+                message += `${token.emoji} *${token.symbol}:* ${token.amount.toFixed(this.getDisplayDecimals('SPL', token.decimals))}\n`;
+            }
+            if (balances.tokens.length > MAX_LISTED_TOKENS) {
+                message += `➕ Mais ${balances.tokens.length - MAX_LISTED_TOKENS} token(s)\n`;
+            }
+            message += '\n';
+
+            if (balances.emptyAccounts.count > 0) {
+                message += `🧹 *Contas vazias:* ${balances.emptyAccounts.count} (${this.solanaService.formatSOL(balances.emptyAccounts.rent)} recuperáveis)\n\n`;
+            }
             
             message += `💵 *Valor estimado:* ~$${usdValue.toFixed(2)} USD\n`;
             message += `📊 *Atualizado:* ${formatters.formatRelativeTime(balances.lastUpdate)}`;
 
-            const keyboard = WalletKeyboard.getBalanceMenu(wallet.public_key);
+            const keyboard = WalletKeyboard.getBalanceMenu(wallet.public_key, balances.emptyAccounts.count);
             
             return await this.editMessage(chatId, messageId, message, keyboard);
 
@@ -74,12 +111,18 @@ class WalletOperationsHandler {
                 );
             }
 
+            const tokens = await this.getSendableTokens(wallet.public_key);
+
             let message = '📤 *Enviar Tokens*\n\n';
             message += 'Selecione o tipo de token que deseja enviar:\n\n';
             message += '💎 *SOL:* Solana nativo para taxas e transferências\n';
             message += '🍩 *DONUT:* Token personalizado do projeto';
 
-            const keyboard = WalletKeyboard.getSendMenu();
+            if (tokens.length > 0) {
+                message += '\n🪙 *Outros tokens:* qualquer token SPL com saldo na wallet';
+            }
+
+            const keyboard = WalletKeyboard.getSendMenu(tokens);
             
             return await this.editMessage(chatId, messageId, message, keyboard);
 
@@ -197,6 +240,98 @@ class WalletOperationsHandler {
         }
     }
 
+    /**
+     * Tokens SPL com saldo (exceto DONUT), um por mint, para o menu de envio
+     */
+    async getSendableTokens(publicKey) {
+        try {
+            const accounts = await this.solanaService.getTokenAccounts(publicKey);
+            const byMint = new Map();
+
+            for (const account of accounts) {
+                if (account.mint === this.solanaService.donutMint || account.amount <= 0 || account.state !== 'initialized') {
+                    continue;
+                }
+                if (!byMint.has(account.mint)) {
+                    byMint.set(account.mint, account);
+                }
+            }
+
+            return [...byMint.values()].slice(0, MAX_LISTED_TOKENS);
+        } catch (error) {
+            this.logger.error('Erro ao listar tokens para envio:', error);
+            return [];
+        }
+    }
+
+    async initSendToken(chatId, telegramId, messageId, mint) {
+        try {
+            const wallet = await this.walletService.getActiveWallet(telegramId);
+            
+            if (!wallet) {
+                return await this.editMessage(
+                    chatId,
+                    messageId,
+                    '❌ Wallet não encontrada.',
+                    WalletKeyboard.getCreationMenu()
+                );
+            }
+
+            const [token, solBalance] = await Promise.all([
+                this.solanaService.getSendableToken(wallet.public_key, mint),
+                this.solanaService.getBalance(wallet.public_key)
+            ]);
+
+            const solAmount = this.solanaService.lamportsToSol(solBalance);
+
+            if (!token || token.amount <= 0) {
+                return await this.editMessage(
+                    chatId,
+                    messageId,
+                    '❌ *Sem saldo deste token*\n\nA wallet não possui saldo deste token para enviar.',
+                    WalletKeyboard.getBackMenu('send_tokens')
+                );
+            }
+
+            if (solAmount < 0.002) {
+                return await this.editMessage(
+                    chatId,
+                    messageId,
+                    `❌ *SOL insuficiente para taxa*\n\nSaldo SOL: ${solAmount.toFixed(4)}\n\nVocê precisa de pelo menos 0.002 SOL para taxa de envio de tokens.`,
+                    WalletKeyboard.getBackMenu('send_tokens')
+                );
+            }
+
+            const { name, emoji } = token;
+            const displayDecimals = this.getDisplayDecimals('SPL', token.decimals);
+
+            let message = `${emoji} *Enviar ${token.symbol}*\n\n`;
+            message += `🏷️ *Token:* ${name}\n`;
+            message += `🔑 *Mint:* \`${formatters.formatAddress(token.mint)}\`\n`;
+            message += `💰 *Saldo disponível:* ${token.amount.toFixed(displayDecimals)} ${token.symbol}\n`;
+            message += `💎 *SOL para taxa:* ${solAmount.toFixed(4)} SOL\n\n`;
+            message += '📝 *Passo 1: Digite o endereço de destino*\n\n';
+            message += `💡 Cole o endereço da wallet que deve receber os tokens ${token.symbol}.`;
+
+            this.setSendState(telegramId, {
+                step: 'waiting_recipient_address',
+                tokenType: 'SPL',
+                symbol: token.symbol,
+                decimals: token.decimals,
+                token,
+                maxAmount: token.amount
+            });
+            
+            this.messageHandler?.setUserState(telegramId, 'waiting_recipient_address');
+
+            await this.editMessage(chatId, messageId, message);
+
+        } catch (error) {
+            this.logger.error('Erro ao iniciar envio de token:', error);
+            return await this.sendErrorMessage(chatId, 'Erro ao iniciar envio.');
+        }
+    }
+
     async processRecipientAddress(text, chatId, telegramId) {
         const sendState = this.getSendState(telegramId);
         
@@ -241,12 +376,12 @@ class WalletOperationsHandler {
         this.messageHandler?.setUserState(telegramId, 'waiting_send_amount');
 
         const { tokenType, maxAmount } = sendState;
-        const symbol = tokenType === 'SOL' ? 'SOL' : 'DONUT';
+        const symbol = sendState.symbol || tokenType;
 
         let message = `✅ *Endereço confirmado!*\n\n`;
         message += `📍 *Destinatário:* \`${formatters.formatAddress(address)}\`\n\n`;
         message += `📝 *Passo 2: Digite a quantidade*\n\n`;
-        message += `💰 *Máximo disponível:* ${maxAmount.toFixed(tokenType === 'SOL' ? 4 : 2)} ${symbol}\n\n`;
+        message += `💰 *Máximo disponível:* ${maxAmount.toFixed(this.getDisplayDecimals(tokenType, sendState.decimals))} ${symbol}\n\n`;
         message += `💡 Digite a quantidade de ${symbol} que deseja enviar.`;
 
         return await this.sendMessage(chatId, message);
@@ -280,13 +415,15 @@ class WalletOperationsHandler {
             );
         }
 
-        const { tokenType, maxAmount, recipient } = sendState;
+        const { tokenType, maxAmount, recipient, token } = sendState;
+        const symbol = sendState.symbol || tokenType;
+        const displayDecimals = this.getDisplayDecimals(tokenType, sendState.decimals);
 
         if (amount > maxAmount) {
             return await this.sendMessage(chatId,
                 `❌ *Quantidade excede o saldo disponível!*\n\n` +
-                `Máximo: ${maxAmount.toFixed(tokenType === 'SOL' ? 4 : 2)} ${tokenType}\n` +
-                `Digitado: ${amount.toFixed(tokenType === 'SOL' ? 4 : 2)} ${tokenType}\n\n` +
+                `Máximo: ${maxAmount.toFixed(displayDecimals)} ${symbol}\n` +
+                `Digitado: ${amount.toFixed(displayDecimals)} ${symbol}\n\n` +
                 'Digite uma quantidade menor:'
             );
         }
@@ -305,16 +442,27 @@ class WalletOperationsHandler {
             );
         }
 
+        // Menor unidade do mint
+        const minimumSPL = Math.pow(10, -sendState.decimals);
+        if (tokenType === 'SPL' && amount < minimumSPL) {
+            return await this.sendMessage(chatId,
+                '❌ *Quantidade muito pequena!*\n\n' +
+                `Mínimo para envio: ${minimumSPL.toFixed(sendState.decimals)} ${symbol}`
+            );
+        }
+
         const wallet = await this.walletService.getActiveWallet(telegramId);
         const feeInfo = await this.solanaService.estimateTransactionFee(
-            tokenType.toLowerCase(), 
-            recipient
+            tokenType === 'SPL' ? 'token' : tokenType.toLowerCase(), 
+            recipient,
+            token
         );
 
         const validation = await this.solanaService.validateSufficientBalance(
             wallet.public_key,
             tokenType,
-            amount
+            amount,
+            token
         );
 
         if (!validation.sufficient) {
@@ -324,8 +472,8 @@ class WalletOperationsHandler {
                 message += `Necessário: ${validation.needed.toFixed(4)} SOL (incluindo taxa)\n`;
                 message += `Disponível: ${validation.available.toFixed(4)} SOL`;
             } else {
-                message += `DONUT necessário: ${validation.neededToken.toFixed(2)} DONUT\n`;
-                message += `DONUT disponível: ${validation.availableToken.toFixed(2)} DONUT\n\n`;
+                message += `${symbol} necessário: ${validation.neededToken.toFixed(displayDecimals)} ${symbol}\n`;
+                message += `${symbol} disponível: ${validation.availableToken.toFixed(displayDecimals)} ${symbol}\n\n`;
                 message += `SOL necessário para taxa: ${validation.neededSol.toFixed(6)} SOL\n`;
                 message += `SOL disponível: ${validation.availableSol.toFixed(6)} SOL`;
             }
@@ -333,6 +481,18 @@ class WalletOperationsHandler {
             return await this.sendMessage(chatId, message);
         }
 
+        const usdValue = await this.getSendUsdValue({ tokenType, amount, token });
+        const limitCheck = await this.botInstance.spendingLimitService.checkSend(
+            wallet, recipient, usdValue, this.hasPriceSource({ tokenType, token })
+        );
+
+        if (!limitCheck.allowed) {
+            return await this.sendMessage(chatId,
+                this.getLimitDenialText(limitCheck, usdValue) + '\n\n' +
+                'Digite outra quantidade ou use /cancel para cancelar:'
+            );
+        }
+
         this.updateSendState(telegramId, {
             amount: amount,
             feeInfo: feeInfo,
@@ -342,13 +502,26 @@ class WalletOperationsHandler {
         this.messageHandler?.clearUserState(telegramId);
 
         let message = '📋 *Resumo da Transação*\n\n';
-        message += `💎 *Token:* ${tokenType}\n`;
-        message += `📤 *Quantidade:* ${amount.toFixed(tokenType === 'SOL' ? 6 : 2)} ${tokenType}\n`;
+        message += `💎 *Token:* ${symbol}\n`;
+        if (tokenType === 'SPL') {
+            message += `🔑 *Mint:* \`${formatters.formatAddress(token.mint)}\`\n`;
+        }
+        message += `📤 *Quantidade:* ${amount.toFixed(tokenType === 'SOL' ? 6 : displayDecimals)} ${symbol}\n`;
         message += `📍 *Destinatário:* \`${formatters.formatAddress(recipient)}\`\n\n`;
         message += `💰 *Taxa estimada:* ${feeInfo.formatted}\n`;
+
+        if (limitCheck.trusted) {
+            message += '⭐ *Endereço confiável:* sem limite de envio\n';
+        } else if (limitCheck.unpriced) {
+            message += '🛡️ *Limites de envio:* não se aplicam (token sem cotação em USD)\n';
+        } else if (limitCheck.limits.daily !== null) {
+            const usedAfter = limitCheck.spent + usdValue;
+            message += `🛡️ *Limite diário:* ${formatters.formatUSD(usedAfter)} de ${formatters.formatUSD(limitCheck.limits.daily)} após este envio\n`;
+        }
         
         if (feeInfo.createAccount) {
-            message += `ℹ️ *Nova conta:* Será criada conta de token para destinatário\n`;
+            message += `ℹ️ *Nova conta:* Será criada conta de token para destinatário `;
+            message += `(${feeInfo.breakdown.createAccountFee.toFixed(6)} SOL de rent, incluído acima)\n`;
         }
         
         message += `\n⚠️ *Esta operação não pode ser desfeita!*\n\n`;
@@ -372,18 +545,58 @@ class WalletOperationsHandler {
         }
 
         try {
+            await this.editMessage(chatId, messageId, '⏳ Simulando transação...');
+
+            const wallet = await this.walletService.getActiveWallet(telegramId);
+            const speed = await this.botInstance.userStateService.getTransactionSpeed(telegramId);
+            const simulation = await this.solanaService.simulateSend(
+                sendState.tokenType,
+                wallet.public_key,
+                sendState.recipient,
+                sendState.amount,
+                speed,
+                sendState.token
+            );
+
+            // Simulação com falha: não pedir PIN para uma transação que seria recusada
+            if (!simulation.success) {
+                this.clearSendState(telegramId);
+                const reason = String(simulation.error).replace(/[_*`\[\]]/g, ' ');
+
+                return await this.editMessage(
+                    chatId,
+                    messageId,
+                    `❌ *Transação recusada na simulação*\n\n${reason}`,
+                    WalletKeyboard.getSendMenu()
+                );
+            }
+
+            const usdValue = await this.getSendUsdValue(sendState);
+            const session = this.walletService.unlockSessions.check(telegramId, 'send', usdValue);
+
             let message = '🔐 *Confirmar com PIN*\n\n';
-            message += `📤 Enviando ${sendState.amount} ${sendState.tokenType}\n`;
+            message += `📤 Enviando ${sendState.amount} ${sendState.symbol || sendState.tokenType}\n`;
             message += `📍 Para: \`${formatters.formatAddress(sendState.recipient)}\`\n\n`;
-            message += 'Digite seu PIN para confirmar a transação:';
+            message += formatSimulationSummary(simulation) + '\n';
+
+            if (session.allowed) {
+                message += '🔓 Wallet desbloqueada: toque em *Enviar agora* ou digite o PIN.';
+            } else {
+                if (session.reason !== 'no_session') {
+                    message += `ℹ️ ${this.getSessionDenialText(session.reason)}\n\n`;
+                }
+                message += 'Digite seu PIN para confirmar a transação:';
+            }
 
+            // O envio usa exatamente o plano de taxa exibido aqui
             this.updateSendState(telegramId, {
-                step: 'waiting_pin_for_send'
+                step: 'waiting_pin_for_send',
+                feePlan: simulation.feePlan
             });
             
             this.messageHandler?.setUserState(telegramId, 'waiting_pin_for_send');
 
-            await this.editMessage(chatId, messageId, message);
+            await this.editMessage(chatId, messageId, message, WalletKeyboard.getSendSpeedMenu(speed, session.allowed));
 
         } catch (error) {
             this.logger.error('Erro ao confirmar envio:', error);
@@ -392,12 +605,35 @@ class WalletOperationsHandler {
         }
     }
 
-    async processPinForSend(pin, chatId, telegramId) {
+    /**
+     * Trocar a velocidade na tela do PIN: salva a preferência e refaz a simulação
+     */
+    async changeSendSpeed(chatId, telegramId, messageId, speed) {
         const sendState = this.getSendState(telegramId);
-        
+
         if (!sendState || sendState.step !== 'waiting_pin_for_send') {
-            this.logger.error(`Estado inválido: esperado waiting_pin_for_send, atual: ${sendState?.step}`);
-            return await this.sendMessage(chatId, '❌ Estado de envio inválido.');
+            return await this.editMessage(
+                chatId,
+                messageId,
+                '❌ Estado de envio inválido. Inicie novamente.',
+                WalletKeyboard.getSendMenu()
+            );
+        }
+
+        await this.botInstance.userStateService.setTransactionSpeed(telegramId, speed);
+
+        this.messageHandler?.clearUserState(telegramId);
+        this.updateSendState(telegramId, { step: 'waiting_confirmation', feePlan: null });
+
+        return await this.confirmSend(chatId, telegramId, messageId);
+    }
+
+    async processPinForSend(pin, chatId, telegramId) {
+        const current = this.getSendState(telegramId);
+        
+        if (!current || current.step !== 'waiting_pin_for_send') {
+            this.logger.error(`Estado inválido: esperado waiting_pin_for_send, atual: ${current?.step}`);
+            return await this.sendMessage(chatId, this.getInvalidSendStateText(current));
         }
 
         try {
@@ -412,26 +648,119 @@ class WalletOperationsHandler {
                 );
             }
 
+            const sendState = this.claimSendState(telegramId);
             const keypairResult = await this.walletService.getKeypair(telegramId, pin);
             
             if (!keypairResult.success) {
-                return await this.sendMessage(chatId,
-                    '❌ *PIN incorreto!*\n\n' +
-                    'Digite novamente ou use /cancel para cancelar:'
-                );
+                if (keypairResult.locked) {
+                    this.clearSendState(telegramId);
+                } else {
+                    this.updateSendState(telegramId, { step: 'waiting_pin_for_send' });
+                }
+                return await this.replyPinRejected(chatId, telegramId, keypairResult);
             }
 
-            await this.sendMessage(chatId, '🔄 *Processando transação...*\n\nAguarde alguns segundos.');
+            return await this.executeSend(chatId, telegramId, keypairResult.keypair, sendState);
+
+        } catch (error) {
+            this.logger.error('Erro ao validar PIN do envio:', error);
+            this.clearSendState(telegramId);
+            this.messageHandler?.clearUserState(telegramId);
+            return await this.sendErrorMessage(chatId, 'Erro ao processar envio.');
+        }
+    }
+
+    /**
+     * "Enviar agora" na tela do PIN, com a wallet desbloqueada
+     */
+    async processSessionSend(chatId, telegramId, messageId) {
+        const sendState = this.claimSendState(telegramId);
+
+        if (!sendState) {
+            return await this.editMessage(
+                chatId,
+                messageId,
+                this.getInvalidSendStateText(this.getSendState(telegramId)),
+                WalletKeyboard.getSendMenu()
+            );
+        }
+
+        // Valor recalculado: a cotação pode ter mudado desde a tela de confirmação
+        const usdValue = await this.getSendUsdValue(sendState);
+        const keypairResult = await this.walletService.getSessionKeypair(telegramId, 'send', usdValue);
+
+        if (!keypairResult) {
+            this.updateSendState(telegramId, { step: 'waiting_pin_for_send' });
+            const speed = await this.botInstance.userStateService.getTransactionSpeed(telegramId);
+            return await this.editMessage(
+                chatId,
+                messageId,
+                '🔒 *Sessão encerrada ou fora do limite*\n\nDigite seu PIN para confirmar a transação:',
+                WalletKeyboard.getSendSpeedMenu(speed)
+            );
+        }
+
+        return await this.executeSend(chatId, telegramId, keypairResult.keypair, sendState, keypairResult);
+    }
+
+    /**
+     * Reservar o envio antes do primeiro await: um PIN repetido ou um segundo toque
+     * em "Enviar agora" encontra o estado em 'sending' e não envia de novo
+     * @returns {object|null} - Cópia do estado usada no envio
+     */
+    claimSendState(telegramId) {
+        const sendState = this.getSendState(telegramId);
+        if (!sendState || sendState.step !== 'waiting_pin_for_send') {
+            return null;
+        }
+
+        this.updateSendState(telegramId, { step: 'sending' });
+        return { ...sendState };
+    }
+
+    getInvalidSendStateText(sendState) {
+        return sendState?.step === 'sending'
+            ? '⏳ Este envio já está em andamento. Aguarde o resultado.'
+            : '❌ Estado de envio inválido. Inicie novamente.';
+    }
+
+    /**
+     * Enviar com o plano de taxa do estado reservado (PIN ou sessão já validados)
+     * @param {object|null} sessionKeypair - Resultado de getSessionKeypair: o valor volta ao teto se o envio não sair
+     */
+    async executeSend(chatId, telegramId, keypair, sendState, sessionKeypair = null) {
+        try {
+            const { tokenType, amount, recipient, feePlan, token } = sendState;
+
+            // Conferido de novo aqui: a cotação e o gasto das últimas 24h podem ter mudado.
+            // O valor fica reservado no registro antes do envio, para envios simultâneos somarem
+            const wallet = await this.walletService.getActiveWallet(telegramId);
+            const usdValue = await this.getSendUsdValue(sendState);
+            const limitCheck = await this.botInstance.spendingLimitService.reserveSend(wallet, {
+                recipient,
+                token: sendState.symbol || tokenType,
+                amount,
+                usdValue,
+                priceable: this.hasPriceSource(sendState)
+            });
 
-            const { keypair } = keypairResult;
-            const { tokenType, amount, recipient } = sendState;
+            if (!limitCheck.allowed) {
+                this.walletService.refundSessionCharge(telegramId, sessionKeypair);
+                this.clearSendState(telegramId);
+                this.messageHandler?.clearUserState(telegramId);
+                return await this.sendMessage(chatId, this.getLimitDenialText(limitCheck, usdValue), WalletKeyboard.getSendMenu());
+            }
+
+            await this.sendMessage(chatId, '🔄 *Processando transação...*\n\nAguarde alguns segundos.');
 
             let result;
 
             if (tokenType === 'SOL') {
-                result = await this.solanaService.sendSOL(keypair, recipient, amount);
+                result = await this.solanaService.sendSOL(keypair, recipient, amount, { feePlan, telegramId });
             } else if (tokenType === 'DONUT') {
-                result = await this.solanaService.sendDONUT(keypair, recipient, amount);
+                result = await this.solanaService.sendDONUT(keypair, recipient, amount, { feePlan, telegramId });
+            } else if (tokenType === 'SPL') {
+                result = await this.solanaService.sendToken(keypair, recipient, amount, token, { feePlan, telegramId });
             } else {
                 throw new Error('Tipo de token não suportado');
             }
@@ -439,6 +768,19 @@ class WalletOperationsHandler {
             this.clearSendState(telegramId);
             this.messageHandler?.clearUserState(telegramId);
 
+            // Pendente também conta: se expirar, o registro deixa de somar no limite diário.
+            // Exceção no envio não libera a reserva (a transação pode ter saído): ela expira sozinha
+            const spendingLimits = this.botInstance.spendingLimitService;
+            const settleReservation = result.success || result.pending
+                ? spendingLimits.confirmReservation(limitCheck.reservationId, result.signature)
+                : spendingLimits.releaseReservation(limitCheck.reservationId);
+            await settleReservation.catch(error => this.logger.error('Erro ao registrar envio no limite diário:', error));
+
+            // Falhou ou expirou sem sair da wallet: o valor volta ao teto da sessão
+            if (!result.success && !result.pending) {
+                this.walletService.refundSessionCharge(telegramId, sessionKeypair);
+            }
+
             if (result.success) {
                 let message = '✅ *Transação Concluída com Sucesso!*\n\n';
                 message += `📤 *Enviado:* ${result.amount} ${result.token}\n`;
@@ -447,7 +789,7 @@ class WalletOperationsHandler {
                 message += `🔗 *Assinatura:*\n\`${result.signature}\`\n\n`;
                 
                 if (result.createdAccount) {
-                    message += '📝 *Conta de token criada para o destinatário*\n\n';
+                    message += `📝 *Conta de token criada para o destinatário* (${result.rent.toFixed(6)} SOL de rent)\n\n`;
                 }
                 
                 message += `✨ ${result.message}`;
@@ -455,7 +797,7 @@ class WalletOperationsHandler {
                 const keyboard = {
                     inline_keyboard: [
                         [
-                            { text: '🔍 Ver na Blockchain', url: `https://solscan.io/tx/${result.signature}` }
+                            { text: '🔍 Ver na Blockchain', url: config.getExplorerUrl(result.signature) }
                         ],
                         [
                             { text: '💰 Ver Saldo', callback_data: 'view_balance' },
@@ -469,6 +811,19 @@ class WalletOperationsHandler {
 
                 return await this.sendMessage(chatId, message, keyboard);
 
+            } else if (result.pending) {
+                // Resultado desconhecido: sem botão de repetir para não enviar em dobro
+                let message = '⏳ *Transação em Processamento*\n\n';
+                message += `${result.error}\n\n`;
+                message += `🔗 *Assinatura:*\n\`${result.signature}\``;
+
+                return await this.sendMessage(chatId, message, {
+                    inline_keyboard: [
+                        [{ text: '🔍 Ver na Blockchain', url: config.getExplorerUrl(result.signature) }],
+                        [{ text: '⬅️ Menu Principal', callback_data: 'main_menu' }]
+                    ]
+                });
+
             } else {
                 let message = '❌ *Transação Falhou*\n\n';
                 message += `🚫 *Erro:* ${result.error}\n\n`;
@@ -775,40 +1130,764 @@ Pode enviar à vontade! 🚀`;
         }
     }
 
-    async cancelSend(chatId, telegramId, messageId) {
-        this.clearSendState(telegramId);
-        this.messageHandler?.clearUserState(telegramId);
-        
-        return await this.editMessage(
-            chatId,
-            messageId,
-            '❌ *Envio cancelado.*\n\nO que deseja fazer agora?',
-            WalletKeyboard.getSendMenu()
-        );
+    async showTransactionHistory(chatId, telegramId, messageId, page = 0) {
+        try {
+            const wallet = await this.walletService.getActiveWallet(telegramId);
+            
+            if (!wallet) {
+                return await this.editMessage(
+                    chatId,
+                    messageId,
+                    '❌ Você não tem uma wallet ativa.',
+                    WalletKeyboard.getCreationMenu()
+                );
+            }
+
+            await this.editMessage(chatId, messageId, '🔄 Carregando histórico...');
+
+            const history = await this.botInstance.transactionHistoryService.getPage(wallet.public_key, page);
+
+            if (!history.success) {
+                return await this.editMessage(chatId, messageId, `❌ ${history.error}`, WalletKeyboard.getBackMenu('view_balance'));
+            }
+
+            if (history.entries.length === 0) {
+                return await this.editMessage(
+                    chatId,
+                    messageId,
+                    page === 0
+                        ? '📊 *Histórico*\n\nNenhuma transação encontrada para esta wallet.'
+                        : '📊 *Histórico*\n\nNão há transações mais antigas.',
+                    WalletKeyboard.getTransactionHistoryMenu(page, false)
+                );
+            }
+
+            let message = `📊 *Histórico* (página ${page + 1})\n`;
+            message += `🏦 \`${formatters.formatAddress(wallet.public_key)}\`\n\n`;
+
+            history.entries.forEach((entry, index) => {
+                message += `*${index + 1}.* ${this.formatHistoryEntry(entry)}\n\n`;
+            });
+
+            message += '🔍 Toque no número para abrir a transação no explorer.';
+
+            return await this.editMessage(
+                chatId,
+                messageId,
+                message,
+                WalletKeyboard.getTransactionHistoryMenu(page, history.hasMore, history.entries)
+            );
+
+        } catch (error) {
+            this.logger.error('Erro ao mostrar histórico:', error);
+            return await this.sendErrorMessage(chatId, 'Erro ao carregar histórico.');
+        }
     }
 
-    setSendState(telegramId, state) {
-        this.sendStates.set(telegramId, {
-            ...state,
-            timestamp: Date.now()
-        });
-        this.logger.info(`Estado de envio configurado para ${telegramId}: ${state.step}`);
+    formatHistoryEntry(entry) {
+        const category = HISTORY_CATEGORIES[entry.category] || HISTORY_CATEGORIES.unknown_program;
+
+        let line = `${category.emoji} ${category.label}`;
+        if (!entry.success) {
+            line += ' ❌ _falhou_';
+        }
+
+        if (entry.amount !== null && entry.token) {
+            const decimals = entry.token === 'SOL' ? 4 : 2;
+            line += `\n💰 ${Math.abs(entry.amount).toFixed(decimals)} ${entry.token}`;
+            if (entry.usdValue !== null) {
+                line += ` (~${formatters.formatUSD(entry.usdValue)} na época)`;
+            }
+        }
+
+        if (entry.counterparty) {
+            line += `\n👤 ${category.counterparty}: \`${formatters.formatAddress(entry.counterparty)}\``;
+        }
+
+        if (entry.blockTime) {
+            line += `\n🕐 ${formatters.formatDateTime(entry.blockTime * 1000)}`;
+        }
+
+        return line;
     }
 
-    updateSendState(telegramId, updates) {
-        const current = this.sendStates.get(telegramId);
-        if (current) {
-            this.sendStates.set(telegramId, {
-                ...current,
-                ...updates,
-                timestamp: Date.now()
-            });
+    async showCloseEmptyAccounts(chatId, telegramId, messageId) {
+        try {
+            const wallet = await this.walletService.getActiveWallet(telegramId);
+            
+            if (!wallet) {
+                return await this.editMessage(
+                    chatId,
+                    messageId,
+                    '❌ Você não tem uma wallet ativa.',
+                    WalletKeyboard.getCreationMenu()
+                );
+            }
+
+            await this.editMessage(chatId, messageId, '🔄 Procurando contas vazias...');
+
+            const emptyAccounts = await this.solanaService.getEmptyTokenAccounts(wallet.public_key);
+
+            if (emptyAccounts.length === 0) {
+                return await this.editMessage(
+                    chatId,
+                    messageId,
+                    '✅ *Nenhuma conta vazia*\n\nTodas as contas de token da wallet têm saldo.',
+                    WalletKeyboard.getBackMenu('view_balance')
+                );
+            }
+
+            const totalRent = emptyAccounts.reduce((total, account) => total + account.rent, 0);
+
+            let message = '🧹 *Fechar Contas Vazias*\n\n';
+            message += 'Cada conta de token guarda SOL de rent. Contas zeradas podem ser fechadas e o SOL volta para a wallet.\n\n';
+
+            for (const account of emptyAccounts.slice(0, MAX_LISTED_TOKENS)) {
+                message += `${account.emoji} ${account.symbol}: ${this.solanaService.formatSOL(account.rent)}\n`;
+            }
+            if (emptyAccounts.length > MAX_LISTED_TOKENS) {
+                message += `➕ Mais ${emptyAccounts.length - MAX_LISTED_TOKENS} conta(s)\n`;
+            }
+
+            message += `\n💰 *Total recuperável:* ${this.solanaService.formatSOL(totalRent)}\n\n`;
+            message += 'ℹ️ A conta DONUT é mantida (usada pela matriz e pelo airdrop).\n';
+            message += 'ℹ️ Tokens enviados depois para esta wallet recriam a conta normalmente.';
+
+            return await this.editMessage(chatId, messageId, message, WalletKeyboard.getCloseEmptyAccountsMenu());
+
+        } catch (error) {
+            this.logger.error('Erro ao listar contas vazias:', error);
+            return await this.sendErrorMessage(chatId, 'Erro ao consultar contas de token.');
+        }
+    }
+
+    async requestPinForCloseAccounts(chatId, telegramId, messageId) {
+        const wallet = await this.walletService.getActiveWallet(telegramId);
+
+        if (!wallet) {
+            return await this.editMessage(
+                chatId,
+                messageId,
+                '❌ Wallet não encontrada.',
+                WalletKeyboard.getCreationMenu()
+            );
+        }
+
+        const keypairResult = await this.walletService.getSessionKeypair(telegramId, 'close_accounts');
+        if (keypairResult) {
+            return await this.executeCloseAccounts(chatId, telegramId, keypairResult.keypair);
+        }
+
+        this.messageHandler?.setUserState(telegramId, 'waiting_pin_for_close_accounts');
+
+        return await this.editMessage(
+            chatId,
+            messageId,
+            '🔐 *Confirmar com PIN*\n\n' +
+            'Digite seu PIN para fechar as contas vazias:\n\n' +
+            '💡 Use /cancel para cancelar'
+        );
+    }
+
+    async processPinForCloseAccounts(pin, chatId, telegramId) {
+        try {
+            pin = pin.trim();
+
+            if (pin.toLowerCase() === '/cancel' || pin.toLowerCase() === 'cancelar') {
+                this.messageHandler?.clearUserState(telegramId);
+                return await this.sendMessage(chatId, '❌ Operação cancelada.', WalletKeyboard.getBackMenu('view_balance'));
+            }
+
+            const keypairResult = await this.walletService.getKeypair(telegramId, pin);
+            
+            if (!keypairResult.success) {
+                return await this.replyPinRejected(chatId, telegramId, keypairResult);
+            }
+
+            return await this.executeCloseAccounts(chatId, telegramId, keypairResult.keypair);
+
+        } catch (error) {
+            this.logger.error('Erro ao validar PIN para fechar contas:', error);
+            this.messageHandler?.clearUserState(telegramId);
+            return await this.sendErrorMessage(chatId, 'Erro ao fechar contas. Tente novamente.');
+        }
+    }
+
+    async executeCloseAccounts(chatId, telegramId, keypair) {
+        try {
+            this.messageHandler?.clearUserState(telegramId);
+
+            await this.sendMessage(chatId, '🔄 *Fechando contas...*\n\nAguarde alguns segundos.');
+
+            const speed = await this.botInstance.userStateService.getTransactionSpeed(telegramId);
+            const result = await this.solanaService.closeEmptyTokenAccounts(keypair, { telegramId, speed });
+
+            if (result.success) {
+                let message = '✅ *Contas Fechadas!*\n\n';
+                message += `🧹 *Contas fechadas:* ${result.closed}\n`;
+                message += `💰 *SOL recuperado:* ${result.reclaimed.toFixed(6)} SOL\n`;
+                message += `💸 *Taxa paga:* ${result.fee.toFixed(6)} SOL\n\n`;
+
+                if (result.remaining > 0) {
+                    message += `ℹ️ Restam ${result.remaining} conta(s) vazia(s): repita a operação para fechá-las.\n\n`;
+                }
+
+                message += `🔗 *Assinatura:*\n\`${result.signature}\``;
+
+                return await this.sendMessage(chatId, message, {
+                    inline_keyboard: [
+                        [{ text: '🔍 Ver na Blockchain', url: config.getExplorerUrl(result.signature) }],
+                        [{ text: '💰 Ver Saldo', callback_data: 'view_balance' }]
+                    ]
+                });
+            }
+
+            if (result.pending) {
+                return await this.sendMessage(chatId,
+                    `⏳ *Transação em Processamento*\n\n${result.error}\n\n🔗 *Assinatura:*\n\`${result.signature}\``,
+                    {
+                        inline_keyboard: [
+                            [{ text: '🔍 Ver na Blockchain', url: config.getExplorerUrl(result.signature) }],
+                            [{ text: '⬅️ Menu Principal', callback_data: 'main_menu' }]
+                        ]
+                    }
+                );
+            }
+
+            return await this.sendMessage(chatId,
+                `❌ *Não foi possível fechar as contas*\n\n🚫 *Erro:* ${result.error}`,
+                WalletKeyboard.getBackMenu('view_balance')
+            );
+
+        } catch (error) {
+            this.logger.error('Erro ao fechar contas vazias:', error);
+            this.messageHandler?.clearUserState(telegramId);
+            return await this.sendErrorMessage(chatId, 'Erro ao fechar contas. Tente novamente.');
+        }
+    }
+
+    // ========== DESBLOQUEIO TEMPORÁRIO ==========
+
+    /**
+     * Valor do envio em USD para o teto da sessão e os limites de envio, sempre pela cotação
+     * atual; null com as fontes fora do ar ou para tokens sem fonte de cotação
+     */
+    async getSendUsdValue({ tokenType, amount, token }) {
+        const prices = this.botInstance.priceService;
+
+        if (tokenType === 'SOL' || tokenType === 'DONUT') {
+            const price = tokenType === 'SOL' ? await prices.getLiveSOLPrice() : await prices.getDONUTPrice();
+            return price === null ? null : amount * price;
+        }
+
+        if (tokenType === 'SPL' && getTokenMetadata(token.mint).stable) {
+            return amount;
+        }
+
+        return null;
+    }
+
+    // SOL, DONUT e stablecoins têm cotação (sem ela o envio é recusado); os demais tokens SPL não
+    hasPriceSource({ tokenType, token }) {
+        return tokenType !== 'SPL' || Boolean(getTokenMetadata(token.mint).stable);
+    }
+
+    getSessionDenialText(reason) {
+        const limits = this.walletService.unlockSessions.getLimits();
+
+        switch (reason) {
+            case 'unpriced':
+                return 'Sem cotação em USD para este token: o PIN é necessário mesmo com a wallet desbloqueada.';
+            case 'over_action_limit':
+                return `Envio acima de $${limits.sendMaxUsd} USD: o PIN é necessário mesmo com a wallet desbloqueada.`;
+            case 'over_session_limit':
+                return `Limite de $${limits.sessionMaxUsd} USD da sessão atingido: o PIN é necessário.`;
+            default:
+                return 'O PIN é necessário para esta operação.';
+        }
+    }
+
+    async showUnlockSession(chatId, telegramId, messageId) {
+        try {
+            const wallet = await this.walletService.getActiveWallet(telegramId);
+            if (!wallet) {
+                return await this.editMessage(chatId, messageId, '❌ Wallet não encontrada.', WalletKeyboard.getCreationMenu());
+            }
+
+            const sessions = this.walletService.unlockSessions;
+            const status = sessions.getStatus(telegramId);
+            const limits = sessions.getLimits();
+
+            let message = '🔓 *Desbloqueio Temporário*\n\n';
+            message += 'Digite o PIN uma vez e opere sem repeti-lo por alguns minutos. ';
+            message += 'A chave fica só na memória do bot e é apagada ao fim do prazo ou com /lock.\n\n';
+            message += '*Sem PIN durante a sessão:*\n';
+            message += `• Envios de até $${limits.sendMaxUsd} USD (SOL, DONUT e stablecoins)\n`;
+            message += `• Criação da matriz (até $${limits.matrixMaxUsd} USD)\n`;
+            message += '• Resgate do airdrop e fechamento de contas vazias\n';
+            message += `• Gasto total de até $${limits.sessionMaxUsd} USD por sessão\n\n`;
+            message += '*Sempre com PIN:* ver seed phrase, alterar PIN e deletar a wallet.\n\n';
+
+            if (status.active) {
+                const minutesLeft = Math.ceil((status.expiresAt - Date.now()) / 60000);
+                message += `✅ *Desbloqueada* por mais ${minutesLeft} min `;
+                message += `(restam $${status.remainingUsd.toFixed(2)} do limite)`;
+            } else {
+                message += '🔒 *Bloqueada.* Escolha por quanto tempo desbloquear:';
+            }
+
+            return await this.editMessage(chatId, messageId, message,
+                WalletKeyboard.getUnlockSessionMenu(sessions.getDurations(), status.active));
+
+        } catch (error) {
+            this.logger.error('Erro ao mostrar desbloqueio temporário:', error);
+            return await this.sendErrorMessage(chatId, 'Erro ao carregar desbloqueio.');
+        }
+    }
+
+    async requestPinForUnlock(chatId, telegramId, messageId, minutes) {
+        if (!this.walletService.unlockSessions.getDurations().includes(minutes)) {
+            return await this.showUnlockSession(chatId, telegramId, messageId);
+        }
+
+        this.messageHandler?.setUserState(telegramId, 'waiting_pin_for_unlock', { minutes });
+
+        return await this.editMessage(
+            chatId,
+            messageId,
+            `🔐 *Desbloquear por ${minutes} minutos*\n\n` +
+            'Digite seu PIN:\n\n' +
+            '💡 Use /cancel para cancelar',
+            WalletKeyboard.getBackMenu('unlock_session_menu')
+        );
+    }
+
+    async processPinForUnlock(pin, chatId, telegramId, data) {
+        try {
+            pin = pin.trim();
+
+            if (pin.toLowerCase() === '/cancel' || pin.toLowerCase() === 'cancelar') {
+                this.messageHandler?.clearUserState(telegramId);
+                return await this.sendMessage(chatId, '❌ Desbloqueio cancelado.', WalletKeyboard.getBackMenu('wallet_settings'));
+            }
+
+            const result = await this.walletService.openUnlockSession(telegramId, pin, data.minutes);
+
+            if (!result.success) {
+                if (result.pinRejected) {
+                    return await this.replyPinRejected(chatId, telegramId, result);
+                }
+                this.messageHandler?.clearUserState(telegramId);
+                return await this.sendErrorMessage(chatId, result.error || 'Erro ao desbloquear a wallet.');
+            }
+
+            this.messageHandler?.clearUserState(telegramId);
+
+            let message = `🔓 *Wallet desbloqueada por ${data.minutes} minutos*\n\n`;
+            message += 'Envios pequenos, matriz e resgates não vão pedir o PIN até lá.\n';
+            message += 'Use /lock para bloquear antes.';
+
+            return await this.sendMessage(chatId, message, {
+                inline_keyboard: [
+                    [{ text: '🔒 Bloquear Agora', callback_data: 'unlock_session_lock' }],
+                    [{ text: '⬅️ Menu Principal', callback_data: 'main_menu' }]
+                ]
+            });
+
+        } catch (error) {
+            this.logger.error('Erro ao desbloquear wallet:', error);
+            this.messageHandler?.clearUserState(telegramId);
+            return await this.sendErrorMessage(chatId, 'Erro ao desbloquear a wallet.');
+        }
+    }
+
+    // ========== LIMITES DE ENVIO ==========
+
+    getLimitDenialText(check, usdValue) {
+        const { limits } = check;
+        let message;
+
+        switch (check.reason) {
+            case 'per_tx':
+                message = '🛡️ *Acima do limite por envio*\n\n' +
+                    `Limite: ${formatters.formatUSD(limits.perTx)} por envio\n` +
+                    `Este envio: ${formatters.formatUSD(usdValue)}`;
+                break;
+            case 'daily':
+                message = '🛡️ *Limite diário atingido*\n\n' +
+                    `Limite: ${formatters.formatUSD(limits.daily)} nas últimas 24h\n` +
+                    `Já enviado: ${formatters.formatUSD(check.spent)}\n` +
+                    `Disponível agora: ${formatters.formatUSD(Math.max(0, limits.daily - check.spent))}`;
+                break;
+            default:
+                message = '🛡️ *Cotação indisponível no momento*\n\n' +
+                    'Sem a cotação em USD não dá para conferir o envio contra os seus limites. ' +
+                    'Tente novamente em alguns minutos.';
+        }
+
+        return message + '\n\n⭐ Endereços confiáveis não têm limite: veja em Configurações → Limites de Envio.';
+    }
+
+    formatLimit(value, solPrice = null) {
+        if (value === null) return 'sem limite';
+
+        const inSol = solPrice ? ` (≈ ${(value / solPrice).toFixed(4)} SOL)` : '';
+        return `${formatters.formatUSD(value)}${inSol}`;
+    }
+
+    async showSpendingLimits(chatId, telegramId, messageId) {
+        try {
+            const wallet = await this.walletService.getActiveWallet(telegramId);
+            if (!wallet) {
+                return await this.editMessage(chatId, messageId, '❌ Wallet não encontrada.', WalletKeyboard.getCreationMenu());
+            }
+
+            const service = this.botInstance.spendingLimitService;
+            const limits = await service.getLimits(wallet.id);
+            const spent = await service.getSpentLast24h(wallet.id);
+            const trusted = await service.listTrusted(wallet.id);
+            const solPrice = await this.botInstance.priceService.getLiveSOLPrice();
+
+            let message = '🛡️ *Limites de Envio (em USD)*\n\n';
+            message += 'Protegem seus fundos se alguém descobrir seu PIN: envios acima do limite são recusados.\n\n';
+            message += '💵 Os limites são sempre em dólares: SOL, DONUT e stablecoins são convertidos pela cotação do momento. ';
+            message += 'Sem cotação, o envio é recusado até ela voltar. Outros tokens, que não têm cotação, ficam de fora.\n\n';
+            message += `📅 *Limite diário (24h):* ${this.formatLimit(limits.daily, solPrice)}\n`;
+            message += `💸 *Limite por envio:* ${this.formatLimit(limits.perTx, solPrice)}\n`;
+            message += `📊 *Enviado nas últimas 24h:* ${formatters.formatUSD(spent)}\n`;
+            message += `⭐ *Endereços confiáveis:* ${trusted.length}\n\n`;
+
+            const pending = Object.entries(limits.pending).filter(([, change]) => change);
+            if (pending.length > 0) {
+                message += '⏳ *Alterações agendadas:*\n';
+                for (const [kind, change] of pending) {
+                    message += `• ${LIMIT_LABELS[kind]}: ${this.formatLimit(change.value, solPrice)} a partir de ${formatters.formatDateTime(change.effectiveAt)}\n`;
+                }
+                message += '\n';
+            }
+
+            message += 'ℹ️ Reduzir um limite vale na hora. Aumentar, remover ou confiar em um endereço novo pede o PIN e leva 24h.';
+
+            return await this.editMessage(chatId, messageId, message, WalletKeyboard.getSpendingLimitsMenu(pending.length > 0));
+
+        } catch (error) {
+            this.logger.error('Erro ao mostrar limites de envio:', error);
+            return await this.sendErrorMessage(chatId, 'Erro ao carregar limites.');
+        }
+    }
+
+    async requestSpendingLimit(chatId, telegramId, messageId, kind) {
+        if (!LIMIT_LABELS[kind]) {
+            return await this.showSpendingLimits(chatId, telegramId, messageId);
+        }
+
+        this.messageHandler?.setUserState(telegramId, 'waiting_spending_limit', { kind });
+
+        return await this.editMessage(
+            chatId,
+            messageId,
+            `🛡️ *${LIMIT_LABELS[kind]}*\n\n` +
+            'Digite o novo valor em USD, ou *sem limite* para remover. ' +
+            'Um valor em SOL é convertido para USD pela cotação de agora e guardado em USD.\n\n' +
+            '💡 Exemplos: `150` ou `2 SOL`\n\n' +
+            'Use /cancel para cancelar',
+            WalletKeyboard.getBackMenu('spending_limits_menu')
+        );
+    }
+
+    async processSpendingLimit(text, chatId, telegramId, data) {
+        try {
+            const input = text.trim().toLowerCase().replace(',', '.');
+
+            if (input === '/cancel' || input === 'cancelar') {
+                this.messageHandler?.clearUserState(telegramId);
+                return await this.sendMessage(chatId, '❌ Alteração cancelada.', WalletKeyboard.getBackMenu('spending_limits_menu'));
+            }
+
+            let value = null;
+
+            if (!NO_LIMIT_INPUTS.includes(input)) {
+                const match = input.match(/^\$?\s*(\d+(?:\.\d+)?)\s*(usd|sol)?$/);
+                if (!match) {
+                    return await this.sendMessage(chatId,
+                        '❌ *Valor inválido!*\n\n' +
+                        'Digite um valor como `150`, `2 SOL` ou *sem limite*:'
+                    );
+                }
+
+                value = parseFloat(match[1]);
+
+                // Guardado em USD pela cotação de agora
+                if (match[2] === 'sol') {
+                    const price = await this.botInstance.priceService.getLiveSOLPrice();
+                    if (price === null) {
+                        return await this.sendMessage(chatId, '❌ Cotação do SOL indisponível no momento. Digite o valor em USD:');
+                    }
+                    value *= price;
+                }
+
+                value = Math.round(value * 100) / 100;
+            }
+
+            const wallet = await this.walletService.getActiveWallet(telegramId);
+            const change = { type: 'limit', kind: data.kind, value };
+
+            // Aumentar ou remover um limite pede o PIN antes de agendar
+            if (await this.botInstance.spendingLimitService.wouldLoosen(wallet.id, data.kind, value)) {
+                return await this.requestPinForSecurityChange(chatId, telegramId, change);
+            }
+
+            this.messageHandler?.clearUserState(telegramId);
+            return await this.applySecurityChange(chatId, wallet, change);
+
+        } catch (error) {
+            this.logger.error('Erro ao alterar limite de envio:', error);
+            this.messageHandler?.clearUserState(telegramId);
+            return await this.sendErrorMessage(chatId, 'Erro ao alterar limite.');
+        }
+    }
+
+    async cancelPendingLimits(chatId, telegramId, messageId) {
+        const wallet = await this.walletService.getActiveWallet(telegramId);
+        if (wallet) {
+            await this.botInstance.spendingLimitService.cancelPendingLimits(wallet.id);
+        }
+
+        return await this.showSpendingLimits(chatId, telegramId, messageId);
+    }
+
+    async showTrustedAddresses(chatId, telegramId, messageId) {
+        try {
+            const wallet = await this.walletService.getActiveWallet(telegramId);
+            if (!wallet) {
+                return await this.editMessage(chatId, messageId, '❌ Wallet não encontrada.', WalletKeyboard.getCreationMenu());
+            }
+
+            const entries = await this.botInstance.spendingLimitService.listTrusted(wallet.id);
+            const now = Date.now();
+
+            let message = '⭐ *Endereços Confiáveis*\n\n';
+            message += 'Envios para estes endereços não passam pelos limites. ';
+            message += 'Um endereço novo só passa a valer 24h depois de adicionado.\n\n';
+
+            if (entries.length === 0) {
+                message += 'Nenhum endereço na lista.';
+            }
+
+            for (const entry of entries) {
+                const status = entry.effective_at <= now
+                    ? '✅'
+                    : `⏳ (a partir de ${formatters.formatDateTime(entry.effective_at)})`;
+                message += `${status} \`${formatters.formatAddress(entry.address)}\`${entry.label ? ` - ${entry.label}` : ''}\n`;
+            }
+
+            return await this.editMessage(chatId, messageId, message, WalletKeyboard.getTrustedAddressesMenu(entries));
+
+        } catch (error) {
+            this.logger.error('Erro ao mostrar endereços confiáveis:', error);
+            return await this.sendErrorMessage(chatId, 'Erro ao carregar endereços confiáveis.');
+        }
+    }
+
+    async requestTrustedAddress(chatId, telegramId, messageId) {
+        this.messageHandler?.setUserState(telegramId, 'waiting_trusted_address');
+
+        return await this.editMessage(
+            chatId,
+            messageId,
+            '➕ *Adicionar Endereço Confiável*\n\n' +
+            'Digite o endereço Solana e, se quiser, um nome depois dele.\n\n' +
+            '💡 Exemplo: `7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU Exchange`\n\n' +
+            'Use /cancel para cancelar',
+            WalletKeyboard.getBackMenu('trusted_addresses_menu')
+        );
+    }
+
+    async processTrustedAddress(text, chatId, telegramId) {
+        try {
+            const input = text.trim();
+
+            if (input.toLowerCase() === '/cancel' || input.toLowerCase() === 'cancelar') {
+                this.messageHandler?.clearUserState(telegramId);
+                return await this.sendMessage(chatId, '❌ Operação cancelada.', WalletKeyboard.getBackMenu('trusted_addresses_menu'));
+            }
+
+            const [address, ...labelWords] = input.split(/\s+/);
+
+            if (!validators.isValidSolanaAddress(address)) {
+                return await this.sendMessage(chatId,
+                    '❌ *Endereço inválido!*\n\n' +
+                    'Digite um endereço Solana válido ou use /cancel para cancelar:'
+                );
+            }
+
+            const wallet = await this.walletService.getActiveWallet(telegramId);
+            if (address === wallet.public_key) {
+                return await this.sendMessage(chatId, '❌ *Este é o endereço da sua própria wallet!*\n\nDigite outro endereço:');
+            }
+
+            // O nome aparece em mensagens com Markdown
+            const label = labelWords.join(' ').replace(/[_*`\[\]]/g, '').slice(0, 30) || null;
+
+            // Endereço confiável escapa de todos os limites: sempre pede o PIN
+            return await this.requestPinForSecurityChange(chatId, telegramId, { type: 'trusted', address, label });
+
+        } catch (error) {
+            this.logger.error('Erro ao adicionar endereço confiável:', error);
+            this.messageHandler?.clearUserState(telegramId);
+            return await this.sendErrorMessage(chatId, 'Erro ao adicionar endereço.');
+        }
+    }
+
+    async requestPinForSecurityChange(chatId, telegramId, change) {
+        this.messageHandler?.setUserState(telegramId, 'waiting_pin_for_security_change', { change });
+
+        const summary = change.type === 'trusted'
+            ? `Adicionar \`${change.address}\`${change.label ? ` (${change.label})` : ''} aos endereços confiáveis.`
+            : `${LIMIT_LABELS[change.kind]}: ${this.formatLimit(change.value)}.`;
+
+        return await this.sendMessage(chatId,
+            '🔐 *Confirme com seu PIN*\n\n' +
+            `${summary}\n\n` +
+            'A alteração só passa a valer 24h depois de confirmada.\n\n' +
+            'Digite seu PIN ou use /cancel para cancelar:'
+        );
+    }
+
+    /**
+     * PIN de uma alteração que afrouxa a proteção da wallet (limite maior ou endereço confiável)
+     */
+    async processPinForSecurityChange(pin, chatId, telegramId, data) {
+        const backMenu = data.change.type === 'trusted' ? 'trusted_addresses_menu' : 'spending_limits_menu';
+
+        try {
+            pin = pin.trim();
+
+            if (pin.toLowerCase() === '/cancel' || pin.toLowerCase() === 'cancelar') {
+                this.messageHandler?.clearUserState(telegramId);
+                return await this.sendMessage(chatId, '❌ Alteração cancelada.', WalletKeyboard.getBackMenu(backMenu));
+            }
+
+            // Limpo antes do primeiro await: o PIN repetido não agenda a alteração duas vezes
+            this.messageHandler?.clearUserState(telegramId);
+
+            const pinCheck = await this.walletService.checkPIN(telegramId, pin);
+            if (!pinCheck.valid) {
+                if (!pinCheck.locked) {
+                    this.messageHandler?.setUserState(telegramId, 'waiting_pin_for_security_change', { change: data.change });
+                }
+                return await this.replyPinRejected(chatId, telegramId, pinCheck);
+            }
+
+            const wallet = await this.walletService.getActiveWallet(telegramId);
+            return await this.applySecurityChange(chatId, wallet, data.change);
+
+        } catch (error) {
+            this.logger.error('Erro ao confirmar alteração de segurança:', error);
+            this.messageHandler?.clearUserState(telegramId);
+            return await this.sendErrorMessage(chatId, 'Erro ao salvar alteração.');
+        }
+    }
+
+    /**
+     * Gravar a alteração; o aviso de agendamento é enviado pelo SpendingLimitService
+     */
+    async applySecurityChange(chatId, wallet, change) {
+        const spendingLimitService = this.botInstance.spendingLimitService;
+
+        if (change.type === 'trusted') {
+            const result = await spendingLimitService.addTrusted(wallet, change.address, change.label);
+
+            const message = result.success
+                ? '✅ *PIN confirmado*\n\nAté o endereço passar a valer, envios para ele seguem os limites normais.'
+                : `❌ *${result.error}*`;
+
+            return await this.sendMessage(chatId, message, WalletKeyboard.getBackMenu('trusted_addresses_menu'));
+        }
+
+        const result = await spendingLimitService.setLimit(wallet, change.kind, change.value);
+        if (!result.success) {
+            return await this.sendErrorMessage(chatId, result.error);
+        }
+
+        const message = result.scheduled
+            ? '✅ *PIN confirmado*\n\nAté a alteração passar a valer, o limite atual continua.'
+            : `✅ *${LIMIT_LABELS[change.kind]}:* ${this.formatLimit(change.value)}\n\nJá está valendo.`;
+
+        return await this.sendMessage(chatId, message, {
+            inline_keyboard: [
+                [{ text: '🛡️ Limites de Envio', callback_data: 'spending_limits_menu' }],
+                [{ text: '⬅️ Menu Principal', callback_data: 'main_menu' }]
+            ]
+        });
+    }
+
+    async removeTrustedAddress(chatId, telegramId, messageId, id) {
+        const wallet = await this.walletService.getActiveWallet(telegramId);
+        if (wallet) {
+            await this.botInstance.spendingLimitService.removeTrusted(wallet.id, id);
+        }
+
+        return await this.showTrustedAddresses(chatId, telegramId, messageId);
+    }
+
+    /**
+     * PIN recusado: bloqueio encerra o fluxo; erro simples deixa tentar de novo
+     */
+    async replyPinRejected(chatId, telegramId, result) {
+        if (result.locked) {
+            this.messageHandler?.clearUserState(telegramId);
+            return await this.sendMessage(chatId, `🔒 *${result.error}*`, WalletKeyboard.getBackMenu('main_menu'));
+        }
+
+        return await this.sendMessage(chatId,
+            `❌ *${result.error}*\n\n` +
+            'Digite novamente ou use /cancel para cancelar:'
+        );
+    }
+
+    // Casas exibidas: SOL 4, DONUT 2, demais tokens conforme o mint (até 6)
+    getDisplayDecimals(tokenType, decimals) {
+        if (tokenType === 'SOL') return 4;
+        if (tokenType === 'SPL') return Math.min(decimals, 6);
+        return 2;
+    }
+
+    async cancelSend(chatId, telegramId, messageId) {
+        this.clearSendState(telegramId);
+        this.messageHandler?.clearUserState(telegramId);
+        
+        return await this.editMessage(
+            chatId,
+            messageId,
+            '❌ *Envio cancelado.*\n\nO que deseja fazer agora?',
+            WalletKeyboard.getSendMenu()
+        );
+    }
+
+    // Estados de envio usam o mesmo armazenamento persistido, no escopo 'send'
+    setSendState(telegramId, state) {
+        this.botInstance.conversationState.set(telegramId, {
+            ...state,
+            timestamp: Date.now()
+        }, 'send');
+        this.logger.info(`Estado de envio configurado para ${telegramId}: ${state.step}`);
+    }
+
+    updateSendState(telegramId, updates) {
+        const current = this.botInstance.conversationState.get(telegramId, 'send');
+        if (current) {
+            this.botInstance.conversationState.set(telegramId, {
+                ...current,
+                ...updates,
+                timestamp: Date.now()
+            }, 'send');
             this.logger.info(`Estado de envio atualizado para ${telegramId}: ${updates.step || 'mantido'}`);
         }
     }
 
     getSendState(telegramId) {
-        const state = this.sendStates.get(telegramId);
+        const state = this.botInstance.conversationState.get(telegramId, 'send');
         if (state) {
             if (Date.now() - state.timestamp > 600000) {
                 this.clearSendState(telegramId);
@@ -819,7 +1898,7 @@ Pode enviar à vontade! 🚀`;
     }
 
     clearSendState(telegramId) {
-        this.sendStates.delete(telegramId);
+        this.botInstance.conversationState.clear(telegramId, 'send');
         this.logger.info(`Estado de envio limpo para ${telegramId}`);
     }
 
@@ -1,4 +1,6 @@
 // src/keyboards/wallet.keyboard.js
+const { SPEEDS } = require('../utils/fee-strategy');
+
 class WalletKeyboard {
     /**
      * Menu de criação de wallet
@@ -111,7 +113,11 @@ class WalletKeyboard {
     /**
      * Menu de saldo/balanço
      */
-    static getBalanceMenu(publicKey) {
+    static getBalanceMenu(publicKey, emptyAccounts = 0) {
+        const closeRow = emptyAccounts > 0
+            ? [[{ text: `🧹 Fechar contas vazias (${emptyAccounts})`, callback_data: 'close_empty_accounts' }]]
+            : [];
+
         return {
             inline_keyboard: [
                 [
@@ -127,6 +133,7 @@ class WalletKeyboard {
                 [
                     { text: '📊 Histórico', callback_data: 'transaction_history' }
                 ],
+                ...closeRow,
                 [
                     { text: '⬅️ Voltar', callback_data: 'manage_wallet' }
                 ]
@@ -134,6 +141,22 @@ class WalletKeyboard {
         };
     }
 
+    /**
+     * Confirmação do fechamento de contas de token vazias
+     */
+    static getCloseEmptyAccountsMenu() {
+        return {
+            inline_keyboard: [
+                [
+                    { text: '✅ Fechar e recuperar SOL', callback_data: 'close_empty_confirm' }
+                ],
+                [
+                    { text: '❌ Cancelar', callback_data: 'view_balance' }
+                ]
+            ]
+        };
+    }
+
     /**
      * Menu para mostrar seed phrase
      */
@@ -238,6 +261,97 @@ class WalletKeyboard {
         };
     }
 
+    /**
+     * Velocidade do envio na tela do PIN (a atual fica marcada).
+     * Com a wallet desbloqueada, o envio pode ser confirmado sem PIN
+     */
+    static getSendSpeedMenu(currentSpeed, sessionUnlocked = false) {
+        const rows = [];
+
+        if (sessionUnlocked) {
+            rows.push([{ text: '🔓 Enviar Agora', callback_data: 'send_session_confirm' }]);
+        }
+
+        rows.push(Object.entries(SPEEDS).map(([speed, { label }]) => ({
+            text: speed === currentSpeed ? `✅ ${label}` : label,
+            callback_data: `send_speed_${speed}`
+        })));
+        rows.push([{ text: '❌ Cancelar Envio', callback_data: 'cancel_send' }]);
+
+        return { inline_keyboard: rows };
+    }
+
+    /**
+     * Desbloqueio temporário: durações ou bloquear agora
+     */
+    static getUnlockSessionMenu(durations, active) {
+        const rows = [];
+
+        if (active) {
+            rows.push([{ text: '🔒 Bloquear Agora', callback_data: 'unlock_session_lock' }]);
+        }
+
+        rows.push(durations.map(minutes => ({
+            text: active ? `🔄 ${minutes} min` : `🔓 ${minutes} min`,
+            callback_data: `unlock_session_start_${minutes}`
+        })));
+        rows.push([{ text: '⬅️ Voltar', callback_data: 'wallet_settings' }]);
+
+        return { inline_keyboard: rows };
+    }
+
+    /**
+     * Limites de envio (configurações)
+     */
+    static getSpendingLimitsMenu(hasPending) {
+        const rows = [
+            [
+                { text: '📅 Limite Diário', callback_data: 'spending_set_daily' },
+                { text: '💸 Limite por Envio', callback_data: 'spending_set_perTx' }
+            ],
+            [{ text: '⭐ Endereços Confiáveis', callback_data: 'trusted_addresses_menu' }]
+        ];
+
+        if (hasPending) {
+            rows.push([{ text: '🚫 Cancelar Alterações Agendadas', callback_data: 'spending_cancel_pending' }]);
+        }
+        rows.push([{ text: '⬅️ Voltar', callback_data: 'wallet_settings' }]);
+
+        return { inline_keyboard: rows };
+    }
+
+    /**
+     * Endereços confiáveis: um botão de remover por endereço
+     */
+    static getTrustedAddressesMenu(entries) {
+        const rows = entries.map(entry => [{
+            text: `🗑️ ${entry.address.slice(0, 4)}...${entry.address.slice(-4)}${entry.label ? ` (${entry.label})` : ''}`,
+            callback_data: `trusted_remove_${entry.id}`
+        }]);
+
+        rows.push([{ text: '➕ Adicionar Endereço', callback_data: 'trusted_add' }]);
+        rows.push([{ text: '⬅️ Voltar', callback_data: 'spending_limits_menu' }]);
+
+        return { inline_keyboard: rows };
+    }
+
+    /**
+     * Velocidade padrão das transações (configurações)
+     */
+    static getTransactionSpeedMenu(currentSpeed) {
+        return {
+            inline_keyboard: [
+                ...Object.entries(SPEEDS).map(([speed, { label }]) => [{
+                    text: speed === currentSpeed ? `✅ ${label}` : label,
+                    callback_data: `tx_speed_set_${speed}`
+                }]),
+                [
+                    { text: '⬅️ Voltar', callback_data: 'wallet_settings' }
+                ]
+            ]
+        };
+    }
+
     /**
      * Menu de confirmação para envio
      */
@@ -260,6 +374,30 @@ class WalletKeyboard {
         };
     }
 
+    /**
+     * Histórico paginado: um botão do explorer por transação da página
+     */
+    static getTransactionHistoryMenu(page, hasMore, entries = []) {
+        const navigation = [];
+        if (page > 0) {
+            navigation.push({ text: '⬅️ Mais recentes', callback_data: `tx_history_page_${page - 1}` });
+        }
+        if (hasMore) {
+            navigation.push({ text: 'Mais antigas ➡️', callback_data: `tx_history_page_${page + 1}` });
+        }
+
+        return {
+            inline_keyboard: [
+                entries.map((entry, index) => ({ text: `🔍 ${index + 1}`, url: entry.explorerUrl })),
+                ...(navigation.length > 0 ? [navigation] : []),
+                [
+                    { text: '🔄 Atualizar', callback_data: 'tx_history_page_0' },
+                    { text: '⬅️ Voltar', callback_data: 'view_balance' }
+                ]
+            ].filter(row => row.length > 0)
+        };
+    }
+
     /**
      * Menu de histórico de transações
      */
@@ -346,7 +484,7 @@ class WalletKeyboard {
     /**
      * Menu para envio de tokens
      */
-    static getSendMenu() {
+    static getSendMenu(tokens = []) {
         return {
             inline_keyboard: [
                 [
@@ -355,6 +493,10 @@ class WalletKeyboard {
                 [
                     { text: '🍩 Enviar DONUT', callback_data: 'send_donut' }
                 ],
+                // Demais tokens com saldo (mint no callback: 53 bytes, dentro do limite de 64)
+                ...tokens.map(token => [
+                    { text: `${token.emoji} Enviar ${token.symbol}`, callback_data: `send_spl_${token.mint}` }
+                ]),
                 [
                     { text: '❌ Cancelar', callback_data: 'manage_wallet' }
                 ]
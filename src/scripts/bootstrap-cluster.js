@@ -0,0 +1,326 @@
+// src/scripts/bootstrap-cluster.js
+// Inicializa os programas matrix/airdrop em localnet ou devnet a partir dos IDLs
+// e grava contracts/config/clusters/<cluster>.json com os endereços resultantes.
+//
+// Uso:
+//   npm run cluster:bootstrap -- --cluster localnet --print-validator [--matrix-so m.so --airdrop-so a.so]
+//   npm run cluster:bootstrap -- --cluster localnet [--url URL] [--keypair id.json] [--default-referrer ADDR]
+//   npm run cluster:bootstrap -- --cluster devnet --deploy --matrix-so m.so --matrix-program-keypair mk.json \
+//       --airdrop-so a.so --airdrop-program-keypair ak.json
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { Connection, Keypair, PublicKey, SystemProgram, SYSVAR_RENT_PUBKEY, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { Program, AnchorProvider } = require('@coral-xyz/anchor');
+const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const NodeWallet = require('@coral-xyz/anchor/dist/cjs/nodewallet').default;
+
+// Não carrega solana-programs.config: ele exige o perfil que este script vai criar
+const CONTRACTS_DIR = path.join(__dirname, '../../contracts');
+const CLUSTERS_DIR = path.join(CONTRACTS_DIR, 'config/clusters');
+
+const TARGETS = {
+    localnet: { url: 'http://127.0.0.1:8899', genesisHash: null },
+    devnet: { url: 'https://api.devnet.solana.com', genesisHash: 'EtWTRABZaYq6iMfeYKouRu166VL2xqa1wcM8z7G5N4tW' }
+};
+
+const MIN_ADMIN_BALANCE = 5 * LAMPORTS_PER_SOL;
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+
+        const name = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next && !next.startsWith('--')) {
+            args[name] = next;
+            i++;
+        } else {
+            args[name] = true;
+        }
+    }
+    return args;
+}
+
+function readJSON(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function loadKeypair(filePath) {
+    const resolved = filePath.replace(/^~/, os.homedir());
+    return Keypair.fromSecretKey(Uint8Array.from(readJSON(resolved)));
+}
+
+function findPDA(seeds, programId) {
+    return PublicKey.findProgramAddressSync(seeds, programId)[0];
+}
+
+/**
+ * Contas externas que o registro usa (Meteora, Chainlink, mint): na localnet vêm clonadas da mainnet
+ */
+function getExternalAccounts(template) {
+    return {
+        programs: [template.meteora.ammProgram, template.meteora.vaultProgram, template.chainlink.program],
+        accounts: [
+            template.tokens.donut,
+            template.chainlink.solUsdFeed,
+            ...Object.entries(template.meteora)
+                .filter(([key]) => !['ammProgram', 'vaultProgram'].includes(key))
+                .map(([, address]) => address)
+        ]
+    };
+}
+
+/**
+ * Comando do solana-test-validator com os programas e as contas externas
+ */
+function printValidatorCommand(template, args) {
+    const { programs, accounts } = getExternalAccounts(template);
+    const parts = ['solana-test-validator --reset --url mainnet-beta'];
+
+    for (const [name, soArg] of [['matrix', 'matrix-so'], ['airdrop', 'airdrop-so']]) {
+        if (args[soArg]) {
+            parts.push(`--bpf-program ${template.programs[name]} ${args[soArg]}`);
+        } else {
+            parts.push(`--clone-upgradeable-program ${template.programs[name]}`);
+        }
+    }
+
+    programs.forEach(address => parts.push(`--clone-upgradeable-program ${address}`));
+    accounts.forEach(address => parts.push(`--clone ${address}`));
+
+    console.log('🧪 Inicie o validador local com:\n');
+    console.log(parts.join(' \\\n    '));
+    console.log('\nDepois rode: npm run cluster:bootstrap -- --cluster localnet');
+}
+
+/**
+ * Programa executável no cluster; com --deploy publica o .so com a keypair do programa
+ */
+async function ensureProgram(connection, name, programId, args, url, adminKeypairPath) {
+    const account = await connection.getAccountInfo(programId);
+    if (account?.executable) {
+        console.log(`✅ Programa ${name} encontrado: ${programId.toString()}`);
+        return;
+    }
+
+    const soPath = args[`${name}-so`];
+    const programKeypairPath = args[`${name}-program-keypair`];
+
+    if (!args.deploy || !soPath || !programKeypairPath) {
+        throw new Error(`Programa ${name} (${programId.toString()}) não está no cluster. ` +
+            `Use --print-validator (localnet) ou --deploy --${name}-so <arquivo> --${name}-program-keypair <arquivo>`);
+    }
+
+    const programKeypair = loadKeypair(programKeypairPath);
+    if (!programKeypair.publicKey.equals(programId)) {
+        throw new Error(`Keypair de ${name} gera ${programKeypair.publicKey.toString()}, mas o IDL/perfil usa ${programId.toString()}`);
+    }
+
+    console.log(`🚀 Publicando ${name}...`);
+    execFileSync('solana', [
+        'program', 'deploy',
+        '--url', url,
+        '--keypair', adminKeypairPath,
+        '--program-id', programKeypairPath,
+        soPath
+    ], { stdio: 'inherit' });
+}
+
+async function ensureAdminBalance(connection, cluster, admin) {
+    const balance = await connection.getBalance(admin.publicKey);
+    if (balance >= MIN_ADMIN_BALANCE) return;
+
+    console.log(`💧 Solicitando airdrop para ${admin.publicKey.toString()}...`);
+    const signature = await connection.requestAirdrop(admin.publicKey, cluster === 'localnet' ? 100 * LAMPORTS_PER_SOL : 2 * LAMPORTS_PER_SOL);
+    await connection.confirmTransaction(signature, 'confirmed');
+}
+
+/**
+ * State da matriz é uma conta comum (signer no initialize): reaproveita a do perfil existente
+ */
+async function initializeMatrix(connection, program, admin, previous) {
+    const previousState = previous?.matrix?.stateAddress;
+    if (previousState && await connection.getAccountInfo(new PublicKey(previousState))) {
+        console.log(`♻️ Matrix já inicializada: ${previousState}`);
+        return new PublicKey(previousState);
+    }
+
+    const state = Keypair.generate();
+    const signature = await program.methods
+        .initialize()
+        .accounts({ state: state.publicKey, owner: admin.publicKey, systemProgram: SystemProgram.programId })
+        .signers([state])
+        .rpc();
+
+    console.log(`✅ Matrix inicializada (${signature})`);
+    return state.publicKey;
+}
+
+async function initializeAirdrop(connection, program, admin, matrixProgramId, donutMint) {
+    const programState = findPDA([Buffer.from('program_state')], program.programId);
+    const tokenVault = findPDA([Buffer.from('token_vault')], program.programId);
+
+    if (!await connection.getAccountInfo(programState)) {
+        const signature = await program.methods
+            .initialize()
+            .accounts({
+                admin: admin.publicKey,
+                programState,
+                matrixProgramId,
+                donutTokenMint: donutMint,
+                week1Data: findPDA([Buffer.from('weekly_data'), Buffer.from([1])], program.programId),
+                systemProgram: SystemProgram.programId
+            })
+            .rpc();
+        console.log(`✅ Airdrop inicializado (${signature})`);
+    } else {
+        console.log(`♻️ Airdrop já inicializado: ${programState.toString()}`);
+    }
+
+    const state = await program.account.programState.fetch(programState);
+    if (!state.vaultCreated) {
+        const signature = await program.methods
+            .createTokenVault()
+            .accounts({
+                admin: admin.publicKey,
+                programState,
+                donutTokenMint: donutMint,
+                tokenVault,
+                systemProgram: SystemProgram.programId,
+                tokenProgram: TOKEN_PROGRAM_ID,
+                rent: SYSVAR_RENT_PUBKEY
+            })
+            .rpc();
+        console.log(`✅ Token vault criado (${signature})`);
+    }
+
+    return {
+        programState,
+        tokenVault,
+        vaultMetadata: findPDA([Buffer.from('vault_metadata')], program.programId),
+        admin: state.admin
+    };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const cluster = args.cluster;
+
+    if (!TARGETS[cluster]) {
+        throw new Error('Informe --cluster localnet ou --cluster devnet (o perfil de mainnet é mantido manualmente)');
+    }
+
+    // Contas externas e IDs dos programas partem do perfil de mainnet
+    const template = readJSON(path.join(CLUSTERS_DIR, 'mainnet-beta.json'));
+
+    if (args['print-validator']) {
+        if (cluster !== 'localnet') {
+            throw new Error('--print-validator só se aplica à localnet');
+        }
+        printValidatorCommand(template, args);
+        return;
+    }
+
+    const url = args.url || TARGETS[cluster].url;
+    const connection = new Connection(url, 'confirmed');
+
+    const genesisHash = await connection.getGenesisHash();
+    if (genesisHash === template.genesisHash) {
+        throw new Error(`${url} é mainnet: o bootstrap só roda em ${Object.keys(TARGETS).join('/')}`);
+    }
+    if (TARGETS[cluster].genesisHash && genesisHash !== TARGETS[cluster].genesisHash) {
+        throw new Error(`${url} não é ${cluster} (genesis ${genesisHash})`);
+    }
+
+    const adminKeypairPath = (args.keypair || '~/.config/solana/id.json').replace(/^~/, os.homedir());
+    const admin = loadKeypair(adminKeypairPath);
+    console.log(`🔑 Admin: ${admin.publicKey.toString()}`);
+
+    await ensureAdminBalance(connection, cluster, admin);
+
+    const matrixIdl = readJSON(path.join(CONTRACTS_DIR, 'idl/matrix.json'));
+    const airdropIdl = readJSON(path.join(CONTRACTS_DIR, 'idl/airdrop.json'));
+    const matrixProgramId = new PublicKey(args['matrix-program-id'] || template.programs.matrix);
+    const airdropProgramId = new PublicKey(args['airdrop-program-id'] || template.programs.airdrop);
+
+    await ensureProgram(connection, 'matrix', matrixProgramId, args, url, adminKeypairPath);
+    await ensureProgram(connection, 'airdrop', airdropProgramId, args, url, adminKeypairPath);
+
+    const { accounts } = getExternalAccounts(template);
+    const existing = await connection.getMultipleAccountsInfo(accounts.map(address => new PublicKey(address)));
+    const missing = accounts.filter((address, index) => !existing[index]);
+    if (missing.length > 0) {
+        console.warn(`⚠️ ${missing.length} conta(s) externa(s) ausentes (pool/oráculo/mint); o registro na matriz vai falhar:`);
+        missing.forEach(address => console.warn(`   • ${address}`));
+    }
+
+    const provider = new AnchorProvider(connection, new NodeWallet(admin), { commitment: 'confirmed' });
+    const matrixProgram = new Program(matrixIdl, matrixProgramId, provider);
+    const airdropProgram = new Program(airdropIdl, airdropProgramId, provider);
+
+    const profilePath = path.join(CLUSTERS_DIR, `${cluster}.json`);
+    const previous = fs.existsSync(profilePath) ? readJSON(profilePath) : null;
+
+    // Perfil antigo de outro ledger (validador reiniciado com --reset): começar do zero
+    const reusable = previous && previous.genesisHash === genesisHash ? previous : null;
+
+    const stateAddress = await initializeMatrix(connection, matrixProgram, admin, reusable);
+    const matrixState = await matrixProgram.account.programState.fetch(stateAddress);
+    const airdrop = await initializeAirdrop(connection, airdropProgram, admin, matrixProgramId, new PublicKey(template.tokens.donut));
+
+    const [programSolVault, programSolVaultBump] = PublicKey.findProgramAddressSync(
+        [Buffer.from('program_sol_vault')],
+        matrixProgramId
+    );
+
+    const defaultReferrer = args['default-referrer'] || matrixState.owner.toString();
+
+    const profile = {
+        cluster,
+        genesisHash,
+        programs: {
+            matrix: matrixProgramId.toString(),
+            airdrop: airdropProgramId.toString()
+        },
+        matrix: {
+            programId: matrixProgramId.toString(),
+            stateAddress: stateAddress.toString(),
+            programSolVault: programSolVault.toString(),
+            programSolVaultBump,
+            ownerWallet: matrixState.owner.toString(),
+            multisigTreasury: matrixState.multisigTreasury.toString(),
+            defaultReferrer
+        },
+        airdrop: {
+            programId: airdropProgramId.toString(),
+            programState: airdrop.programState.toString(),
+            tokenVault: airdrop.tokenVault.toString(),
+            vaultMetadata: airdrop.vaultMetadata.toString(),
+            adminPublicKey: airdrop.admin.toString()
+        },
+        tokens: template.tokens,
+        meteora: template.meteora,
+        chainlink: template.chainlink,
+        systemProgram: template.systemProgram,
+        tokenProgram: template.tokenProgram,
+        associatedTokenProgram: template.associatedTokenProgram,
+        rent: template.rent
+    };
+
+    fs.writeFileSync(profilePath, `${JSON.stringify(profile, null, 4)}\n`);
+
+    console.log(`\n✅ Perfil gravado em ${path.relative(process.cwd(), profilePath)}`);
+    console.log(`   Inicie o bot com SOLANA_CLUSTER=${cluster} SOLANA_RPC_URL=${url}`);
+    console.log(`⚠️ O referrer padrão (${defaultReferrer}) precisa estar registrado na matriz antes do primeiro usuário.`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Erro no bootstrap do cluster:', error.message);
+        process.exitCode = 1;
+    });
+}
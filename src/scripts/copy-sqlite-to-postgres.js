@@ -0,0 +1,110 @@
+// src/scripts/copy-sqlite-to-postgres.js
+// Cópia única dos dados do donut_bot.db para o PostgreSQL do DATABASE_URL.
+// O schema de destino é criado pelas migrações antes da cópia.
+require('dotenv').config();
+const path = require('path');
+const Database = require('../database/connection');
+const Migrator = require('../database/migrator');
+
+const BATCH_SIZE = 500;
+
+async function copySqliteToPostgres() {
+    console.log('🚚 Cópia SQLite -> PostgreSQL\n');
+
+    const targetUrl = process.env.DATABASE_URL;
+    if (!targetUrl || !/^postgres(ql)?:\/\//i.test(targetUrl)) {
+        console.error('❌ Defina DATABASE_URL=postgres://... com o banco de destino');
+        process.exit(1);
+    }
+
+    const sourcePath = process.argv[2] || path.join(__dirname, '../database/donut_bot.db');
+    const source = new Database(`sqlite:${sourcePath}`);
+    const target = new Database(targetUrl);
+
+    try {
+        await source.connect();
+        await target.connect({ skipMigrationCheck: true });
+
+        const applied = await new Migrator(target).migrate();
+        console.log(`📋 Migrações aplicadas no destino: ${applied.length}`);
+
+        const tables = (await source.adapter.listTables())
+            .filter(table => table !== 'schema_migrations');
+
+        // Só copia para um destino vazio: rodar duas vezes duplicaria dados
+        for (const table of tables) {
+            if (!(await target.tableExists(table))) {
+                throw new Error(`Tabela ${table} não existe no destino (migração faltando?)`);
+            }
+            if ((await target.count(table)) > 0) {
+                throw new Error(`Tabela ${table} já tem dados no destino. Cópia abortada.`);
+            }
+        }
+
+        await target.transaction(async (tx) => {
+            for (const table of tables) {
+                const total = await copyTable(source, tx, table);
+                console.log(`   ✅ ${table}: ${total} registro(s)`);
+            }
+        });
+
+        // Ajustar sequences do SERIAL depois de inserir ids explícitos
+        for (const table of tables) {
+            const idColumn = await target.get(
+                `SELECT 1 AS found FROM information_schema.columns
+                 WHERE table_schema = current_schema() AND table_name = ? AND column_name = 'id'`,
+                [table]
+            );
+            if (!idColumn) continue;
+
+            const sequence = await target.get("SELECT pg_get_serial_sequence(?, 'id') AS name", [table]);
+            if (sequence?.name) {
+                await target.get(
+                    `SELECT setval(?, COALESCE((SELECT MAX(id) FROM ${table}), 0) + 1, false)`,
+                    [sequence.name]
+                );
+            }
+        }
+
+        console.log('\n🎉 Cópia concluída com sucesso!');
+
+    } catch (error) {
+        console.error('❌ Erro na cópia:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await source.close();
+        await target.close();
+    }
+}
+
+async function copyTable(source, tx, table) {
+    let offset = 0;
+    let total = 0;
+
+    while (true) {
+        const rows = await source.all(
+            `SELECT * FROM ${table} ORDER BY rowid LIMIT ? OFFSET ?`,
+            [BATCH_SIZE, offset]
+        );
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+            const columns = Object.keys(row);
+            const placeholders = columns.map(() => '?').join(', ');
+
+            await tx.run(
+                `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`,
+                columns.map(column => row[column])
+            );
+        }
+
+        total += rows.length;
+        offset += rows.length;
+    }
+
+    return total;
+}
+
+if (require.main === module) {
+    copySqliteToPostgres();
+}
@@ -0,0 +1,66 @@
+// src/scripts/rotate-wallet-keys.js
+// Gera uma nova data key (cifrada pela master key ativa) e re-sela todas as linhas de wallets.
+// Os envelopes do PIN não mudam: nenhum usuário precisa digitar nada.
+//
+// Uso:
+//   npm run keys:rotate              rotaciona
+//   npm run keys:rotate -- --status  lista as data keys e quantas wallets usam cada uma
+//
+// Trocar a master key (provedor file): MASTER_KEY_FILE=nova MASTER_KEY_PREVIOUS_FILE=antiga,
+// rodar a rotação e depois remover MASTER_KEY_PREVIOUS_FILE. No local-kms: adicionar a chave
+// nova ao keyring, marcá-la como "active", rotacionar e só então remover a antiga.
+require('dotenv').config();
+const Database = require('../database/connection');
+const KeyVaultService = require('../services/key-vault.service');
+
+function printStatus(keys) {
+    console.log('🔑 Data keys:');
+    for (const key of keys) {
+        const mark = key.status === 'active' ? '✅' : '💤';
+        console.log(`   ${mark} ${key.key_id} (master ${key.master_key_id}) - ${key.wallets} wallet(s), criada em ${key.created_at}`);
+    }
+}
+
+async function main() {
+    const db = new Database();
+
+    try {
+        await db.connect();
+
+        // init já confere o canário: master key errada para aqui, antes de tocar nas linhas
+        const vault = new KeyVaultService(db);
+        await vault.init();
+
+        if (process.argv.includes('--status')) {
+            printStatus(await vault.getStatus());
+            return;
+        }
+
+        const result = await vault.rotate();
+
+        console.log(`✅ ${result.rewrapped} wallet(s) re-seladas com a data key ${result.keyId}`);
+        if (result.removedKeys > 0) {
+            console.log(`🗑️ ${result.removedKeys} data key(s) antigas removidas`);
+        }
+
+        if (result.failed.length > 0) {
+            console.error(`❌ ${result.failed.length} wallet(s) continuam na data key anterior:`);
+            for (const failure of result.failed) {
+                console.error(`   wallet ${failure.walletId}: ${failure.error}`);
+            }
+            process.exitCode = 1;
+        }
+
+        printStatus(await vault.getStatus());
+
+    } finally {
+        await db.close();
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Erro na rotação de chaves:', error.message);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,162 @@
+// src/services/admin.service.js
+const Logger = require('../utils/logger');
+
+const ROLES = ['owner', 'operator', 'support'];
+
+// Permissões por papel. Support só consulta, nunca dispara nem altera nada
+const ROLE_PERMISSIONS = {
+    owner: [
+        'view_stats', 'view_users', 'view_matrices', 'view_vouchers', 'broadcast',
+        'manage_tasks', 'manage_matrices', 'manage_airdrop', 'view_audit', 'manage_admins', 'manage_security'
+    ],
+    operator: [
+        'view_stats', 'view_users', 'view_matrices', 'view_vouchers', 'broadcast',
+        'manage_tasks', 'manage_matrices', 'manage_airdrop', 'view_audit', 'manage_security'
+    ],
+    support: ['view_stats', 'view_users', 'view_vouchers']
+};
+
+class AdminService {
+    constructor(db) {
+        this.db = db;
+        this.logger = new Logger('AdminService');
+
+        // Cache dos papéis para manter isAdmin síncrono
+        this.roles = new Map();
+
+        // TELEGRAM_ADMIN_ID continua como owner fixo (bootstrap)
+        this.bootstrapOwner = process.env.TELEGRAM_ADMIN_ID || null;
+    }
+
+    /**
+     * Carregar administradores do banco
+     */
+    async init() {
+        const admins = await this.db.all('SELECT telegram_id, role FROM admins');
+
+        this.roles.clear();
+        admins.forEach(admin => this.roles.set(admin.telegram_id, admin.role));
+
+        console.log(`👮 ${admins.length} administrador(es) carregado(s)`);
+    }
+
+    getRole(telegramId) {
+        const id = telegramId?.toString();
+        if (!id) return null;
+
+        if (this.bootstrapOwner && id === this.bootstrapOwner) {
+            return 'owner';
+        }
+
+        return this.roles.get(id) || null;
+    }
+
+    isAdmin(telegramId) {
+        return this.getRole(telegramId) !== null;
+    }
+
+    hasPermission(telegramId, permission) {
+        const role = this.getRole(telegramId);
+        return !!role && ROLE_PERMISSIONS[role].includes(permission);
+    }
+
+    getRoles() {
+        return ROLES;
+    }
+
+    /**
+     * Conceder papel (apenas owner)
+     */
+    async grant(ownerId, targetId, role) {
+        try {
+            if (!this.hasPermission(ownerId, 'manage_admins')) {
+                return { success: false, error: 'Apenas o owner pode gerenciar administradores' };
+            }
+
+            if (!ROLES.includes(role)) {
+                return { success: false, error: `Papel inválido. Use: ${ROLES.join(', ')}` };
+            }
+
+            const id = targetId.toString();
+            if (id === this.bootstrapOwner) {
+                return { success: false, error: 'O owner definido em TELEGRAM_ADMIN_ID não pode ser alterado' };
+            }
+
+            await this.db.run(`
+                INSERT INTO admins (telegram_id, role, granted_by)
+                VALUES (?, ?, ?)
+                ON CONFLICT(telegram_id) DO UPDATE SET
+                    role = excluded.role,
+                    granted_by = excluded.granted_by,
+                    updated_at = CURRENT_TIMESTAMP
+            `, [id, role, ownerId.toString()]);
+
+            const previousRole = this.roles.get(id) || null;
+            this.roles.set(id, role);
+
+            this.logger.info('Papel de administrador concedido', { ownerId, targetId: id, role, previousRole });
+            return { success: true, role, previousRole };
+
+        } catch (error) {
+            this.logger.error('Erro ao conceder papel', { targetId, error: error.message });
+            return { success: false, error: 'Erro ao salvar administrador' };
+        }
+    }
+
+    /**
+     * Revogar acesso (apenas owner)
+     */
+    async revoke(ownerId, targetId) {
+        try {
+            if (!this.hasPermission(ownerId, 'manage_admins')) {
+                return { success: false, error: 'Apenas o owner pode gerenciar administradores' };
+            }
+
+            const id = targetId.toString();
+            if (id === this.bootstrapOwner) {
+                return { success: false, error: 'O owner definido em TELEGRAM_ADMIN_ID não pode ser revogado' };
+            }
+
+            const previousRole = this.roles.get(id);
+            if (!previousRole) {
+                return { success: false, error: 'Usuário não é administrador' };
+            }
+
+            // Não deixar o bot sem nenhum owner
+            if (previousRole === 'owner' && !this.bootstrapOwner) {
+                const owners = [...this.roles.values()].filter(role => role === 'owner').length;
+                if (owners <= 1) {
+                    return { success: false, error: 'Não é possível revogar o último owner' };
+                }
+            }
+
+            await this.db.run('DELETE FROM admins WHERE telegram_id = ?', [id]);
+            this.roles.delete(id);
+
+            this.logger.info('Acesso de administrador revogado', { ownerId, targetId: id, previousRole });
+            return { success: true, previousRole };
+
+        } catch (error) {
+            this.logger.error('Erro ao revogar administrador', { targetId, error: error.message });
+            return { success: false, error: 'Erro ao remover administrador' };
+        }
+    }
+
+    async listAdmins() {
+        const admins = await this.db.all(`
+            SELECT a.telegram_id, a.role, a.granted_by, a.created_at,
+                   u.first_name, u.telegram_username
+            FROM admins a
+            LEFT JOIN users u ON u.telegram_id = a.telegram_id
+            ORDER BY a.created_at
+        `);
+
+        if (this.bootstrapOwner && !admins.some(a => a.telegram_id === this.bootstrapOwner)) {
+            admins.unshift({ telegram_id: this.bootstrapOwner, role: 'owner', bootstrap: true });
+        }
+
+        return admins;
+    }
+}
+
+module.exports = AdminService;
@@ -1,6 +1,5 @@
 // src/services/anchor-client.service.js
 const { 
-    Connection, 
     PublicKey, 
     Transaction,
     SystemProgram,
@@ -24,14 +23,12 @@ const {
 const NodeWallet = require('@coral-xyz/anchor/dist/cjs/nodewallet').default;
 const Logger = require('../utils/logger');
 const config = require('../config/solana-programs.config');
+const connectionManager = require('./connection-manager.service');
 
 class AnchorClientService {
     constructor() {
         this.logger = new Logger('AnchorClientService');
-        this.connection = new Connection(config.RPC_URL, {
-            commitment: 'confirmed',
-            confirmTransactionInitialTimeout: 60000
-        });
+        this.connection = connectionManager.connection;
         
         // Programas Anchor
         this.matrixProgram = null;
@@ -730,7 +727,7 @@ class AnchorClientService {
                 signature,
                 amountSol,
                 slotOccupied: slotIndex,
-                explorerUrl: `https://solscan.io/tx/${signature}`
+                explorerUrl: config.getExplorerUrl(signature)
             };
 
         } catch (error) {
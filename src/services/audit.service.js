@@ -0,0 +1,150 @@
+// src/services/audit.service.js
+const Logger = require('../utils/logger');
+
+const CSV_COLUMNS = [
+    'id', 'created_at', 'actor_telegram_id', 'actor_role', 'action',
+    'target_telegram_id', 'target_wallet', 'changes'
+];
+
+class AuditService {
+    constructor(db, adminService) {
+        this.db = db;
+        this.adminService = adminService;
+        this.logger = new Logger('AuditService');
+    }
+
+    /**
+     * Registrar ação administrativa. Único ponto de escrita em admin_audit_log
+     * @param {Object} entry - { actorId, action, targetTelegramId, targetWallet, changes }
+     */
+    async record({ actorId, action, targetTelegramId = null, targetWallet, changes = null }) {
+        try {
+            const target = targetTelegramId ? targetTelegramId.toString() : null;
+
+            // Sem wallet informada, registrar a wallet ativa do alvo no momento da ação
+            if (targetWallet === undefined && target) {
+                const wallet = await this.db.get(
+                    'SELECT public_key FROM wallets WHERE telegram_id = ? AND is_active = 1',
+                    [target]
+                );
+                targetWallet = wallet?.public_key || null;
+            }
+
+            await this.db.run(`
+                INSERT INTO admin_audit_log
+                    (actor_telegram_id, actor_role, action, target_telegram_id, target_wallet, changes)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [
+                actorId.toString(),
+                this.adminService.getRole(actorId),
+                action,
+                target,
+                targetWallet || null,
+                changes ? JSON.stringify(changes) : null
+            ]);
+
+            return true;
+
+        } catch (error) {
+            // Falha de auditoria não pode passar em silêncio
+            this.logger.error('Erro ao registrar auditoria', { actorId, action, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Diferença campo a campo entre dois objetos: { campo: { from, to } }
+     */
+    diff(before = {}, after = {}) {
+        const changes = {};
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+        for (const field of fields) {
+            const from = before?.[field] ?? null;
+            const to = after?.[field] ?? null;
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes[field] = { from, to };
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Montar WHERE a partir dos filtros { actor, action, target, days }
+     */
+    buildWhere(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.actor) {
+            conditions.push('actor_telegram_id = ?');
+            params.push(filters.actor);
+        }
+        if (filters.action) {
+            conditions.push('action = ?');
+            params.push(filters.action);
+        }
+        if (filters.target) {
+            conditions.push('(target_telegram_id = ? OR target_wallet = ?)');
+            params.push(filters.target, filters.target);
+        }
+        if (filters.days) {
+            // Data de corte calculada aqui para funcionar igual no SQLite e no PostgreSQL
+            const since = new Date(Date.now() - filters.days * 24 * 60 * 60 * 1000);
+            conditions.push('created_at >= ?');
+            params.push(since.toISOString().replace('T', ' ').slice(0, 19));
+        }
+
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    async count(filters = {}) {
+        const { where, params } = this.buildWhere(filters);
+        const row = await this.db.get(`SELECT COUNT(*) as count FROM admin_audit_log ${where}`, params);
+        return row.count;
+    }
+
+    async query(filters = {}, limit = 10, offset = 0) {
+        const { where, params } = this.buildWhere(filters);
+        return await this.db.all(`
+            SELECT * FROM admin_audit_log
+            ${where}
+            ORDER BY id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+    }
+
+    /**
+     * Exportar registros filtrados em CSV (RFC 4180)
+     */
+    async exportCSV(filters = {}) {
+        const { where, params } = this.buildWhere(filters);
+        const rows = await this.db.all(`SELECT * FROM admin_audit_log ${where} ORDER BY id ASC`, params);
+
+        const lines = [CSV_COLUMNS.join(',')];
+        for (const row of rows) {
+            lines.push(CSV_COLUMNS.map(column => this.csvValue(row[column])).join(','));
+        }
+
+        return { csv: lines.join('\r\n') + '\r\n', total: rows.length };
+    }
+
+    csvValue(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = value instanceof Date ? value.toISOString() : String(value);
+
+        // Evitar injeção de fórmulas ao abrir no Excel/Sheets
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+module.exports = AuditService;
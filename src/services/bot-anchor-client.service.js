@@ -2,12 +2,10 @@
 // VERSÃO COMPLETA COM TODOS OS MÉTODOS DO SISTEMA ORIGINAL
 
 const { 
-    Connection, 
     PublicKey, 
     Transaction,
     SystemProgram,
     LAMPORTS_PER_SOL,
-    ComputeBudgetProgram,
     TransactionMessage,
     VersionedTransaction,
     AddressLookupTableProgram,
@@ -27,16 +25,17 @@ const {
     createAssociatedTokenAccountInstruction
 } = require('@solana/spl-token');
 const NodeWallet = require('@coral-xyz/anchor/dist/cjs/nodewallet').default;
+const fs = require('fs');
 const Logger = require('../utils/logger');
+const { decodeProgramError } = require('../utils/program-errors');
+const { planTransaction, buildComputeBudgetInstructions, DEFAULT_SPEED } = require('../utils/fee-strategy');
 const config = require('../config/solana-programs.config');
+const connectionManager = require('./connection-manager.service');
 
 class BotAnchorClientService {
     constructor() {
         this.logger = new Logger('BotAnchorClientService');
-        this.connection = new Connection(config.RPC_URL, {
-            commitment: 'confirmed',
-            confirmTransactionInitialTimeout: 60000
-        });
+        this.connection = connectionManager.connection;
         
         // Programas Anchor
         this.matrixProgram = null;
@@ -48,6 +47,15 @@ class BotAnchorClientService {
         
         // Flag de inicialização
         this.initialized = false;
+
+        // Keypair admin do airdrop (carregado sob demanda de AIRDROP_ADMIN_KEYPAIR)
+        this.airdropAdminKeypair = null;
+
+        this.transactionSender = null;
+    }
+
+    setTransactionSender(transactionSender) {
+        this.transactionSender = transactionSender;
     }
 
     /**
@@ -192,7 +200,7 @@ class BotAnchorClientService {
 
             // 3. AGUARDAR ATIVAÇÃO DA LUT
             this.logger.info('📋 Passo 3: Aguardando ativação da Lookup Table...');
-            await this.waitForLookupTableActivation(lookupTableAddress);
+            await this.waitForLookupTableActivation(lookupTableAddress, preparatoryResult.allAddresses);
 
             // 4. EXECUTAR REGISTRO PRINCIPAL COM LUT (transação final)
             this.logger.info('📋 Passo 4: Executando registro principal...');
@@ -212,13 +220,23 @@ class BotAnchorClientService {
                 signature: registrationResult.signature,
                 amountSol: registrationResult.amountSol,
                 slotOccupied: preparatoryResult.slotIndex,
-                explorerUrl: `https://solscan.io/tx/${registrationResult.signature}`,
+                explorerUrl: config.getExplorerUrl(registrationResult.signature),
                 preparatoryTransactions: preparatoryResult.signatures,
                 lookupTableAddress: lookupTableAddress.toString()
             };
 
         } catch (error) {
             this.logger.error('❌ Erro no registro completo para bot:', error);
+
+            const programError = decodeProgramError(error, 'matrix');
+            if (programError) {
+                this.logger.error(`Erro do programa: ${programError.label}`);
+                return {
+                    success: false,
+                    error: programError.explanation,
+                    programError
+                };
+            }
             
             let errorMessage = 'Erro ao registrar na blockchain';
             if (error.message) {
@@ -301,28 +319,11 @@ class BotAnchorClientService {
     /**
      * Criar ATAs necessárias (TRANSAÇÃO SEPARADA)
      */
-    async createRequiredATAs(userKeypair) {
+    async createRequiredATAs(userKeypair, speed = DEFAULT_SPEED) {
         try {
-            const userWsolAccount = await getAssociatedTokenAddress(
-                config.TOKEN_CONFIG.WSOL_MINT,
-                userKeypair.publicKey
-            );
-
-            const userDonutAccount = await getAssociatedTokenAddress(
-                config.TOKEN_CONFIG.DONUT_MINT,
-                userKeypair.publicKey
-            );
-
-            // Verificar quais ATAs já existem
-            const [wsolAccountInfo, donutAccountInfo] = await Promise.all([
-                this.connection.getAccountInfo(userWsolAccount),
-                this.connection.getAccountInfo(userDonutAccount)
-            ]);
+            const { instructions, userWsolAccount, userDonutAccount } = await this.buildRequiredATAInstructions(userKeypair.publicKey);
 
-            const needsWsolATA = !wsolAccountInfo;
-            const needsDonutATA = !donutAccountInfo;
-
-            if (!needsWsolATA && !needsDonutATA) {
+            if (instructions.length === 0) {
                 this.logger.info('✅ Todas as ATAs já existem');
                 return {
                     signature: null,
@@ -332,34 +333,10 @@ class BotAnchorClientService {
             }
 
             // Criar transação de ATAs
-            const transaction = new Transaction();
-
-            if (needsWsolATA) {
-                this.logger.info('➕ Adicionando instrução para criar WSOL ATA');
-                transaction.add(
-                    createAssociatedTokenAccountInstruction(
-                        userKeypair.publicKey,
-                        userWsolAccount,
-                        userKeypair.publicKey,
-                        config.TOKEN_CONFIG.WSOL_MINT
-                    )
-                );
-            }
-
-            if (needsDonutATA) {
-                this.logger.info('➕ Adicionando instrução para criar DONUT ATA');
-                transaction.add(
-                    createAssociatedTokenAccountInstruction(
-                        userKeypair.publicKey,
-                        userDonutAccount,
-                        userKeypair.publicKey,
-                        config.TOKEN_CONFIG.DONUT_MINT
-                    )
-                );
-            }
+            const transaction = new Transaction().add(...instructions);
 
             // Executar transação
-            const signature = await this.executeTransaction(transaction, userKeypair, 'ATA Creation');
+            const signature = await this.executeTransaction(transaction, userKeypair, 'ATA Creation', speed);
 
             this.logger.info(`✅ ATAs criadas: ${signature}`);
 
@@ -375,73 +352,77 @@ class BotAnchorClientService {
         }
     }
 
+    /**
+     * Instruções para criar as ATAs de WSOL e DONUT que ainda não existem
+     */
+    async buildRequiredATAInstructions(userPublicKey) {
+        const userWsolAccount = await getAssociatedTokenAddress(
+            config.TOKEN_CONFIG.WSOL_MINT,
+            userPublicKey
+        );
+
+        const userDonutAccount = await getAssociatedTokenAddress(
+            config.TOKEN_CONFIG.DONUT_MINT,
+            userPublicKey
+        );
+
+        // Verificar quais ATAs já existem
+        const [wsolAccountInfo, donutAccountInfo] = await Promise.all([
+            this.connection.getAccountInfo(userWsolAccount),
+            this.connection.getAccountInfo(userDonutAccount)
+        ]);
+
+        const instructions = [];
+
+        if (!wsolAccountInfo) {
+            this.logger.info('➕ Adicionando instrução para criar WSOL ATA');
+            instructions.push(
+                createAssociatedTokenAccountInstruction(
+                    userPublicKey,
+                    userWsolAccount,
+                    userPublicKey,
+                    config.TOKEN_CONFIG.WSOL_MINT
+                )
+            );
+        }
+
+        if (!donutAccountInfo) {
+            this.logger.info('➕ Adicionando instrução para criar DONUT ATA');
+            instructions.push(
+                createAssociatedTokenAccountInstruction(
+                    userPublicKey,
+                    userDonutAccount,
+                    userPublicKey,
+                    config.TOKEN_CONFIG.DONUT_MINT
+                )
+            );
+        }
+
+        return { instructions, userWsolAccount, userDonutAccount };
+    }
+
     /**
      * Registrar no Airdrop se necessário (TRANSAÇÃO SEPARADA)
      */
-    async registerInAirdropIfNeeded(userKeypair) {
+    async registerInAirdropIfNeeded(userKeypair, speed = DEFAULT_SPEED) {
         try {
-            // Derivar PDA do usuário no airdrop
-            const [airdropUserPDA] = await PublicKey.findProgramAddress(
-                [Buffer.from('user_account'), userKeypair.publicKey.toBuffer()],
-                this.airdropProgram.programId
-            );
+            const { alreadyRegistered, instruction: registerInstruction } =
+                await this.buildAirdropRegisterInstruction(userKeypair.publicKey);
 
-            // Verificar se já está registrado
-            let airdropAccount = null;
-            const possibleAirdropNames = ['userAccount', 'user', 'airdropUser'];
-            
-            for (const accountName of possibleAirdropNames) {
-                try {
-                    if (this.airdropProgram.account[accountName]) {
-                        airdropAccount = await this.airdropProgram.account[accountName].fetchNullable(airdropUserPDA);
-                        if (airdropAccount !== null) {
-                            this.logger.info(`✅ Usuário já registrado no airdrop (conta: ${accountName})`);
-                            return { signature: null };
-                        }
-                    }
-                } catch (e) {
-                    // Continuar tentando
-                }
+            if (alreadyRegistered) {
+                return { signature: null };
             }
 
-            // Criar transação de registro
-            const transaction = new Transaction();
-            
-            // Tentar diferentes métodos de registro
-            const possibleMethods = ['registerUser', 'register', 'createUser'];
-            let registerInstruction = null;
-            
-            for (const methodName of possibleMethods) {
-                try {
-                    if (this.airdropProgram.methods[methodName]) {
-                        this.logger.info(`🔧 Tentando método de registro: ${methodName}`);
-                        
-                        registerInstruction = await this.airdropProgram.methods[methodName]()
-                            .accounts({
-                                programState: config.AIRDROP_CONFIG.PROGRAM_STATE,
-                                userWallet: userKeypair.publicKey,
-                                userAccount: airdropUserPDA,
-                                systemProgram: SystemProgram.programId
-                            })
-                            .instruction();
-                        
-                        this.logger.info(`✅ Instrução de registro criada com método: ${methodName}`);
-                        break;
-                    }
-                } catch (e) {
-                    this.logger.debug(`❌ Método ${methodName} falhou: ${e.message}`);
-                }
-            }
-            
             if (!registerInstruction) {
                 this.logger.warn('⚠️ Nenhum método de registro do airdrop funcionou');
                 return { signature: null };
             }
 
-            transaction.add(registerInstruction);
+            // Criar transação de registro
+            const transaction = new Transaction().add(registerInstruction);
 
             // Executar transação
-            const signature = await this.executeTransaction(transaction, userKeypair, 'Airdrop Registration');
+            const signature = await this.executeTransaction(transaction, userKeypair, 'Airdrop Registration', speed);
 
             this.logger.info(`✅ Registrado no airdrop: ${signature}`);
 
@@ -454,6 +435,61 @@ class BotAnchorClientService {
         }
     }
 
+    /**
+     * Instrução de registro no airdrop (null se já registrado ou sem método compatível)
+     */
+    async buildAirdropRegisterInstruction(userPublicKey) {
+        // Derivar PDA do usuário no airdrop
+        const [airdropUserPDA] = await PublicKey.findProgramAddress(
+            [Buffer.from('user_account'), userPublicKey.toBuffer()],
+            this.airdropProgram.programId
+        );
+
+        // Verificar se já está registrado
+        const possibleAirdropNames = ['userAccount', 'user', 'airdropUser'];
+
+        for (const accountName of possibleAirdropNames) {
+            try {
+                if (this.airdropProgram.account[accountName]) {
+                    const airdropAccount = await this.airdropProgram.account[accountName].fetchNullable(airdropUserPDA);
+                    if (airdropAccount !== null) {
+                        this.logger.info(`✅ Usuário já registrado no airdrop (conta: ${accountName})`);
+                        return { alreadyRegistered: true, instruction: null };
+                    }
+                }
+            } catch (e) {
+                // Continuar tentando
+            }
+        }
+
+        // Tentar diferentes métodos de registro
+        const possibleMethods = ['registerUser', 'register', 'createUser'];
+
+        for (const methodName of possibleMethods) {
+            try {
+                if (this.airdropProgram.methods[methodName]) {
+                    this.logger.info(`🔧 Tentando método de registro: ${methodName}`);
+
+                    const instruction = await this.airdropProgram.methods[methodName]()
+                        .accounts({
+                            programState: config.AIRDROP_CONFIG.PROGRAM_STATE,
+                            userWallet: userPublicKey,
+                            userAccount: airdropUserPDA,
+                            systemProgram: SystemProgram.programId
+                        })
+                        .instruction();
+
+                    this.logger.info(`✅ Instrução de registro criada com método: ${methodName}`);
+                    return { alreadyRegistered: false, instruction };
+                }
+            } catch (e) {
+                this.logger.debug(`❌ Método ${methodName} falhou: ${e.message}`);
+            }
+        }
+
+        return { alreadyRegistered: false, instruction: null };
+    }
+
     /**
      * Analisar referrer e preparar uplines (para Slot 3)
      */
@@ -611,58 +647,14 @@ class BotAnchorClientService {
         try {
             // 1. CRIAR LOOKUP TABLE (TRANSAÇÃO SEPARADA)
             this.logger.info('🔧 Criando Address Lookup Table...');
-            
-            const slot = await this.connection.getSlot();
-            const [createInstruction, lookupTableAddress] = 
-                AddressLookupTableProgram.createLookupTable({
-                    authority: userKeypair.publicKey,
-                    payer: userKeypair.publicKey,
-                    recentSlot: slot - 1
-                });
 
-            const createTransaction = new Transaction().add(createInstruction);
-            const createSignature = await this.executeTransaction(createTransaction, userKeypair, 'LUT Creation');
-            
+            const { instruction, lookupTableAddress } = await this.buildCreateLookupTable(userKeypair);
+            await this.executeTransaction(new Transaction().add(instruction), userKeypair, 'LUT Creation');
+
             this.logger.info(`✅ Lookup Table criada: ${lookupTableAddress.toString()}`);
 
             // 2. POPULAR EM BATCHES (MÚLTIPLAS TRANSAÇÕES SEPARADAS)
-            this.logger.info('📝 Populando Lookup Table em batches...');
-            
-            const BATCH_SIZE = 25;
-            const batches = [];
-            
-            for (let i = 0; i < addresses.length; i += BATCH_SIZE) {
-                batches.push(addresses.slice(i, i + BATCH_SIZE));
-            }
-
-            this.logger.info(`📦 Criados ${batches.length} batches para população`);
-
-            for (let i = 0; i < batches.length; i++) {
-                const batch = batches[i];
-                
-                this.logger.info(`📝 Populando batch ${i + 1}/${batches.length} (${batch.length} endereços)...`);
-                
-                const extendInstruction = AddressLookupTableProgram.extendLookupTable({
-                    payer: userKeypair.publicKey,
-                    authority: userKeypair.publicKey,
-                    lookupTable: lookupTableAddress,
-                    addresses: batch
-                });
-
-                const extendTransaction = new Transaction().add(extendInstruction);
-                const extendSignature = await this.executeTransaction(
-                    extendTransaction, 
-                    userKeypair, 
-                    `LUT Population Batch ${i + 1}`
-                );
-                
-                this.logger.info(`✅ Batch ${i + 1} populado: ${extendSignature}`);
-                
-                // Delay entre batches
-                await this.sleep(1000);
-            }
-
-            this.logger.info(`✅ Lookup Table completamente populada: ${lookupTableAddress.toString()}`);
+            await this.extendLookupTable(userKeypair, lookupTableAddress, addresses);
 
             return lookupTableAddress;
 
@@ -672,17 +664,100 @@ class BotAnchorClientService {
         }
     }
 
+    /**
+     * Montar instrução de criação da LUT. O endereço é conhecido antes do envio
+     */
+    async buildCreateLookupTable(userKeypair) {
+        const slot = await this.connection.getSlot();
+        const [instruction, lookupTableAddress] = AddressLookupTableProgram.createLookupTable({
+            authority: userKeypair.publicKey,
+            payer: userKeypair.publicKey,
+            recentSlot: slot - 1
+        });
+
+        return { instruction, lookupTableAddress };
+    }
+
+    /**
+     * Adicionar à LUT apenas os endereços que ainda não estão nela
+     * @returns {Promise<string[]>} assinaturas dos batches enviados
+     */
+    async extendLookupTable(userKeypair, lookupTableAddress, addresses, speed = DEFAULT_SPEED) {
+        const lookupTableAccount = await this.connection.getAddressLookupTable(lookupTableAddress);
+        const existing = new Set(
+            (lookupTableAccount.value?.state.addresses || []).map(address => address.toString())
+        );
+
+        const missing = addresses.filter(address => !existing.has(address.toString()));
+        if (missing.length === 0) {
+            this.logger.info('✅ Lookup Table já contém todos os endereços');
+            return [];
+        }
+
+        this.logger.info(`📝 Populando Lookup Table com ${missing.length} endereços...`);
+
+        const BATCH_SIZE = 25;
+        const signatures = [];
+
+        for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+            const batch = missing.slice(i, i + BATCH_SIZE);
+            const batchNumber = i / BATCH_SIZE + 1;
+
+            const extendInstruction = AddressLookupTableProgram.extendLookupTable({
+                payer: userKeypair.publicKey,
+                authority: userKeypair.publicKey,
+                lookupTable: lookupTableAddress,
+                addresses: batch
+            });
+
+            const signature = await this.executeTransaction(
+                new Transaction().add(extendInstruction),
+                userKeypair,
+                `LUT Population Batch ${batchNumber}`,
+                speed
+            );
+            signatures.push(signature);
+
+            this.logger.info(`✅ Batch ${batchNumber} populado: ${signature}`);
+
+            // Delay entre batches
+            await this.sleep(1000);
+        }
+
+        this.logger.info(`✅ Lookup Table completamente populada: ${lookupTableAddress.toString()}`);
+
+        return signatures;
+    }
+
+    /**
+     * LUT existe on-chain? (a criação pode ter falhado depois do endereço ser salvo)
+     */
+    async lookupTableExists(lookupTableAddress) {
+        const lookupTableAccount = await this.connection.getAddressLookupTable(new PublicKey(lookupTableAddress));
+        return !!lookupTableAccount.value;
+    }
+
     /**
      * Aguardar ativação da Lookup Table
      */
-    async waitForLookupTableActivation(lookupTableAddress, maxRetries = 10) {
+    /**
+     * Aguardar a LUT ficar utilizável: conta criada, com os endereços pedidos
+     * e o slot atual depois do último extend
+     */
+    async waitForLookupTableActivation(lookupTableAddress, requiredAddresses = [], maxRetries = 10) {
         this.logger.info('⏳ Aguardando ativação da Lookup Table...');
         
         for (let i = 0; i < maxRetries; i++) {
             try {
                 const lookupTableAccount = await this.connection.getAddressLookupTable(lookupTableAddress);
-                
-                if (lookupTableAccount.value && lookupTableAccount.value.state) {
+                const state = lookupTableAccount.value?.state;
+
+                const included = state && requiredAddresses.every(address =>
+                    state.addresses.some(existing => existing.equals(new PublicKey(address)))
+                );
+                const warmedUp = state && await this.connection.getSlot('confirmed') > Number(state.lastExtendedSlot);
+
+                if (included && warmedUp) {
                     this.logger.info(`✅ Lookup Table ativa com ${lookupTableAccount.value.state.addresses.length} endereços`);
                     return lookupTableAccount.value;
                 }
@@ -702,7 +777,7 @@ class BotAnchorClientService {
     /**
      * Executar registro principal com Lookup Table (TRANSAÇÃO FINAL)
      */
-    async executeMainRegistrationWithLUT(userKeypair, referrerAddress, amountUSD, lookupTableAddress, remainingAccounts, slotIndex) {
+    async executeMainRegistrationWithLUT(userKeypair, referrerAddress, amountUSD, lookupTableAddress, remainingAccounts, slotIndex, speed = DEFAULT_SPEED) {
         try {
             // 1. Preparar valores
             const solPrice = await this.getSolPrice();
@@ -725,117 +800,35 @@ class BotAnchorClientService {
                 throw new Error('Lookup Table não está disponível');
             }
 
-            // 4. Derivar PDAs
-            const [userPDA] = await PublicKey.findProgramAddress(
-                [Buffer.from('user_account'), userKeypair.publicKey.toBuffer()],
-                this.matrixProgram.programId
-            );
-
-            const referrerPubkey = new PublicKey(referrerAddress);
-            const [referrerPDA] = await PublicKey.findProgramAddress(
-                [Buffer.from('user_account'), referrerPubkey.toBuffer()],
-                this.matrixProgram.programId
-            );
-
-            // 5. Obter ATAs
-            const userWsolAccount = await getAssociatedTokenAddress(
-                config.TOKEN_CONFIG.WSOL_MINT,
-                userKeypair.publicKey
-            );
-
-            const userDonutAccount = await getAssociatedTokenAddress(
-                config.TOKEN_CONFIG.DONUT_MINT,
-                userKeypair.publicKey
-            );
-
-            // 6. Criar instruções
-            const instructions = [];
-
-            // Compute budget (mais units para Slot 3)
-            const computeUnits = slotIndex === 2 ? 1400000 : 1000000;
-            instructions.push(
-                ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnits }),
-                ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 250000 })
+            // 4. Instrução de registro, com compute budget dimensionado pela simulação
+            const registerInstruction = await this.buildRegistrationInstruction(
+                userKeypair.publicKey,
+                referrerAddress,
+                amountInLamports,
+                remainingAccounts,
+                slotIndex
             );
 
-            // 7. Criar instrução de registro
-            const accounts = {
-                state: config.MATRIX_CONFIG.STATE_ADDRESS,
-                userWallet: userKeypair.publicKey,
-                referrer: referrerPDA,
-                referrerWallet: referrerPubkey,
-                user: userPDA,
-                userWsolAccount: userWsolAccount,
-                userDonutAccount: userDonutAccount,
-                wsolMint: config.TOKEN_CONFIG.WSOL_MINT,
-                pool: config.METEORA_CONFIG.POOL,
-                bVault: config.METEORA_CONFIG.B_VAULT,
-                bTokenVault: config.METEORA_CONFIG.B_TOKEN_VAULT,
-                bVaultLpMint: config.METEORA_CONFIG.B_VAULT_LP_MINT,
-                bVaultLp: config.METEORA_CONFIG.B_VAULT_LP,
-                vaultProgram: config.METEORA_CONFIG.VAULT_PROGRAM,
-                programSolVault: config.MATRIX_CONFIG.PROGRAM_SOL_VAULT,
-                tokenMint: config.TOKEN_CONFIG.DONUT_MINT,
-                protocolTokenFee: config.METEORA_CONFIG.PROTOCOL_TOKEN_FEE,
-                ammProgram: config.METEORA_CONFIG.AMM_PROGRAM,
-                tokenProgram: TOKEN_PROGRAM_ID,
-                systemProgram: SystemProgram.programId,
-                associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
-                rent: SYSVAR_RENT_PUBKEY
-            };
-
-            // Adicionar contas do airdrop se Slot 3
-            if (slotIndex === 2 && remainingAccounts.length > 0) {
-                this.logger.info(`🔄 Adicionando ${remainingAccounts.length} remaining accounts para Slot 3`);
-                
-                // Adicionar contas do airdrop
-                accounts.airdropProgram = config.AIRDROP_CONFIG.PROGRAM_ID;
-                accounts.airdropProgramState = config.AIRDROP_CONFIG.PROGRAM_STATE;
-                accounts.instructionSysvar = SYSVAR_INSTRUCTIONS_PUBKEY;
-                
-                // Adicionar referrer airdrop PDA
-                const [referrerAirdropPDA] = await PublicKey.findProgramAddress(
-                    [Buffer.from('user_account'), referrerPubkey.toBuffer()],
-                    config.AIRDROP_CONFIG.PROGRAM_ID
-                );
-                accounts.referrerAirdropAccount = referrerAirdropPDA;
+            const plan = await planTransaction(this.connection, {
+                payer: userKeypair.publicKey,
+                instructions: [registerInstruction],
+                lookupTables: [lookupTableAccount.value],
+                speed,
+                defaultProgram: 'matrix'
+            });
+            if (!plan.success) {
+                throw this.simulationFailedError(plan);
             }
 
-            // 8. Criar instrução de registro
-            let registerInstruction = null;
-            const possibleMethods = ['registerWithSolDeposit', 'register', 'registerUser'];
-            
-            for (const methodName of possibleMethods) {
-                try {
-                    if (this.matrixProgram.methods[methodName]) {
-                        this.logger.info(`🔧 Usando método de registro: ${methodName}`);
-                        
-                        if (methodName === 'registerWithSolDeposit') {
-                            registerInstruction = await this.matrixProgram.methods[methodName](amountInLamports)
-                                .accounts(accounts)
-                                .remainingAccounts(remainingAccounts)
-                                .instruction();
-                        } else {
-                            registerInstruction = await this.matrixProgram.methods[methodName]()
-                                .accounts(accounts)
-                                .remainingAccounts(remainingAccounts)
-                                .instruction();
-                        }
-                        break;
-                    }
-                } catch (e) {
-                    this.logger.debug(`❌ Método ${methodName} falhou: ${e.message}`);
-                }
-            }
+            this.logger.info(`⚙️ Compute budget: ${plan.feePlan.unitLimit} CU a ${plan.feePlan.microLamports} microLamports (${plan.feePlan.speed})`);
 
-            if (!registerInstruction) {
-                throw new Error('Nenhum método de registro funcionou');
-            }
+            const instructions = [
+                ...buildComputeBudgetInstructions(plan.feePlan),
+                registerInstruction
+            ];
 
-            instructions.push(registerInstruction);
-
-            // 9. Criar versioned transaction com LUT
-            const { blockhash } = await this.connection.getLatestBlockhash();
+            // 5. Criar versioned transaction com LUT
+            const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
             
             const messageV0 = new TransactionMessage({
                 payerKey: userKeypair.publicKey,
@@ -845,23 +838,13 @@ class BotAnchorClientService {
 
             const transaction = new VersionedTransaction(messageV0);
 
-            // 10. Assinar e enviar
+            // 6. Assinar e enviar
             transaction.sign([userKeypair]);
 
             this.logger.info('📤 Enviando transação de registro principal...');
-            
-            const signature = await this.connection.sendRawTransaction(
-                transaction.serialize(),
-                { 
-                    skipPreflight: false, 
-                    maxRetries: 3,
-                    preflightCommitment: 'confirmed'
-                }
-            );
 
-            // 11. Confirmar
-            this.logger.info('⏳ Aguardando confirmação...');
-            await this.connection.confirmTransaction(signature, 'confirmed');
+            // 7. Rebroadcast até confirmar ou o blockhash expirar
+            const signature = await this.sendAndConfirm(transaction, lastValidBlockHeight, 'Registro na matriz');
 
             this.logger.info(`✅ REGISTRO PRINCIPAL CONFIRMADO: ${signature}`);
             this.logger.info(`🎯 Slot ocupado: ${slotIndex} (${this.getSlotBehaviorDescription(slotIndex)})`);
@@ -877,31 +860,192 @@ class BotAnchorClientService {
         }
     }
 
+    /**
+     * Instrução de registro na matriz (sem compute budget)
+     */
+    async buildRegistrationInstruction(userPublicKey, referrerAddress, amountInLamports, remainingAccounts, slotIndex) {
+        // Derivar PDAs
+        const [userPDA] = await PublicKey.findProgramAddress(
+            [Buffer.from('user_account'), userPublicKey.toBuffer()],
+            this.matrixProgram.programId
+        );
+
+        const referrerPubkey = new PublicKey(referrerAddress);
+        const [referrerPDA] = await PublicKey.findProgramAddress(
+            [Buffer.from('user_account'), referrerPubkey.toBuffer()],
+            this.matrixProgram.programId
+        );
+
+        // Obter ATAs
+        const userWsolAccount = await getAssociatedTokenAddress(
+            config.TOKEN_CONFIG.WSOL_MINT,
+            userPublicKey
+        );
+
+        const userDonutAccount = await getAssociatedTokenAddress(
+            config.TOKEN_CONFIG.DONUT_MINT,
+            userPublicKey
+        );
+
+        // Contas da instrução
+        const accounts = {
+            state: config.MATRIX_CONFIG.STATE_ADDRESS,
+            userWallet: userPublicKey,
+            referrer: referrerPDA,
+            referrerWallet: referrerPubkey,
+            user: userPDA,
+            userWsolAccount: userWsolAccount,
+            userDonutAccount: userDonutAccount,
+            wsolMint: config.TOKEN_CONFIG.WSOL_MINT,
+            pool: config.METEORA_CONFIG.POOL,
+            bVault: config.METEORA_CONFIG.B_VAULT,
+            bTokenVault: config.METEORA_CONFIG.B_TOKEN_VAULT,
+            bVaultLpMint: config.METEORA_CONFIG.B_VAULT_LP_MINT,
+            bVaultLp: config.METEORA_CONFIG.B_VAULT_LP,
+            vaultProgram: config.METEORA_CONFIG.VAULT_PROGRAM,
+            programSolVault: config.MATRIX_CONFIG.PROGRAM_SOL_VAULT,
+            tokenMint: config.TOKEN_CONFIG.DONUT_MINT,
+            protocolTokenFee: config.METEORA_CONFIG.PROTOCOL_TOKEN_FEE,
+            ammProgram: config.METEORA_CONFIG.AMM_PROGRAM,
+            tokenProgram: TOKEN_PROGRAM_ID,
+            systemProgram: SystemProgram.programId,
+            associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
+            rent: SYSVAR_RENT_PUBKEY
+        };
+
+        // Adicionar contas do airdrop se Slot 3
+        if (slotIndex === 2 && remainingAccounts.length > 0) {
+            this.logger.info(`🔄 Adicionando ${remainingAccounts.length} remaining accounts para Slot 3`);
+            
+            // Adicionar contas do airdrop
+            accounts.airdropProgram = config.AIRDROP_CONFIG.PROGRAM_ID;
+            accounts.airdropProgramState = config.AIRDROP_CONFIG.PROGRAM_STATE;
+            accounts.instructionSysvar = SYSVAR_INSTRUCTIONS_PUBKEY;
+            
+            // Adicionar referrer airdrop PDA
+            const [referrerAirdropPDA] = await PublicKey.findProgramAddress(
+                [Buffer.from('user_account'), referrerPubkey.toBuffer()],
+                config.AIRDROP_CONFIG.PROGRAM_ID
+            );
+            accounts.referrerAirdropAccount = referrerAirdropPDA;
+        }
+
+        // Tentar os nomes de método conhecidos da IDL
+        let registerInstruction = null;
+        const possibleMethods = ['registerWithSolDeposit', 'register', 'registerUser'];
+        
+        for (const methodName of possibleMethods) {
+            try {
+                if (this.matrixProgram.methods[methodName]) {
+                    this.logger.info(`🔧 Usando método de registro: ${methodName}`);
+                    
+                    if (methodName === 'registerWithSolDeposit') {
+                        registerInstruction = await this.matrixProgram.methods[methodName](amountInLamports)
+                            .accounts(accounts)
+                            .remainingAccounts(remainingAccounts)
+                            .instruction();
+                    } else {
+                        registerInstruction = await this.matrixProgram.methods[methodName]()
+                            .accounts(accounts)
+                            .remainingAccounts(remainingAccounts)
+                            .instruction();
+                    }
+                    break;
+                }
+            } catch (e) {
+                this.logger.debug(`❌ Método ${methodName} falhou: ${e.message}`);
+            }
+        }
+
+        if (!registerInstruction) {
+            throw new Error('Nenhum método de registro funcionou');
+        }
+
+        return registerInstruction;
+    }
+
+    /**
+     * Simular o registro completo (ATAs + airdrop + matriz) numa única transação, sem assinatura.
+     * Sem LUT a transação do Slot 3 pode não caber: o resultado vem com tooLarge
+     */
+    async simulateRegistration(userPublicKey, referrerAddress, amountUSD, lookupTableAddress = null, speed = DEFAULT_SPEED) {
+        try {
+            await this.initialize();
+
+            const solPrice = await this.getSolPrice();
+            const amountInLamports = new BN(Math.floor(amountUSD / solPrice * LAMPORTS_PER_SOL));
+
+            const { slotIndex, uplineAccounts } = await this.analyzeReferrerAndPrepareUplines(referrerAddress);
+            const { instructions: ataInstructions } = await this.buildRequiredATAInstructions(userPublicKey);
+            const { instruction: airdropInstruction } = await this.buildAirdropRegisterInstruction(userPublicKey);
+            const registerInstruction = await this.buildRegistrationInstruction(
+                userPublicKey,
+                referrerAddress,
+                amountInLamports,
+                uplineAccounts,
+                slotIndex
+            );
+
+            const instructions = [
+                ...ataInstructions,
+                ...(airdropInstruction ? [airdropInstruction] : []),
+                registerInstruction
+            ];
+
+            const lookupTables = [];
+            if (lookupTableAddress) {
+                const lookupTableAccount = await this.connection.getAddressLookupTable(new PublicKey(lookupTableAddress));
+                if (lookupTableAccount.value) {
+                    lookupTables.push(lookupTableAccount.value);
+                }
+            }
+
+            const simulation = await planTransaction(this.connection, {
+                payer: userPublicKey,
+                instructions,
+                lookupTables,
+                speed,
+                defaultProgram: 'matrix'
+            });
+
+            return { ...simulation, slotIndex, amountSol: amountInLamports.toNumber() / LAMPORTS_PER_SOL };
+
+        } catch (error) {
+            this.logger.error('❌ Erro ao simular registro:', error);
+            return { success: false, error: error.message || 'Não foi possível simular o registro' };
+        }
+    }
+
     /**
      * Executar uma transação individual (helper)
      */
-    async executeTransaction(transaction, keypair, description = 'Transaction') {
+    async executeTransaction(transaction, keypair, description = 'Transaction', speed = DEFAULT_SPEED) {
         try {
+            // Compute budget dimensionado pela simulação, taxa pela velocidade escolhida
+            const plan = await planTransaction(this.connection, {
+                payer: keypair.publicKey,
+                instructions: transaction.instructions,
+                speed
+            });
+            if (!plan.success) {
+                throw this.simulationFailedError(plan);
+            }
+
+            const prepared = new Transaction().add(
+                ...buildComputeBudgetInstructions(plan.feePlan),
+                ...transaction.instructions
+            );
+
             // Obter blockhash recente
-            const { blockhash } = await this.connection.getLatestBlockhash();
-            transaction.recentBlockhash = blockhash;
-            transaction.feePayer = keypair.publicKey;
+            const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+            prepared.recentBlockhash = blockhash;
+            prepared.feePayer = keypair.publicKey;
 
             // Assinar
-            transaction.sign(keypair);
-
-            // Enviar
-            const signature = await this.connection.sendRawTransaction(
-                transaction.serialize(),
-                { 
-                    skipPreflight: false, 
-                    maxRetries: 3,
-                    preflightCommitment: 'confirmed'
-                }
-            );
+            prepared.sign(keypair);
 
-            // Confirmar
-            await this.connection.confirmTransaction(signature, 'confirmed');
+            // Enviar e confirmar
+            const signature = await this.sendAndConfirm(prepared, lastValidBlockHeight, description);
 
             this.logger.info(`✅ ${description} confirmada: ${signature}`);
 
@@ -913,6 +1057,49 @@ class BotAnchorClientService {
         }
     }
 
+    /**
+     * Enviar pelo TransactionSender e devolver a assinatura confirmada.
+     * error.expired: seguro repetir; error.pending: resultado ainda desconhecido, não repetir
+     */
+    async sendAndConfirm(transaction, lastValidBlockHeight, description) {
+        const sent = await this.transactionSender.send(transaction, { lastValidBlockHeight, description });
+
+        if (sent.status === 'confirmed') {
+            return sent.signature;
+        }
+
+        if (sent.status === 'failed') {
+            throw this.transactionFailedError(sent.signature, sent.transactionError || sent.error);
+        }
+
+        const error = new Error(sent.status === 'expired'
+            ? `Transação ${sent.signature} expirou sem ser processada`
+            : `Resultado da transação ${sent.signature} ainda desconhecido`);
+        error.signature = sent.signature;
+        error.expired = sent.status === 'expired';
+        error.pending = sent.status === 'unknown';
+        throw error;
+    }
+
+    /**
+     * Simulação recusada antes do envio: os logs permitem decodificar o erro do programa
+     */
+    simulationFailedError(simulation) {
+        const error = new Error(simulation.error);
+        error.logs = simulation.logs || [];
+        return error;
+    }
+
+    /**
+     * Transação incluída no bloco, mas com erro: manter o status para decodificar o código
+     */
+    transactionFailedError(signature, transactionError) {
+        const error = new Error(`Transação ${signature} falhou: ${JSON.stringify(transactionError)}`);
+        error.signature = signature;
+        error.transactionError = transactionError;
+        return error;
+    }
+
     /**
      * Obter conta de usuário da matriz
      */
@@ -976,6 +1163,47 @@ class BotAnchorClientService {
         }
     }
 
+    /**
+     * Consultar a blockchain sem cache: a wallet já tem UserAccount na matriz?
+     */
+    async isRegisteredInMatrix(walletAddress) {
+        await this.initialize();
+
+        const [userPDA] = PublicKey.findProgramAddressSync(
+            [Buffer.from('user_account'), new PublicKey(walletAddress).toBuffer()],
+            this.matrixProgram.programId
+        );
+        this.accountCache.delete(`user_${userPDA.toString()}`);
+
+        const account = await this.getUserAccount(walletAddress);
+        if (account.error) {
+            throw new Error(`Não foi possível consultar a conta na matriz: ${account.error}`);
+        }
+
+        return account.exists;
+    }
+
+    /**
+     * Assinatura da transação que criou o UserAccount (a mais antiga com sucesso na PDA)
+     */
+    async findRegistrationSignature(walletAddress) {
+        try {
+            const [userPDA] = PublicKey.findProgramAddressSync(
+                [Buffer.from('user_account'), new PublicKey(walletAddress).toBuffer()],
+                this.matrixProgram.programId
+            );
+
+            const signatures = await this.connection.getSignaturesForAddress(userPDA, { limit: 100 });
+            const successful = signatures.filter(info => !info.err);
+
+            return successful.length > 0 ? successful[successful.length - 1].signature : null;
+
+        } catch (error) {
+            this.logger.warn('Não foi possível localizar a assinatura do registro:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Verificar slots do referenciador
      */
@@ -1052,6 +1280,272 @@ class BotAnchorClientService {
         }
     }
 
+    /**
+     * Obter estado global do programa de airdrop
+     */
+    async getAirdropProgramState() {
+        await this.initialize();
+
+        const state = await this.airdropProgram.account.programState.fetch(
+            config.AIRDROP_CONFIG.PROGRAM_STATE
+        );
+
+        return {
+            admin: state.admin,
+            currentWeek: state.currentWeek,
+            startTimestamp: state.startTimestamp.toNumber(),
+            totalMatricesCompleted: state.totalMatricesCompleted.toNumber(),
+            matricesByWeek: state.matricesByWeek.map(count => count.toNumber()),
+            totalUsers: state.totalUsers.toNumber(),
+            tokenVault: state.tokenVault,
+            donutTokenMint: state.donutTokenMint
+        };
+    }
+
+    /**
+     * Obter conta do usuário no airdrop (valores de token em unidades base)
+     */
+    async getAirdropUserAccount(walletAddress) {
+        try {
+            await this.initialize();
+
+            const userPubkey = new PublicKey(walletAddress.toString());
+            const [airdropUserPDA] = await PublicKey.findProgramAddress(
+                [Buffer.from('user_account'), userPubkey.toBuffer()],
+                this.airdropProgram.programId
+            );
+
+            const account = await this.airdropProgram.account.userAccount.fetchNullable(airdropUserPDA);
+            if (!account) {
+                return { exists: false, pda: airdropUserPDA };
+            }
+
+            return {
+                exists: true,
+                pda: airdropUserPDA,
+                data: {
+                    totalMatricesCompleted: account.totalMatricesCompleted.toNumber(),
+                    tokensEarned: BigInt(account.tokensEarned.toString()),
+                    tokensClaimed: BigInt(account.tokensClaimed.toString()),
+                    matrixCounts: account.matrixCounts,
+                    claimedWeeks: account.claimedWeeks
+                }
+            };
+
+        } catch (error) {
+            this.logger.error('Erro ao obter conta do airdrop:', error);
+            return { exists: false, error: error.message };
+        }
+    }
+
+    /**
+     * Resgatar tokens DONUT acumulados no airdrop
+     */
+    async claimAirdropTokens(userKeypair, speed = DEFAULT_SPEED) {
+        try {
+            await this.initialize();
+
+            const state = await this.getAirdropProgramState();
+            const [airdropUserPDA] = await PublicKey.findProgramAddress(
+                [Buffer.from('user_account'), userKeypair.publicKey.toBuffer()],
+                this.airdropProgram.programId
+            );
+
+            // ATA de destino é criada pelo próprio programa se não existir
+            const userTokenAccount = await getAssociatedTokenAddress(
+                state.donutTokenMint,
+                userKeypair.publicKey
+            );
+
+            const claimInstruction = await this.airdropProgram.methods
+                .claimTokens()
+                .accounts({
+                    programState: config.AIRDROP_CONFIG.PROGRAM_STATE,
+                    userWallet: userKeypair.publicKey,
+                    userAccount: airdropUserPDA,
+                    tokenVault: state.tokenVault,
+                    userTokenAccount,
+                    donutTokenMint: state.donutTokenMint,
+                    tokenProgram: TOKEN_PROGRAM_ID,
+                    associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
+                    systemProgram: SystemProgram.programId,
+                    rent: SYSVAR_RENT_PUBKEY
+                })
+                .instruction();
+
+            const transaction = new Transaction().add(claimInstruction);
+            const signature = await this.executeTransaction(transaction, userKeypair, 'Airdrop Claim', speed);
+
+            return {
+                success: true,
+                signature,
+                explorerUrl: config.getExplorerUrl(signature),
+                tokenMint: state.donutTokenMint.toString()
+            };
+
+        } catch (error) {
+            this.logger.error('❌ Erro ao resgatar airdrop:', error);
+
+            const programError = decodeProgramError(error, 'airdrop');
+            return {
+                success: false,
+                error: programError
+                    ? `${programError.explanation} ${programError.suggestion}`
+                    : error.message || 'Erro ao resgatar tokens',
+                programError
+            };
+        }
+    }
+
+    /**
+     * PDA dos dados semanais (seeds: "weekly_data" + semana em u8)
+     */
+    deriveWeeklyDataPDA(week) {
+        const [weeklyDataPDA] = PublicKey.findProgramAddressSync(
+            [Buffer.from('weekly_data'), Buffer.from([week])],
+            this.airdropProgram.programId
+        );
+        return weeklyDataPDA;
+    }
+
+    /**
+     * Obter WeeklyData de um intervalo de semanas em uma única chamada RPC
+     */
+    async getAirdropWeeklyData(fromWeek, toWeek) {
+        await this.initialize();
+
+        const weeks = [];
+        for (let week = fromWeek; week <= toWeek; week++) {
+            weeks.push(week);
+        }
+
+        const pdas = weeks.map(week => this.deriveWeeklyDataPDA(week));
+        const accounts = await this.airdropProgram.account.weeklyData.fetchMultiple(pdas);
+
+        return weeks.map((week, index) => {
+            const account = accounts[index];
+            if (!account) {
+                return { week, exists: false, pda: pdas[index] };
+            }
+
+            return {
+                week,
+                exists: true,
+                pda: pdas[index],
+                totalMatrices: account.totalMatrices.toNumber(),
+                tokensPerMatrix: BigInt(account.tokensPerMatrix.toString()),
+                distributionProcessed: account.distributionProcessed
+            };
+        });
+    }
+
+    /**
+     * Carregar keypair admin do airdrop (arquivo JSON no formato do solana-keygen)
+     */
+    loadAirdropAdminKeypair() {
+        if (this.airdropAdminKeypair) {
+            return this.airdropAdminKeypair;
+        }
+
+        const keypairPath = process.env.AIRDROP_ADMIN_KEYPAIR;
+        if (!keypairPath) {
+            throw new Error('AIRDROP_ADMIN_KEYPAIR não configurado');
+        }
+
+        const secretKey = Uint8Array.from(JSON.parse(fs.readFileSync(keypairPath, 'utf8')));
+        this.airdropAdminKeypair = web3.Keypair.fromSecretKey(secretKey);
+
+        return this.airdropAdminKeypair;
+    }
+
+    /**
+     * Situação do signer admin: configurado e igual ao admin do ProgramState
+     */
+    async getAirdropAdminStatus(programAdmin) {
+        try {
+            const keypair = this.loadAirdropAdminKeypair();
+            return {
+                configured: true,
+                publicKey: keypair.publicKey.toString(),
+                matches: keypair.publicKey.equals(programAdmin)
+            };
+        } catch (error) {
+            return { configured: false, error: error.message };
+        }
+    }
+
+    /**
+     * Criar WeeklyData de uma semana (instrução initializeWeek)
+     */
+    async initializeAirdropWeek(week) {
+        return await this.executeAirdropAdminInstruction(`Initialize Week ${week}`, (admin) =>
+            this.airdropProgram.methods
+                .initializeWeek(week)
+                .accounts({
+                    programState: config.AIRDROP_CONFIG.PROGRAM_STATE,
+                    admin: admin.publicKey,
+                    weeklyData: this.deriveWeeklyDataPDA(week),
+                    systemProgram: SystemProgram.programId
+                })
+                .instruction()
+        );
+    }
+
+    /**
+     * Fechar a semana e preparar a próxima (instrução processWeeklyDistribution)
+     */
+    async processAirdropWeek(week) {
+        return await this.executeAirdropAdminInstruction(`Process Week ${week}`, (admin) =>
+            this.airdropProgram.methods
+                .processWeeklyDistribution(week)
+                .accounts({
+                    programState: config.AIRDROP_CONFIG.PROGRAM_STATE,
+                    admin: admin.publicKey,
+                    weeklyData: this.deriveWeeklyDataPDA(week),
+                    nextWeekData: this.deriveWeeklyDataPDA(week + 1),
+                    systemProgram: SystemProgram.programId
+                })
+                .instruction()
+        );
+    }
+
+    async executeAirdropAdminInstruction(description, buildInstruction) {
+        try {
+            await this.initialize();
+
+            const admin = this.loadAirdropAdminKeypair();
+            const state = await this.getAirdropProgramState();
+            if (!admin.publicKey.equals(state.admin)) {
+                return {
+                    success: false,
+                    error: `Keypair ${admin.publicKey.toString()} não é o admin do programa de airdrop`
+                };
+            }
+
+            const instruction = await buildInstruction(admin);
+            const transaction = new Transaction().add(instruction);
+            const signature = await this.executeTransaction(transaction, admin, description);
+
+            return {
+                success: true,
+                signature,
+                explorerUrl: config.getExplorerUrl(signature)
+            };
+
+        } catch (error) {
+            this.logger.error(`❌ Erro em ${description}:`, error);
+
+            const programError = decodeProgramError(error, 'airdrop');
+            return {
+                success: false,
+                error: programError
+                    ? `${programError.label}: ${programError.explanation}`
+                    : error.message || 'Erro ao executar instrução admin',
+                programError
+            };
+        }
+    }
+
     /**
      * Obter preço atual do SOL
      */
@@ -0,0 +1,260 @@
+// src/services/broadcast.service.js
+const Logger = require('../utils/logger');
+
+// Limites do Telegram: ~30 msg/s no total e 1 msg/s por chat
+const GLOBAL_INTERVAL_MS = 40;     // 25 mensagens/segundo, com folga
+const PER_CHAT_INTERVAL_MS = 1000;
+const MAX_RETRIES = 3;
+
+const SEGMENTS = {
+    all: {
+        label: '👥 Todos os usuários ativos'
+    },
+    funding_pending: {
+        label: '💰 Aguardando funding'
+    },
+    active_matrix: {
+        label: '🎯 Com matriz ativa'
+    },
+    lang_en: {
+        label: '🇺🇸 Idioma inglês (en)'
+    }
+};
+
+class BroadcastService {
+    constructor(db, bot, userStateService) {
+        this.db = db;
+        this.bot = bot; // Instância do node-telegram-bot-api
+        this.userStateService = userStateService;
+        this.logger = new Logger('BroadcastService');
+
+        // Fila única de envio compartilhada por todos os broadcasts
+        this.queue = [];
+        this.processing = false;
+        this.lastGlobalSend = 0;
+        this.lastChatSend = new Map();
+    }
+
+    getSegments() {
+        return SEGMENTS;
+    }
+
+    /**
+     * Obter telegram_ids de um segmento (apenas usuários ativos)
+     */
+    async getSegmentRecipients(segment) {
+        switch (segment) {
+            case 'all': {
+                const rows = await this.db.all('SELECT telegram_id FROM users WHERE is_active = 1');
+                return rows.map(row => row.telegram_id);
+            }
+
+            case 'funding_pending': {
+                // Pré-filtro por SQL e confirmação pela mesma regra usada no fluxo
+                const candidates = await this.db.all(`
+                    SELECT DISTINCT u.telegram_id
+                    FROM users u
+                    JOIN tasks t ON t.telegram_id = u.telegram_id
+                    WHERE u.is_active = 1
+                    AND t.task_type = 'fund_wallet'
+                    AND t.status = 'in_progress'
+                `);
+
+                const recipients = [];
+                for (const { telegram_id } of candidates) {
+                    const flowState = await this.userStateService.getUserFlowState(telegram_id);
+                    if (flowState === this.userStateService.FLOW_STATES.FUNDING_PENDING) {
+                        recipients.push(telegram_id);
+                    }
+                }
+                return recipients;
+            }
+
+            case 'active_matrix': {
+                const rows = await this.db.all(`
+                    SELECT DISTINCT u.telegram_id
+                    FROM users u
+                    JOIN user_matrices m ON m.telegram_id = u.telegram_id
+                    WHERE u.is_active = 1 AND m.status = 'active'
+                `);
+                return rows.map(row => row.telegram_id);
+            }
+
+            case 'lang_en': {
+                const rows = await this.db.all(
+                    "SELECT telegram_id FROM users WHERE is_active = 1 AND language_code LIKE 'en%'"
+                );
+                return rows.map(row => row.telegram_id);
+            }
+
+            default:
+                throw new Error(`Segmento desconhecido: ${segment}`);
+        }
+    }
+
+    /**
+     * Enviar broadcast para um segmento
+     * @returns {Promise<Object>} - { success, broadcastId, total, sent, failed, blocked }
+     */
+    async sendBroadcast({ adminId, text, segment }) {
+        try {
+            const recipients = await this.getSegmentRecipients(segment);
+            const broadcastId = `bc_${Date.now()}`;
+
+            this.logger.info('Broadcast iniciado', { broadcastId, adminId, segment, total: recipients.length });
+
+            // Linha 'queued' por destinatário antes do primeiro envio: se o bot cair no meio,
+            // fica registrado quem não chegou a ter a entrega confirmada
+            const rows = await this.db.transaction(recipients.map(chatId => ({
+                sql: `INSERT INTO notifications (telegram_id, type, title, message, data) VALUES (?, 'broadcast', ?, ?, ?)`,
+                params: [chatId, broadcastId, text, JSON.stringify({ segment, status: 'queued' })]
+            })));
+
+            const counts = { sent: 0, failed: 0, blocked: 0 };
+
+            await Promise.all(recipients.map((chatId, index) =>
+                this.enqueue(chatId, text)
+                    .then(() => ({ status: 'sent' }), error => ({ status: 'failed', error }))
+                    .then(result => this.settleDelivery(rows[index].id, chatId, segment, result, counts))
+            ));
+
+            this.logger.info('Broadcast finalizado', { broadcastId, ...counts });
+
+            return {
+                success: true,
+                broadcastId,
+                total: recipients.length,
+                ...counts
+            };
+
+        } catch (error) {
+            this.logger.error('Erro no broadcast', { segment, error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Adicionar mensagem na fila
+     */
+    enqueue(chatId, text) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ chatId: chatId.toString(), text, attempts: 0, resolve, reject });
+            this.processQueue();
+        });
+    }
+
+    async processQueue() {
+        if (this.processing) return;
+        this.processing = true;
+
+        try {
+            while (this.queue.length > 0) {
+                const job = this.pickNextJob();
+
+                if (!job) {
+                    // Todos os chats da fila estão no intervalo mínimo
+                    await this.sleep(100);
+                    continue;
+                }
+
+                const wait = GLOBAL_INTERVAL_MS - (Date.now() - this.lastGlobalSend);
+                if (wait > 0) await this.sleep(wait);
+
+                this.lastGlobalSend = Date.now();
+                this.lastChatSend.set(job.chatId, this.lastGlobalSend);
+
+                try {
+                    await this.bot.sendMessage(job.chatId, job.text, { parse_mode: 'Markdown' });
+                    job.resolve();
+                } catch (error) {
+                    const retryAfter = this.getRetryAfter(error);
+
+                    if (retryAfter && job.attempts < MAX_RETRIES) {
+                        // 429: pausar a fila inteira pelo tempo pedido pelo Telegram
+                        job.attempts++;
+                        this.logger.warn('Rate limit do Telegram, aguardando', { retryAfter, chatId: job.chatId });
+                        this.queue.unshift(job);
+                        await this.sleep(retryAfter * 1000);
+                    } else {
+                        job.reject(error);
+                    }
+                }
+            }
+        } finally {
+            this.processing = false;
+            this.cleanupChatTimestamps();
+        }
+    }
+
+    // Primeiro job cujo chat já respeitou o intervalo por chat
+    pickNextJob() {
+        const now = Date.now();
+        const index = this.queue.findIndex(job => {
+            const last = this.lastChatSend.get(job.chatId) || 0;
+            return now - last >= PER_CHAT_INTERVAL_MS;
+        });
+
+        if (index === -1) return null;
+        return this.queue.splice(index, 1)[0];
+    }
+
+    cleanupChatTimestamps() {
+        const cutoff = Date.now() - PER_CHAT_INTERVAL_MS;
+        for (const [chatId, last] of this.lastChatSend.entries()) {
+            if (last < cutoff) this.lastChatSend.delete(chatId);
+        }
+    }
+
+    getRetryAfter(error) {
+        if (error.response?.statusCode !== 429) return null;
+        return error.response.body?.parameters?.retry_after || 1;
+    }
+
+    // 403: bot bloqueado, usuário removido ou conta desativada
+    isBlockedError(error) {
+        return error?.response?.statusCode === 403;
+    }
+
+    async deactivateUser(telegramId) {
+        try {
+            await this.db.run('UPDATE users SET is_active = 0 WHERE telegram_id = ?', [telegramId]);
+            this.logger.info('Usuário desativado após 403 no broadcast', { telegramId });
+        } catch (error) {
+            this.logger.error('Erro ao desativar usuário', { telegramId, error: error.message });
+        }
+    }
+
+    /**
+     * Gravar o resultado de uma entrega assim que ela termina
+     */
+    async settleDelivery(notificationId, telegramId, segment, result, counts) {
+        const isBlocked = result.status === 'failed' && this.isBlockedError(result.error);
+
+        if (result.status === 'sent') {
+            counts.sent++;
+        } else {
+            counts.failed++;
+            if (isBlocked) {
+                counts.blocked++;
+                await this.deactivateUser(telegramId);
+            }
+        }
+
+        try {
+            await this.db.run(`
+                UPDATE notifications SET data = ?, sent_at = CURRENT_TIMESTAMP WHERE id = ?
+            `, [
+                JSON.stringify({ segment, status: result.status, blocked: isBlocked, error: result.error?.message }),
+                notificationId
+            ]);
+        } catch (error) {
+            this.logger.error('Erro ao registrar entrega', { telegramId, notificationId, error: error.message });
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = BroadcastService;
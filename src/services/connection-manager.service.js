@@ -0,0 +1,329 @@
+// src/services/connection-manager.service.js
+const { Connection } = require('@solana/web3.js');
+const Logger = require('../utils/logger');
+const config = require('../config/solana-programs.config');
+
+const HEALTH_CHECK_INTERVAL = parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL) || 10000;
+const HEALTH_CHECK_TIMEOUT = 5000;
+
+const RESULTS_WINDOW = 20;       // Últimas chamadas consideradas na taxa de erro
+const MAX_ERROR_RATE = 0.5;
+const MAX_SLOT_LAG = 50;         // Slots atrás do endpoint mais adiantado
+const LATENCY_SMOOTHING = 0.3;   // Peso da medição nova na média de latência
+
+// Envios ficam no primário: rebroadcast e confirmação no mesmo nó
+const SEND_METHODS = new Set(['sendRawTransaction', 'sendTransaction', 'sendEncodedTransaction']);
+
+// Subscriptions ficam no primário (onde o websocket foi aberto)
+const SUBSCRIPTION_METHOD = /^(on|remove)[A-Z]/;
+
+// Falhas do endpoint (rede, rate limit, 5xx). Erros de resposta (conta inexistente, preflight) não contam
+const ENDPOINT_ERROR = /fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|timed? ?out|429|Too Many Requests|\b50[0234]\b/i;
+
+/**
+ * Pool de endpoints RPC compartilhado pelos serviços.
+ * connection é uma Connection normal para quem usa: leituras vão ao endpoint mais saudável,
+ * envios ao primário (ou ao melhor endpoint enquanto o primário estiver fora)
+ */
+class ConnectionManager {
+    constructor(endpoints, genesisHash = null) {
+        this.logger = new Logger('ConnectionManager');
+
+        // Genesis do perfil de cluster: endpoint de outra rede nunca entra no pool
+        this.genesisHash = genesisHash;
+
+        this.endpoints = endpoints.map((endpoint, index) => ({
+            name: this.getEndpointName(endpoint.url),
+            url: endpoint.url,
+            wsUrl: endpoint.wsUrl,
+            primary: index === 0,
+            connection: new Connection(endpoint.url, {
+                commitment: 'confirmed',
+                wsEndpoint: endpoint.wsUrl,
+                confirmTransactionInitialTimeout: 60000
+            }),
+            latency: null,
+            results: [],
+            slot: null,
+            slotLag: null,
+            healthy: true,
+            lastError: null,
+            lastCheckAt: null,
+            clusterVerified: !genesisHash,
+            wrongCluster: null
+        }));
+
+        this.primary = this.endpoints[0];
+        this.connection = this.createRoutingConnection();
+
+        this.timer = null;
+        this.sendFailover = false;
+    }
+
+    async start() {
+        if (this.timer) return;
+
+        await this.checkHealth();
+        this.verifyCluster();
+        this.timer = setInterval(() => this.checkHealth(), HEALTH_CHECK_INTERVAL);
+
+        this.logger.info(`🌐 Pool RPC com ${this.endpoints.length} endpoint(s), primário ${this.primary.name}`);
+    }
+
+    /**
+     * Recusar a inicialização com RPC de outro cluster (ex.: perfil localnet com RPC de mainnet)
+     */
+    verifyCluster() {
+        if (!this.genesisHash) {
+            this.logger.warn(`⚠️ Perfil ${config.CLUSTER} sem genesisHash: cluster dos RPCs não verificado`);
+            return;
+        }
+
+        const mismatched = this.endpoints.filter(endpoint => endpoint.wrongCluster);
+        if (mismatched.length > 0) {
+            throw new Error(`RPC fora do cluster ${config.CLUSTER}: ${mismatched.map(endpoint => endpoint.name).join(', ')}`);
+        }
+
+        if (!this.primary.clusterVerified) {
+            throw new Error(`Não foi possível confirmar o cluster do RPC primário ${this.primary.name}`);
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Proxy sobre a Connection do primário (instanceof e propriedades continuam valendo)
+     */
+    createRoutingConnection() {
+        const target = this.primary.connection;
+
+        return new Proxy(target, {
+            get: (connection, property) => {
+                const value = connection[property];
+
+                if (typeof value !== 'function') {
+                    return value;
+                }
+
+                if (typeof property !== 'string' || property.startsWith('_') || SUBSCRIPTION_METHOD.test(property)) {
+                    return value.bind(connection);
+                }
+
+                return (...args) => this.call(property, args);
+            }
+        });
+    }
+
+    async call(method, args) {
+        const isSend = SEND_METHODS.has(method);
+        const endpoint = isSend ? this.getSendEndpoint() : this.getReadEndpoint();
+
+        try {
+            return await this.invoke(endpoint, method, args);
+        } catch (error) {
+            // Envio não é repetido aqui: quem envia decide (rebroadcast do TransactionSender)
+            if (isSend || !this.isEndpointError(error)) {
+                throw error;
+            }
+
+            const fallback = this.rankEndpoints().find(candidate => candidate !== endpoint);
+            if (!fallback) {
+                throw error;
+            }
+
+            this.logger.warn(`↪️ ${method} falhou em ${endpoint.name}, repetindo em ${fallback.name}`);
+            return await this.invoke(fallback, method, args);
+        }
+    }
+
+    async invoke(endpoint, method, args) {
+        try {
+            const result = await endpoint.connection[method](...args);
+            this.recordResult(endpoint, true);
+            return result;
+        } catch (error) {
+            if (this.isEndpointError(error)) {
+                this.recordResult(endpoint, false, error.message);
+            }
+            throw error;
+        }
+    }
+
+    isEndpointError(error) {
+        return ENDPOINT_ERROR.test(error?.message || String(error));
+    }
+
+    recordResult(endpoint, success, errorMessage = null) {
+        endpoint.results.push(success);
+        if (endpoint.results.length > RESULTS_WINDOW) {
+            endpoint.results.shift();
+        }
+
+        if (!success) {
+            endpoint.lastError = { message: errorMessage, at: new Date() };
+        }
+    }
+
+    // ========== SAÚDE ==========
+
+    /**
+     * getSlot em todos os endpoints: latência, disponibilidade e atraso em relação ao mais adiantado
+     */
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(endpoint => this.checkEndpoint(endpoint)));
+
+        const highestSlot = Math.max(...this.endpoints.map(endpoint => endpoint.slot || 0));
+
+        for (const endpoint of this.endpoints) {
+            endpoint.slotLag = endpoint.slot === null ? null : highestSlot - endpoint.slot;
+
+            const healthy = this.isHealthy(endpoint);
+            if (healthy !== endpoint.healthy) {
+                if (healthy) {
+                    this.logger.info(`✅ RPC ${endpoint.name} voltou a responder`);
+                } else {
+                    this.logger.warn(`⚠️ RPC ${endpoint.name} marcado como indisponível`);
+                }
+            }
+            endpoint.healthy = healthy;
+        }
+
+        this.updateSendFailover();
+    }
+
+    async checkEndpoint(endpoint) {
+        let timeout;
+
+        try {
+            const timedOut = new Promise((_, reject) => {
+                timeout = setTimeout(() => reject(new Error('Health check timed out')), HEALTH_CHECK_TIMEOUT);
+            });
+
+            if (!endpoint.clusterVerified) {
+                const genesisHash = await Promise.race([endpoint.connection.getGenesisHash(), timedOut]);
+                if (genesisHash !== this.genesisHash) {
+                    if (!endpoint.wrongCluster) {
+                        this.logger.error(`🚫 RPC ${endpoint.name} é de outro cluster (genesis ${genesisHash}); fora do pool`);
+                    }
+                    endpoint.wrongCluster = genesisHash;
+                    return;
+                }
+                endpoint.clusterVerified = true;
+            }
+
+            const startedAt = Date.now();
+            const slot = await Promise.race([endpoint.connection.getSlot('confirmed'), timedOut]);
+
+            const latency = Date.now() - startedAt;
+            endpoint.latency = endpoint.latency === null
+                ? latency
+                : Math.round(endpoint.latency * (1 - LATENCY_SMOOTHING) + latency * LATENCY_SMOOTHING);
+            endpoint.slot = slot;
+            this.recordResult(endpoint, true);
+
+        } catch (error) {
+            this.recordResult(endpoint, false, error.message);
+        } finally {
+            clearTimeout(timeout);
+            endpoint.lastCheckAt = new Date();
+        }
+    }
+
+    getErrorRate(endpoint) {
+        if (endpoint.results.length === 0) return 0;
+        return endpoint.results.filter(success => !success).length / endpoint.results.length;
+    }
+
+    isHealthy(endpoint) {
+        if (endpoint.wrongCluster || !endpoint.clusterVerified) {
+            return false;
+        }
+        // Última verificação falhou: fora até a próxima responder
+        if (endpoint.results.length > 0 && endpoint.results[endpoint.results.length - 1] === false) {
+            return false;
+        }
+        if (this.getErrorRate(endpoint) >= MAX_ERROR_RATE) {
+            return false;
+        }
+        return endpoint.slotLag === null || endpoint.slotLag <= MAX_SLOT_LAG;
+    }
+
+    /**
+     * Menor é melhor: latência com penalidade por erros e atraso de slot
+     */
+    getScore(endpoint) {
+        const latency = endpoint.latency === null ? 1000 : endpoint.latency;
+        return latency + this.getErrorRate(endpoint) * 1000 + (endpoint.slotLag || 0) * 20;
+    }
+
+    rankEndpoints() {
+        return this.endpoints.filter(endpoint => !endpoint.wrongCluster).sort((a, b) => {
+            if (a.healthy !== b.healthy) {
+                return a.healthy ? -1 : 1;
+            }
+            return this.getScore(a) - this.getScore(b);
+        });
+    }
+
+    getReadEndpoint() {
+        return this.rankEndpoints()[0] || this.primary;
+    }
+
+    getSendEndpoint() {
+        return this.primary.healthy ? this.primary : this.rankEndpoints()[0] || this.primary;
+    }
+
+    updateSendFailover() {
+        const failover = this.getSendEndpoint() !== this.primary;
+
+        if (failover && !this.sendFailover) {
+            this.logger.warn(`🔀 Envios redirecionados para ${this.getSendEndpoint().name} (primário indisponível)`);
+        } else if (!failover && this.sendFailover) {
+            this.logger.info(`🔀 Envios de volta ao primário ${this.primary.name}`);
+        }
+
+        this.sendFailover = failover;
+    }
+
+    // Só o host: URLs de provedores costumam carregar a API key
+    getEndpointName(url) {
+        try {
+            return new URL(url).host;
+        } catch (error) {
+            return 'rpc-invalido';
+        }
+    }
+
+    /**
+     * Estado do pool para o painel admin
+     */
+    getStatus() {
+        return {
+            cluster: config.CLUSTER,
+            readEndpoint: this.getReadEndpoint().name,
+            sendEndpoint: this.getSendEndpoint().name,
+            sendFailover: this.sendFailover,
+            endpoints: this.endpoints.map(endpoint => ({
+                name: endpoint.name,
+                primary: endpoint.primary,
+                healthy: endpoint.healthy,
+                latency: endpoint.latency,
+                errorRate: this.getErrorRate(endpoint),
+                slot: endpoint.slot,
+                slotLag: endpoint.slotLag,
+                lastError: endpoint.lastError,
+                lastCheckAt: endpoint.lastCheckAt,
+                wrongCluster: endpoint.wrongCluster
+            }))
+        };
+    }
+}
+
+const connectionManager = new ConnectionManager(config.RPC_ENDPOINTS, config.GENESIS_HASH);
+
+module.exports = connectionManager;
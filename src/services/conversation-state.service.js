@@ -0,0 +1,256 @@
+// src/services/conversation-state.service.js
+const crypto = require('crypto');
+const Logger = require('../utils/logger');
+
+// Campos que nunca podem ir para o banco em texto puro
+const SECRET_FIELDS = ['seedPhrase', 'firstPin', 'pin', 'privateKey', 'oldPin', 'newPin'];
+
+// TTL por estado (ms). Estados com segredos expiram mais rápido
+const STATE_TTLS = {
+    waiting_pin_for_creation: 10 * 60 * 1000,
+    waiting_pin_confirmation: 5 * 60 * 1000,
+    waiting_wallet_name: 5 * 60 * 1000,
+    waiting_seed_for_import: 10 * 60 * 1000,
+    waiting_pin_after_seed: 5 * 60 * 1000,
+    waiting_pin_confirmation_after_seed: 5 * 60 * 1000,
+    waiting_private_key_for_import: 10 * 60 * 1000,
+    waiting_pin_after_private_key: 5 * 60 * 1000,
+    waiting_pin_confirmation_after_key: 5 * 60 * 1000,
+    waiting_pin_for_import: 5 * 60 * 1000,
+    waiting_pin_for_seed: 5 * 60 * 1000,
+    waiting_old_pin: 5 * 60 * 1000,
+    waiting_new_pin: 5 * 60 * 1000,
+    waiting_new_pin_confirmation: 5 * 60 * 1000,
+    waiting_delete_confirmation: 5 * 60 * 1000,
+    waiting_pin_for_delete: 5 * 60 * 1000,
+    waiting_recipient_address: 10 * 60 * 1000,
+    waiting_send_amount: 10 * 60 * 1000,
+    waiting_pin_for_send: 5 * 60 * 1000,
+    waiting_pin_for_close_accounts: 5 * 60 * 1000,
+    waiting_pin_for_unlock: 5 * 60 * 1000,
+    waiting_spending_limit: 10 * 60 * 1000,
+    waiting_trusted_address: 10 * 60 * 1000,
+    waiting_pin_for_security_change: 5 * 60 * 1000,
+    waiting_pin_for_matrix: 5 * 60 * 1000,
+    waiting_pin_for_airdrop_claim: 5 * 60 * 1000,
+    waiting_voucher_slug: 30 * 60 * 1000,
+    waiting_broadcast_message: 15 * 60 * 1000
+};
+
+const DEFAULT_TTL = 10 * 60 * 1000;
+
+class ConversationStateService {
+    constructor(db) {
+        this.db = db;
+        this.logger = new Logger('ConversationStateService');
+
+        // Cache em memória: leituras continuam síncronas para os handlers
+        this.cache = new Map();
+
+        // Fila de escrita para manter a ordem set/clear no SQLite
+        this.writeQueue = Promise.resolve();
+
+        this.key = this.loadKey();
+    }
+
+    /**
+     * Carregar chave de criptografia dos segredos
+     */
+    loadKey() {
+        const secret = process.env.STATE_ENCRYPTION_KEY;
+
+        if (!secret) {
+            // Sem chave fixa, segredos pendentes não sobrevivem a um restart
+            this.logger.warn('STATE_ENCRYPTION_KEY não configurada - usando chave temporária');
+            return crypto.randomBytes(32);
+        }
+
+        return crypto.createHash('sha256').update(secret).digest();
+    }
+
+    /**
+     * Carregar estados válidos do banco para o cache
+     */
+    async init() {
+        await this.db.run(`DELETE FROM conversation_states WHERE expires_at <= ?`, [Date.now()]);
+
+        const rows = await this.db.all(`SELECT * FROM conversation_states`);
+
+        let restored = 0;
+        for (const row of rows) {
+            const value = this.deserialize(row);
+            if (!value) {
+                // Segredos ilegíveis (chave trocada): o fluxo não tem como continuar
+                this.enqueue(`DELETE FROM conversation_states WHERE telegram_id = ? AND scope = ?`,
+                    [row.telegram_id, row.scope]);
+                continue;
+            }
+
+            this.cache.set(this.cacheKey(row.telegram_id, row.scope), {
+                value,
+                expiresAt: row.expires_at
+            });
+            restored++;
+        }
+
+        console.log(`💾 ${restored} estado(s) de conversa restaurado(s)`);
+        return restored;
+    }
+
+    /**
+     * Obter estado (síncrono, a partir do cache)
+     */
+    get(telegramId, scope = 'flow') {
+        const key = this.cacheKey(telegramId, scope);
+        const entry = this.cache.get(key);
+
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.clear(telegramId, scope);
+            return null;
+        }
+
+        return entry.value;
+    }
+
+    /**
+     * Salvar estado no cache e persistir em background
+     */
+    set(telegramId, value, scope = 'flow') {
+        const id = telegramId.toString();
+        const ttl = this.getTTL(value, scope);
+        const expiresAt = Date.now() + ttl;
+
+        this.cache.set(this.cacheKey(id, scope), { value, expiresAt });
+
+        const { data, secrets } = this.serialize(value);
+        this.enqueue(`
+            INSERT INTO conversation_states (telegram_id, scope, data, secrets, expires_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(telegram_id, scope) DO UPDATE SET
+                data = excluded.data,
+                secrets = excluded.secrets,
+                expires_at = excluded.expires_at,
+                updated_at = CURRENT_TIMESTAMP
+        `, [id, scope, data, secrets, expiresAt]);
+    }
+
+    /**
+     * Remover estado
+     */
+    clear(telegramId, scope = 'flow') {
+        const id = telegramId.toString();
+        this.cache.delete(this.cacheKey(id, scope));
+        this.enqueue(`DELETE FROM conversation_states WHERE telegram_id = ? AND scope = ?`, [id, scope]);
+    }
+
+    /**
+     * Remover estados expirados do cache e do banco
+     */
+    cleanupExpired() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const [key, entry] of this.cache.entries()) {
+            if (entry.expiresAt <= now) {
+                this.cache.delete(key);
+                removed++;
+            }
+        }
+
+        this.enqueue(`DELETE FROM conversation_states WHERE expires_at <= ?`, [now]);
+        return removed;
+    }
+
+    /**
+     * Aguardar escritas pendentes (usado no shutdown)
+     */
+    flush() {
+        return this.writeQueue;
+    }
+
+    getTTL(value, scope) {
+        if (scope === 'flow' && value?.action && STATE_TTLS[value.action]) {
+            return STATE_TTLS[value.action];
+        }
+        return DEFAULT_TTL;
+    }
+
+    cacheKey(telegramId, scope) {
+        return `${scope}:${telegramId}`;
+    }
+
+    enqueue(sql, params) {
+        this.writeQueue = this.writeQueue
+            .then(() => this.db.run(sql, params))
+            .catch((error) => {
+                this.logger.error('Erro ao persistir estado de conversa', { error: error.message });
+            });
+    }
+
+    /**
+     * Separar segredos do restante e criptografá-los
+     */
+    serialize(value) {
+        const plain = {};
+        const secret = {};
+
+        for (const [field, fieldValue] of Object.entries(value || {})) {
+            if (SECRET_FIELDS.includes(field)) {
+                secret[field] = fieldValue;
+            } else {
+                plain[field] = fieldValue;
+            }
+        }
+
+        return {
+            data: JSON.stringify(plain),
+            secrets: Object.keys(secret).length > 0 ? this.encrypt(JSON.stringify(secret)) : null
+        };
+    }
+
+    deserialize(row) {
+        try {
+            const value = JSON.parse(row.data);
+
+            if (row.secrets) {
+                Object.assign(value, JSON.parse(this.decrypt(row.secrets)));
+            }
+
+            return value;
+        } catch (error) {
+            this.logger.warn('Estado de conversa descartado', {
+                telegramId: row.telegram_id,
+                scope: row.scope,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    encrypt(text) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+        return JSON.stringify({
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            encrypted: encrypted.toString('hex')
+        });
+    }
+
+    decrypt(payload) {
+        const { iv, tag, encrypted } = JSON.parse(payload);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(iv, 'hex'));
+        decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+        return Buffer.concat([
+            decipher.update(Buffer.from(encrypted, 'hex')),
+            decipher.final()
+        ]).toString('utf8');
+    }
+}
+
+module.exports = ConversationStateService;
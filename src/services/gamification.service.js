@@ -22,14 +22,23 @@ class GamificationService {
         this.followUpTimers = new Map();
     }
 
-    async initializeUserTasks(telegramId) {
+    /**
+     * Criar as tarefas iniciais. Com executor, entra na transação de quem chamou
+     */
+    async initializeUserTasks(telegramId, executor = null) {
         try {
             const queries = this.TASK_TYPES.map(taskType => ({
                 sql: `INSERT INTO tasks (telegram_id, task_type, status) VALUES (?, ?, ?)`,
                 params: [telegramId, taskType, 'pending']
             }));
 
-            await this.db.transaction(queries);
+            if (executor) {
+                for (const { sql, params } of queries) {
+                    await executor.run(sql, params);
+                }
+            } else {
+                await this.db.transaction(queries);
+            }
             
             logger.info('User tasks initialized', { telegramId, taskCount: this.TASK_TYPES.length });
 
@@ -121,6 +130,29 @@ class GamificationService {
         }
     }
 
+    // Conclusão manual pelo admin: aceita tarefas pendentes ou em progresso
+    async forceCompleteTask(telegramId, taskType) {
+        try {
+            const result = await this.db.run(`
+                UPDATE tasks
+                SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+                WHERE telegram_id = ? AND task_type = ? AND status != 'completed'
+            `, [telegramId, taskType]);
+
+            if (result.changes > 0) {
+                logger.info('Task force-completed', { telegramId, taskType });
+                this.cancelFollowUpTimer(telegramId, taskType);
+                return true;
+            }
+
+            return false;
+
+        } catch (error) {
+            logger.error('Error force-completing task', { telegramId, taskType, error: error.message });
+            throw error;
+        }
+    }
+
     async updateTaskData(telegramId, taskType, newData) {
         try {
             const task = await this.db.get(`
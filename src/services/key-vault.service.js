@@ -0,0 +1,287 @@
+// src/services/key-vault.service.js
+const crypto = require('crypto');
+const Logger = require('../utils/logger');
+const encryptionManager = require('../utils/encryption');
+const { loadMasterKeyProvider } = require('../utils/master-key');
+
+// Colunas de wallets seladas pela data key (por cima da criptografia por PIN)
+const SEALED_FIELDS = ['encrypted_seed', 'encrypted_private_key'];
+const UNSEALED_VALUES = new Set(['NO_SEED_PHRASE']);
+
+const CANARY_NAME = 'wallet_key_canary';
+const CANARY_PLAINTEXT = 'donut-wallet-key-canary';
+
+const MAX_ROTATION_PASSES = 3;
+
+/**
+ * Segunda camada dos segredos das wallets: cada valor é selado com uma data key,
+ * e as data keys ficam no banco cifradas pela master key (arquivo ou KMS local)
+ */
+class KeyVaultService {
+    constructor(db) {
+        this.db = db;
+        this.logger = new Logger('KeyVault');
+        this.provider = null;
+        this.dataKeys = new Map();   // key_id -> data key em claro
+    }
+
+    /**
+     * Carrega a master key, cria a primeira data key, confere o canário
+     * e sela as wallets que ainda não passaram por esta camada
+     */
+    async init() {
+        this.provider = loadMasterKeyProvider();
+
+        if (!await this.getActiveKeyId()) {
+            const sealed = await this.db.get(`SELECT COUNT(*) as count FROM wallets WHERE data_key_id IS NOT NULL`);
+            if (sealed.count > 0 || await this.getCanary()) {
+                throw new Error('Nenhuma data key ativa, mas o banco já tem dados selados');
+            }
+
+            const keyId = await this.createDataKey(this.db);
+            await this.writeCanary(this.db, keyId);
+            this.logger.info(`🔑 Data key ${keyId} criada (master key ${this.provider.activeKeyId})`);
+        }
+
+        await this.verifyCanary();
+        await this.sealPendingWallets();
+    }
+
+    // ========== DATA KEYS ==========
+
+    async getActiveKeyId() {
+        const row = await this.db.get(`
+            SELECT key_id FROM wallet_data_keys
+            WHERE status = 'active'
+            ORDER BY created_at DESC LIMIT 1
+        `);
+        return row ? row.key_id : null;
+    }
+
+    async createDataKey(executor) {
+        const dataKey = crypto.randomBytes(32);
+        const { masterKeyId, wrapped } = await this.provider.wrapKey(dataKey);
+        const keyId = `dk-${crypto.randomBytes(8).toString('hex')}`;
+
+        await executor.run(`
+            INSERT INTO wallet_data_keys (key_id, master_key_id, wrapped_key, status)
+            VALUES (?, ?, ?, 'active')
+        `, [keyId, masterKeyId, wrapped]);
+
+        this.dataKeys.set(keyId, dataKey);
+        return keyId;
+    }
+
+    async getDataKey(keyId) {
+        if (this.dataKeys.has(keyId)) {
+            return this.dataKeys.get(keyId);
+        }
+
+        const row = await this.db.get(`SELECT master_key_id, wrapped_key FROM wallet_data_keys WHERE key_id = ?`, [keyId]);
+        if (!row) {
+            throw new Error(`Data key ${keyId} não encontrada`);
+        }
+
+        const dataKey = await this.provider.unwrapKey(row.master_key_id, row.wrapped_key);
+        this.dataKeys.set(keyId, dataKey);
+        return dataKey;
+    }
+
+    // ========== SELAR / ABRIR ==========
+
+    async sealValue(value, keyId, aad) {
+        const sealed = encryptionManager.encryptWithKey(value, await this.getDataKey(keyId), aad);
+        return JSON.stringify(sealed);
+    }
+
+    async openValue(value, keyId, aad) {
+        const plaintext = encryptionManager.decryptWithKey(JSON.parse(value), await this.getDataKey(keyId), aad);
+        return plaintext.toString('utf8');
+    }
+
+    // O contexto prende o valor à wallet e à coluna: trocar linhas de lugar não abre nada
+    getContext(publicKey, field) {
+        return `${publicKey}:${field}`;
+    }
+
+    /**
+     * Selar as colunas da wallet com a data key ativa (ou a indicada)
+     * @returns {Promise<object>} - Colunas seladas + data_key_id
+     */
+    async seal(publicKey, values, keyId = null) {
+        // Sempre do banco: a rotação pode ter rodado em outro processo
+        const dataKeyId = keyId || await this.getActiveKeyId();
+        const sealed = { data_key_id: dataKeyId };
+
+        for (const field of SEALED_FIELDS) {
+            const value = values[field];
+            sealed[field] = UNSEALED_VALUES.has(value)
+                ? value
+                : await this.sealValue(value, dataKeyId, this.getContext(publicKey, field));
+        }
+
+        return sealed;
+    }
+
+    /**
+     * Linha de wallets com as colunas de volta ao envelope do PIN
+     */
+    async open(wallet) {
+        if (!wallet || !wallet.data_key_id) {
+            return wallet;
+        }
+
+        const opened = { ...wallet };
+        for (const field of SEALED_FIELDS) {
+            if (!UNSEALED_VALUES.has(wallet[field])) {
+                opened[field] = await this.openValue(wallet[field], wallet.data_key_id, this.getContext(wallet.public_key, field));
+            }
+        }
+
+        return opened;
+    }
+
+    /**
+     * Wallets sem data_key_id (anteriores a esta camada ou criadas antes da inicialização)
+     */
+    async sealPendingWallets() {
+        const pending = await this.db.all(`
+            SELECT id, public_key, encrypted_seed, encrypted_private_key
+            FROM wallets WHERE data_key_id IS NULL
+        `);
+
+        let sealedCount = 0;
+        for (const wallet of pending) {
+            const sealed = await this.seal(wallet.public_key, wallet);
+            const result = await this.db.run(`
+                UPDATE wallets SET encrypted_seed = ?, encrypted_private_key = ?, data_key_id = ?
+                WHERE id = ? AND data_key_id IS NULL
+            `, [sealed.encrypted_seed, sealed.encrypted_private_key, sealed.data_key_id, wallet.id]);
+            sealedCount += result.changes;
+        }
+
+        if (sealedCount > 0) {
+            this.logger.info(`🔐 ${sealedCount} wallet(s) seladas com a data key`);
+        }
+        return sealedCount;
+    }
+
+    // ========== CANÁRIO ==========
+
+    async getCanary() {
+        const row = await this.db.get(`SELECT value FROM bot_metadata WHERE name = ?`, [CANARY_NAME]);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    async writeCanary(executor, keyId) {
+        const canary = {
+            keyId,
+            sealed: await this.sealValue(CANARY_PLAINTEXT, keyId, CANARY_NAME)
+        };
+
+        await executor.run(`
+            INSERT INTO bot_metadata (name, value) VALUES (?, ?)
+            ON CONFLICT(name) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+        `, [CANARY_NAME, JSON.stringify(canary)]);
+    }
+
+    /**
+     * Master key errada (ou banco de outra instalação) falha aqui, antes de qualquer usuário
+     */
+    async verifyCanary() {
+        const canary = await this.getCanary();
+        if (!canary) {
+            throw new Error('Canário da master key ausente em bot_metadata');
+        }
+
+        let plaintext;
+        try {
+            plaintext = await this.openValue(canary.sealed, canary.keyId, CANARY_NAME);
+        } catch (error) {
+            throw new Error(`Master key não abre o canário (data key ${canary.keyId}): ${error.message}`);
+        }
+
+        if (plaintext !== CANARY_PLAINTEXT) {
+            throw new Error('Canário da master key com conteúdo inesperado');
+        }
+    }
+
+    // ========== ROTAÇÃO ==========
+
+    /**
+     * Nova data key (cifrada pela master key ativa) e re-selagem de todas as linhas.
+     * Só a camada externa muda: os envelopes do PIN são copiados como estão
+     * @returns {Promise<object>} - { keyId, rewrapped, failed, removedKeys }
+     */
+    async rotate() {
+        let keyId;
+        await this.db.transaction(async (tx) => {
+            keyId = await this.createDataKey(tx);
+            await tx.run(`
+                UPDATE wallet_data_keys SET status = 'retired', retired_at = CURRENT_TIMESTAMP
+                WHERE status = 'active' AND key_id != ?
+            `, [keyId]);
+            await this.writeCanary(tx, keyId);
+        });
+
+        this.logger.info(`🔑 Data key ${keyId} ativa (master key ${this.provider.activeKeyId})`);
+
+        let rewrapped = 0;
+        const failed = new Map();
+
+        // Linhas alteradas durante a passada (troca de PIN, upgrade) voltam na seguinte
+        for (let pass = 0; pass < MAX_ROTATION_PASSES; pass++) {
+            const rows = await this.db.all(`
+                SELECT id, public_key, encrypted_seed, encrypted_private_key, data_key_id
+                FROM wallets WHERE data_key_id IS NULL OR data_key_id != ?
+            `, [keyId]);
+
+            const pending = rows.filter(row => !failed.has(row.id));
+            if (pending.length === 0) break;
+
+            for (const row of pending) {
+                try {
+                    const sealed = await this.seal(row.public_key, await this.open(row), keyId);
+                    const result = await this.db.run(`
+                        UPDATE wallets SET encrypted_seed = ?, encrypted_private_key = ?, data_key_id = ?
+                        WHERE id = ? AND encrypted_seed = ? AND encrypted_private_key = ?
+                    `, [sealed.encrypted_seed, sealed.encrypted_private_key, keyId, row.id, row.encrypted_seed, row.encrypted_private_key]);
+                    rewrapped += result.changes;
+                } catch (error) {
+                    failed.set(row.id, error.message);
+                    this.logger.error(`❌ Wallet ${row.id} não re-selada: ${error.message}`);
+                }
+            }
+        }
+
+        // Data keys aposentadas sem nenhuma linha apontando para elas
+        const removed = await this.db.run(`
+            DELETE FROM wallet_data_keys
+            WHERE status = 'retired'
+            AND key_id NOT IN (SELECT data_key_id FROM wallets WHERE data_key_id IS NOT NULL)
+        `);
+
+        return {
+            keyId,
+            rewrapped,
+            failed: [...failed.entries()].map(([walletId, error]) => ({ walletId, error })),
+            removedKeys: removed.changes
+        };
+    }
+
+    /**
+     * Data keys e quantas linhas usam cada uma
+     */
+    async getStatus() {
+        return await this.db.all(`
+            SELECT k.key_id, k.master_key_id, k.status, k.created_at, k.retired_at,
+                   COUNT(w.id) as wallets
+            FROM wallet_data_keys k
+            LEFT JOIN wallets w ON w.data_key_id = k.key_id
+            GROUP BY k.key_id, k.master_key_id, k.status, k.created_at, k.retired_at
+            ORDER BY k.created_at DESC
+        `);
+    }
+}
+
+module.exports = KeyVaultService;
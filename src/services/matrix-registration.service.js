@@ -0,0 +1,298 @@
+// src/services/matrix-registration.service.js
+const { PublicKey, Transaction } = require('@solana/web3.js');
+const Logger = require('../utils/logger');
+const { decodeProgramError } = require('../utils/program-errors');
+const { DEFAULT_SPEED } = require('../utils/fee-strategy');
+const config = require('../config/solana-programs.config');
+
+// Ordem dos passos; job.step guarda o último passo confirmado
+const STEPS = ['created', 'atas_created', 'airdrop_registered', 'lut_created', 'lut_extended', 'lut_active', 'registered'];
+
+class MatrixRegistrationService {
+    constructor(db, botAnchorClient) {
+        this.db = db;
+        this.botAnchorClient = botAnchorClient;
+        this.logger = new Logger('MatrixRegistrationService');
+
+        // Wallets com registro em execução neste processo
+        this.running = new Set();
+    }
+
+    /**
+     * Executar (ou retomar) o registro na matriz.
+     * Retorna o mesmo formato de executeRegistrationForBot
+     */
+    async run(telegramId, userKeypair, referrerAddress, amountUSD, speed = DEFAULT_SPEED) {
+        const walletAddress = userKeypair.publicKey.toString();
+
+        if (this.running.has(walletAddress)) {
+            return { success: false, error: 'Já existe um registro em andamento para esta wallet' };
+        }
+
+        this.running.add(walletAddress);
+        let job = null;
+
+        try {
+            await this.botAnchorClient.initialize();
+
+            // Registro já confirmado antes (crash após o envio ou retry duplicado): nunca cobrar de novo
+            if (await this.botAnchorClient.isRegisteredInMatrix(walletAddress)) {
+                job = await this.getLatestJob(walletAddress)
+                    || await this.createJob(telegramId, walletAddress, referrerAddress, amountUSD);
+                return await this.completeFromChain(job, walletAddress);
+            }
+
+            job = await this.getOpenJob(walletAddress)
+                || await this.createJob(telegramId, walletAddress, referrerAddress, amountUSD);
+            const resumed = job.attempts > 0;
+
+            job = await this.updateJob(job.id, { status: 'running', attempts: job.attempts + 1 });
+
+            if (resumed) {
+                this.logger.info(`🔁 Retomando registro ${job.id} a partir de "${job.step}"`);
+            }
+
+            job = await this.runPreparatorySteps(job, userKeypair, speed);
+
+            const referrerAnalysis = await this.botAnchorClient.analyzeReferrerAndPrepareUplines(referrerAddress);
+            job = await this.updateJob(job.id, { referrer_address: referrerAddress, slot_index: referrerAnalysis.slotIndex });
+
+            job = await this.runLookupTableSteps(job, userKeypair, referrerAddress, referrerAnalysis.uplineAccounts, speed);
+
+            let registration;
+            try {
+                registration = await this.botAnchorClient.executeMainRegistrationWithLUT(
+                    userKeypair,
+                    referrerAddress,
+                    amountUSD,
+                    new PublicKey(job.lut_address),
+                    referrerAnalysis.uplineAccounts,
+                    referrerAnalysis.slotIndex,
+                    speed
+                );
+            } catch (error) {
+                // Timeout de confirmação não significa falha: conferir a PDA antes de desistir
+                if (await this.botAnchorClient.isRegisteredInMatrix(walletAddress).catch(() => false)) {
+                    return await this.completeFromChain(job, walletAddress);
+                }
+                throw error;
+            }
+
+            job = await this.updateJob(job.id, {
+                step: 'registered',
+                status: 'completed',
+                registration_signature: registration.signature,
+                amount_sol: registration.amountSol,
+                last_error: null,
+                completed_at: this.now()
+            });
+
+            this.logger.info(`✅ Registro ${job.id} concluído: ${registration.signature}`);
+
+            return this.buildResult(job, { resumed, amountSol: registration.amountSol });
+
+        } catch (error) {
+            this.logger.error('❌ Erro no registro da matriz:', error);
+
+            const programError = decodeProgramError(error, 'matrix');
+            if (job) {
+                await this.updateJob(job.id, {
+                    status: 'failed',
+                    last_error: programError?.label || String(error.message || error).substring(0, 500)
+                });
+            }
+
+            // Resultado desconhecido: a próxima tentativa confere a PDA antes de cobrar de novo
+            if (error.pending) {
+                return {
+                    success: false,
+                    error: 'A rede ainda não confirmou o registro. Aguarde alguns minutos antes de tentar novamente.',
+                    pending: true,
+                    programError: null,
+                    jobId: job?.id || null
+                };
+            }
+
+            return {
+                success: false,
+                error: programError ? programError.explanation : error.message || 'Erro ao registrar na blockchain',
+                programError,
+                jobId: job?.id || null
+            };
+
+        } finally {
+            this.running.delete(walletAddress);
+        }
+    }
+
+    /**
+     * ATAs e registro no airdrop (ambos idempotentes on-chain)
+     */
+    async runPreparatorySteps(job, userKeypair, speed) {
+        if (!this.reached(job, 'atas_created')) {
+            const ataResult = await this.botAnchorClient.createRequiredATAs(userKeypair, speed);
+            job = await this.updateJob(job.id, { step: 'atas_created', ata_signature: ataResult.signature });
+        }
+
+        if (!this.reached(job, 'airdrop_registered')) {
+            const airdropResult = await this.botAnchorClient.registerInAirdropIfNeeded(userKeypair, speed);
+            job = await this.updateJob(job.id, { step: 'airdrop_registered', airdrop_signature: airdropResult.signature });
+        }
+
+        return job;
+    }
+
+    /**
+     * Criar a LUT uma única vez por job e completar só os endereços que faltam
+     */
+    async runLookupTableSteps(job, userKeypair, referrerAddress, uplineAccounts, speed) {
+        const addresses = this.botAnchorClient.collectAllAddressesForLUT(
+            userKeypair.publicKey,
+            referrerAddress,
+            uplineAccounts
+        );
+
+        const reusable = job.lut_address && await this.botAnchorClient.lookupTableExists(job.lut_address);
+
+        if (reusable) {
+            this.logger.info(`♻️ Reutilizando Lookup Table ${job.lut_address}`);
+            if (!this.reached(job, 'lut_created')) {
+                job = await this.updateJob(job.id, { step: 'lut_created' });
+            }
+        } else {
+            const { instruction, lookupTableAddress } = await this.botAnchorClient.buildCreateLookupTable(userKeypair);
+
+            // Endereço salvo antes do envio: se o processo cair aqui, o retry encontra a LUT
+            await this.updateJob(job.id, { lut_address: lookupTableAddress.toString() });
+
+            const signature = await this.botAnchorClient.executeTransaction(
+                new Transaction().add(instruction),
+                userKeypair,
+                'LUT Creation',
+                speed
+            );
+            job = await this.updateJob(job.id, { step: 'lut_created', lut_create_signature: signature });
+        }
+
+        // Uplines podem mudar entre tentativas: sempre conferir o conteúdo da LUT
+        const lookupTableAddress = new PublicKey(job.lut_address);
+        const extendSignatures = await this.botAnchorClient.extendLookupTable(userKeypair, lookupTableAddress, addresses, speed);
+
+        if (extendSignatures.length > 0 || !this.reached(job, 'lut_extended')) {
+            const previous = job.lut_extend_signatures ? JSON.parse(job.lut_extend_signatures) : [];
+            job = await this.updateJob(job.id, {
+                step: 'lut_extended',
+                lut_extend_signatures: JSON.stringify([...previous, ...extendSignatures])
+            });
+        }
+
+        // Endereços recém-incluídos só valem depois do slot do extend, mesmo numa LUT já ativa
+        if (extendSignatures.length > 0 || !this.reached(job, 'lut_active')) {
+            await this.botAnchorClient.waitForLookupTableActivation(lookupTableAddress, addresses);
+            job = await this.updateJob(job.id, { step: 'lut_active' });
+        }
+
+        return job;
+    }
+
+    /**
+     * UserAccount já existe on-chain: fechar o job sem enviar nada
+     */
+    async completeFromChain(job, walletAddress) {
+        if (job.status === 'completed') {
+            return this.buildResult(job, { alreadyRegistered: true });
+        }
+
+        const signature = job.registration_signature
+            || await this.botAnchorClient.findRegistrationSignature(walletAddress);
+
+        job = await this.updateJob(job.id, {
+            step: 'registered',
+            status: 'completed',
+            registration_signature: signature,
+            last_error: null,
+            completed_at: this.now()
+        });
+
+        this.logger.warn(`⚠️ Wallet ${walletAddress} já registrada na matriz; job ${job.id} concluído sem nova cobrança`);
+
+        return this.buildResult(job, { alreadyRegistered: true });
+    }
+
+    buildResult(job, extra = {}) {
+        const preparatoryTransactions = [
+            job.ata_signature && { type: 'ATA_Creation', signature: job.ata_signature },
+            job.airdrop_signature && { type: 'Airdrop_Registration', signature: job.airdrop_signature },
+            job.lut_create_signature && { type: 'LUT_Creation', signature: job.lut_create_signature },
+            ...(job.lut_extend_signatures ? JSON.parse(job.lut_extend_signatures) : [])
+                .map(signature => ({ type: 'LUT_Extension', signature }))
+        ].filter(Boolean);
+
+        return {
+            success: true,
+            jobId: job.id,
+            signature: job.registration_signature,
+            amountSol: job.amount_sol,
+            slotOccupied: job.slot_index,
+            explorerUrl: job.registration_signature ? config.getExplorerUrl(job.registration_signature) : null,
+            preparatoryTransactions,
+            lookupTableAddress: job.lut_address,
+            ...extra
+        };
+    }
+
+    // Mesmo formato do CURRENT_TIMESTAMP
+    now() {
+        return new Date().toISOString().replace('T', ' ').slice(0, 19);
+    }
+
+    reached(job, step) {
+        return STEPS.indexOf(job.step) >= STEPS.indexOf(step);
+    }
+
+    // ========== PERSISTÊNCIA ==========
+
+    async getOpenJob(walletAddress) {
+        return await this.db.get(`
+            SELECT * FROM matrix_registration_jobs
+            WHERE wallet_address = ? AND status != 'completed'
+            ORDER BY id DESC LIMIT 1
+        `, [walletAddress]);
+    }
+
+    async getLatestJob(walletAddress) {
+        return await this.db.get(`
+            SELECT * FROM matrix_registration_jobs
+            WHERE wallet_address = ?
+            ORDER BY id DESC LIMIT 1
+        `, [walletAddress]);
+    }
+
+    async createJob(telegramId, walletAddress, referrerAddress, amountUSD) {
+        const result = await this.db.run(`
+            INSERT INTO matrix_registration_jobs (telegram_id, wallet_address, referrer_address, amount_usd)
+            VALUES (?, ?, ?, ?)
+        `, [telegramId, walletAddress, referrerAddress, amountUSD]);
+
+        return await this.getJob(result.id);
+    }
+
+    async getJob(jobId) {
+        return await this.db.get('SELECT * FROM matrix_registration_jobs WHERE id = ?', [jobId]);
+    }
+
+    async updateJob(jobId, fields) {
+        const columns = Object.keys(fields);
+        const assignments = columns.map(column => `${column} = ?`).join(', ');
+
+        await this.db.run(`
+            UPDATE matrix_registration_jobs
+            SET ${assignments}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [...columns.map(column => fields[column]), jobId]);
+
+        return await this.getJob(jobId);
+    }
+}
+
+module.exports = MatrixRegistrationService;
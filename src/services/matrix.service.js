@@ -1,8 +1,10 @@
 // src/services/matrix.service.js
-const { Keypair, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { Keypair, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const Logger = require('../utils/logger');
 const BotAnchorClientService = require('./bot-anchor-client.service');
+const MatrixRegistrationService = require('./matrix-registration.service');
 const config = require('../config/solana-programs.config');
+const { DEFAULT_SPEED } = require('../utils/fee-strategy');
 
 class MatrixService {
     constructor(db, walletService, solanaService, gamificationService, priceService) {
@@ -12,6 +14,7 @@ class MatrixService {
         this.gamificationService = gamificationService;
         this.priceService = priceService;
         this.botAnchorClient = new BotAnchorClientService();
+        this.registrationJobs = new MatrixRegistrationService(db, this.botAnchorClient);
         this.logger = new Logger('MatrixService');
         
         // Cache de verificações
@@ -21,8 +24,9 @@ class MatrixService {
 
     /**
      * Criar matriz para o usuário
+     * @param {object|null} sessionKeypair - Resultado de getSessionKeypair (dispensa o PIN)
      */
-    async createMatrix(telegramId, pin) {
+    async createMatrix(telegramId, pin, speed = DEFAULT_SPEED, sessionKeypair = null) {
         try {
             this.logger.info(`Iniciando criação de matriz para usuário ${telegramId}`);
 
@@ -36,7 +40,7 @@ class MatrixService {
             }
 
             // 2. Obter wallet e verificar PIN (ÚNICA VEZ)
-            const keypairResult = await this.walletService.getKeypair(telegramId, pin);
+            const keypairResult = sessionKeypair || await this.walletService.getKeypair(telegramId, pin);
             if (!keypairResult.success) {
                 return {
                     success: false,
@@ -47,6 +51,9 @@ class MatrixService {
             const userKeypair = keypairResult.keypair;
             const userWallet = userKeypair.publicKey.toString();
 
+            // Já registrado on-chain (tentativa anterior interrompida): só sincronizar, sem checar saldo
+            const alreadyRegistered = await this.botAnchorClient.isRegisteredInMatrix(userWallet).catch(() => false);
+
             // 3. Verificar saldo USANDO PRICESERVICE
             const balance = await this.solanaService.getBalance(userWallet);
             const solBalance = this.solanaService.lamportsToSol(balance);
@@ -67,7 +74,7 @@ class MatrixService {
                 sufficient: usdValue >= requiredUSD
             });
             
-            if (usdValue < requiredUSD) {
+            if (!alreadyRegistered && usdValue < requiredUSD) {
                 const neededUSD = requiredUSD - usdValue;
                 const neededSOL = neededUSD / solPrice;
                 
@@ -99,16 +106,27 @@ class MatrixService {
             const slotIndex = slotInfo.availableSlot || 0;
             this.logger.info(`Usuário ocupará slot ${slotIndex} do referenciador`);
 
-            // 6. Salvar estado inicial no banco
-            await this.db.run(`
-                INSERT INTO user_matrices (
-                    telegram_id, 
-                    wallet_address, 
-                    referrer_address,
-                    slot_in_referrer,
-                    status
-                ) VALUES (?, ?, ?, ?, 'processing')
-            `, [telegramId, userWallet, referrer, slotIndex]);
+            // 6. Salvar estado inicial no banco (retry reaproveita a linha da tentativa anterior)
+            if (existingMatrix && existingMatrix.wallet_address === userWallet) {
+                await this.db.run(`
+                    UPDATE user_matrices
+                    SET referrer_address = ?,
+                        slot_in_referrer = ?,
+                        status = 'processing',
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [referrer, slotIndex, existingMatrix.id]);
+            } else {
+                await this.db.run(`
+                    INSERT INTO user_matrices (
+                        telegram_id, 
+                        wallet_address, 
+                        referrer_address,
+                        slot_in_referrer,
+                        status
+                    ) VALUES (?, ?, ?, ?, 'processing')
+                `, [telegramId, userWallet, referrer, slotIndex]);
+            }
 
             // 7. Calcular quantidade de SOL necessária baseado no preço atual
             const solAmount = requiredUSD / solPrice;
@@ -119,11 +137,13 @@ class MatrixService {
                 solAmount: solAmount.toFixed(4)
             });
 
-            // 8. Executar registro na blockchain usando BotAnchorClientService
-            const registrationResult = await this.botAnchorClient.executeRegistrationForBot(
+            // 8. Executar registro na blockchain (job retomável: continua do último passo confirmado)
+            const registrationResult = await this.registrationJobs.run(
+                telegramId,
                 userKeypair,
                 referrer,
-                requiredUSD
+                requiredUSD,
+                speed
             );
 
             if (!registrationResult.success) {
@@ -135,9 +155,25 @@ class MatrixService {
                     WHERE telegram_id = ? AND wallet_address = ?
                 `, [telegramId, userWallet]);
 
+                // Código decodificado (ex: "6020 SwapFailed") ou a mensagem crua
+                await this.saveFailedMatrixTransaction(
+                    telegramId,
+                    userWallet,
+                    solAmount,
+                    requiredUSD,
+                    slotIndex,
+                    referrer,
+                    registrationResult.programError?.label || registrationResult.error
+                );
+
+                if (registrationResult.programError?.action === 'refund') {
+                    this.logger.error(`REEMBOLSO NECESSÁRIO: depósito não alocado para ${telegramId} (${userWallet})`);
+                }
+
                 return {
                     success: false,
-                    error: registrationResult.error || 'Erro ao registrar na blockchain'
+                    error: registrationResult.error || 'Erro ao registrar na blockchain',
+                    programError: registrationResult.programError || null
                 };
             }
 
@@ -216,6 +252,40 @@ class MatrixService {
         }
     }
 
+    /**
+     * Simular o registro antes de pedir o PIN (reaproveita a LUT de um job em aberto)
+     */
+    async simulateRegistration(telegramId, speed = DEFAULT_SPEED) {
+        try {
+            const wallet = await this.walletService.getActiveWallet(telegramId);
+            if (!wallet) {
+                return { success: false, error: 'Wallet não encontrada' };
+            }
+
+            // Registro já confirmado on-chain: createMatrix só fecha o job, nada a simular
+            await this.botAnchorClient.initialize();
+            if (await this.botAnchorClient.isRegisteredInMatrix(wallet.public_key)) {
+                return { success: true, alreadyRegistered: true };
+            }
+
+            const referrer = await this.getReferrerAddress(telegramId);
+            const amountUSD = config.MATRIX_VALUES.getRegistrationAmountWithBuffer();
+            const openJob = await this.registrationJobs.getOpenJob(wallet.public_key);
+
+            return await this.botAnchorClient.simulateRegistration(
+                new PublicKey(wallet.public_key),
+                referrer,
+                amountUSD,
+                openJob?.lut_address || null,
+                speed
+            );
+
+        } catch (error) {
+            this.logger.error('Erro ao simular registro da matriz:', error);
+            return { success: false, error: 'Não foi possível simular o registro. Tente novamente.' };
+        }
+    }
+
     /**
      * Obter endereço do referenciador
      */
@@ -359,6 +429,30 @@ class MatrixService {
         }
     }
 
+    /**
+     * Salvar tentativa de registro que falhou na blockchain
+     */
+    async saveFailedMatrixTransaction(telegramId, wallet, amountSol, amountUsd, slotIndex, referrer, errorMessage) {
+        try {
+            await this.db.run(`
+                INSERT INTO matrix_transactions (
+                    telegram_id,
+                    wallet_address,
+                    transaction_type,
+                    amount_sol,
+                    amount_usd,
+                    slot_index,
+                    referrer_address,
+                    status,
+                    error_message
+                ) VALUES (?, ?, 'registration', ?, ?, ?, ?, 'failed', ?)
+            `, [telegramId, wallet, amountSol, amountUsd, slotIndex, referrer, String(errorMessage || '').substring(0, 500)]);
+
+        } catch (error) {
+            this.logger.error('Erro ao salvar transação com falha:', error);
+        }
+    }
+
     /**
      * Atualizar tracking de referência
      */
@@ -0,0 +1,217 @@
+// src/services/pin-guard.service.js
+const Logger = require('../utils/logger');
+const encryptionManager = require('../utils/encryption');
+
+// A cada ATTEMPTS_PER_LOCKOUT erros seguidos o PIN fica bloqueado pelo próximo período da escala
+const ATTEMPTS_PER_LOCKOUT = 3;
+const LOCKOUT_DURATIONS = [
+    60 * 1000,              // 1 min
+    15 * 60 * 1000,         // 15 min
+    24 * 60 * 60 * 1000     // 24 h (repete daqui em diante)
+];
+
+// Erros seguidos que travam a exportação da seed até liberação pelo suporte
+const SEED_EXPORT_LOCK_AFTER = parseInt(process.env.PIN_SEED_LOCK_AFTER) || 9;
+
+/**
+ * Proteção contra força bruta do PIN, persistida por wallet.
+ * Toda verificação de PIN da wallet passa por verify()
+ */
+class PinGuardService {
+    constructor(db) {
+        this.db = db;
+        this.logger = new Logger('PinGuard');
+
+        // (telegramId, mensagem Markdown) => Promise; definido pelo bot
+        this.notifier = null;
+
+        // Wallets com verificação em andamento: PINs simultâneos não correm em paralelo
+        this.verifying = new Set();
+    }
+
+    setNotifier(notifier) {
+        this.notifier = notifier;
+    }
+
+    async getState(walletId) {
+        const state = await this.db.get('SELECT * FROM pin_attempts WHERE wallet_id = ?', [walletId]);
+
+        return state || {
+            wallet_id: walletId,
+            failed_attempts: 0,
+            lockout_level: 0,
+            locked_until: null,
+            seed_export_locked: 0
+        };
+    }
+
+    /**
+     * Verificar o PIN respeitando o bloqueio
+     * @returns {Promise<object>} - { valid, locked, error }
+     */
+    async verify(wallet, pin) {
+        if (this.verifying.has(wallet.id)) {
+            return {
+                valid: false,
+                locked: false,
+                error: 'Já existe uma verificação de PIN em andamento. Aguarde e tente novamente.'
+            };
+        }
+
+        this.verifying.add(wallet.id);
+        try {
+            return await this.verifyExclusive(wallet, pin);
+        } finally {
+            this.verifying.delete(wallet.id);
+        }
+    }
+
+    async verifyExclusive(wallet, pin) {
+        const state = await this.getState(wallet.id);
+
+        // Bloqueado: nem compara o PIN, para a tentativa não servir de oráculo
+        if (state.locked_until && Number(state.locked_until) > Date.now()) {
+            return {
+                valid: false,
+                locked: true,
+                error: `PIN bloqueado por excesso de tentativas. Tente novamente em ${this.formatDuration(Number(state.locked_until) - Date.now())}.`
+            };
+        }
+
+        const valid = await encryptionManager.verifyPIN(pin, wallet.pin_hash);
+
+        if (valid) {
+            if (state.failed_attempts > 0 || state.lockout_level > 0) {
+                await this.db.run(`
+                    UPDATE pin_attempts
+                    SET failed_attempts = 0, lockout_level = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+                    WHERE wallet_id = ?
+                `, [wallet.id]);
+            }
+            return { valid: true };
+        }
+
+        return await this.recordFailure(wallet);
+    }
+
+    async recordFailure(wallet) {
+        const { failedAttempts, triggersLockout, duration, locksSeed } = await this.db.transaction(async (tx) => {
+            // Incremento no próprio SQL: erros simultâneos (outra instância do bot) não se sobrescrevem
+            await tx.run(`
+                INSERT INTO pin_attempts (wallet_id, telegram_id, failed_attempts, last_failed_at)
+                VALUES (?, ?, 1, CURRENT_TIMESTAMP)
+                ON CONFLICT(wallet_id) DO UPDATE SET
+                    failed_attempts = pin_attempts.failed_attempts + 1,
+                    last_failed_at = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP
+            `, [wallet.id, wallet.telegram_id]);
+
+            // O bloqueio sai da contagem que acabou de ser gravada
+            const state = await tx.get('SELECT * FROM pin_attempts WHERE wallet_id = ?', [wallet.id]);
+            const failedAttempts = Number(state.failed_attempts);
+            const triggersLockout = failedAttempts % ATTEMPTS_PER_LOCKOUT === 0;
+            const locksSeed = !Number(state.seed_export_locked) && failedAttempts >= SEED_EXPORT_LOCK_AFTER;
+
+            let duration = null;
+            if (triggersLockout) {
+                const lockoutLevel = Number(state.lockout_level) + 1;
+                duration = LOCKOUT_DURATIONS[Math.min(lockoutLevel, LOCKOUT_DURATIONS.length) - 1];
+
+                await tx.run(`
+                    UPDATE pin_attempts SET lockout_level = ?, locked_until = ? WHERE wallet_id = ?
+                `, [lockoutLevel, Date.now() + duration, wallet.id]);
+            }
+
+            if (locksSeed) {
+                await tx.run(`
+                    UPDATE pin_attempts
+                    SET seed_export_locked = 1, seed_export_locked_at = COALESCE(seed_export_locked_at, ?)
+                    WHERE wallet_id = ?
+                `, [new Date().toISOString(), wallet.id]);
+            }
+
+            return { failedAttempts, triggersLockout, duration, locksSeed };
+        });
+
+        this.logger.warn('Wrong PIN', {
+            telegramId: wallet.telegram_id,
+            walletId: wallet.id,
+            failedAttempts,
+            lockedFor: duration
+        });
+
+        if (triggersLockout) {
+            await this.notify(wallet.telegram_id,
+                '🔒 *PIN bloqueado temporariamente*\n\n' +
+                `Foram ${failedAttempts} tentativas de PIN erradas seguidas na sua wallet.\n` +
+                `Novas tentativas só serão aceitas em ${this.formatDuration(duration)}.\n\n` +
+                '⚠️ Se não foi você, alguém pode estar usando sua conta do Telegram.'
+            );
+        }
+
+        if (locksSeed) {
+            await this.notify(wallet.telegram_id,
+                '🚫 *Exportação da seed bloqueada*\n\n' +
+                'Por excesso de PINs errados, a seed phrase não pode mais ser exibida pelo bot.\n' +
+                'Transações continuam funcionando com o PIN correto.\n\n' +
+                '🎧 Para liberar, fale com o suporte: sua identidade será verificada antes.'
+            );
+        }
+
+        if (triggersLockout) {
+            return {
+                valid: false,
+                locked: true,
+                error: `PIN incorreto. Muitas tentativas: PIN bloqueado por ${this.formatDuration(duration)}.`
+            };
+        }
+
+        const remaining = ATTEMPTS_PER_LOCKOUT - (failedAttempts % ATTEMPTS_PER_LOCKOUT);
+        return {
+            valid: false,
+            locked: false,
+            error: `PIN incorreto. ${remaining} tentativa(s) antes do bloqueio temporário.`
+        };
+    }
+
+    async isSeedExportLocked(walletId) {
+        const state = await this.getState(walletId);
+        return Boolean(Number(state.seed_export_locked));
+    }
+
+    /**
+     * Caminho de recuperação: o suporte libera depois de verificar a identidade do usuário
+     */
+    async unlockSeedExport(walletId) {
+        const result = await this.db.run(`
+            UPDATE pin_attempts
+            SET seed_export_locked = 0, seed_export_locked_at = NULL,
+                failed_attempts = 0, lockout_level = 0, locked_until = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE wallet_id = ? AND seed_export_locked = 1
+        `, [walletId]);
+
+        return result.changes > 0;
+    }
+
+    async notify(telegramId, message) {
+        if (!this.notifier) return;
+
+        try {
+            await this.notifier(telegramId, message);
+        } catch (error) {
+            this.logger.error('Error sending PIN lockout notice', { telegramId, error: error.message });
+        }
+    }
+
+    formatDuration(ms) {
+        const minutes = Math.ceil(ms / 60000);
+        if (minutes < 60) {
+            return `${minutes} minuto(s)`;
+        }
+        const hours = Math.ceil(minutes / 60);
+        return `${hours} hora(s)`;
+    }
+}
+
+module.exports = PinGuardService;
@@ -82,6 +82,117 @@ class PriceService {
         }
     }
 
+    /**
+     * Preço atual do SOL só quando veio de uma API
+     * @returns {Promise<number|null>} - null se caiu no preço padrão
+     */
+    async getLiveSOLPrice() {
+        const price = await this.getSOLPrice();
+        return this.cache.get('sol_price')?.price === price ? price : null;
+    }
+
+    /**
+     * Preço atual do DONUT em USD pela pool DONUT/SOL da Meteora
+     * (reservas da pool em cada vault × cotação do SOL)
+     * @returns {Promise<number|null>} - null sem cotação do SOL ou sem liquidez na pool
+     */
+    async getDONUTPrice() {
+        const cached = this.cache.get('donut_price');
+        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+            return cached.price;
+        }
+
+        const solPrice = await this.getLiveSOLPrice();
+        if (solPrice === null) {
+            return null;
+        }
+
+        try {
+            const { METEORA_CONFIG } = require('../config/solana-programs.config');
+            const { connection } = require('./connection-manager.service');
+
+            const [donutReserve, solReserve] = await Promise.all([
+                this.getPoolReserve(connection, METEORA_CONFIG.A_TOKEN_VAULT, METEORA_CONFIG.A_VAULT_LP, METEORA_CONFIG.A_VAULT_LP_MINT),
+                this.getPoolReserve(connection, METEORA_CONFIG.B_TOKEN_VAULT, METEORA_CONFIG.B_VAULT_LP, METEORA_CONFIG.B_VAULT_LP_MINT)
+            ]);
+
+            if (!donutReserve || !solReserve) {
+                this.logger.warn('Pool DONUT/SOL sem liquidez', { donutReserve, solReserve });
+                return null;
+            }
+
+            const price = (solReserve / donutReserve) * solPrice;
+            this.cache.set('donut_price', { price, timestamp: Date.now(), source: 'Meteora' });
+            return price;
+
+        } catch (error) {
+            this.logger.warn('Cotação do DONUT indisponível', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Parte da pool num vault da Meteora: saldo do vault × LP da pool / LP total do vault
+     * (o vault é compartilhado com outras pools)
+     */
+    async getPoolReserve(connection, tokenVault, vaultLp, vaultLpMint) {
+        const [balance, poolLp, lpSupply] = await Promise.all([
+            connection.getTokenAccountBalance(tokenVault),
+            connection.getTokenAccountBalance(vaultLp),
+            connection.getTokenSupply(vaultLpMint)
+        ]);
+
+        const totalLp = Number(lpSupply.value.amount);
+        if (!totalLp) {
+            return 0;
+        }
+
+        return balance.value.uiAmount * Number(poolLp.value.amount) / totalLp;
+    }
+
+    /**
+     * Preço do SOL em USD na data de um timestamp (cotação diária da CoinGecko)
+     * @param {number} timestamp - Em ms
+     * @returns {Promise<number|null>} - null se a cotação não estiver disponível
+     */
+    async getHistoricalSOLPrice(timestamp) {
+        // Últimas 24h: a cotação atual é mais precisa que a diária
+        if (Date.now() - timestamp < 24 * 60 * 60 * 1000) {
+            const price = await this.getSOLPrice();
+            // Fora do cache é o preço padrão (APIs falharam): não serve como histórico
+            return this.cache.get('sol_price')?.price === price ? price : null;
+        }
+
+        const date = new Date(timestamp);
+        const day = [
+            String(date.getUTCDate()).padStart(2, '0'),
+            String(date.getUTCMonth() + 1).padStart(2, '0'),
+            date.getUTCFullYear()
+        ].join('-');
+
+        const cacheKey = `sol_price_${day}`;
+        const cached = this.cache.get(cacheKey);
+        if (cached) {
+            return cached.price;
+        }
+
+        try {
+            const price = await this.fetchFromAPI({
+                name: 'CoinGecko (histórico)',
+                url: `https://api.coingecko.com/api/v3/coins/solana/history?date=${day}&localization=false`,
+                parser: (data) => data.market_data?.current_price?.usd
+            });
+
+            // Cotação de dia fechado não muda: sem expiração
+            this.cache.set(cacheKey, { price, timestamp: Date.now(), source: 'CoinGecko' });
+            return price;
+
+        } catch (error) {
+            this.logger.warn('Cotação histórica indisponível', { day, error: error.message });
+            return null;
+        }
+    }
+
     /**
      * Fazer requisição para uma API específica
      * @param {object} api - Configuração da API
@@ -1,38 +1,50 @@
 // src/services/solana.service.js
 const { 
-    Connection, 
     PublicKey, 
     LAMPORTS_PER_SOL, 
     Transaction, 
-    SystemProgram,
-    sendAndConfirmTransaction,
-    ComputeBudgetProgram
+    SystemProgram
 } = require('@solana/web3.js');
 const { 
     getAssociatedTokenAddress, 
     getAccount, 
-    createTransferInstruction,
+    createTransferCheckedInstruction,
     createAssociatedTokenAccountInstruction,
+    createCloseAccountInstruction,
     getOrCreateAssociatedTokenAccount,
     TOKEN_PROGRAM_ID,
-    ASSOCIATED_TOKEN_PROGRAM_ID
+    TOKEN_2022_PROGRAM_ID,
+    ASSOCIATED_TOKEN_PROGRAM_ID,
+    ACCOUNT_SIZE
 } = require('@solana/spl-token');
 const Logger = require('../utils/logger'); // ✅ CORRIGIDO: Importar corretamente
+const { decodeProgramError } = require('../utils/program-errors');
+const { planTransaction, buildComputeBudgetInstructions, DEFAULT_SPEED } = require('../utils/fee-strategy');
+const connectionManager = require('./connection-manager.service');
+const config = require('../config/solana-programs.config');
+const { getTokenMetadata } = require('../config/tokens.config');
+
+const TOKEN_PROGRAMS = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+
+// Fechamentos por transação (cada um acrescenta a conta e o programa à mensagem)
+const MAX_CLOSE_PER_TRANSACTION = 20;
 
 class SolanaService {
     constructor() {
         this.connection = null;
-        this.donutMint = process.env.DONUT_TOKEN_MINT;
-        this.rpcUrl = process.env.SOLANA_RPC_URL;
+        this.donutMint = config.TOKEN_CONFIG.DONUT_MINT.toString();
         this.logger = new Logger('SolanaService'); // ✅ CORRIGIDO: Instanciar logger
+        this.transactionSender = null;
+        this.tokenAccountRent = null;
+    }
+
+    setTransactionSender(transactionSender) {
+        this.transactionSender = transactionSender;
     }
 
     async init() {
         try {
-            this.connection = new Connection(this.rpcUrl, {
-                commitment: 'confirmed',
-                confirmTransactionInitialTimeout: 60000,
-            });
+            this.connection = connectionManager.connection;
 
             // Testar conexão
             await this.connection.getVersion();
@@ -112,6 +124,103 @@ class SolanaService {
         return await this.getTokenBalance(publicKeyStr, this.donutMint);
     }
 
+    /**
+     * Todas as contas de token da wallet (SPL Token e Token-2022)
+     * @param {string} publicKeyStr - Public key da wallet
+     * @returns {Promise<Array>} - [{ address, mint, programId, raw, amount, decimals, state, rent, symbol, name, emoji, known }]
+     */
+    async getTokenAccounts(publicKeyStr) {
+        const owner = new PublicKey(publicKeyStr);
+
+        const responses = await Promise.all(TOKEN_PROGRAMS.map(programId =>
+            this.connection.getParsedTokenAccountsByOwner(owner, { programId }, 'confirmed')
+        ));
+
+        const accounts = [];
+
+        responses.forEach((response, index) => {
+            for (const { pubkey, account } of response.value) {
+                const { mint, state, tokenAmount } = account.data.parsed.info;
+
+                accounts.push({
+                    address: pubkey.toString(),
+                    mint,
+                    programId: TOKEN_PROGRAMS[index].toString(),
+                    raw: tokenAmount.amount,
+                    amount: Number(tokenAmount.uiAmountString),
+                    decimals: tokenAmount.decimals,
+                    state,
+                    rent: account.lamports,
+                    ...getTokenMetadata(mint)
+                });
+            }
+        });
+
+        // Conhecidos primeiro, depois por saldo
+        return accounts.sort((a, b) => (b.known - a.known) || (b.amount - a.amount));
+    }
+
+    /**
+     * Token da wallet pronto para envio: a conta com maior saldo daquele mint
+     * @returns {Promise<object|null>} - { mint, symbol, name, emoji, decimals, programId, account, amount }
+     */
+    async getSendableToken(publicKeyStr, mintStr) {
+        const accounts = (await this.getTokenAccounts(publicKeyStr))
+            .filter(account => account.mint === mintStr && account.state === 'initialized')
+            .sort((a, b) => b.amount - a.amount);
+
+        if (accounts.length === 0) {
+            return null;
+        }
+
+        const [best] = accounts;
+        return {
+            mint: best.mint,
+            symbol: best.symbol,
+            name: best.name,
+            emoji: best.emoji,
+            decimals: best.decimals,
+            programId: best.programId,
+            account: best.address,
+            amount: best.amount
+        };
+    }
+
+    /**
+     * DONUT no mesmo formato de getSendableToken (conta de origem = ATA)
+     */
+    getDonutToken() {
+        return {
+            mint: this.donutMint,
+            symbol: 'DONUT',
+            decimals: 9,
+            programId: TOKEN_PROGRAM_ID.toString(),
+            account: null
+        };
+    }
+
+    /**
+     * Zerada e fechável. A ATA do DONUT fica: matriz e airdrop a recriariam, pagando rent de novo
+     */
+    isClosableTokenAccount(account) {
+        return account.raw === '0' && account.state === 'initialized' && account.mint !== this.donutMint;
+    }
+
+    async getEmptyTokenAccounts(publicKeyStr) {
+        const accounts = await this.getTokenAccounts(publicKeyStr);
+        return accounts.filter(account => this.isClosableTokenAccount(account));
+    }
+
+    /**
+     * Rent de uma conta de token nova (paga pelo remetente ao criar a ATA do destinatário)
+     */
+    async getTokenAccountRent() {
+        if (this.tokenAccountRent === null) {
+            this.tokenAccountRent = await this.connection.getMinimumBalanceForRentExemption(ACCOUNT_SIZE);
+        }
+        return this.tokenAccountRent;
+    }
+
     /**
      * ✅ NOVO: Obter saldos completos (SOL + DONUT)
      * @param {string} publicKeyStr - Public key da wallet
@@ -119,11 +228,18 @@ class SolanaService {
      */
     async getCompleteBalance(publicKeyStr) {
         try {
-            const [solBalance, donutBalance] = await Promise.all([
+            const [solBalance, donutBalance, tokenAccounts] = await Promise.all([
                 this.getBalance(publicKeyStr),
-                this.getDonutBalance(publicKeyStr)
+                this.getDonutBalance(publicKeyStr),
+                // Lista de tokens é complementar: sem ela o saldo SOL/DONUT ainda aparece
+                this.getTokenAccounts(publicKeyStr).catch(error => {
+                    this.logger.warn('Error listing token accounts', { publicKey: publicKeyStr, error: error.message });
+                    return [];
+                })
             ]);
 
+            const emptyAccounts = tokenAccounts.filter(account => this.isClosableTokenAccount(account));
+
             return {
                 publicKey: publicKeyStr,
                 sol: {
@@ -136,6 +252,11 @@ class SolanaService {
                     amount: donutBalance / 1e9, // DONUT tem 9 decimais
                     formatted: this.formatToken(donutBalance / 1e9, 'DONUT')
                 },
+                tokens: tokenAccounts.filter(account => account.mint !== this.donutMint && account.raw !== '0'),
+                emptyAccounts: {
+                    count: emptyAccounts.length,
+                    rent: emptyAccounts.reduce((total, account) => total + account.rent, 0)
+                },
                 lastUpdate: new Date().toISOString()
             };
 
@@ -150,9 +271,10 @@ class SolanaService {
      * @param {object} keypair - Keypair do remetente
      * @param {string} recipientAddress - Endereço do destinatário
      * @param {number} amount - Quantidade em SOL
+     * @param {object} [options] - { feePlan: plano confirmado pelo usuário, telegramId: para avisar o resultado }
      * @returns {Promise<object>} - Resultado da transação
      */
-    async sendSOL(keypair, recipientAddress, amount) {
+    async sendSOL(keypair, recipientAddress, amount, { feePlan = null, telegramId = null } = {}) {
         try {
             console.log(`🔄 Enviando ${amount} SOL para ${recipientAddress}`);
 
@@ -161,10 +283,16 @@ class SolanaService {
 
             // Converter SOL para lamports
             const lamports = this.solToLamports(amount);
+            const instructions = this.buildSendSOLInstructions(keypair.publicKey, recipient, lamports);
+
+            const plan = await this.resolveFeePlan(keypair.publicKey, instructions, feePlan);
+            if (!plan.success) {
+                return { success: false, error: plan.error };
+            }
 
             // Verificar saldo suficiente (incluindo taxa)
             const senderBalance = await this.getBalance(keypair.publicKey.toString());
-            const estimatedFee = 10000; // 0.00001 SOL estimado para taxa
+            const estimatedFee = plan.feePlan.totalFee;
             
             if (senderBalance < lamports + estimatedFee) {
                 return {
@@ -173,47 +301,17 @@ class SolanaService {
                 };
             }
 
-            // Criar transação
-            const { blockhash } = await this.connection.getLatestBlockhash('confirmed');
-            
-            const transaction = new Transaction({
-                recentBlockhash: blockhash,
-                feePayer: keypair.publicKey
-            });
-
-            // Adicionar instruções de taxa baixa
-            transaction.add(
-                ComputeBudgetProgram.setComputeUnitLimit({
-                    units: 200_000
-                })
-            );
-
-            transaction.add(
-                ComputeBudgetProgram.setComputeUnitPrice({
-                    microLamports: 1 // Taxa mínima
-                })
-            );
-
-            // Adicionar transferência
-            transaction.add(
-                SystemProgram.transfer({
-                    fromPubkey: keypair.publicKey,
-                    toPubkey: recipient,
-                    lamports: lamports
-                })
+            // Mesmas instruções usadas na simulação
+            const sent = await this.submitTransaction(
+                keypair,
+                [...buildComputeBudgetInstructions(plan.feePlan), ...instructions],
+                { telegramId, description: `Envio de ${amount} SOL` }
             );
+            if (sent.status !== 'confirmed') {
+                return this.unconfirmedSendResult(sent);
+            }
 
-            // Enviar e confirmar transação
-            const signature = await sendAndConfirmTransaction(
-                this.connection,
-                transaction,
-                [keypair],
-                {
-                    commitment: 'confirmed',
-                    preflightCommitment: 'confirmed',
-                    maxRetries: 3
-                }
-            );
+            const { signature } = sent;
 
             console.log(`✅ SOL enviado! Signature: ${signature}`);
 
@@ -251,110 +349,80 @@ class SolanaService {
      * @param {object} keypair - Keypair do remetente
      * @param {string} recipientAddress - Endereço do destinatário
      * @param {number} amount - Quantidade de DONUT
+     * @param {object} [options] - { feePlan: plano confirmado pelo usuário, telegramId: para avisar o resultado }
      * @returns {Promise<object>} - Resultado da transação
      */
-    async sendDONUT(keypair, recipientAddress, amount) {
-        try {
-            if (!this.donutMint) {
-                return {
-                    success: false,
-                    error: 'Token DONUT não configurado no sistema'
-                };
-            }
+    async sendDONUT(keypair, recipientAddress, amount, options = {}) {
+        if (!this.donutMint) {
+            return {
+                success: false,
+                error: 'Token DONUT não configurado no sistema'
+            };
+        }
 
-            console.log(`🔄 Enviando ${amount} DONUT para ${recipientAddress}`);
+        return await this.sendToken(keypair, recipientAddress, amount, this.getDonutToken(), options);
+    }
+
+    /**
+     * Enviar qualquer token SPL (Token ou Token-2022)
+     * @param {object} token - { mint, symbol, decimals, programId, account } (getSendableToken / getDonutToken)
+     * @param {object} [options] - { feePlan, telegramId }
+     * @returns {Promise<object>} - Resultado da transação; rent indica o custo da conta criada para o destinatário
+     */
+    async sendToken(keypair, recipientAddress, amount, token, { feePlan = null, telegramId = null } = {}) {
+        try {
+            console.log(`🔄 Enviando ${amount} ${token.symbol} para ${recipientAddress}`);
 
             // Validar endereço destinatário
             const recipient = new PublicKey(recipientAddress);
-            const mint = new PublicKey(this.donutMint);
 
-            // Converter amount para formato com decimais
-            const tokenAmount = Math.floor(amount * 1e9); // DONUT tem 9 decimais
+            const rawAmount = this.toRawAmount(amount, token.decimals);
 
-            // Verificar saldo de DONUT suficiente
-            const senderTokenBalance = await this.getTokenBalance(keypair.publicKey.toString(), this.donutMint);
-            if (senderTokenBalance < tokenAmount) {
+            // Verificar saldo do token na conta de origem
+            const senderTokenBalance = await this.getSourceBalance(keypair.publicKey, token);
+            if (senderTokenBalance < rawAmount) {
                 return {
                     success: false,
-                    error: `Saldo DONUT insuficiente. Necessário: ${amount} DONUT, Disponível: ${senderTokenBalance / 1e9} DONUT`
+                    error: `Saldo ${token.symbol} insuficiente. Necessário: ${amount} ${token.symbol}, Disponível: ${this.fromRawAmount(senderTokenBalance, token.decimals)} ${token.symbol}`
                 };
             }
 
-            // Verificar saldo SOL para taxa
+            // Mesmas instruções usadas na simulação (cria a ATA do destinatário se faltar)
+            const { instructions, createdAccount, rent } = await this.buildSendTokenInstructions(
+                keypair.publicKey,
+                recipient,
+                token,
+                rawAmount
+            );
+
+            const plan = await this.resolveFeePlan(keypair.publicKey, instructions, feePlan);
+            if (!plan.success) {
+                return { success: false, error: plan.error };
+            }
+
+            // Verificar saldo SOL para taxa e para a conta do destinatário
             const senderSolBalance = await this.getBalance(keypair.publicKey.toString());
-            const estimatedFee = 15000; // Taxa estimada para transação de token
-            
-            if (senderSolBalance < estimatedFee) {
+            const solNeeded = plan.feePlan.totalFee + rent;
+
+            if (senderSolBalance < solNeeded) {
                 return {
                     success: false,
-                    error: `Saldo SOL insuficiente para taxa. Necessário: ${this.lamportsToSol(estimatedFee)} SOL para taxa`
+                    error: `Saldo SOL insuficiente. Necessário: ${this.lamportsToSol(solNeeded)} SOL (taxa${rent ? ' + criação da conta do destinatário' : ''})`
                 };
             }
 
-            // Obter contas de token
-            const senderTokenAccount = await getAssociatedTokenAddress(mint, keypair.publicKey);
-            const recipientTokenAccount = await getAssociatedTokenAddress(mint, recipient);
-
-            // Verificar se a conta do destinatário existe
-            const recipientAccountInfo = await this.connection.getAccountInfo(recipientTokenAccount);
-
-            // Criar transação
-            const { blockhash } = await this.connection.getLatestBlockhash('confirmed');
-            
-            const transaction = new Transaction({
-                recentBlockhash: blockhash,
-                feePayer: keypair.publicKey
-            });
-
-            // Adicionar instruções de taxa
-            transaction.add(
-                ComputeBudgetProgram.setComputeUnitLimit({
-                    units: 300_000 // Mais unidades para tokens
-                })
-            );
-
-            transaction.add(
-                ComputeBudgetProgram.setComputeUnitPrice({
-                    microLamports: 1
-                })
+            const sent = await this.submitTransaction(
+                keypair,
+                [...buildComputeBudgetInstructions(plan.feePlan), ...instructions],
+                { telegramId, description: `Envio de ${amount} ${token.symbol}` }
             );
-
-            // Se a conta do destinatário não existe, criar ela
-            if (!recipientAccountInfo) {
-                console.log('🔄 Criando conta de token para destinatário...');
-                transaction.add(
-                    createAssociatedTokenAccountInstruction(
-                        keypair.publicKey, // payer
-                        recipientTokenAccount, // associated token account
-                        recipient, // owner
-                        mint // mint
-                    )
-                );
+            if (sent.status !== 'confirmed') {
+                return this.unconfirmedSendResult(sent);
             }
 
-            // Adicionar transferência de token
-            transaction.add(
-                createTransferInstruction(
-                    senderTokenAccount,
-                    recipientTokenAccount,
-                    keypair.publicKey,
-                    tokenAmount
-                )
-            );
-
-            // Enviar e confirmar transação
-            const signature = await sendAndConfirmTransaction(
-                this.connection,
-                transaction,
-                [keypair],
-                {
-                    commitment: 'confirmed',
-                    preflightCommitment: 'confirmed',
-                    maxRetries: 3
-                }
-            );
+            const { signature } = sent;
 
-            console.log(`✅ DONUT enviado! Signature: ${signature}`);
+            console.log(`✅ ${token.symbol} enviado! Signature: ${signature}`);
 
             // Obter detalhes da transação confirmada
             const txDetails = await this.connection.getTransaction(signature, {
@@ -365,18 +433,20 @@ class SolanaService {
                 success: true,
                 signature: signature,
                 amount: amount,
-                token: 'DONUT',
+                token: token.symbol,
+                mint: token.mint,
                 recipient: recipientAddress,
                 sender: keypair.publicKey.toString(),
                 fee: txDetails?.meta?.fee ? txDetails.meta.fee / LAMPORTS_PER_SOL : 0.000015,
                 blockTime: txDetails?.blockTime,
                 slot: txDetails?.slot,
-                createdAccount: !recipientAccountInfo,
-                message: `${amount} DONUT enviado com sucesso!`
+                createdAccount,
+                rent: this.lamportsToSol(rent),
+                message: `${amount} ${token.symbol} enviado com sucesso!`
             };
 
         } catch (error) {
-            console.error('❌ Erro ao enviar DONUT:', error);
+            console.error(`❌ Erro ao enviar ${token.symbol}:`, error);
             
             return {
                 success: false,
@@ -386,13 +456,243 @@ class SolanaService {
         }
     }
 
+    /**
+     * Fechar contas de token zeradas e devolver o rent para a wallet
+     * @param {object} [options] - { telegramId, speed }
+     * @returns {Promise<object>} - { success, signature, closed, reclaimed (SOL), remaining }
+     */
+    async closeEmptyTokenAccounts(keypair, { telegramId = null, speed = DEFAULT_SPEED } = {}) {
+        try {
+            const owner = keypair.publicKey;
+            const emptyAccounts = await this.getEmptyTokenAccounts(owner.toString());
+
+            if (emptyAccounts.length === 0) {
+                return { success: false, error: 'Nenhuma conta de token vazia para fechar' };
+            }
+
+            // Limite por transação (tamanho); o restante fica para a próxima rodada
+            const batch = emptyAccounts.slice(0, MAX_CLOSE_PER_TRANSACTION);
+            const instructions = batch.map(account => createCloseAccountInstruction(
+                new PublicKey(account.address),
+                owner,
+                owner,
+                [],
+                new PublicKey(account.programId)
+            ));
+
+            const plan = await planTransaction(this.connection, { payer: owner, instructions, speed });
+            if (!plan.success) {
+                return { success: false, error: plan.error };
+            }
+
+            const sent = await this.submitTransaction(
+                keypair,
+                [...buildComputeBudgetInstructions(plan.feePlan), ...instructions],
+                { telegramId, description: `Fechamento de ${batch.length} conta(s) de token` }
+            );
+            if (sent.status !== 'confirmed') {
+                return this.unconfirmedSendResult(sent);
+            }
+
+            const reclaimed = batch.reduce((total, account) => total + account.rent, 0);
+
+            this.logger.info('Empty token accounts closed', {
+                owner: owner.toString(),
+                closed: batch.length,
+                reclaimed,
+                signature: sent.signature
+            });
+
+            return {
+                success: true,
+                signature: sent.signature,
+                closed: batch.length,
+                reclaimed: this.lamportsToSol(reclaimed),
+                fee: this.lamportsToSol(plan.feePlan.totalFee),
+                remaining: emptyAccounts.length - batch.length
+            };
+
+        } catch (error) {
+            this.logger.error('Error closing empty token accounts', { error: error.message });
+            return {
+                success: false,
+                error: this.parseTransactionError(error)
+            };
+        }
+    }
+
+    /**
+     * Assinar e entregar ao TransactionSender, que reenvia até confirmar ou o blockhash expirar
+     */
+    async submitTransaction(keypair, instructions, { telegramId, description }) {
+        const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash('confirmed');
+
+        const transaction = new Transaction({
+            blockhash,
+            lastValidBlockHeight,
+            feePayer: keypair.publicKey
+        }).add(...instructions);
+
+        transaction.sign(keypair);
+
+        return await this.transactionSender.send(transaction, { lastValidBlockHeight, telegramId, description });
+    }
+
+    /**
+     * Envio sem confirmação: expirado pode ser repetido, desconhecido não
+     */
+    unconfirmedSendResult(sent) {
+        if (sent.status === 'expired') {
+            return {
+                success: false,
+                expired: true,
+                signature: sent.signature,
+                error: 'A transação expirou sem ser processada. Nenhum valor foi enviado; você pode tentar novamente.'
+            };
+        }
+
+        if (sent.status === 'unknown') {
+            return {
+                success: false,
+                pending: true,
+                signature: sent.signature,
+                error: 'A rede ainda não confirmou a transação. Não envie de novo: você será avisado assim que houver resultado.'
+            };
+        }
+
+        return {
+            success: false,
+            signature: sent.signature,
+            error: this.parseTransactionError({ transactionError: sent.transactionError, message: sent.error })
+        };
+    }
+
+    /**
+     * Instruções de envio de SOL
+     */
+    buildSendSOLInstructions(fromPubkey, recipient, lamports) {
+        return [SystemProgram.transfer({ fromPubkey, toPubkey: recipient, lamports })];
+    }
+
+    /**
+     * Instruções de envio de token SPL (cria a ATA do destinatário se não existir)
+     * @returns {Promise<object>} - { instructions, createdAccount, rent: lamports da conta criada }
+     */
+    async buildSendTokenInstructions(fromPubkey, recipient, token, rawAmount) {
+        const mint = new PublicKey(token.mint);
+        const programId = new PublicKey(token.programId);
+
+        const senderTokenAccount = token.account
+            ? new PublicKey(token.account)
+            : await getAssociatedTokenAddress(mint, fromPubkey, false, programId);
+        const recipientTokenAccount = await getAssociatedTokenAddress(mint, recipient, false, programId);
+
+        const recipientAccountInfo = await this.connection.getAccountInfo(recipientTokenAccount);
+
+        const instructions = [];
+        let rent = 0;
+
+        if (!recipientAccountInfo) {
+            instructions.push(
+                createAssociatedTokenAccountInstruction(fromPubkey, recipientTokenAccount, recipient, mint, programId)
+            );
+            rent = await this.getTokenAccountRent();
+        }
+
+        // transferChecked: obrigatório no Token-2022 e confere os decimais do mint
+        instructions.push(createTransferCheckedInstruction(
+            senderTokenAccount,
+            mint,
+            recipientTokenAccount,
+            fromPubkey,
+            rawAmount,
+            token.decimals,
+            [],
+            programId
+        ));
+
+        return { instructions, createdAccount: !recipientAccountInfo, rent };
+    }
+
+    /**
+     * Saldo bruto (unidades mínimas) da conta de origem do token
+     */
+    async getSourceBalance(ownerPubkey, token) {
+        try {
+            const account = token.account
+                ? new PublicKey(token.account)
+                : await getAssociatedTokenAddress(new PublicKey(token.mint), ownerPubkey, false, new PublicKey(token.programId));
+
+            const balance = await this.connection.getTokenAccountBalance(account);
+            return BigInt(balance.value.amount);
+        } catch (error) {
+            // Conta inexistente
+            return 0n;
+        }
+    }
+
+    /**
+     * Quantidade decimal → unidades mínimas, sem erro de ponto flutuante
+     */
+    toRawAmount(amount, decimals) {
+        const [whole, fraction = ''] = Number(amount).toFixed(decimals).split('.');
+        return BigInt(whole + fraction);
+    }
+
+    fromRawAmount(raw, decimals) {
+        return Number(raw) / Math.pow(10, decimals);
+    }
+
+    /**
+     * Plano de taxa já confirmado ou um novo, na velocidade padrão
+     */
+    async resolveFeePlan(payer, instructions, feePlan) {
+        if (feePlan) {
+            return { success: true, feePlan };
+        }
+        return await planTransaction(this.connection, { payer, instructions, speed: DEFAULT_SPEED });
+    }
+
+    /**
+     * Simular envio antes do PIN (sem assinatura) e calcular a taxa na velocidade escolhida
+     * @returns {Promise<object>} - Resultado de planTransaction
+     */
+    async simulateSend(tokenType, senderAddress, recipientAddress, amount, speed = DEFAULT_SPEED, token = null) {
+        try {
+            const sender = new PublicKey(senderAddress);
+            const recipient = new PublicKey(recipientAddress);
+
+            let instructions;
+            if (tokenType === 'SOL') {
+                instructions = this.buildSendSOLInstructions(sender, recipient, this.solToLamports(amount));
+            } else if (tokenType === 'DONUT' || tokenType === 'SPL') {
+                const sendToken = tokenType === 'DONUT' ? this.getDonutToken() : token;
+                ({ instructions } = await this.buildSendTokenInstructions(
+                    sender,
+                    recipient,
+                    sendToken,
+                    this.toRawAmount(amount, sendToken.decimals)
+                ));
+            } else {
+                return { success: false, error: 'Tipo de token não suportado' };
+            }
+
+            return await planTransaction(this.connection, { payer: sender, instructions, speed });
+
+        } catch (error) {
+            this.logger.error('Error simulating send', { tokenType, sender: senderAddress, error: error.message });
+            return { success: false, error: 'Não foi possível simular a transação. Tente novamente.' };
+        }
+    }
+
     /**
      * Calcular taxa estimada para transação
      * @param {string} type - Tipo de transação ('sol' ou 'token')
      * @param {string} recipientAddress - Endereço do destinatário
+     * @param {object} [token] - Token SPL (padrão: DONUT)
      * @returns {Promise<object>} - Taxa estimada
      */
-    async estimateTransactionFee(type, recipientAddress) {
+    async estimateTransactionFee(type, recipientAddress, token = null) {
         try {
             const recipient = new PublicKey(recipientAddress);
             
@@ -407,12 +707,14 @@ class SolanaService {
             
             if (type === 'donut' || type === 'token') {
                 // Verificar se precisa criar conta de token
-                const mint = new PublicKey(this.donutMint);
-                const recipientTokenAccount = await getAssociatedTokenAddress(mint, recipient);
+                const sendToken = token || this.getDonutToken();
+                const mint = new PublicKey(sendToken.mint);
+                const programId = new PublicKey(sendToken.programId);
+                const recipientTokenAccount = await getAssociatedTokenAddress(mint, recipient, false, programId);
                 const accountExists = await this.connection.getAccountInfo(recipientTokenAccount);
                 
                 const baseFee = 10000; // Taxa base
-                const createAccountFee = accountExists ? 0 : 2044280; // ~0.002 SOL para criar conta
+                const createAccountFee = accountExists ? 0 : await this.getTokenAccountRent();
                 
                 const totalFee = baseFee + createAccountFee;
                 
@@ -450,9 +752,10 @@ class SolanaService {
      * @param {string} publicKeyStr - Endereço da wallet
      * @param {string} tokenType - Tipo do token ('SOL' ou 'DONUT')
      * @param {number} amount - Quantidade a enviar
+     * @param {object} [token] - Token SPL quando tokenType é 'SPL'
      * @returns {Promise<object>} - Resultado da validação
      */
-    async validateSufficientBalance(publicKeyStr, tokenType, amount) {
+    async validateSufficientBalance(publicKeyStr, tokenType, amount, token = null) {
         try {
             if (tokenType === 'SOL') {
                 const balance = await this.getBalance(publicKeyStr);
@@ -486,6 +789,23 @@ class SolanaService {
                 };
             }
 
+            if (tokenType === 'SPL' && token) {
+                const [tokenBalance, solBalance] = await Promise.all([
+                    this.getSourceBalance(new PublicKey(publicKeyStr), token),
+                    this.getBalance(publicKeyStr)
+                ]);
+
+                const fee = 15000; // Taxa estimada para token
+
+                return {
+                    sufficient: tokenBalance >= this.toRawAmount(amount, token.decimals) && solBalance >= fee,
+                    availableToken: this.fromRawAmount(tokenBalance, token.decimals),
+                    availableSol: this.lamportsToSol(solBalance),
+                    neededToken: amount,
+                    neededSol: this.lamportsToSol(fee)
+                };
+            }
+
             return { sufficient: false, error: 'Tipo de token não suportado' };
 
         } catch (error) {
@@ -501,7 +821,13 @@ class SolanaService {
      * ✅ NOVO: Parsing de erros de transação
      */
     parseTransactionError(error) {
-        const message = error.message.toLowerCase();
+        // Só erros de programas com IDL conhecida; os do SPL Token seguem a checagem por texto
+        const programError = decodeProgramError(error, null);
+        if (programError && programError.name !== 'Unknown') {
+            return `${programError.explanation} ${programError.suggestion}`;
+        }
+
+        const message = (error.message || '').toLowerCase();
         
         if (message.includes('insufficient funds')) {
             return 'Saldo insuficiente para completar a transação';
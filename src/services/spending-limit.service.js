@@ -0,0 +1,424 @@
+// src/services/spending-limit.service.js
+const Logger = require('../utils/logger');
+const { formatters } = require('../utils/formatting');
+
+// Prazo para afrouxar um limite ou confiar num endereço novo; apertar vale na hora
+const SECURITY_DELAY_MS = 24 * 60 * 60 * 1000;
+
+// O limite diário olha as últimas 24h, não o dia do calendário
+const DAILY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Envios que não saíram da wallet não contam no limite diário
+const UNSPENT_STATUSES = ['failed', 'expired'];
+
+// Reserva que nunca recebeu assinatura (bot caiu no meio do envio) deixa de contar depois disso
+const RESERVATION_TTL_MS = 10 * 60 * 1000;
+
+// Coluna do valor ativo e do pendente de cada limite
+const LIMIT_FIELDS = {
+    daily: { label: 'Limite diário', column: 'daily_limit_usd', pending: 'pending_daily_limit_usd', effectiveAt: 'pending_daily_effective_at' },
+    perTx: { label: 'Limite por envio', column: 'per_tx_limit_usd', pending: 'pending_per_tx_limit_usd', effectiveAt: 'pending_per_tx_effective_at' }
+};
+
+/**
+ * Limite padrão de quem nunca configurou: "none" desliga, vazio usa o fallback
+ */
+function readDefaultLimit(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    if (value === 'none') return null;
+
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// BIGINT/REAL chegam como texto no Postgres
+function toNumber(value) {
+    return value === null || value === undefined ? null : Number(value);
+}
+
+function formatLimit(value) {
+    return value === null ? 'sem limite' : formatters.formatUSD(value);
+}
+
+const DEFAULT_LIMITS = {
+    daily: readDefaultLimit('SPENDING_DAILY_LIMIT_USD', 500),
+    perTx: readDefaultLimit('SPENDING_PER_TX_LIMIT_USD', 200)
+};
+
+/**
+ * Limites de envio por wallet e lista de endereços confiáveis, que não passam pelos limites.
+ * Os limites são só em USD: cada envio é convertido pela cotação atual, e um token cotável
+ * sem cotação no momento é recusado (nunca medido por uma cotação antiga)
+ */
+class SpendingLimitService {
+    constructor(db) {
+        this.db = db;
+        this.logger = new Logger('SpendingLimit');
+
+        // (telegramId, mensagem Markdown) => Promise; definido pelo bot
+        this.notifier = null;
+
+        // Fila por wallet: conferência do limite e reserva não se intercalam entre envios
+        this.walletQueues = new Map();
+    }
+
+    setNotifier(notifier) {
+        this.notifier = notifier;
+    }
+
+    getSecurityDelayMs() {
+        return SECURITY_DELAY_MS;
+    }
+
+    // ========== LIMITES ==========
+
+    /**
+     * Limites em vigor e alterações agendadas (as vencidas são aplicadas aqui)
+     * @returns {Promise<object>} - { daily, perTx, pending: { daily, perTx } }
+     */
+    async getLimits(walletId) {
+        let row = await this.db.get(`SELECT * FROM spending_limits WHERE wallet_id = ?`, [walletId]);
+
+        if (!row) {
+            return { daily: DEFAULT_LIMITS.daily, perTx: DEFAULT_LIMITS.perTx, pending: { daily: null, perTx: null } };
+        }
+
+        const now = Date.now();
+        for (const field of Object.values(LIMIT_FIELDS)) {
+            if (row[field.effectiveAt] !== null && Number(row[field.effectiveAt]) <= now) {
+                // Condicionado ao prazo lido: uma alteração mais nova não é sobrescrita
+                const result = await this.db.run(`
+                    UPDATE spending_limits
+                    SET ${field.column} = ${field.pending}, ${field.pending} = NULL, ${field.effectiveAt} = NULL,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE wallet_id = ? AND ${field.effectiveAt} = ?
+                `, [walletId, row[field.effectiveAt]]);
+
+                // Só quem aplicou avisa: leituras simultâneas não repetem o aviso
+                if (result.changes > 0) {
+                    this.logger.info(`🛡️ Limite ${field.column} da wallet ${walletId} alterado após o prazo`);
+                    await this.notify(row.telegram_id,
+                        `🛡️ *${field.label} alterado*\n\n` +
+                        `O valor agendado (${formatLimit(toNumber(row[field.pending]))}) passou a valer agora.\n\n` +
+                        '⚠️ Se não foi você, reduza o limite e troque o PIN.'
+                    );
+                }
+            }
+        }
+        row = await this.db.get(`SELECT * FROM spending_limits WHERE wallet_id = ?`, [walletId]);
+
+        const limits = { pending: {} };
+        for (const [kind, field] of Object.entries(LIMIT_FIELDS)) {
+            limits[kind] = toNumber(row[field.column]);
+            limits.pending[kind] = row[field.effectiveAt] === null
+                ? null
+                : { value: toNumber(row[field.pending]), effectiveAt: Number(row[field.effectiveAt]) };
+        }
+        return limits;
+    }
+
+    /**
+     * Alteração afrouxa o limite em vigor (aumentar ou remover): pede PIN e espera o prazo
+     */
+    async wouldLoosen(walletId, kind, value) {
+        const current = await this.getLimits(walletId);
+        return current[kind] !== null && (value === null || value > current[kind]);
+    }
+
+    /**
+     * Alterar um limite: reduzir vale na hora (e descarta o que estava agendado);
+     * aumentar ou remover só vale depois do prazo de segurança
+     * @param {string} kind - 'daily' ou 'perTx'
+     * @param {number|null} value - Novo limite em USD (null = sem limite)
+     * @returns {Promise<object>} - { success, scheduled, effectiveAt, error }
+     */
+    async setLimit(wallet, kind, value) {
+        const field = LIMIT_FIELDS[kind];
+        if (!field) {
+            return { success: false, error: 'Tipo de limite inválido' };
+        }
+        if (value !== null && (!Number.isFinite(value) || value < 0)) {
+            return { success: false, error: 'Valor de limite inválido' };
+        }
+
+        try {
+            const current = await this.getLimits(wallet.id);
+            await this.ensureRow(wallet, current);
+
+            const loosens = current[kind] !== null && (value === null || value > current[kind]);
+
+            if (!loosens) {
+                await this.db.run(`
+                    UPDATE spending_limits
+                    SET ${field.column} = ?, ${field.pending} = NULL, ${field.effectiveAt} = NULL,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE wallet_id = ?
+                `, [value, wallet.id]);
+
+                return { success: true, scheduled: false };
+            }
+
+            const effectiveAt = Date.now() + SECURITY_DELAY_MS;
+            await this.db.run(`
+                UPDATE spending_limits
+                SET ${field.pending} = ?, ${field.effectiveAt} = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE wallet_id = ?
+            `, [value, effectiveAt, wallet.id]);
+
+            this.logger.info(`⏳ Limite ${field.column} da wallet ${wallet.id} agendado para ${new Date(effectiveAt).toISOString()}`);
+            await this.notify(wallet.telegram_id,
+                `⏳ *${field.label} agendado*\n\n` +
+                `O novo valor (${formatLimit(value)}) vale a partir de ${formatters.formatDateTime(effectiveAt)}. ` +
+                'Você recebe um aviso quando ele passar a valer.\n\n' +
+                '⚠️ Se não foi você, cancele a alteração e troque o PIN.'
+            );
+            return { success: true, scheduled: true, effectiveAt };
+
+        } catch (error) {
+            this.logger.error('Erro ao alterar limite de envio:', error);
+            return { success: false, error: 'Erro ao alterar limite' };
+        }
+    }
+
+    /**
+     * Desistir das alterações agendadas (os limites atuais continuam)
+     */
+    async cancelPendingLimits(walletId) {
+        await this.db.run(`
+            UPDATE spending_limits
+            SET pending_daily_limit_usd = NULL, pending_daily_effective_at = NULL,
+                pending_per_tx_limit_usd = NULL, pending_per_tx_effective_at = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE wallet_id = ?
+        `, [walletId]);
+    }
+
+    // A linha nasce com os limites padrão que estavam valendo até aqui
+    async ensureRow(wallet, current) {
+        await this.db.run(`
+            INSERT INTO spending_limits (wallet_id, telegram_id, daily_limit_usd, per_tx_limit_usd)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(wallet_id) DO NOTHING
+        `, [wallet.id, String(wallet.telegram_id), current.daily, current.perTx]);
+    }
+
+    // ========== REGISTRO DE ENVIOS ==========
+
+    /**
+     * Total em USD enviado nas últimas 24h para endereços fora da lista de confiáveis
+     */
+    async getSpentLast24h(walletId) {
+        const row = await this.db.get(`
+            SELECT COALESCE(SUM(l.usd_value), 0) as total
+            FROM spending_ledger l
+            LEFT JOIN outgoing_transactions o ON o.signature = l.signature
+            WHERE l.wallet_id = ? AND l.trusted = 0 AND l.created_at >= ?
+            AND (l.status <> 'reserved' OR l.created_at >= ?)
+            AND (o.status IS NULL OR o.status NOT IN (${UNSPENT_STATUSES.map(() => '?').join(', ')}))
+        `, [walletId, Date.now() - DAILY_WINDOW_MS, Date.now() - RESERVATION_TTL_MS, ...UNSPENT_STATUSES]);
+
+        return row ? Number(row.total) : 0;
+    }
+
+    /**
+     * Conferir os limites e reservar o valor no registro, na fila da wallet:
+     * envios simultâneos não passam juntos pelo limite diário
+     * @returns {Promise<object>} - Resultado de checkSend, com reservationId quando permitido
+     */
+    async reserveSend(wallet, { recipient, token, amount, usdValue, priceable = true }) {
+        return this.enqueue(wallet.id, async () => {
+            const check = await this.checkSend(wallet, recipient, usdValue, priceable);
+            if (!check.allowed) {
+                return check;
+            }
+
+            const result = await this.db.run(`
+                INSERT INTO spending_ledger (wallet_id, telegram_id, token, amount, usd_value, recipient, trusted, status, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, 'reserved', ?)
+            `, [wallet.id, String(wallet.telegram_id), token, amount,
+                usdValue === null ? null : usdValue, recipient, check.trusted ? 1 : 0, Date.now()]);
+
+            return { ...check, reservationId: result.id };
+        });
+    }
+
+    /**
+     * Envio saiu (confirmado ou ainda pendente na rede): se expirar, deixa de somar pela assinatura
+     */
+    async confirmReservation(reservationId, signature) {
+        await this.db.run(`
+            UPDATE spending_ledger SET status = 'sent', signature = ? WHERE id = ?
+        `, [signature || null, reservationId]);
+    }
+
+    // Envio não saiu da wallet: o valor volta para o limite
+    async releaseReservation(reservationId) {
+        await this.db.run(`DELETE FROM spending_ledger WHERE id = ? AND status = 'reserved'`, [reservationId]);
+    }
+
+    enqueue(walletId, work) {
+        const previous = this.walletQueues.get(walletId) || Promise.resolve();
+        const current = previous.then(work);
+        const tail = current.catch(() => {});
+
+        this.walletQueues.set(walletId, tail);
+        tail.then(() => {
+            if (this.walletQueues.get(walletId) === tail) {
+                this.walletQueues.delete(walletId);
+            }
+        });
+
+        return current;
+    }
+
+    /**
+     * Verificar um envio contra os limites da wallet
+     * @param {number|null} usdValue - Valor do envio (null = sem cotação)
+     * @param {boolean} priceable - false para tokens sem fonte de cotação, que ficam fora dos limites em USD
+     * @returns {Promise<object>} - { allowed, trusted, unpriced, reason, limits, spent }
+     */
+    async checkSend(wallet, recipient, usdValue, priceable = true) {
+        if (await this.isTrusted(wallet.id, recipient)) {
+            return { allowed: true, trusted: true };
+        }
+
+        const limits = await this.getLimits(wallet.id);
+        if (limits.daily === null && limits.perTx === null) {
+            return { allowed: true, trusted: false, limits };
+        }
+
+        // Token cotável sem cotação agora (fontes fora do ar): recusa até a cotação voltar
+        if (usdValue === null || !Number.isFinite(usdValue)) {
+            return priceable
+                ? { allowed: false, trusted: false, reason: 'unpriced', limits }
+                : { allowed: true, trusted: false, unpriced: true, limits };
+        }
+
+        if (limits.perTx !== null && usdValue > limits.perTx) {
+            return { allowed: false, trusted: false, reason: 'per_tx', limits };
+        }
+
+        const spent = await this.getSpentLast24h(wallet.id);
+        if (limits.daily !== null && spent + usdValue > limits.daily) {
+            return { allowed: false, trusted: false, reason: 'daily', limits, spent };
+        }
+
+        return { allowed: true, trusted: false, limits, spent };
+    }
+
+    // ========== ENDEREÇOS CONFIÁVEIS ==========
+
+    async listTrusted(walletId) {
+        const rows = await this.db.all(`
+            SELECT id, address, label, effective_at FROM trusted_addresses
+            WHERE wallet_id = ? ORDER BY effective_at ASC
+        `, [walletId]);
+
+        return rows.map(row => ({ ...row, effective_at: Number(row.effective_at) }));
+    }
+
+    async isTrusted(walletId, address) {
+        const row = await this.db.get(`
+            SELECT id FROM trusted_addresses
+            WHERE wallet_id = ? AND address = ? AND effective_at <= ?
+        `, [walletId, address, Date.now()]);
+        return !!row;
+    }
+
+    /**
+     * Adicionar endereço confiável: passa a valer só depois do prazo de segurança
+     * @returns {Promise<object>} - { success, effectiveAt, error }
+     */
+    async addTrusted(wallet, address, label = null) {
+        try {
+            const existing = await this.db.get(`
+                SELECT effective_at FROM trusted_addresses WHERE wallet_id = ? AND address = ?
+            `, [wallet.id, address]);
+
+            if (existing) {
+                return { success: false, error: 'Endereço já está na lista', effectiveAt: Number(existing.effective_at) };
+            }
+
+            const effectiveAt = Date.now() + SECURITY_DELAY_MS;
+            await this.db.run(`
+                INSERT INTO trusted_addresses (wallet_id, telegram_id, address, label, effective_at)
+                VALUES (?, ?, ?, ?, ?)
+            `, [wallet.id, String(wallet.telegram_id), address, label, effectiveAt]);
+
+            this.logger.info(`⏳ Endereço confiável adicionado à wallet ${wallet.id}, vale a partir de ${new Date(effectiveAt).toISOString()}`);
+            await this.notify(wallet.telegram_id,
+                '⏳ *Endereço confiável adicionado*\n\n' +
+                `\`${address}\`${label ? `\n🏷️ ${label}` : ''}\n\n` +
+                `Envios para ele deixam de passar pelos limites em ${formatters.formatDateTime(effectiveAt)}. ` +
+                'Você recebe um aviso quando isso acontecer.\n\n' +
+                '⚠️ Se não foi você, remova o endereço e troque o PIN.'
+            );
+            return { success: true, effectiveAt };
+
+        } catch (error) {
+            this.logger.error('Erro ao adicionar endereço confiável:', error);
+            return { success: false, error: 'Erro ao adicionar endereço' };
+        }
+    }
+
+    // Remover é imediato: só deixa a wallet mais restrita
+    async removeTrusted(walletId, id) {
+        const result = await this.db.run(`DELETE FROM trusted_addresses WHERE id = ? AND wallet_id = ?`, [id, walletId]);
+        return result.changes > 0;
+    }
+
+    // ========== ALTERAÇÕES VENCIDAS ==========
+
+    /**
+     * Aplicar limites e avisar endereços confiáveis cujo prazo venceu (rodado periodicamente pelo bot),
+     * para o usuário saber na hora que a alteração passou a valer
+     */
+    async processDueChanges() {
+        const now = Date.now();
+
+        const wallets = await this.db.all(`
+            SELECT wallet_id FROM spending_limits
+            WHERE pending_daily_effective_at <= ? OR pending_per_tx_effective_at <= ?
+        `, [now, now]);
+
+        for (const { wallet_id: walletId } of wallets) {
+            await this.getLimits(walletId);
+        }
+
+        const addresses = await this.db.all(`
+            SELECT id, telegram_id, address, label FROM trusted_addresses
+            WHERE effective_at <= ? AND activation_notified = 0
+        `, [now]);
+
+        for (const entry of addresses) {
+            // Marcado antes de avisar: duas instâncias não mandam o aviso duas vezes
+            const result = await this.db.run(`
+                UPDATE trusted_addresses SET activation_notified = 1 WHERE id = ? AND activation_notified = 0
+            `, [entry.id]);
+
+            if (result.changes > 0) {
+                await this.notify(entry.telegram_id,
+                    '⭐ *Endereço confiável ativo*\n\n' +
+                    `\`${entry.address}\`${entry.label ? `\n🏷️ ${entry.label}` : ''}\n\n` +
+                    'Envios para este endereço não passam mais pelos limites.\n\n' +
+                    '⚠️ Se não foi você, remova o endereço e troque o PIN.'
+                );
+            }
+        }
+
+        return { limits: wallets.length, addresses: addresses.length };
+    }
+
+    async notify(telegramId, message) {
+        if (!this.notifier) return;
+
+        try {
+            await this.notifier(telegramId, message);
+        } catch (error) {
+            this.logger.error('Error sending spending limit notice', { telegramId, error: error.message });
+        }
+    }
+}
+
+module.exports = SpendingLimitService;
@@ -0,0 +1,502 @@
+// src/services/transaction-history.service.js
+const { PublicKey } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const Logger = require('../utils/logger');
+const config = require('../config/solana-programs.config');
+const connectionManager = require('./connection-manager.service');
+const { getTokenMetadata } = require('../config/tokens.config');
+
+const PAGE_SIZE = 5;
+const SIGNATURE_BATCH = 25;      // Assinaturas por getSignaturesForAddress
+const PARSE_BATCH = 10;          // Transações por getParsedTransactions
+const SYNC_INTERVAL = 30000;     // Busca de transações novas por wallet, no máximo uma vez nesse intervalo
+const MAX_SYNC_ROUNDS = 4;
+const DONUT_PRICE_WINDOW = 60 * 60 * 1000;  // A cotação do DONUT (pool) só vale para transações recentes
+
+// Programas de transferência comum; qualquer outro torna a transação "programa desconhecido"
+const STANDARD_PROGRAMS = new Set([
+    config.PROGRAM_IDS.SYSTEM.toString(),
+    TOKEN_PROGRAM_ID.toString(),
+    TOKEN_2022_PROGRAM_ID.toString(),
+    ASSOCIATED_TOKEN_PROGRAM_ID.toString(),
+    'ComputeBudget111111111111111111111111111111',
+    'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
+    'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo'
+]);
+
+// Categorias com valor em SOL (cotação histórica) e em DONUT (cotação atual da pool)
+const SOL_CATEGORIES = new Set(['sol_in', 'sol_out', 'matrix_registration', 'unknown_program']);
+const DONUT_CATEGORIES = new Set(['donut_in', 'donut_out', 'airdrop_claim']);
+
+/**
+ * Histórico da wallet a partir das transações parseadas on-chain.
+ * Cada assinatura é parseada uma única vez e fica em wallet_transactions;
+ * páginas antigas são carregadas sob demanda e as novas no máximo a cada SYNC_INTERVAL
+ */
+class TransactionHistoryService {
+    constructor(bot) {
+        this.db = bot.db;
+        this.priceService = bot.priceService;
+        this.logger = new Logger('TransactionHistory');
+        this.connection = connectionManager.connection;
+
+        this.donutMint = config.TOKEN_CONFIG.DONUT_MINT.toString();
+        this.matrixProgram = config.PROGRAM_IDS.MATRIX.toString();
+        this.airdropProgram = config.PROGRAM_IDS.AIRDROP.toString();
+
+        // Última busca de transações novas por wallet
+        this.lastSync = new Map();
+    }
+
+    /**
+     * Página do histórico (0 = mais recentes)
+     * @returns {Promise<object>} - { success, page, entries, hasMore }
+     */
+    async getPage(walletAddress, page = 0) {
+        try {
+            await this.syncNewest(walletAddress);
+
+            const offset = page * PAGE_SIZE;
+            // Um a mais para saber se existe próxima página
+            await this.ensureLoaded(walletAddress, offset + PAGE_SIZE + 1);
+
+            const rows = await this.db.all(`
+                SELECT * FROM wallet_transactions
+                WHERE wallet_address = ?
+                ORDER BY slot DESC, id ASC
+                LIMIT ? OFFSET ?
+            `, [walletAddress, PAGE_SIZE + 1, offset]);
+
+            await this.retryUsdValues(rows.slice(0, PAGE_SIZE));
+
+            return {
+                success: true,
+                page,
+                entries: rows.slice(0, PAGE_SIZE).map(row => this.toEntry(row)),
+                hasMore: rows.length > PAGE_SIZE
+            };
+
+        } catch (error) {
+            this.logger.error('Error loading transaction history', { walletAddress, page, error: error.message });
+            return { success: false, error: 'Não foi possível carregar o histórico. Tente novamente.' };
+        }
+    }
+
+    // ========== SINCRONIZAÇÃO ==========
+
+    /**
+     * Transações mais novas que a última em cache
+     */
+    async syncNewest(walletAddress) {
+        const lastSync = this.lastSync.get(walletAddress);
+        if (lastSync && Date.now() - lastSync < SYNC_INTERVAL) {
+            return;
+        }
+
+        const newest = await this.db.get(`
+            SELECT signature FROM wallet_transactions
+            WHERE wallet_address = ?
+            ORDER BY slot DESC, id ASC
+            LIMIT 1
+        `, [walletAddress]);
+
+        // Cache vazio: ensureLoaded carrega a partir do topo
+        if (!newest) {
+            this.lastSync.set(walletAddress, Date.now());
+            return;
+        }
+
+        const owner = new PublicKey(walletAddress);
+        const signatures = [];
+        let before;
+
+        // Todo o intervalo novo antes de gravar: uma falha no meio não deixa buraco na lista
+        for (let round = 0; round < MAX_SYNC_ROUNDS; round++) {
+            const page = await this.connection.getSignaturesForAddress(owner, {
+                until: newest.signature,
+                before,
+                limit: SIGNATURE_BATCH
+            }, 'confirmed');
+
+            signatures.push(...page);
+
+            if (page.length < SIGNATURE_BATCH) {
+                const rows = await this.parseSignatures(walletAddress, signatures);
+                await this.db.transaction(tx => this.insertRows(tx, rows));
+
+                this.lastSync.set(walletAddress, Date.now());
+                return;
+            }
+            before = page[page.length - 1].signature;
+        }
+
+        // Mais transações novas do que o limite: descartar o cache para não deixar buraco na lista
+        this.logger.warn('History gap too large, resetting cache', { walletAddress });
+        await this.resetWallet(walletAddress);
+    }
+
+    /**
+     * Carregar transações antigas até ter `count` em cache (ou o histórico acabar)
+     */
+    async ensureLoaded(walletAddress, count) {
+        const cached = await this.db.get(
+            `SELECT COUNT(*) AS total FROM wallet_transactions WHERE wallet_address = ?`,
+            [walletAddress]
+        );
+        let total = Number(cached.total);
+
+        if (total >= count) {
+            return;
+        }
+
+        const state = await this.db.get(`SELECT * FROM wallet_history_sync WHERE wallet_address = ?`, [walletAddress]);
+        if (state?.complete) {
+            return;
+        }
+
+        const owner = new PublicKey(walletAddress);
+        let cursor = state?.oldest_signature || undefined;
+
+        while (total < count) {
+            const signatures = await this.connection.getSignaturesForAddress(owner, {
+                before: cursor,
+                limit: SIGNATURE_BATCH
+            }, 'confirmed');
+
+            const rows = await this.parseSignatures(walletAddress, signatures);
+
+            total += signatures.length;
+            const complete = signatures.length < SIGNATURE_BATCH;
+            if (signatures.length > 0) {
+                cursor = signatures[signatures.length - 1].signature;
+            }
+
+            // Página e cursor juntos: o cursor nunca passa de uma página que não foi gravada
+            await this.db.transaction(async (tx) => {
+                await this.insertRows(tx, rows);
+                await tx.run(`
+                    INSERT INTO wallet_history_sync (wallet_address, oldest_signature, complete)
+                    VALUES (?, ?, ?)
+                    ON CONFLICT(wallet_address) DO UPDATE SET
+                        oldest_signature = excluded.oldest_signature,
+                        complete = excluded.complete,
+                        updated_at = CURRENT_TIMESTAMP
+                `, [walletAddress, cursor || null, complete ? 1 : 0]);
+            });
+
+            if (complete) {
+                break;
+            }
+        }
+    }
+
+    async resetWallet(walletAddress) {
+        await this.db.run(`DELETE FROM wallet_transactions WHERE wallet_address = ?`, [walletAddress]);
+        await this.db.run(`DELETE FROM wallet_history_sync WHERE wallet_address = ?`, [walletAddress]);
+        this.lastSync.delete(walletAddress);
+    }
+
+    /**
+     * Parsear assinaturas (em lotes, para não estourar o limite do RPC)
+     * @returns {Promise<Array>} - Linhas prontas para insertRows
+     */
+    async parseSignatures(walletAddress, signatures) {
+        const rows = [];
+
+        for (let start = 0; start < signatures.length; start += PARSE_BATCH) {
+            const batch = signatures.slice(start, start + PARSE_BATCH);
+
+            const transactions = await this.connection.getParsedTransactions(
+                batch.map(item => item.signature),
+                { maxSupportedTransactionVersion: 0, commitment: 'confirmed' }
+            );
+
+            for (let index = 0; index < batch.length; index++) {
+                const info = batch[index];
+                const transaction = transactions[index];
+
+                const entry = transaction
+                    ? this.classifyTransaction(transaction, walletAddress)
+                    : { category: 'unknown_program', token: null, amount: null, counterparty: null, fee: 0, success: !info.err };
+
+                const blockTime = transaction?.blockTime ?? info.blockTime ?? null;
+                const usd = await this.getUsdValue(entry, blockTime);
+
+                rows.push([
+                    walletAddress,
+                    info.signature,
+                    info.slot,
+                    blockTime,
+                    entry.category,
+                    entry.token,
+                    entry.amount,
+                    entry.counterparty,
+                    entry.fee,
+                    usd.value,
+                    usd.status,
+                    entry.success ? 1 : 0
+                ]);
+            }
+        }
+
+        return rows;
+    }
+
+    async insertRows(tx, rows) {
+        for (const row of rows) {
+            await tx.run(`
+                INSERT INTO wallet_transactions
+                    (wallet_address, signature, slot, block_time, category, token, amount, counterparty, fee, usd_value, usd_status, success)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(wallet_address, signature) DO NOTHING
+            `, row);
+        }
+    }
+
+    // ========== CLASSIFICAÇÃO ==========
+
+    /**
+     * Classificar pela variação de saldos da wallet e pelos programas invocados
+     * @returns {object} - { category, token, amount, counterparty, fee, success }
+     */
+    classifyTransaction(transaction, walletAddress) {
+        const { meta } = transaction;
+        const accountKeys = transaction.transaction.message.accountKeys.map(key => key.pubkey.toString());
+
+        const paidFee = accountKeys[0] === walletAddress ? (meta?.fee || 0) : 0;
+        const base = { fee: paidFee, success: !meta?.err };
+
+        const programs = this.getInvokedPrograms(transaction);
+        const solDeltas = this.getSolDeltas(meta, accountKeys);
+        // A taxa não faz parte do valor movimentado
+        const ownSolDelta = (solDeltas.get(walletAddress) || 0) + paidFee;
+        const tokenDeltas = this.getTokenDeltas(meta);
+        const ownTokenDeltas = tokenDeltas.filter(delta => delta.owner === walletAddress);
+
+        if (programs.includes(this.matrixProgram)) {
+            return {
+                ...base,
+                category: 'matrix_registration',
+                token: 'SOL',
+                amount: Math.abs(ownSolDelta) / 1e9,
+                counterparty: this.matrixProgram
+            };
+        }
+
+        if (programs.includes(this.airdropProgram)) {
+            const donut = ownTokenDeltas.find(delta => delta.mint === this.donutMint);
+            return {
+                ...base,
+                category: 'airdrop_claim',
+                token: 'DONUT',
+                amount: donut ? Math.abs(donut.amount) : null,
+                counterparty: this.airdropProgram
+            };
+        }
+
+        const unknownProgram = programs.find(program => !STANDARD_PROGRAMS.has(program));
+        if (unknownProgram) {
+            return {
+                ...base,
+                category: 'unknown_program',
+                token: ownSolDelta ? 'SOL' : null,
+                amount: ownSolDelta ? ownSolDelta / 1e9 : null,
+                counterparty: unknownProgram
+            };
+        }
+
+        // DONUT primeiro, depois outros tokens; a criação de ATA movimenta SOL junto
+        const tokenDelta = ownTokenDeltas.find(delta => delta.mint === this.donutMint) || ownTokenDeltas[0];
+        if (tokenDelta) {
+            const incoming = tokenDelta.amount > 0;
+            const counterpart = tokenDeltas
+                .filter(delta => delta.mint === tokenDelta.mint && delta.owner !== walletAddress && (delta.amount > 0) !== incoming)
+                .sort((a, b) => Math.abs(b.amount) - Math.abs(a.amount))[0];
+
+            const isDonut = tokenDelta.mint === this.donutMint;
+            return {
+                ...base,
+                category: `${isDonut ? 'donut' : 'token'}_${incoming ? 'in' : 'out'}`,
+                token: isDonut ? 'DONUT' : getTokenMetadata(tokenDelta.mint).symbol,
+                amount: Math.abs(tokenDelta.amount),
+                counterparty: counterpart?.owner || null
+            };
+        }
+
+        if (ownSolDelta !== 0) {
+            return this.solTransfer(base, ownSolDelta, solDeltas, walletAddress);
+        }
+
+        // Falhou sem mover saldo: a instrução de transferência diz o que era
+        const transfer = this.findSolTransfer(transaction, walletAddress);
+        if (transfer) {
+            return { ...base, ...transfer };
+        }
+
+        return { ...base, category: 'unknown_program', token: null, amount: null, counterparty: null };
+    }
+
+    solTransfer(base, ownSolDelta, solDeltas, walletAddress) {
+        const incoming = ownSolDelta > 0;
+        let counterparty = null;
+        let largest = 0;
+
+        for (const [address, delta] of solDeltas) {
+            if (address !== walletAddress && (delta > 0) !== incoming && Math.abs(delta) > largest) {
+                counterparty = address;
+                largest = Math.abs(delta);
+            }
+        }
+
+        return {
+            ...base,
+            category: incoming ? 'sol_in' : 'sol_out',
+            token: 'SOL',
+            amount: Math.abs(ownSolDelta) / 1e9,
+            counterparty
+        };
+    }
+
+    findSolTransfer(transaction, walletAddress) {
+        for (const instruction of transaction.transaction.message.instructions) {
+            const parsed = instruction.parsed;
+            if (instruction.program !== 'system' || parsed?.type !== 'transfer') {
+                continue;
+            }
+
+            const { source, destination, lamports } = parsed.info;
+            if (source === walletAddress || destination === walletAddress) {
+                const incoming = destination === walletAddress;
+                return {
+                    category: incoming ? 'sol_in' : 'sol_out',
+                    token: 'SOL',
+                    amount: lamports / 1e9,
+                    counterparty: incoming ? source : destination
+                };
+            }
+        }
+        return null;
+    }
+
+    getInvokedPrograms(transaction) {
+        const programs = transaction.transaction.message.instructions.map(instruction => instruction.programId.toString());
+
+        for (const inner of transaction.meta?.innerInstructions || []) {
+            for (const instruction of inner.instructions) {
+                programs.push(instruction.programId.toString());
+            }
+        }
+
+        return [...new Set(programs)];
+    }
+
+    getSolDeltas(meta, accountKeys) {
+        const deltas = new Map();
+        if (!meta) return deltas;
+
+        accountKeys.forEach((address, index) => {
+            const delta = meta.postBalances[index] - meta.preBalances[index];
+            if (delta !== 0) {
+                deltas.set(address, delta);
+            }
+        });
+
+        return deltas;
+    }
+
+    /**
+     * Variação de cada token por dono (agrega as contas do mesmo dono)
+     * @returns {Array} - [{ owner, mint, amount }]
+     */
+    getTokenDeltas(meta) {
+        const deltas = new Map();
+
+        const add = (balances, sign) => {
+            for (const balance of balances || []) {
+                if (!balance.owner) continue;
+
+                const key = `${balance.owner}:${balance.mint}`;
+                const current = deltas.get(key) || {
+                    owner: balance.owner,
+                    mint: balance.mint,
+                    raw: 0n,
+                    decimals: balance.uiTokenAmount.decimals
+                };
+                current.raw += sign * BigInt(balance.uiTokenAmount.amount);
+                deltas.set(key, current);
+            }
+        };
+
+        add(meta?.postTokenBalances, 1n);
+        add(meta?.preTokenBalances, -1n);
+
+        return [...deltas.values()]
+            .filter(delta => delta.raw !== 0n)
+            .map(({ owner, mint, raw, decimals }) => ({ owner, mint, amount: Number(raw) / Math.pow(10, decimals) }));
+    }
+
+    /**
+     * Valor em USD na data da transação
+     * @returns {Promise<object>} - { value, status: 'ok' | 'retry' | 'unavailable' }
+     */
+    async getUsdValue(entry, blockTime) {
+        if (!entry.amount || !blockTime) {
+            return { value: null, status: 'unavailable' };
+        }
+
+        let price;
+        if (SOL_CATEGORIES.has(entry.category) && entry.token === 'SOL') {
+            price = await this.priceService.getHistoricalSOLPrice(blockTime * 1000);
+        } else if (DONUT_CATEGORIES.has(entry.category) && Date.now() - blockTime * 1000 < DONUT_PRICE_WINDOW) {
+            price = await this.priceService.getDONUTPrice();
+        } else {
+            return { value: null, status: 'unavailable' };
+        }
+
+        // Falha de cotação não fica gravada para sempre: a linha é refeita na próxima exibição
+        return price === null
+            ? { value: null, status: 'retry' }
+            : { value: Math.abs(entry.amount) * price, status: 'ok' };
+    }
+
+    /**
+     * Refazer a cotação das linhas exibidas que ficaram sem valor por falha
+     */
+    async retryUsdValues(rows) {
+        for (const row of rows) {
+            if (row.usd_status !== 'retry') continue;
+
+            const usd = await this.getUsdValue({
+                category: row.category,
+                token: row.token,
+                amount: row.amount === null ? null : Number(row.amount)
+            }, row.block_time === null ? null : Number(row.block_time));
+
+            if (usd.status === 'retry') continue;
+
+            await this.db.run(
+                `UPDATE wallet_transactions SET usd_value = ?, usd_status = ? WHERE id = ?`,
+                [usd.value, usd.status, row.id]
+            );
+            row.usd_value = usd.value;
+            row.usd_status = usd.status;
+        }
+    }
+
+    toEntry(row) {
+        return {
+            signature: row.signature,
+            blockTime: row.block_time,
+            category: row.category,
+            token: row.token,
+            amount: row.amount,
+            counterparty: row.counterparty,
+            fee: row.fee,
+            usdValue: row.usd_value,
+            success: Boolean(row.success),
+            explorerUrl: config.getExplorerUrl(row.signature)
+        };
+    }
+}
+
+module.exports = TransactionHistoryService;
@@ -1,20 +1,76 @@
 // src/services/transaction-monitor.service.js
-const { Connection, PublicKey } = require('@solana/web3.js');
+const { PublicKey } = require('@solana/web3.js');
+const { BorshCoder, EventParser } = require('@coral-xyz/anchor');
 const Logger = require('../utils/logger');
 const config = require('../config/solana-programs.config');
+const connectionManager = require('./connection-manager.service');
+
+const POLL_BATCH_SIZE = 100;
+
+// Teto da recuperação (páginas de POLL_BATCH_SIZE) depois de muito tempo fora
+const MAX_BACKFILL_PAGES = 50;
+
+// Última assinatura processada, em bot_metadata: eventos com o bot desligado não se perdem
+const CURSOR_NAME = 'matrix_monitor_cursor';
 
 class TransactionMonitorService {
     constructor(bot) {
         this.bot = bot;
         this.db = bot.db;
         this.logger = new Logger('TransactionMonitor');
-        this.connection = new Connection(config.RPC_URL, {
-            commitment: 'confirmed',
-            wsEndpoint: config.RPC_URL.replace('https', 'wss')
-        });
+        // Leituras pelo pool; subscriptions e websocket ficam no primário
+        this.connection = connectionManager.connection;
+
+        this.programId = new PublicKey(config.MATRIX_CONFIG.PROGRAM_ID);
+
+        // Eventos decodificados pelo IDL (em vez de procurar substrings nos logs)
+        this.eventParser = new EventParser(this.programId, new BorshCoder(config.MATRIX_IDL));
         
         this.subscriptions = new Map();
+        this.logsSubscriptionId = null;
         this.isMonitoring = false;
+
+        // Fallback por polling enquanto o websocket estiver fora
+        this.pollInterval = parseInt(process.env.MONITOR_POLL_INTERVAL) || 15000;
+        this.pollingTimer = null;
+        this.isPolling = false;
+        this.lastSignature = null;
+    }
+
+    /**
+     * Iniciar monitoramento no startup: logs do programa + wallets com matriz ativa
+     */
+    async init() {
+        try {
+            const savedCursor = await this.db.get(`SELECT value FROM bot_metadata WHERE name = ?`, [CURSOR_NAME]);
+
+            this.subscribeProgramLogs();
+            this.watchWebSocket();
+
+            if (savedCursor) {
+                // Recuperar o que aconteceu com o bot desligado
+                this.lastSignature = savedCursor.value;
+                await this.pollOnce();
+            } else {
+                await this.updateCursor();
+            }
+
+            const matrices = await this.db.all(`
+                SELECT DISTINCT telegram_id, wallet_address
+                FROM user_matrices
+                WHERE status = 'active'
+            `);
+
+            for (const matrix of matrices) {
+                await this.startMonitoring(matrix.telegram_id, matrix.wallet_address);
+            }
+
+            this.isMonitoring = true;
+            console.log(`👀 Monitor de transações ativo (${matrices.length} matriz(es))`);
+
+        } catch (error) {
+            this.logger.error('Erro ao iniciar monitor de transações:', error);
+        }
     }
 
     /**
@@ -47,40 +103,147 @@ class TransactionMonitorService {
 
             this.logger.info(`Monitoramento iniciado para ${walletAddress}`);
             
-            // Também monitorar logs do programa da matriz
-            await this.monitorMatrixProgram(telegramId, walletAddress);
-            
         } catch (error) {
             this.logger.error('Erro ao iniciar monitoramento:', error);
         }
     }
 
     /**
-     * Monitorar programa da matriz para eventos
+     * Subscrição única nos logs do programa da matriz (eventos de todas as wallets)
      */
-    async monitorMatrixProgram(telegramId, walletAddress) {
-        try {
-            const matrixProgramId = new PublicKey(config.MATRIX_CONFIG.PROGRAM_ID);
-            
-            // Subscrever para logs do programa
-            const logsSubscriptionId = this.connection.onLogs(
-                matrixProgramId,
-                async (logs, context) => {
-                    await this.handleMatrixLogs(telegramId, walletAddress, logs, context);
-                },
-                'confirmed'
-            );
+    subscribeProgramLogs() {
+        if (this.logsSubscriptionId !== null) return;
+
+        this.logsSubscriptionId = this.connection.onLogs(
+            this.programId,
+            async (logs) => {
+                await this.handleProgramLogs(logs.signature, logs.err, logs.logs);
+                await this.setCursor(logs.signature).catch(error =>
+                    this.logger.error('Erro ao salvar cursor do monitor:', error));
+            },
+            'confirmed'
+        );
+    }
 
-            // Adicionar à lista de subscriptions
-            const key = `${walletAddress}_logs`;
-            this.subscriptions.set(key, {
-                id: logsSubscriptionId,
-                telegramId: telegramId,
-                type: 'logs'
+    /**
+     * Acompanhar o websocket interno do Connection. O web3.js reconecta e
+     * refaz as subscrições sozinho; aqui só cobrimos o intervalo sem eventos.
+     */
+    watchWebSocket() {
+        const socket = this.connection._rpcWebSocket;
+        if (!socket) {
+            this.logger.warn('Websocket do RPC indisponível - usando apenas polling');
+            this.startPolling();
+            return;
+        }
+
+        socket.on('close', () => {
+            if (this.pollingTimer) return;
+            this.logger.warn('Websocket do RPC caiu - ativando polling');
+            this.startPolling();
+        });
+
+        socket.on('open', async () => {
+            if (!this.pollingTimer) return;
+            this.stopPolling();
+            // Última passada para não perder eventos do intervalo da troca
+            await this.pollOnce();
+            this.logger.info('Websocket do RPC restabelecido - polling desativado');
+        });
+    }
+
+    startPolling() {
+        if (this.pollingTimer) return;
+        this.pollingTimer = setInterval(() => this.pollOnce(), this.pollInterval);
+        this.pollOnce();
+    }
+
+    stopPolling() {
+        if (this.pollingTimer) {
+            clearInterval(this.pollingTimer);
+            this.pollingTimer = null;
+        }
+    }
+
+    /**
+     * Guardar a assinatura mais recente do programa como ponto de partida
+     */
+    async updateCursor() {
+        const [latest] = await this.connection.getSignaturesForAddress(this.programId, { limit: 1 });
+        if (latest) {
+            await this.setCursor(latest.signature);
+        }
+    }
+
+    async setCursor(signature) {
+        this.lastSignature = signature;
+        await this.db.run(`
+            INSERT INTO bot_metadata (name, value) VALUES (?, ?)
+            ON CONFLICT(name) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+        `, [CURSOR_NAME, signature]);
+    }
+
+    /**
+     * Todas as assinaturas depois de `until`, da mais antiga para a mais nova.
+     * A API devolve só as POLL_BATCH_SIZE mais novas: as anteriores vêm paginando com `before`
+     */
+    async fetchSignaturesSince(until) {
+        const signatures = [];
+        let before;
+
+        for (let page = 0; page < MAX_BACKFILL_PAGES; page++) {
+            const batch = await this.connection.getSignaturesForAddress(this.programId, {
+                until,
+                before,
+                limit: POLL_BATCH_SIZE
             });
 
+            signatures.push(...batch);
+            if (batch.length < POLL_BATCH_SIZE) {
+                return signatures.reverse();
+            }
+            before = batch[batch.length - 1].signature;
+        }
+
+        this.logger.warn(`Recuperação limitada a ${MAX_BACKFILL_PAGES * POLL_BATCH_SIZE} transações; as mais antigas ficaram de fora`);
+        return signatures.reverse();
+    }
+
+    /**
+     * Buscar transações do programa desde a última assinatura vista
+     */
+    async pollOnce() {
+        if (this.isPolling) return;
+        this.isPolling = true;
+
+        try {
+            if (!this.lastSignature) {
+                await this.updateCursor();
+                return;
+            }
+
+            const signatures = await this.fetchSignaturesSince(this.lastSignature);
+
+            // O cursor só avança depois de cada transação processada: erro no meio retoma dali
+            for (const info of signatures) {
+                if (!info.err) {
+                    const tx = await this.connection.getTransaction(info.signature, {
+                        commitment: 'confirmed',
+                        maxSupportedTransactionVersion: 0
+                    });
+
+                    if (tx?.meta) {
+                        await this.handleProgramLogs(info.signature, tx.meta.err, tx.meta.logMessages || []);
+                    }
+                }
+
+                await this.setCursor(info.signature);
+            }
+
         } catch (error) {
-            this.logger.error('Erro ao monitorar programa:', error);
+            this.logger.error('Erro no polling do programa:', error);
+        } finally {
+            this.isPolling = false;
         }
     }
 
@@ -104,30 +267,21 @@ class TransactionMonitorService {
     }
 
     /**
-     * Processar logs do programa da matriz
+     * Processar logs do programa da matriz (websocket ou polling)
      */
-    async handleMatrixLogs(telegramId, walletAddress, logs, context) {
+    async handleProgramLogs(signature, err, logs) {
         try {
-            // Procurar por eventos relevantes nos logs
-            const signature = logs.signature;
-            
-            // Verificar se é uma transação relevante
-            if (logs.logs && logs.logs.length > 0) {
-                for (const log of logs.logs) {
-                    // Procurar por eventos de slot preenchido
-                    if (log.includes('SlotFilled') || log.includes('slot_filled')) {
-                        await this.handleSlotFilled(telegramId, walletAddress, signature);
-                    }
-                    
-                    // Procurar por eventos de matriz completa
-                    if (log.includes('MatrixCompleted') || log.includes('matrix_completed')) {
-                        await this.handleMatrixCompleted(telegramId, walletAddress, signature);
-                    }
-                    
-                    // Procurar por eventos de pagamento
-                    if (log.includes('PaymentDistributed') || log.includes('payment_distributed')) {
-                        await this.handlePaymentDistributed(telegramId, walletAddress, signature);
-                    }
+            // Transação com erro não altera estado on-chain
+            if (err) return;
+
+            for (const event of this.parseEvents(logs)) {
+                if (event.name !== 'SlotFilled') continue;
+
+                const ownerWallet = event.data.owner.toString();
+                const telegramId = await this.resolveTelegramId(ownerWallet);
+
+                if (telegramId) {
+                    await this.handleSlotFilled(telegramId, ownerWallet, signature, event.data);
                 }
             }
 
@@ -136,6 +290,30 @@ class TransactionMonitorService {
         }
     }
 
+    parseEvents(logs) {
+        try {
+            return [...this.eventParser.parseLogs(logs || [])];
+        } catch (error) {
+            this.logger.warn('Falha ao decodificar eventos da matriz', { error: error.message });
+            return [];
+        }
+    }
+
+    /**
+     * Dono da matriz: wallets monitoradas primeiro, depois o banco
+     */
+    async resolveTelegramId(walletAddress) {
+        const sub = this.subscriptions.get(walletAddress);
+        if (sub) return sub.telegramId;
+
+        const matrix = await this.db.get(`
+            SELECT telegram_id FROM user_matrices
+            WHERE wallet_address = ? AND status = 'active'
+        `, [walletAddress]);
+
+        return matrix?.telegram_id || null;
+    }
+
     /**
      * Verificar status da matriz
      */
@@ -151,10 +329,10 @@ class TransactionMonitorService {
                 return { hasChanges: false };
             }
 
-            // Usar AnchorClient para buscar estado na blockchain
-            if (this.bot.matrixService && this.bot.matrixService.anchorClient) {
-                await this.bot.matrixService.anchorClient.initialize();
-                const onchainAccount = await this.bot.matrixService.anchorClient.getUserAccount(walletAddress);
+            // Usar BotAnchorClient para buscar estado na blockchain
+            if (this.bot.botAnchorClient) {
+                await this.bot.botAnchorClient.initialize();
+                const onchainAccount = await this.bot.botAnchorClient.getUserAccount(walletAddress);
                 
                 if (onchainAccount.exists) {
                     const filledSlots = onchainAccount.data.filledSlots || 0;
@@ -180,53 +358,77 @@ class TransactionMonitorService {
     }
 
     /**
-     * Processar slot preenchido
+     * Processar evento SlotFilled decodificado
      */
-    async handleSlotFilled(telegramId, walletAddress, signature) {
+    async handleSlotFilled(telegramId, walletAddress, signature, event) {
         try {
-            this.logger.info(`Slot preenchido detectado para ${walletAddress}`);
-            
-            // Atualizar banco local
-            await this.db.run(`
-                UPDATE user_matrices 
-                SET slots_filled = slots_filled + 1,
-                    updated_at = CURRENT_TIMESTAMP
-                WHERE wallet_address = ?
-            `, [walletAddress]);
+            const slotIndex = Number(event.slotIdx);
+            const referredWallet = event.user.toString();
+
+            // Websocket e polling podem entregar a mesma transação
+            const alreadyProcessed = await this.db.get(`
+                SELECT id FROM notifications
+                WHERE telegram_id = ? AND type = 'slot_filled' AND title = ?
+            `, [telegramId, signature]);
+            if (alreadyProcessed) return;
+
+            this.logger.info(`Slot ${slotIndex + 1} preenchido para ${walletAddress}`, { signature, referredWallet });
+
+            const slotColumn = `slot_${slotIndex + 1}_wallet`;
+            const slotDateColumn = `slot_${slotIndex + 1}_filled_at`;
 
-            // Buscar informações da matriz
+            // Registro feito pelo próprio bot já atualizou o slot localmente
             const matrix = await this.db.get(`
                 SELECT * FROM user_matrices 
                 WHERE wallet_address = ?
             `, [walletAddress]);
 
-            if (matrix) {
-                // Notificar usuário
-                let message = '🎉 **NOVO REFERIDO NA SUA MATRIZ!**\n\n';
-                message += `✅ Slot ${matrix.slots_filled}/3 preenchido!\n`;
-                message += `🔗 [Ver transação](https://solscan.io/tx/${signature})\n\n`;
-                
-                if (matrix.slots_filled >= 3) {
-                    message += '🔄 **Matriz completa!** Será reiniciada automaticamente.\n';
-                    message += '💰 Você recebeu seus ganhos!';
-                } else {
-                    message += `⏳ Faltam ${3 - matrix.slots_filled} pessoas para completar!`;
-                }
-
-                await this.bot.bot.sendMessage(telegramId, message, {
-                    parse_mode: 'Markdown',
-                    reply_markup: {
-                        inline_keyboard: [
-                            [{ text: '📊 Ver Matriz', callback_data: 'view_my_matrix' }],
-                            [{ text: '📤 Compartilhar Link', callback_data: 'share_voucher' }]
-                        ]
-                    }
-                });
+            if (matrix && matrix[slotColumn] !== referredWallet) {
+                await this.db.run(`
+                    UPDATE user_matrices 
+                    SET ${slotColumn} = ?,
+                        ${slotDateColumn} = CURRENT_TIMESTAMP,
+                        slots_filled = ?,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE wallet_address = ?
+                `, [referredWallet, slotIndex + 1, walletAddress]);
+            }
 
-                // Completar tarefa de referência se aplicável
-                await this.checkAndCompleteReferralTask(telegramId, matrix.slots_filled);
+            const message = `✅ Slot ${slotIndex + 1}/3 preenchido`;
+            await this.db.run(`
+                INSERT INTO notifications (telegram_id, type, title, message, data)
+                VALUES (?, 'slot_filled', ?, ?, ?)
+            `, [telegramId, signature, message, JSON.stringify({
+                slotIndex,
+                chainId: event.chainId,
+                referredWallet
+            })]);
+
+            // Completar tarefa de referência se aplicável
+            await this.checkAndCompleteReferralTask(telegramId, slotIndex + 1);
+
+            // Slot 3 fecha o ciclo: pagamento e reinício da matriz
+            if (slotIndex >= 2) {
+                await this.handlePaymentDistributed(telegramId, walletAddress, signature);
+                await this.handleMatrixCompleted(telegramId, walletAddress, signature);
+                return;
             }
 
+            let text = '🎉 **NOVO REFERIDO NA SUA MATRIZ!**\n\n';
+            text += `${message}!\n`;
+            text += `🔗 [Ver transação](${config.getExplorerUrl(signature)})\n\n`;
+            text += `⏳ Faltam ${2 - slotIndex} pessoas para completar!`;
+
+            await this.bot.bot.sendMessage(telegramId, text, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [{ text: '📊 Ver Matriz', callback_data: 'view_my_matrix' }],
+                        [{ text: '📤 Compartilhar Link', callback_data: 'share_voucher' }]
+                    ]
+                }
+            });
+
         } catch (error) {
             this.logger.error('Erro ao processar slot preenchido:', error);
         }
@@ -289,9 +491,16 @@ class TransactionMonitorService {
             });
 
             if (txDetails) {
-                // Calcular valor recebido (simplificado)
-                const preBalance = txDetails.meta.preBalances[0];
-                const postBalance = txDetails.meta.postBalances[0];
+                // Índice da wallet entre as contas da transação (inclui lookup tables)
+                const accountKeys = txDetails.transaction.message
+                    .getAccountKeys({ accountKeysFromLookups: txDetails.meta.loadedAddresses })
+                    .keySegments()
+                    .flat();
+                const index = accountKeys.findIndex(key => key.toString() === walletAddress);
+                if (index === -1) return;
+
+                const preBalance = txDetails.meta.preBalances[index];
+                const postBalance = txDetails.meta.postBalances[index];
                 const received = (postBalance - preBalance) / 1e9; // Converter para SOL
 
                 if (received > 0) {
@@ -306,7 +515,7 @@ class TransactionMonitorService {
                     // Notificar usuário
                     let message = '💰 **PAGAMENTO RECEBIDO!**\n\n';
                     message += `✅ Você recebeu: ${received.toFixed(4)} SOL\n`;
-                    message += `🔗 [Ver transação](https://solscan.io/tx/${signature})\n\n`;
+                    message += `🔗 [Ver transação](${config.getExplorerUrl(signature)})\n\n`;
                     message += 'Continue convidando para mais ganhos!';
 
                     await this.bot.bot.sendMessage(telegramId, message, {
@@ -397,20 +606,12 @@ class TransactionMonitorService {
      */
     async stopMonitoring(walletAddress) {
         try {
-            // Remover subscription principal
             const sub = this.subscriptions.get(walletAddress);
             if (sub) {
                 await this.connection.removeAccountChangeListener(sub.id);
                 this.subscriptions.delete(walletAddress);
             }
 
-            // Remover subscription de logs
-            const logsSub = this.subscriptions.get(`${walletAddress}_logs`);
-            if (logsSub) {
-                await this.connection.removeOnLogsListener(logsSub.id);
-                this.subscriptions.delete(`${walletAddress}_logs`);
-            }
-
             this.logger.info(`Monitoramento parado para ${walletAddress}`);
 
         } catch (error) {
@@ -423,15 +624,19 @@ class TransactionMonitorService {
      */
     async cleanup() {
         try {
-            for (const [key, sub] of this.subscriptions.entries()) {
-                if (sub.type === 'logs') {
-                    await this.connection.removeOnLogsListener(sub.id);
-                } else {
-                    await this.connection.removeAccountChangeListener(sub.id);
-                }
+            this.stopPolling();
+
+            for (const sub of this.subscriptions.values()) {
+                await this.connection.removeAccountChangeListener(sub.id);
+            }
+
+            if (this.logsSubscriptionId !== null) {
+                await this.connection.removeOnLogsListener(this.logsSubscriptionId);
+                this.logsSubscriptionId = null;
             }
             
             this.subscriptions.clear();
+            this.isMonitoring = false;
             this.logger.info('Todos os monitoramentos limpos');
 
         } catch (error) {
@@ -451,26 +656,23 @@ class TransactionMonitorService {
      */
     getMonitoringStats() {
         const stats = {
-            totalWallets: 0,
-            totalLogs: 0,
+            mode: this.pollingTimer ? 'polling' : 'websocket',
+            logsSubscribed: this.logsSubscriptionId !== null,
+            lastSignature: this.lastSignature,
+            totalWallets: this.subscriptions.size,
             wallets: []
         };
 
-        for (const [key, sub] of this.subscriptions.entries()) {
-            if (sub.type === 'logs') {
-                stats.totalLogs++;
-            } else {
-                stats.totalWallets++;
-                stats.wallets.push({
-                    address: key,
-                    telegramId: sub.telegramId,
-                    duration: Date.now() - sub.startTime
-                });
-            }
+        for (const [address, sub] of this.subscriptions.entries()) {
+            stats.wallets.push({
+                address,
+                telegramId: sub.telegramId,
+                duration: Date.now() - sub.startTime
+            });
         }
 
         return stats;
     }
 }
 
-module.exports = TransactionMonitorService;
\ No newline at end of file
+module.exports = TransactionMonitorService;
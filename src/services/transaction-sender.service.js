@@ -0,0 +1,270 @@
+// src/services/transaction-sender.service.js
+const bs58 = require('bs58').default;
+const Logger = require('../utils/logger');
+const config = require('../config/solana-programs.config');
+const connectionManager = require('./connection-manager.service');
+
+const REBROADCAST_INTERVAL = 2000;
+// Sem resposta do RPC por este tempo, o resultado fica "desconhecido" e segue em background
+const MAX_WATCH_TIME = 120000;
+
+/**
+ * Resultados de send():
+ * - confirmed: incluída sem erro
+ * - failed: incluída com erro ou recusada no preflight (nunca vai entrar)
+ * - expired: blockhash expirou sem inclusão, seguro tentar de novo
+ * - unknown: não foi possível saber a tempo; NÃO reenviar, o usuário é avisado depois
+ */
+class TransactionSenderService {
+    constructor(bot) {
+        this.bot = bot;
+        this.db = bot.db;
+        this.logger = new Logger('TransactionSender');
+        this.connection = connectionManager.connection;
+
+        // Assinaturas acompanhadas por um send() em andamento (o background não mexe nelas)
+        this.watching = new Set();
+
+        this.checkInterval = parseInt(process.env.PENDING_TX_CHECK_INTERVAL) || 30000;
+        this.timer = null;
+        this.isChecking = false;
+    }
+
+    /**
+     * Retomar pendentes do último processo e verificar periodicamente
+     */
+    async start() {
+        await this.checkPending();
+        this.timer = setInterval(() => this.checkPending(), this.checkInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Enviar transação já assinada e reenviar até confirmar ou o blockhash expirar
+     * @param {Transaction|VersionedTransaction} transaction - Assinada, com blockhash de lastValidBlockHeight
+     * @param {object} options - { lastValidBlockHeight, telegramId, description }
+     * @returns {Promise<object>} { status, signature, error }
+     */
+    async send(transaction, { lastValidBlockHeight, telegramId = null, description = 'Transação' }) {
+        const raw = transaction.serialize();
+        const signature = this.getSignature(transaction);
+
+        // Persistir antes do primeiro envio: se o processo cair, o resultado ainda é acompanhado
+        await this.db.run(`
+            INSERT INTO outgoing_transactions
+                (signature, telegram_id, wallet_address, description, raw_transaction, last_valid_block_height)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            signature,
+            telegramId,
+            this.getFeePayer(transaction),
+            description,
+            Buffer.from(raw).toString('base64'),
+            lastValidBlockHeight
+        ]);
+
+        this.watching.add(signature);
+
+        try {
+            try {
+                await this.connection.sendRawTransaction(raw, {
+                    skipPreflight: false,
+                    preflightCommitment: 'confirmed',
+                    maxRetries: 0
+                });
+            } catch (error) {
+                // Recusada na simulação do preflight: não chegou à rede
+                if (error.logs || /simulation failed/i.test(error.message)) {
+                    await this.resolve(signature, 'failed', error.message, true);
+                    throw error;
+                }
+                this.logger.warn(`Falha de rede no envio de ${signature}, seguindo com rebroadcast: ${error.message}`);
+            }
+
+            const outcome = await this.watch(raw, signature, lastValidBlockHeight);
+
+            if (outcome.status === 'unknown') {
+                this.logger.warn(`⚠️ Resultado de ${signature} desconhecido; acompanhando em background`);
+            } else {
+                await this.resolve(signature, outcome.status, outcome.error, true);
+            }
+
+            return { signature, ...outcome };
+
+        } finally {
+            this.watching.delete(signature);
+        }
+    }
+
+    /**
+     * Rebroadcast a cada REBROADCAST_INTERVAL até a assinatura aparecer ou o blockhash expirar
+     */
+    async watch(raw, signature, lastValidBlockHeight) {
+        const startedAt = Date.now();
+
+        while (Date.now() - startedAt < MAX_WATCH_TIME) {
+            try {
+                const outcome = await this.getOutcome(signature, lastValidBlockHeight);
+                if (outcome) {
+                    return outcome;
+                }
+
+                await this.rebroadcast(raw, signature);
+
+            } catch (error) {
+                this.logger.warn(`Erro ao consultar ${signature}: ${error.message}`);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, REBROADCAST_INTERVAL));
+        }
+
+        return { status: 'unknown', error: null };
+    }
+
+    /**
+     * Resultado definitivo da assinatura ou null se ainda pode entrar
+     */
+    async getOutcome(signature, lastValidBlockHeight) {
+        const landed = await this.getLandedStatus(signature, false);
+        if (landed) {
+            return landed;
+        }
+
+        const blockHeight = await this.connection.getBlockHeight('confirmed');
+        if (blockHeight <= lastValidBlockHeight) {
+            return null;
+        }
+
+        // Blockhash expirado: conferir no histórico antes de declarar que não entrou
+        return await this.getLandedStatus(signature, true)
+            || { status: 'expired', error: 'Blockhash expirou sem a transação ser processada' };
+    }
+
+    async getLandedStatus(signature, searchTransactionHistory) {
+        const { value } = await this.connection.getSignatureStatuses([signature], { searchTransactionHistory });
+        const status = value[0];
+
+        if (!status || !['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+            return null;
+        }
+
+        return status.err
+            ? { status: 'failed', error: JSON.stringify(status.err), transactionError: status.err }
+            : { status: 'confirmed', error: null };
+    }
+
+    async rebroadcast(raw, signature) {
+        try {
+            await this.connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 });
+            await this.db.run(
+                'UPDATE outgoing_transactions SET broadcast_count = broadcast_count + 1, updated_at = CURRENT_TIMESTAMP WHERE signature = ?',
+                [signature]
+            );
+        } catch (error) {
+            this.logger.debug(`Rebroadcast de ${signature} falhou: ${error.message}`);
+        }
+    }
+
+    async resolve(signature, status, error, notified) {
+        await this.db.run(`
+            UPDATE outgoing_transactions
+            SET status = ?, error = ?, notified = ?, resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE signature = ?
+        `, [status, error || null, notified ? 1 : 0, signature]);
+    }
+
+    /**
+     * Pendentes sem send() ativo (resultado desconhecido ou processo reiniciado)
+     */
+    async checkPending() {
+        if (this.isChecking) return;
+        this.isChecking = true;
+
+        try {
+            const pending = await this.db.all(`SELECT * FROM outgoing_transactions WHERE status = 'pending'`);
+
+            for (const row of pending) {
+                if (this.watching.has(row.signature)) continue;
+
+                try {
+                    const outcome = await this.getOutcome(row.signature, row.last_valid_block_height);
+
+                    if (!outcome) {
+                        await this.rebroadcast(Buffer.from(row.raw_transaction, 'base64'), row.signature);
+                        continue;
+                    }
+
+                    this.logger.info(`📬 ${row.signature}: ${outcome.status}`);
+                    await this.resolve(row.signature, outcome.status, outcome.error, false);
+                    await this.notify(row, outcome);
+
+                } catch (error) {
+                    this.logger.warn(`Erro ao verificar pendente ${row.signature}: ${error.message}`);
+                }
+            }
+
+        } catch (error) {
+            this.logger.error('Erro ao verificar transações pendentes:', error);
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    /**
+     * Avisar o usuário do resultado que ele não viu na hora
+     */
+    async notify(row, outcome) {
+        if (!row.telegram_id) return;
+
+        const explorerUrl = config.getExplorerUrl(row.signature);
+        let message;
+
+        if (outcome.status === 'confirmed') {
+            message = '✅ *Transação confirmada*\n\n';
+            message += `📝 ${row.description}\n\nA rede confirmou a transação.\n\n`;
+            message += `🔗 [Ver no Solscan](${explorerUrl})`;
+        } else if (outcome.status === 'failed') {
+            message = '❌ *Transação falhou*\n\n';
+            message += `📝 ${row.description}\n\nA rede recusou a transação. Apenas a taxa foi cobrada.\n\n`;
+            message += `🔗 [Ver no Solscan](${explorerUrl})`;
+        } else {
+            message = '⌛ *Transação expirada*\n\n';
+            message += `📝 ${row.description}\n\nA transação não foi processada a tempo.\n`;
+            message += 'Nenhum valor saiu da sua wallet; você pode tentar novamente.';
+        }
+
+        try {
+            await this.bot.bot.sendMessage(row.telegram_id, message, {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true,
+                reply_markup: {
+                    inline_keyboard: [[{ text: '💳 Ver Wallet', callback_data: 'wallet_menu' }]]
+                }
+            });
+
+            await this.db.run('UPDATE outgoing_transactions SET notified = 1 WHERE signature = ?', [row.signature]);
+
+        } catch (error) {
+            this.logger.error(`Erro ao notificar resultado de ${row.signature}:`, error);
+        }
+    }
+
+    getSignature(transaction) {
+        const signature = transaction.signatures[0];
+        // Transaction legada guarda { publicKey, signature }; VersionedTransaction guarda os bytes
+        return bs58.encode(signature.signature || signature);
+    }
+
+    getFeePayer(transaction) {
+        const payer = transaction.feePayer || transaction.message?.staticAccountKeys?.[0];
+        return payer ? payer.toString() : null;
+    }
+}
+
+module.exports = TransactionSenderService;
@@ -0,0 +1,208 @@
+// src/services/unlock-session.service.js
+const { Keypair } = require('@solana/web3.js');
+const Logger = require('../utils/logger');
+
+// Durações oferecidas ao usuário (minutos)
+const SESSION_DURATIONS = [5, 15, 30];
+
+// Ações que a sessão cobre e o teto em USD por operação (null = não movimenta valor do usuário).
+// Exportar seed, trocar PIN e apagar a wallet não aparecem aqui: sempre pedem o PIN
+const ACTION_POLICIES = {
+    send: { maxUsd: parseFloat(process.env.UNLOCK_SEND_MAX_USD) || 25 },
+    matrix: { maxUsd: parseFloat(process.env.UNLOCK_MATRIX_MAX_USD) || 15 },
+    airdrop_claim: { maxUsd: null },
+    close_accounts: { maxUsd: null }
+};
+
+// Soma do que a sessão pode gastar até expirar (evita esvaziar a wallet em envios pequenos)
+const SESSION_MAX_USD = parseFloat(process.env.UNLOCK_SESSION_MAX_USD) || 100;
+
+/**
+ * Sessões de desbloqueio opcionais: o keypair fica só em memória durante N minutos
+ * e é zerado ao expirar ou no /lock
+ */
+class UnlockSessionService {
+    constructor() {
+        this.logger = new Logger('UnlockSession');
+        this.sessions = new Map();   // telegramId -> { id, secretKey, publicKey, expiresAt, spentUsd, timer }
+        this.notifier = null;
+
+        // Identifica cada sessão aberta: estorno de uma sessão antiga não vale para a nova
+        this.nextSessionId = 1;
+    }
+
+    setNotifier(notifier) {
+        this.notifier = notifier;
+    }
+
+    getDurations() {
+        return SESSION_DURATIONS;
+    }
+
+    getLimits() {
+        return {
+            sendMaxUsd: ACTION_POLICIES.send.maxUsd,
+            matrixMaxUsd: ACTION_POLICIES.matrix.maxUsd,
+            sessionMaxUsd: SESSION_MAX_USD
+        };
+    }
+
+    /**
+     * Abrir (ou renovar) a sessão com o keypair recém-obtido pelo PIN
+     */
+    open(telegramId, keypair, minutes) {
+        if (!SESSION_DURATIONS.includes(minutes)) {
+            throw new Error(`Duração de sessão inválida: ${minutes} min`);
+        }
+
+        this.lock(telegramId, null);
+
+        // secretKey devolve uma cópia: esta fica só com a sessão e é a que será zerada
+        const secretKey = keypair.secretKey;
+        const expiresAt = Date.now() + minutes * 60 * 1000;
+
+        const timer = setTimeout(() => this.lock(telegramId, 'expired'), minutes * 60 * 1000);
+        timer.unref?.();
+
+        this.sessions.set(String(telegramId), {
+            id: this.nextSessionId++,
+            secretKey,
+            publicKey: keypair.publicKey.toString(),
+            expiresAt,
+            spentUsd: 0,
+            timer
+        });
+
+        this.logger.info(`🔓 Sessão aberta para ${telegramId} por ${minutes} min`);
+        return { expiresAt };
+    }
+
+    getSession(telegramId) {
+        const session = this.sessions.get(String(telegramId));
+        if (!session) return null;
+
+        // Timer atrasado (event loop ocupado) não estende a sessão
+        if (Date.now() >= session.expiresAt) {
+            this.lock(telegramId, 'expired');
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * Estado para as telas (sem o keypair)
+     */
+    getStatus(telegramId) {
+        const session = this.getSession(telegramId);
+        if (!session) {
+            return { active: false };
+        }
+
+        return {
+            active: true,
+            expiresAt: session.expiresAt,
+            spentUsd: session.spentUsd,
+            remainingUsd: Math.max(0, SESSION_MAX_USD - session.spentUsd)
+        };
+    }
+
+    /**
+     * Verificar se a sessão cobre a ação sem PIN
+     * @param {string} action - Chave de ACTION_POLICIES
+     * @param {number|null} usdValue - Valor da operação (null = não foi possível avaliar)
+     * @returns {object} - { allowed, reason }
+     */
+    check(telegramId, action, usdValue = null) {
+        const session = this.getSession(telegramId);
+        if (!session) {
+            return { allowed: false, reason: 'no_session' };
+        }
+
+        const policy = ACTION_POLICIES[action];
+        if (!policy) {
+            return { allowed: false, reason: 'action_not_covered' };
+        }
+
+        if (policy.maxUsd === null) {
+            return { allowed: true };
+        }
+
+        // Sem cotação não há como respeitar o teto
+        if (usdValue === null || !Number.isFinite(usdValue)) {
+            return { allowed: false, reason: 'unpriced' };
+        }
+        if (usdValue > policy.maxUsd) {
+            return { allowed: false, reason: 'over_action_limit' };
+        }
+        if (session.spentUsd + usdValue > SESSION_MAX_USD) {
+            return { allowed: false, reason: 'over_session_limit' };
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Keypair para uma operação coberta pela sessão, já descontando o valor do teto da sessão
+     * (operações simultâneas não passam juntas; refund devolve se a operação não acontecer).
+     * Cópia própria: a operação em andamento não é afetada se a sessão expirar no meio
+     * @returns {object|null} - { keypair, charge: { sessionId, usdValue } }
+     */
+    useKeypair(telegramId, action, usdValue = null) {
+        if (!this.check(telegramId, action, usdValue).allowed) {
+            return null;
+        }
+
+        const session = this.getSession(telegramId);
+        if (usdValue) {
+            session.spentUsd += usdValue;
+        }
+
+        return {
+            keypair: Keypair.fromSecretKey(Uint8Array.from(session.secretKey)),
+            charge: { sessionId: session.id, usdValue: usdValue || 0 }
+        };
+    }
+
+    /**
+     * Devolver ao teto da sessão o valor de uma operação que não saiu da wallet
+     */
+    refund(telegramId, charge) {
+        const session = this.getSession(telegramId);
+        if (!session || !charge || session.id !== charge.sessionId || !charge.usdValue) {
+            return false;
+        }
+
+        session.spentUsd = Math.max(0, session.spentUsd - charge.usdValue);
+        return true;
+    }
+
+    /**
+     * Encerrar a sessão e zerar o keypair
+     * @param {string|null} reason - 'expired' avisa o usuário; null encerra em silêncio
+     * @returns {boolean} - True se havia sessão aberta
+     */
+    lock(telegramId, reason = null) {
+        const session = this.sessions.get(String(telegramId));
+        if (!session) return false;
+
+        clearTimeout(session.timer);
+        session.secretKey.fill(0);
+        this.sessions.delete(String(telegramId));
+
+        this.logger.info(`🔒 Sessão de ${telegramId} encerrada${reason ? ` (${reason})` : ''}`);
+
+        if (reason === 'expired' && this.notifier) {
+            Promise.resolve(this.notifier(telegramId, '🔒 *Sessão de desbloqueio expirada*\n\nA wallet voltou a pedir o PIN em cada operação.'))
+                .catch(error => this.logger.warn(`Aviso de sessão expirada não entregue a ${telegramId}: ${error.message}`));
+        }
+        return true;
+    }
+
+    lockAll() {
+        for (const telegramId of [...this.sessions.keys()]) {
+            this.lock(telegramId, null);
+        }
+    }
+}
+
+module.exports = UnlockSessionService;
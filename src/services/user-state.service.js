@@ -1,5 +1,6 @@
 // src/services/user-state.service.js
 const Logger = require('../utils/logger');
+const { SPEEDS, DEFAULT_SPEED, normalizeSpeed } = require('../utils/fee-strategy');
 
 class UserStateService {
     constructor(database) {
@@ -279,6 +280,34 @@ class UserStateService {
         }
     }
     
+    /**
+     * Velocidade preferida das transações (define a taxa de prioridade)
+     */
+    async getTransactionSpeed(telegramId) {
+        try {
+            const user = await this.db.get('SELECT tx_speed FROM users WHERE telegram_id = ?', [telegramId]);
+            return normalizeSpeed(user?.tx_speed);
+        } catch (error) {
+            this.logger.error('Erro ao obter velocidade das transações:', error);
+            return DEFAULT_SPEED;
+        }
+    }
+
+    async setTransactionSpeed(telegramId, speed) {
+        if (!SPEEDS[speed]) {
+            return false;
+        }
+
+        try {
+            await this.db.run('UPDATE users SET tx_speed = ? WHERE telegram_id = ?', [speed, telegramId]);
+            this.logger.info(`Velocidade das transações de ${telegramId}: ${speed}`);
+            return true;
+        } catch (error) {
+            this.logger.error('Erro ao salvar velocidade das transações:', error);
+            return false;
+        }
+    }
+    
     /**
      * ✅ CORREÇÃO 2: Verificar se usuário pode acessar funcionalidade
      */
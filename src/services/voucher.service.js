@@ -705,7 +705,7 @@ class VoucherService {
                 LEFT JOIN users u ON v.telegram_id = u.telegram_id
                 LEFT JOIN referral_tracking rt ON rt.referrer_voucher = v.voucher_slug
                 WHERE v.is_active = 1
-                GROUP BY v.id
+                GROUP BY v.id, u.first_name, u.telegram_username
                 ORDER BY total_referrals DESC
                 LIMIT ?
             `,
@@ -1,21 +1,126 @@
 // src/services/wallet.service.js
-const { Keypair, PublicKey, Connection } = require('@solana/web3.js');
+const { Keypair, PublicKey } = require('@solana/web3.js');
 const { generateMnemonic, mnemonicToSeedSync, validateMnemonic } = require('bip39');
 const { derivePath } = require('ed25519-hd-key');
 const Database = require('../database/connection');
 const encryptionManager = require('../utils/encryption');
 const { decodeBase58 } = require('../utils/validation'); 
+const connectionManager = require('./connection-manager.service');
+const PinGuardService = require('./pin-guard.service');
+const KeyVaultService = require('./key-vault.service');
+const UnlockSessionService = require('./unlock-session.service');
 
 class WalletService {
     constructor() {
         this.db = new Database();
-        this.connection = new Connection(process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com');
+        this.connection = connectionManager.connection;
+        this.pinGuard = new PinGuardService(this.db);
+        this.keyVault = new KeyVaultService(this.db);
+        this.unlockSessions = new UnlockSessionService();
+    }
+
+    /**
+     * Avisos de bloqueio do PIN vão direto ao usuário
+     */
+    setNotifier(notifier) {
+        this.pinGuard.setNotifier(notifier);
+        this.unlockSessions.setNotifier(notifier);
+    }
+
+    // Falha de PIN no formato dos demais retornos do serviço
+    pinFailure(check) {
+        return {
+            success: false,
+            error: check.error,
+            pinRejected: true,
+            locked: check.locked
+        };
+    }
+
+    /**
+     * PIN correto também regrava envelopes legados no formato atual
+     */
+    async verifyWalletPIN(wallet, pin) {
+        const pinCheck = await this.pinGuard.verify(wallet, pin);
+
+        if (pinCheck.valid) {
+            await this.upgradeEncryption(wallet, pin);
+            await this.upgradePinHash(wallet, pin);
+        }
+
+        return pinCheck;
+    }
+
+    /**
+     * Regravar o hash legado do PIN (bcrypt sem pepper) no formato atual.
+     * Depois de upgradeEncryption, que é condicionado ao hash antigo
+     */
+    async upgradePinHash(wallet, pin) {
+        if (!encryptionManager.isLegacyPinHash(wallet.pin_hash)) {
+            return false;
+        }
+
+        try {
+            const result = await this.db.run(
+                `UPDATE wallets SET pin_hash = ? WHERE id = ? AND pin_hash = ?`,
+                [await encryptionManager.hashPIN(pin), wallet.id, wallet.pin_hash]
+            );
+            return result.changes > 0;
+
+        } catch (error) {
+            console.error(`❌ Erro ao atualizar hash do PIN da wallet ${wallet.id}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Re-criptografar seed e private key no envelope atual.
+     * Falha aqui não bloqueia a operação: o envelope legado continua legível
+     */
+    async upgradeEncryption(wallet, pin) {
+        const upgradeSeed = wallet.encrypted_seed !== 'NO_SEED_PHRASE' && encryptionManager.needsUpgrade(wallet.encrypted_seed);
+        const upgradeKey = encryptionManager.needsUpgrade(wallet.encrypted_private_key);
+
+        if (!upgradeSeed && !upgradeKey) {
+            return false;
+        }
+
+        try {
+            const encryptedSeed = upgradeSeed
+                ? await encryptionManager.encryptWithPIN(await encryptionManager.decryptWithPIN(wallet.encrypted_seed, pin), pin)
+                : wallet.encrypted_seed;
+            const encryptedPrivateKey = upgradeKey
+                ? await encryptionManager.encryptWithPIN(await encryptionManager.decryptWithPIN(wallet.encrypted_private_key, pin), pin)
+                : wallet.encrypted_private_key;
+
+            const sealed = await this.keyVault.seal(wallet.public_key, {
+                encrypted_seed: encryptedSeed,
+                encrypted_private_key: encryptedPrivateKey
+            });
+
+            // Condicionado ao hash lido: não sobrescreve uma troca de PIN concorrente
+            const result = await this.db.run(`
+                UPDATE wallets
+                SET encrypted_seed = ?, encrypted_private_key = ?, data_key_id = ?
+                WHERE id = ? AND pin_hash = ?
+            `, [sealed.encrypted_seed, sealed.encrypted_private_key, sealed.data_key_id, wallet.id, wallet.pin_hash]);
+
+            if (result.changes > 0) {
+                console.log(`🔐 Wallet ${wallet.id} migrada para o envelope de criptografia atual`);
+            }
+            return result.changes > 0;
+
+        } catch (error) {
+            console.error(`❌ Erro ao atualizar criptografia da wallet ${wallet.id}:`, error.message);
+            return false;
+        }
     }
 
     async init() {
         await this.db.connect();
+        await this.keyVault.init();
         
-        const encryptionTest = encryptionManager.testEncryption();
+        const encryptionTest = await encryptionManager.testEncryption();
         if (!encryptionTest) {
             console.error('⚠️ Sistema de criptografia com problemas!');
         }
@@ -64,9 +169,13 @@ class WalletService {
                 privateKey: this.encodeSecretKey(keypair.secretKey)
             };
 
-            const encryptedSeed = encryptionManager.encryptWithPIN(sensitiveData.seed, pin);
-            const encryptedPrivateKey = encryptionManager.encryptWithPIN(sensitiveData.privateKey, pin);
+            const encryptedSeed = await encryptionManager.encryptWithPIN(sensitiveData.seed, pin);
+            const encryptedPrivateKey = await encryptionManager.encryptWithPIN(sensitiveData.privateKey, pin);
             const pinHash = await encryptionManager.hashPIN(pin);
+            const sealed = await this.keyVault.seal(keypair.publicKey.toString(), {
+                encrypted_seed: encryptedSeed,
+                encrypted_private_key: encryptedPrivateKey
+            });
 
             const result = await this.db.run(`
                 INSERT INTO wallets (
@@ -77,16 +186,18 @@ class WalletService {
                     pin_hash, 
                     derivation_path, 
                     wallet_name,
+                    data_key_id,
                     is_active
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, 1)
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
             `, [
                 telegramId,
                 keypair.publicKey.toString(),
-                encryptedSeed,
-                encryptedPrivateKey,
+                sealed.encrypted_seed,
+                sealed.encrypted_private_key,
                 pinHash,
                 derivationPath,
-                walletName
+                walletName,
+                sealed.data_key_id
             ]);
 
             console.log('✅ Wallet salva no banco com segurança');
@@ -157,9 +268,13 @@ class WalletService {
             }
 
             const privateKeyEncoded = this.encodeSecretKey(keypair.secretKey);
-            const encryptedSeed = encryptionManager.encryptWithPIN(cleanSeed, pin);
-            const encryptedPrivateKey = encryptionManager.encryptWithPIN(privateKeyEncoded, pin);
+            const encryptedSeed = await encryptionManager.encryptWithPIN(cleanSeed, pin);
+            const encryptedPrivateKey = await encryptionManager.encryptWithPIN(privateKeyEncoded, pin);
             const pinHash = await encryptionManager.hashPIN(pin);
+            const sealed = await this.keyVault.seal(keypair.publicKey.toString(), {
+                encrypted_seed: encryptedSeed,
+                encrypted_private_key: encryptedPrivateKey
+            });
 
             const result = await this.db.run(`
                 INSERT INTO wallets (
@@ -170,16 +285,18 @@ class WalletService {
                     pin_hash, 
                     derivation_path, 
                     wallet_name,
+                    data_key_id,
                     is_active
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, 1)
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
             `, [
                 telegramId,
                 keypair.publicKey.toString(),
-                encryptedSeed,
-                encryptedPrivateKey,
+                sealed.encrypted_seed,
+                sealed.encrypted_private_key,
                 pinHash,
                 derivationPath,
-                walletName
+                walletName,
+                sealed.data_key_id
             ]);
 
             console.log('✅ Wallet importada e salva com segurança');
@@ -313,8 +430,12 @@ class WalletService {
             }
 
             const privateKeyEncoded = this.encodeSecretKey(keypair.secretKey);
-            const encryptedPrivateKey = encryptionManager.encryptWithPIN(privateKeyEncoded, pin);
+            const encryptedPrivateKey = await encryptionManager.encryptWithPIN(privateKeyEncoded, pin);
             const pinHash = await encryptionManager.hashPIN(pin);
+            const sealed = await this.keyVault.seal(keypair.publicKey.toString(), {
+                encrypted_seed: 'NO_SEED_PHRASE',
+                encrypted_private_key: encryptedPrivateKey
+            });
 
             const result = await this.db.run(`
                 INSERT INTO wallets (
@@ -325,16 +446,18 @@ class WalletService {
                     pin_hash, 
                     derivation_path, 
                     wallet_name,
+                    data_key_id,
                     is_active
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, 1)
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
             `, [
                 telegramId,
                 keypair.publicKey.toString(),
-                'NO_SEED_PHRASE',
-                encryptedPrivateKey,
+                sealed.encrypted_seed,
+                sealed.encrypted_private_key,
                 pinHash,
                 'IMPORTED_FROM_KEY',
-                walletName
+                walletName,
+                sealed.data_key_id
             ]);
 
             console.log('✅ Wallet importada via private key com sucesso');
@@ -372,45 +495,37 @@ class WalletService {
                 };
             }
 
-            const isPinValid = await encryptionManager.verifyPIN(pin, wallet.pin_hash);
-            if (!isPinValid) {
-                return {
-                    success: false,
-                    error: 'PIN incorreto'
-                };
+            const pinCheck = await this.pinGuard.verify(wallet, pin);
+            if (!pinCheck.valid) {
+                return this.pinFailure(pinCheck);
             }
 
+            this.unlockSessions.lock(telegramId);
             const backupSaved = await this.backupProgress(telegramId, wallet.public_key);
 
-            await this.db.run('BEGIN TRANSACTION');
+            const GamificationService = require('../services/gamification.service');
+            const gamificationService = new GamificationService(this.db);
 
-            try {
-                await this.db.run('DELETE FROM wallets WHERE telegram_id = ?', [telegramId]);
+            // Tudo no mesmo executor: no Postgres cada db.run pode ir para outro cliente do pool
+            await this.db.transaction(async (tx) => {
+                await tx.run('DELETE FROM wallets WHERE telegram_id = ?', [telegramId]);
                 
-                await this.db.run('DELETE FROM tasks WHERE telegram_id = ?', [telegramId]);
+                await tx.run('DELETE FROM tasks WHERE telegram_id = ?', [telegramId]);
                 
-                await this.db.run('DELETE FROM notifications WHERE telegram_id = ?', [telegramId]);
+                await tx.run('DELETE FROM notifications WHERE telegram_id = ?', [telegramId]);
                 
-                await this.db.run('DELETE FROM monitors WHERE telegram_id = ?', [telegramId]);
+                await tx.run('DELETE FROM monitors WHERE telegram_id = ?', [telegramId]);
                 
-                const GamificationService = require('../services/gamification.service');
-                const gamificationService = new GamificationService(this.db);
-                await gamificationService.initializeUserTasks(telegramId);
+                await gamificationService.initializeUserTasks(telegramId, tx);
+            });
 
-                await this.db.run('COMMIT');
+            console.log('✅ Wallet deletada e tarefas resetadas');
 
-                console.log('✅ Wallet deletada e tarefas resetadas');
-
-                return {
-                    success: true,
-                    message: 'Wallet deletada com sucesso!',
-                    backupSaved: backupSaved
-                };
-
-            } catch (error) {
-                await this.db.run('ROLLBACK');
-                throw error;
-            }
+            return {
+                success: true,
+                message: 'Wallet deletada com sucesso!',
+                backupSaved: backupSaved
+            };
 
         } catch (error) {
             console.error('❌ Erro ao deletar wallet:', error);
@@ -504,15 +619,12 @@ class WalletService {
                 };
             }
 
-            const isPinValid = await encryptionManager.verifyPIN(pin, wallet.pin_hash);
-            if (!isPinValid) {
-                return {
-                    success: false,
-                    error: 'PIN incorreto'
-                };
+            const pinCheck = await this.verifyWalletPIN(wallet, pin);
+            if (!pinCheck.valid) {
+                return this.pinFailure(pinCheck);
             }
 
-            const privateKeyEncoded = encryptionManager.decryptWithPIN(wallet.encrypted_private_key, pin);
+            const privateKeyEncoded = await encryptionManager.decryptWithPIN(wallet.encrypted_private_key, pin);
             const secretKey = this.decodeSecretKey(privateKeyEncoded);
             const keypair = Keypair.fromSecretKey(secretKey);
 
@@ -531,6 +643,64 @@ class WalletService {
         }
     }
 
+    /**
+     * Desbloqueio temporário: o PIN é pedido uma vez e o keypair fica na sessão
+     */
+    async openUnlockSession(telegramId, pin, minutes) {
+        const keypairResult = await this.getKeypair(telegramId, pin);
+        if (!keypairResult.success) {
+            return keypairResult;
+        }
+
+        const { expiresAt } = this.unlockSessions.open(telegramId, keypairResult.keypair, minutes);
+        return { success: true, expiresAt };
+    }
+
+    /**
+     * Keypair da sessão aberta, se ela cobrir a ação (ver UnlockSessionService)
+     * @returns {Promise<object|null>} - Mesmo formato de getKeypair, ou null para pedir o PIN
+     */
+    async getSessionKeypair(telegramId, action, usdValue = null) {
+        const session = this.unlockSessions.getSession(telegramId);
+        if (!session) {
+            return null;
+        }
+
+        // Sessão de outra wallet (troca sem passar por desativar/apagar) não vale
+        const wallet = await this.getActiveWallet(telegramId);
+        if (!wallet || session.publicKey !== wallet.public_key) {
+            this.unlockSessions.lock(telegramId);
+            return null;
+        }
+
+        const used = this.unlockSessions.useKeypair(telegramId, action, usdValue);
+        if (!used) {
+            return null;
+        }
+
+        return {
+            success: true,
+            keypair: used.keypair,
+            publicKey: used.keypair.publicKey.toString(),
+            fromSession: true,
+            sessionCharge: used.charge
+        };
+    }
+
+    /**
+     * Operação feita com o keypair da sessão não aconteceu: devolver o valor ao teto da sessão
+     * @param {object|null} keypairResult - Resultado de getSessionKeypair ou getKeypair
+     */
+    refundSessionCharge(telegramId, keypairResult) {
+        if (keypairResult?.fromSession) {
+            this.unlockSessions.refund(telegramId, keypairResult.sessionCharge);
+        }
+    }
+
+    lockSession(telegramId) {
+        return this.unlockSessions.lock(telegramId);
+    }
+
     async getSeedPhrase(telegramId, pin) {
         try {
             const wallet = await this.getActiveWallet(telegramId);
@@ -548,15 +718,21 @@ class WalletService {
                 };
             }
 
-            const isPinValid = await encryptionManager.verifyPIN(pin, wallet.pin_hash);
-            if (!isPinValid) {
+            // Travada por excesso de erros: só o suporte libera (nem chega a testar o PIN)
+            if (await this.pinGuard.isSeedExportLocked(wallet.id)) {
                 return {
                     success: false,
-                    error: 'PIN incorreto'
+                    error: 'A exibição da seed phrase está bloqueada por excesso de PINs incorretos. Fale com o suporte para liberar.',
+                    seedExportLocked: true
                 };
             }
 
-            const seedPhrase = encryptionManager.decryptWithPIN(wallet.encrypted_seed, pin);
+            const pinCheck = await this.verifyWalletPIN(wallet, pin);
+            if (!pinCheck.valid) {
+                return this.pinFailure(pinCheck);
+            }
+
+            const seedPhrase = await encryptionManager.decryptWithPIN(wallet.encrypted_seed, pin);
 
             return {
                 success: true,
@@ -573,19 +749,21 @@ class WalletService {
     }
 
     async getActiveWallet(telegramId) {
+        let wallet;
         try {
-            const wallet = await this.db.get(`
+            wallet = await this.db.get(`
                 SELECT * FROM wallets 
                 WHERE telegram_id = ? AND is_active = 1 
                 ORDER BY created_at DESC LIMIT 1
             `, [telegramId]);
 
-            return wallet;
-
         } catch (error) {
             console.error('❌ Erro ao buscar wallet ativa:', error);
             return null;
         }
+
+        // Fora do catch: falha ao abrir não pode parecer "sem wallet" (e liberar criar outra)
+        return await this.keyVault.open(wallet);
     }
 
     async getBalance(telegramId) {
@@ -623,20 +801,34 @@ class WalletService {
     }
 
     async verifyPIN(telegramId, pin) {
+        const check = await this.checkPIN(telegramId, pin);
+        return check.valid;
+    }
+
+    /**
+     * Verificar PIN com o motivo da recusa (PIN errado ou bloqueado)
+     * @returns {Promise<object>} - { valid, locked, error }
+     */
+    async checkPIN(telegramId, pin) {
         try {
             const wallet = await this.getActiveWallet(telegramId);
             if (!wallet) {
-                return false;
+                return { valid: false, locked: false, error: 'Nenhuma wallet ativa encontrada' };
             }
 
-            return await encryptionManager.verifyPIN(pin, wallet.pin_hash);
+            return await this.verifyWalletPIN(wallet, pin);
 
         } catch (error) {
             console.error('❌ Erro ao verificar PIN:', error);
-            return false;
+            return { valid: false, locked: false, error: 'Erro ao verificar PIN' };
         }
     }
 
+    async isSeedExportLocked(telegramId) {
+        const wallet = await this.getActiveWallet(telegramId);
+        return wallet ? await this.pinGuard.isSeedExportLocked(wallet.id) : false;
+    }
+
     async changePIN(telegramId, oldPin, newPin) {
         try {
             const wallet = await this.getActiveWallet(telegramId);
@@ -647,12 +839,9 @@ class WalletService {
                 };
             }
 
-            const isOldPinValid = await encryptionManager.verifyPIN(oldPin, wallet.pin_hash);
-            if (!isOldPinValid) {
-                return {
-                    success: false,
-                    error: 'PIN atual incorreto'
-                };
+            const pinCheck = await this.pinGuard.verify(wallet, oldPin);
+            if (!pinCheck.valid) {
+                return this.pinFailure(pinCheck);
             }
 
             const pinValidation = encryptionManager.validatePINStrength(newPin);
@@ -664,22 +853,27 @@ class WalletService {
             }
 
             const seedPhrase = wallet.encrypted_seed !== 'NO_SEED_PHRASE' 
-                ? encryptionManager.decryptWithPIN(wallet.encrypted_seed, oldPin)
+                ? await encryptionManager.decryptWithPIN(wallet.encrypted_seed, oldPin)
                 : 'NO_SEED_PHRASE';
-            const privateKey = encryptionManager.decryptWithPIN(wallet.encrypted_private_key, oldPin);
+            const privateKey = await encryptionManager.decryptWithPIN(wallet.encrypted_private_key, oldPin);
 
             const newEncryptedSeed = seedPhrase !== 'NO_SEED_PHRASE'
-                ? encryptionManager.encryptWithPIN(seedPhrase, newPin)
+                ? await encryptionManager.encryptWithPIN(seedPhrase, newPin)
                 : 'NO_SEED_PHRASE';
-            const newEncryptedPrivateKey = encryptionManager.encryptWithPIN(privateKey, newPin);
+            const newEncryptedPrivateKey = await encryptionManager.encryptWithPIN(privateKey, newPin);
             const newPinHash = await encryptionManager.hashPIN(newPin);
+            const sealed = await this.keyVault.seal(wallet.public_key, {
+                encrypted_seed: newEncryptedSeed,
+                encrypted_private_key: newEncryptedPrivateKey
+            });
 
             await this.db.run(`
                 UPDATE wallets 
-                SET encrypted_seed = ?, encrypted_private_key = ?, pin_hash = ?
+                SET encrypted_seed = ?, encrypted_private_key = ?, pin_hash = ?, data_key_id = ?
                 WHERE id = ?
-            `, [newEncryptedSeed, newEncryptedPrivateKey, newPinHash, wallet.id]);
+            `, [sealed.encrypted_seed, sealed.encrypted_private_key, newPinHash, sealed.data_key_id, wallet.id]);
 
+            this.unlockSessions.lock(telegramId);
             console.log('✅ PIN alterado com sucesso');
 
             return {
@@ -706,18 +900,16 @@ class WalletService {
                 };
             }
 
-            const isPinValid = await encryptionManager.verifyPIN(pin, wallet.pin_hash);
-            if (!isPinValid) {
-                return {
-                    success: false,
-                    error: 'PIN incorreto'
-                };
+            const pinCheck = await this.pinGuard.verify(wallet, pin);
+            if (!pinCheck.valid) {
+                return this.pinFailure(pinCheck);
             }
 
             await this.db.run(`
                 UPDATE wallets SET is_active = 0 WHERE id = ?
             `, [wallet.id]);
 
+            this.unlockSessions.lock(telegramId);
             console.log('✅ Wallet desativada');
 
             return {
@@ -0,0 +1,127 @@
+// src/services/webhook-server.service.js
+const http = require('http');
+const crypto = require('crypto');
+const Logger = require('../utils/logger');
+
+class WebhookServerService {
+    constructor(bot, options = {}) {
+        this.logger = new Logger('WebhookServerService');
+        this.bot = bot; // Instância do node-telegram-bot-api
+
+        this.publicUrl = (options.publicUrl || '').replace(/\/+$/, '');
+        this.path = `/${(options.path || '').replace(/^\/+/, '')}`;
+        this.secretToken = options.secretToken;
+        this.host = options.host || '0.0.0.0';
+        this.port = options.port || 8080;
+        this.maxBodySize = 1024 * 1024; // 1MB por update
+
+        this.server = null;
+    }
+
+    /**
+     * Subir servidor HTTP e registrar webhook no Telegram
+     */
+    async start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        console.log(`🌐 Servidor de webhook ouvindo em ${this.host}:${this.port}`);
+
+        await this.bot.setWebHook(`${this.publicUrl}${this.path}`, {
+            secret_token: this.secretToken,
+            allowed_updates: JSON.stringify(['message', 'callback_query'])
+        });
+
+        this.logger.info('Webhook registrado', { url: this.publicUrl, port: this.port });
+    }
+
+    /**
+     * Processar requisição recebida do Telegram
+     */
+    handleRequest(req, res) {
+        if (req.method !== 'POST' || req.url !== this.path) {
+            res.writeHead(404);
+            return res.end();
+        }
+
+        if (!this.isValidSecret(req.headers['x-telegram-bot-api-secret-token'])) {
+            this.logger.warn('Webhook com secret token inválido', {
+                ip: req.socket.remoteAddress
+            });
+            res.writeHead(401);
+            return res.end();
+        }
+
+        let body = '';
+        let tooLarge = false;
+
+        req.on('data', (chunk) => {
+            if (tooLarge) return;
+            body += chunk;
+            if (body.length > this.maxBodySize) {
+                tooLarge = true;
+                res.writeHead(413);
+                res.end();
+            }
+        });
+
+        req.on('end', () => {
+            if (tooLarge) return;
+
+            let update;
+            try {
+                update = JSON.parse(body);
+            } catch (error) {
+                this.logger.warn('Update com JSON inválido', { error: error.message });
+                res.writeHead(400);
+                return res.end();
+            }
+
+            // Responder imediatamente para o Telegram não reenviar o update
+            res.writeHead(200);
+            res.end();
+
+            try {
+                this.bot.processUpdate(update);
+            } catch (error) {
+                this.logger.error('Erro ao processar update', {
+                    updateId: update.update_id,
+                    error: error.message
+                });
+            }
+        });
+    }
+
+    /**
+     * Comparar header com o secret configurado em tempo constante
+     */
+    isValidSecret(received) {
+        if (!received || typeof received !== 'string') return false;
+
+        const expected = Buffer.from(this.secretToken);
+        const actual = Buffer.from(received);
+
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Fechar servidor (o webhook continua registrado para a próxima instância)
+     */
+    async stop() {
+        if (this.server) {
+            await new Promise((resolve) => this.server.close(() => resolve()));
+            this.server = null;
+        }
+
+        console.log('🌐 Servidor de webhook encerrado');
+    }
+}
+
+module.exports = WebhookServerService;
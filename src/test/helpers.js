@@ -0,0 +1,52 @@
+// src/test/helpers.js
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+
+// O node --test lê o resultado pelo stdout do arquivo de teste: os logs dos serviços vão para o stderr
+for (const method of ['log', 'info', 'debug']) {
+    console[method] = (...args) => process.stderr.write(util.format(...args) + '\n');
+}
+
+/**
+ * Ambiente isolado por arquivo de teste: banco SQLite, pepper e master key temporários.
+ * Chamar antes de carregar os serviços, que leem as variáveis ao iniciar
+ * @returns {string} - Diretório temporário (remover com removeTestEnv)
+ */
+function setupTestEnv() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'donut-test-'));
+    const masterKeyFile = path.join(dir, 'master.key');
+    fs.writeFileSync(masterKeyFile, crypto.randomBytes(32).toString('base64'));
+
+    process.env.DATABASE_URL = `sqlite:${path.join(dir, 'test.db')}`;
+    process.env.ENCRYPTION_PEPPER = crypto.randomBytes(32).toString('hex');
+    process.env.MASTER_KEY_FILE = masterKeyFile;
+    delete process.env.MASTER_KEY_PREVIOUS_FILE;
+
+    return dir;
+}
+
+/**
+ * Banco do DATABASE_URL com todas as migrações aplicadas
+ */
+async function createTestDatabase() {
+    const Database = require('../database/connection');
+    const Migrator = require('../database/migrator');
+
+    const db = new Database();
+    await db.connect({ skipMigrationCheck: true });
+    await new Migrator(db).migrate();
+    return db;
+}
+
+function removeTestEnv(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = {
+    setupTestEnv,
+    createTestDatabase,
+    removeTestEnv
+};
@@ -0,0 +1,79 @@
+// src/test/key-vault.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv, createTestDatabase, removeTestEnv } = require('./helpers');
+
+const dir = setupTestEnv();
+
+const KeyVaultService = require('../services/key-vault.service');
+
+const PUBLIC_KEY = 'Vau1tWa11et111111111111111111111111111111111';
+
+describe('KeyVaultService', () => {
+    let db;
+    let vault;
+
+    before(async () => {
+        db = await createTestDatabase();
+        vault = new KeyVaultService(db);
+        await vault.init();
+    });
+
+    after(async () => {
+        await db.close();
+        removeTestEnv(dir);
+    });
+
+    async function insertWallet(values) {
+        const sealed = await vault.seal(PUBLIC_KEY, values);
+        const { id } = await db.run(`
+            INSERT INTO wallets (telegram_id, public_key, encrypted_seed, encrypted_private_key, pin_hash, data_key_id)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, ['4004', PUBLIC_KEY, sealed.encrypted_seed, sealed.encrypted_private_key, 'hash', sealed.data_key_id]);
+        return id;
+    }
+
+    it('sela e abre as colunas da wallet', async () => {
+        const id = await insertWallet({ encrypted_seed: 'NO_SEED_PHRASE', encrypted_private_key: 'envelope-do-pin' });
+        const row = await db.get('SELECT * FROM wallets WHERE id = ?', [id]);
+
+        assert.notEqual(row.encrypted_private_key, 'envelope-do-pin');
+        assert.equal(row.encrypted_seed, 'NO_SEED_PHRASE');
+
+        const opened = await vault.open(row);
+        assert.equal(opened.encrypted_private_key, 'envelope-do-pin');
+    });
+
+    it('não abre a coluna copiada para outra wallet', async () => {
+        const row = await db.get('SELECT * FROM wallets WHERE public_key = ?', [PUBLIC_KEY]);
+        await assert.rejects(vault.open({ ...row, public_key: 'OutraWa11et11111111111111111111111111111111' }));
+    });
+
+    it('rotação re-sela as wallets e mantém o canário legível', async () => {
+        const before = await db.get('SELECT * FROM wallets WHERE public_key = ?', [PUBLIC_KEY]);
+        const result = await vault.rotate();
+
+        assert.equal(result.rewrapped, 1);
+        assert.deepEqual(result.failed, []);
+        assert.equal(result.removedKeys, 1);
+
+        const after = await db.get('SELECT * FROM wallets WHERE public_key = ?', [PUBLIC_KEY]);
+        assert.equal(after.data_key_id, result.keyId);
+        assert.notEqual(after.encrypted_private_key, before.encrypted_private_key);
+        assert.equal((await vault.open(after)).encrypted_private_key, 'envelope-do-pin');
+
+        await vault.verifyCanary();
+    });
+
+    it('outra master key falha no canário', async () => {
+        const crypto = require('crypto');
+        const fs = require('fs');
+        const path = require('path');
+
+        const otherKeyFile = path.join(dir, 'other.key');
+        fs.writeFileSync(otherKeyFile, crypto.randomBytes(32).toString('base64'));
+        process.env.MASTER_KEY_FILE = otherKeyFile;
+
+        await assert.rejects(new KeyVaultService(db).init(), /canário/);
+    });
+});
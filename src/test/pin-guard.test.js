@@ -0,0 +1,120 @@
+// src/test/pin-guard.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv, createTestDatabase, removeTestEnv } = require('./helpers');
+
+const dir = setupTestEnv();
+
+const encryptionManager = require('../utils/encryption');
+const PinGuardService = require('../services/pin-guard.service');
+
+const PIN = '8362';
+const WRONG_PIN = '5190';
+
+describe('PinGuardService', () => {
+    let db;
+    let guard;
+    let wallet;
+    let notices;
+
+    before(async () => {
+        db = await createTestDatabase();
+        wallet = { id: 1, telegram_id: '1001', pin_hash: await encryptionManager.hashPIN(PIN) };
+    });
+
+    after(async () => {
+        await db.close();
+        removeTestEnv(dir);
+    });
+
+    beforeEach(async () => {
+        await db.run('DELETE FROM pin_attempts');
+        notices = [];
+        guard = new PinGuardService(db);
+        guard.setNotifier(async (telegramId, message) => notices.push(message));
+    });
+
+    // Fim do bloqueio atual sem esperar o prazo
+    const expireLockout = () => db.run('UPDATE pin_attempts SET locked_until = ?', [Date.now() - 1]);
+
+    async function failTimes(count) {
+        let result;
+        for (let i = 0; i < count; i++) {
+            result = await guard.verify(wallet, WRONG_PIN);
+        }
+        return result;
+    }
+
+    it('bloqueia por 1 minuto no terceiro erro seguido', async () => {
+        const second = await failTimes(2);
+        assert.equal(second.locked, false);
+
+        const third = await guard.verify(wallet, WRONG_PIN);
+        assert.equal(third.locked, true);
+
+        const state = await guard.getState(wallet.id);
+        assert.equal(Number(state.failed_attempts), 3);
+        assert.equal(Number(state.lockout_level), 1);
+
+        const remaining = Number(state.locked_until) - Date.now();
+        assert.ok(remaining > 55 * 1000 && remaining <= 60 * 1000);
+        assert.equal(notices.length, 1);
+    });
+
+    it('recusa até o PIN correto durante o bloqueio', async () => {
+        await failTimes(3);
+
+        const result = await guard.verify(wallet, PIN);
+        assert.equal(result.valid, false);
+        assert.equal(result.locked, true);
+    });
+
+    it('escala para 15 minutos, 24h e trava a seed no nono erro', async () => {
+        await failTimes(3);
+        await expireLockout();
+        await failTimes(3);
+
+        let state = await guard.getState(wallet.id);
+        assert.equal(Number(state.lockout_level), 2);
+        assert.ok(Number(state.locked_until) - Date.now() > 14 * 60 * 1000);
+        assert.equal(await guard.isSeedExportLocked(wallet.id), false);
+
+        await expireLockout();
+        await failTimes(3);
+
+        state = await guard.getState(wallet.id);
+        assert.equal(Number(state.lockout_level), 3);
+        assert.ok(Number(state.locked_until) - Date.now() > 23 * 60 * 60 * 1000);
+        assert.equal(await guard.isSeedExportLocked(wallet.id), true);
+    });
+
+    it('zera a contagem com o PIN correto', async () => {
+        await failTimes(2);
+
+        const result = await guard.verify(wallet, PIN);
+        assert.equal(result.valid, true);
+
+        const state = await guard.getState(wallet.id);
+        assert.equal(Number(state.failed_attempts), 0);
+    });
+
+    it('recusa uma verificação simultânea na mesma wallet', async () => {
+        const [first, second] = await Promise.all([
+            guard.verify(wallet, WRONG_PIN),
+            guard.verify(wallet, WRONG_PIN)
+        ]);
+
+        assert.equal(first.valid, false);
+        assert.match(second.error, /em andamento/);
+        assert.equal(Number((await guard.getState(wallet.id)).failed_attempts), 1);
+    });
+
+    it('conta todos os erros de instâncias diferentes do bot', async () => {
+        const guards = Array.from({ length: 6 }, () => new PinGuardService(db));
+        await Promise.all(guards.map(other => other.recordFailure(wallet)));
+
+        const state = await guard.getState(wallet.id);
+        assert.equal(Number(state.failed_attempts), 6);
+        assert.equal(Number(state.lockout_level), 2);
+    });
+});
@@ -0,0 +1,68 @@
+// src/test/pin-hash.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const { setupTestEnv, createTestDatabase, removeTestEnv } = require('./helpers');
+
+const dir = setupTestEnv();
+
+const encryptionManager = require('../utils/encryption');
+const WalletService = require('../services/wallet.service');
+
+const PIN = '8362';
+
+describe('Hash do PIN', () => {
+    let db;
+    let walletService;
+
+    before(async () => {
+        db = await createTestDatabase();
+        walletService = new WalletService();
+        await walletService.init();
+    });
+
+    after(async () => {
+        await walletService.db.close();
+        await db.close();
+        removeTestEnv(dir);
+    });
+
+    it('usa o pepper: o mesmo PIN não confere com outro pepper', async () => {
+        const hash = await encryptionManager.hashPIN(PIN);
+        assert.equal(encryptionManager.isLegacyPinHash(hash), false);
+        assert.equal(await encryptionManager.verifyPIN(PIN, hash), true);
+        assert.equal(await encryptionManager.verifyPIN('5190', hash), false);
+
+        const pepper = encryptionManager.pepper;
+        encryptionManager.pepper = Buffer.alloc(32, 1);
+        try {
+            assert.equal(await encryptionManager.verifyPIN(PIN, hash), false);
+        } finally {
+            encryptionManager.pepper = pepper;
+        }
+    });
+
+    it('regrava o hash legado no formato atual no próximo PIN correto', async () => {
+        const legacyHash = await bcrypt.hash(PIN, 4);
+        assert.equal(encryptionManager.isLegacyPinHash(legacyHash), true);
+
+        const sealed = await walletService.keyVault.seal('LegacyWa11et1111111111111111111111111111111', {
+            encrypted_seed: 'NO_SEED_PHRASE',
+            encrypted_private_key: await encryptionManager.encryptWithPIN('chave', PIN)
+        });
+        const { id } = await db.run(`
+            INSERT INTO wallets (telegram_id, public_key, encrypted_seed, encrypted_private_key, pin_hash, data_key_id)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, ['2002', 'LegacyWa11et1111111111111111111111111111111', sealed.encrypted_seed, sealed.encrypted_private_key, legacyHash, sealed.data_key_id]);
+
+        const wallet = await db.get('SELECT * FROM wallets WHERE id = ?', [id]);
+        assert.equal((await walletService.verifyWalletPIN(wallet, '5190')).valid, false);
+        assert.equal((await db.get('SELECT pin_hash FROM wallets WHERE id = ?', [id])).pin_hash, legacyHash);
+
+        assert.equal((await walletService.verifyWalletPIN(wallet, PIN)).valid, true);
+
+        const { pin_hash: upgraded } = await db.get('SELECT pin_hash FROM wallets WHERE id = ?', [id]);
+        assert.equal(encryptionManager.isLegacyPinHash(upgraded), false);
+        assert.equal(await encryptionManager.verifyPIN(PIN, upgraded), true);
+    });
+});
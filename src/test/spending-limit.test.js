@@ -0,0 +1,131 @@
+// src/test/spending-limit.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv, createTestDatabase, removeTestEnv } = require('./helpers');
+
+const dir = setupTestEnv();
+process.env.SPENDING_DAILY_LIMIT_USD = '500';
+process.env.SPENDING_PER_TX_LIMIT_USD = '200';
+
+const SpendingLimitService = require('../services/spending-limit.service');
+
+const RECIPIENT = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+
+describe('SpendingLimitService', () => {
+    let db;
+    let service;
+    let notices;
+    const wallet = { id: 1, telegram_id: '3003' };
+
+    before(async () => {
+        db = await createTestDatabase();
+    });
+
+    after(async () => {
+        await db.close();
+        removeTestEnv(dir);
+    });
+
+    beforeEach(async () => {
+        await db.run('DELETE FROM spending_limits');
+        await db.run('DELETE FROM spending_ledger');
+        await db.run('DELETE FROM trusted_addresses');
+        notices = [];
+        service = new SpendingLimitService(db);
+        service.setNotifier(async (telegramId, message) => notices.push(message));
+    });
+
+    // Prazo de segurança vencido sem esperar 24h
+    const expirePending = () => db.run(`
+        UPDATE spending_limits
+        SET pending_daily_effective_at = ? WHERE pending_daily_effective_at IS NOT NULL
+    `, [Date.now() - 1]);
+
+    it('reduzir um limite vale na hora', async () => {
+        const result = await service.setLimit(wallet, 'daily', 100);
+
+        assert.equal(result.scheduled, false);
+        assert.equal((await service.getLimits(wallet.id)).daily, 100);
+        assert.equal(notices.length, 0);
+    });
+
+    it('aumentar um limite só vale depois do prazo, com aviso ao agendar e ao aplicar', async () => {
+        assert.equal(await service.wouldLoosen(wallet.id, 'daily', 900), true);
+
+        const result = await service.setLimit(wallet, 'daily', 900);
+        assert.equal(result.scheduled, true);
+        assert.ok(result.effectiveAt - Date.now() > 23 * 60 * 60 * 1000);
+
+        let limits = await service.getLimits(wallet.id);
+        assert.equal(limits.daily, 500);
+        assert.equal(limits.pending.daily.value, 900);
+        assert.equal(notices.length, 1);
+
+        await expirePending();
+        await Promise.all([service.processDueChanges(), service.processDueChanges()]);
+
+        limits = await service.getLimits(wallet.id);
+        assert.equal(limits.daily, 900);
+        assert.equal(limits.pending.daily, null);
+        assert.equal(notices.length, 2);
+    });
+
+    it('remover um limite também espera o prazo', async () => {
+        const result = await service.setLimit(wallet, 'perTx', null);
+
+        assert.equal(result.scheduled, true);
+        assert.equal((await service.getLimits(wallet.id)).perTx, 200);
+    });
+
+    it('reduzir descarta o aumento agendado', async () => {
+        await service.setLimit(wallet, 'daily', 900);
+        await service.setLimit(wallet, 'daily', 300);
+
+        const limits = await service.getLimits(wallet.id);
+        assert.equal(limits.daily, 300);
+        assert.equal(limits.pending.daily, null);
+    });
+
+    it('envios simultâneos não passam juntos pelo limite diário', async () => {
+        const results = await Promise.all(Array.from({ length: 5 }, () =>
+            service.reserveSend(wallet, { recipient: RECIPIENT, token: 'SOL', amount: 1, usdValue: 150 })
+        ));
+
+        const allowed = results.filter(result => result.allowed);
+        assert.equal(allowed.length, 3);
+        assert.ok(results.filter(result => !result.allowed).every(result => result.reason === 'daily'));
+        assert.equal(await service.getSpentLast24h(wallet.id), 450);
+
+        await service.releaseReservation(allowed[0].reservationId);
+        assert.equal(await service.getSpentLast24h(wallet.id), 300);
+    });
+
+    it('recusa token cotável sem cotação e deixa de fora o que não tem fonte de preço', async () => {
+        const unpriced = await service.reserveSend(wallet, { recipient: RECIPIENT, token: 'SOL', amount: 1, usdValue: null });
+        assert.equal(unpriced.allowed, false);
+        assert.equal(unpriced.reason, 'unpriced');
+
+        const noSource = await service.reserveSend(wallet, {
+            recipient: RECIPIENT, token: 'OUTRO', amount: 1, usdValue: null, priceable: false
+        });
+        assert.equal(noSource.allowed, true);
+        assert.equal(noSource.unpriced, true);
+    });
+
+    it('endereço confiável só escapa dos limites depois do prazo, com aviso único', async () => {
+        await service.addTrusted(wallet, RECIPIENT, 'Exchange');
+
+        const before = await service.checkSend(wallet, RECIPIENT, 300);
+        assert.equal(before.allowed, false);
+        assert.equal(notices.length, 1);
+
+        await db.run('UPDATE trusted_addresses SET effective_at = ?', [Date.now() - 1]);
+        await service.processDueChanges();
+        await service.processDueChanges();
+
+        const afterDelay = await service.checkSend(wallet, RECIPIENT, 300);
+        assert.equal(afterDelay.allowed, true);
+        assert.equal(afterDelay.trusted, true);
+        assert.equal(notices.length, 2);
+    });
+});
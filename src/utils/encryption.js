@@ -1,19 +1,81 @@
 // src/utils/encryption.js
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
 const CryptoJS = require('crypto-js');
 const bcrypt = require('bcrypt');
 
+const scrypt = promisify(crypto.scrypt);
+
+// Envelope v2: scrypt (memory-hard) + AES-256-GCM. Sem "v" no JSON = envelope legado (v1)
+const ENVELOPE_VERSION = 2;
+const ENVELOPE_AAD = Buffer.from('donut-wallet:v2');
+const SCRYPT_PARAMS = { n: 2 ** 15, r: 8, p: 1 };   // ~32 MB por derivação
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+const KEY_LENGTH = 32;
+const PEPPER_MIN_LENGTH = 32;
+
+// Hash do PIN com pepper: bcrypt sobre HMAC(pepper, PIN). Sem o prefixo = bcrypt do PIN puro (legado)
+const PIN_HASH_PREFIX = 'v2$';
+
 class EncryptionManager {
     constructor() {
         this.saltRounds = 12; // Para bcrypt hash do PIN
+        this.pepper = null;
+    }
+
+    /**
+     * Pepper do servidor (ENCRYPTION_PEPPER ou arquivo em ENCRYPTION_PEPPER_FILE).
+     * Fica fora do banco: sem ele o donut_bot.db sozinho não abre nenhuma wallet
+     * @returns {Buffer} - Pepper carregado
+     */
+    loadPepper() {
+        if (this.pepper) {
+            return this.pepper;
+        }
+
+        let pepper = process.env.ENCRYPTION_PEPPER;
+        if (!pepper && process.env.ENCRYPTION_PEPPER_FILE) {
+            pepper = fs.readFileSync(process.env.ENCRYPTION_PEPPER_FILE, 'utf8').trim();
+        }
+
+        if (!pepper) {
+            throw new Error('Pepper de criptografia ausente: defina ENCRYPTION_PEPPER ou ENCRYPTION_PEPPER_FILE');
+        }
+        if (pepper.length < PEPPER_MIN_LENGTH) {
+            throw new Error(`Pepper de criptografia deve ter ao menos ${PEPPER_MIN_LENGTH} caracteres`);
+        }
+
+        this.pepper = Buffer.from(pepper, 'utf8');
+        return this.pepper;
+    }
+
+    // HMAC(pepper, PIN): entrada da chave do envelope e do hash do PIN
+    pepperPIN(pin) {
+        return crypto.createHmac('sha256', this.loadPepper()).update(pin.toString()).digest();
+    }
+
+    /**
+     * Chave AES do envelope: scrypt sobre HMAC(pepper, PIN)
+     */
+    async deriveKey(pin, salt, params) {
+        const password = this.pepperPIN(pin);
+
+        return await scrypt(password, salt, KEY_LENGTH, {
+            N: params.n,
+            r: params.r,
+            p: params.p,
+            maxmem: SCRYPT_MAXMEM
+        });
     }
 
     /**
      * Criptografar dados sensíveis usando o PIN do usuário
      * @param {string} data - Dados para criptografar (seed, private key)
      * @param {string} pin - PIN do usuário (4-6 dígitos)
-     * @returns {string} - Dados criptografados
+     * @returns {Promise<string>} - Envelope versionado (JSON)
      */
-    encryptWithPIN(data, pin) {
+    async encryptWithPIN(data, pin) {
         try {
             // Garantir que data é string
             if (!data || typeof data !== 'string') {
@@ -25,54 +87,75 @@ class EncryptionManager {
                 throw new Error('PIN inválido para criptografia');
             }
 
-            // Gerar salt aleatório
-            const salt = CryptoJS.lib.WordArray.random(256/8);
-            
-            // Derivar chave do PIN com PBKDF2
-            const key = CryptoJS.PBKDF2(pin.toString(), salt, {
-                keySize: 256/32,
-                iterations: 10000
+            const salt = crypto.randomBytes(16);
+            const iv = crypto.randomBytes(12);
+            const key = await this.deriveKey(pin, salt, SCRYPT_PARAMS);
+
+            const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+            cipher.setAAD(ENVELOPE_AAD);
+            const encrypted = Buffer.concat([cipher.update(data, 'utf8'), cipher.final()]);
+
+            return JSON.stringify({
+                v: ENVELOPE_VERSION,
+                kdf: 'scrypt',
+                ...SCRYPT_PARAMS,
+                salt: salt.toString('hex'),
+                iv: iv.toString('hex'),
+                tag: cipher.getAuthTag().toString('hex'),
+                encrypted: encrypted.toString('hex')
             });
 
-            // Gerar IV aleatório
-            const iv = CryptoJS.lib.WordArray.random(128/8);
+        } catch (error) {
+            console.error('❌ Erro na criptografia:', error);
+            throw new Error('Falha na criptografia dos dados: ' + error.message);
+        }
+    }
 
-            // Converter dados para WordArray corretamente
-            const dataWordArray = CryptoJS.enc.Utf8.parse(data);
+    /**
+     * Descriptografar dados usando o PIN do usuário (envelope atual ou legado)
+     * @param {string} encryptedData - Dados criptografados
+     * @param {string} pin - PIN do usuário
+     * @returns {Promise<string>} - Dados descriptografados
+     */
+    async decryptWithPIN(encryptedData, pin) {
+        let data;
+        try {
+            data = JSON.parse(encryptedData);
+        } catch (error) {
+            throw new Error('PIN incorreto ou dados corrompidos');
+        }
 
-            // Criptografar os dados
-            const encrypted = CryptoJS.AES.encrypt(dataWordArray, key, {
-                iv: iv,
-                mode: CryptoJS.mode.CBC,
-                padding: CryptoJS.pad.Pkcs7
-            });
+        if (!data.v) {
+            return this.decryptLegacy(data, pin);
+        }
+
+        try {
+            if (data.v !== ENVELOPE_VERSION || data.kdf !== 'scrypt') {
+                throw new Error(`Envelope desconhecido: v${data.v}`);
+            }
+
+            const key = await this.deriveKey(pin, Buffer.from(data.salt, 'hex'), data);
 
-            // Combinar salt + iv + dados criptografados em um único objeto
-            const result = {
-                salt: salt.toString(CryptoJS.enc.Hex),
-                iv: iv.toString(CryptoJS.enc.Hex),
-                encrypted: encrypted.ciphertext.toString(CryptoJS.enc.Hex)
-            };
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(data.iv, 'hex'));
+            decipher.setAAD(ENVELOPE_AAD);
+            decipher.setAuthTag(Buffer.from(data.tag, 'hex'));
 
-            return JSON.stringify(result);
+            return Buffer.concat([
+                decipher.update(Buffer.from(data.encrypted, 'hex')),
+                decipher.final()
+            ]).toString('utf8');
 
         } catch (error) {
-            console.error('❌ Erro na criptografia:', error);
-            throw new Error('Falha na criptografia dos dados: ' + error.message);
+            console.error('❌ Erro na descriptografia:', error.message);
+            throw new Error('PIN incorreto ou dados corrompidos');
         }
     }
 
     /**
-     * Descriptografar dados usando o PIN do usuário
-     * @param {string} encryptedData - Dados criptografados
-     * @param {string} pin - PIN do usuário
-     * @returns {string} - Dados descriptografados
+     * Envelope antigo (PBKDF2 10k + AES-CBC, sem versão): só leitura até ser regravado
      */
-    decryptWithPIN(encryptedData, pin) {
+    decryptLegacy(data, pin) {
         try {
-            // Parse do JSON
-            const data = JSON.parse(encryptedData);
-            
             // Recriar salt, key e IV
             const salt = CryptoJS.enc.Hex.parse(data.salt);
             const key = CryptoJS.PBKDF2(pin.toString(), salt, {
@@ -116,6 +199,55 @@ class EncryptionManager {
         }
     }
 
+    /**
+     * AES-256-GCM com chave já pronta (data keys e master key, sem KDF)
+     * @param {Buffer|string} plaintext - Dados para criptografar
+     * @param {Buffer} key - Chave de 32 bytes
+     * @param {string} aad - Contexto autenticado (onde o dado pode ser usado)
+     * @returns {object} - { iv, tag, encrypted } em hex
+     */
+    encryptWithKey(plaintext, key, aad) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        cipher.setAAD(Buffer.from(aad));
+        const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+        return {
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            encrypted: encrypted.toString('hex')
+        };
+    }
+
+    /**
+     * Inverso de encryptWithKey; falha se chave, contexto ou dados não conferem
+     * @returns {Buffer} - Dados descriptografados
+     */
+    decryptWithKey(sealed, key, aad) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'hex'));
+        decipher.setAAD(Buffer.from(aad));
+        decipher.setAuthTag(Buffer.from(sealed.tag, 'hex'));
+
+        return Buffer.concat([
+            decipher.update(Buffer.from(sealed.encrypted, 'hex')),
+            decipher.final()
+        ]);
+    }
+
+    /**
+     * Envelope gravado com formato anterior ao atual (deve ser regravado)
+     * @param {string} encryptedData - Dados criptografados
+     * @returns {boolean} - True se precisa de upgrade
+     */
+    needsUpgrade(encryptedData) {
+        try {
+            const data = JSON.parse(encryptedData);
+            return (data.v || 1) < ENVELOPE_VERSION;
+        } catch (error) {
+            return false;
+        }
+    }
+
     /**
      * Criar hash do PIN para armazenar no banco
      * @param {string} pin - PIN em texto plano
@@ -123,7 +255,8 @@ class EncryptionManager {
      */
     async hashPIN(pin) {
         try {
-            return await bcrypt.hash(pin.toString(), this.saltRounds);
+            // Hex: o bcrypt para no primeiro byte nulo de uma entrada binária
+            return PIN_HASH_PREFIX + await bcrypt.hash(this.pepperPIN(pin).toString('hex'), this.saltRounds);
         } catch (error) {
             console.error('❌ Erro ao criar hash do PIN:', error);
             throw new Error('Falha na criação do hash do PIN');
@@ -139,13 +272,24 @@ class EncryptionManager {
     async verifyPIN(pin, hash) {
         try {
             if (!pin || !hash) return false;
-            return await bcrypt.compare(pin.toString(), hash);
+
+            if (this.isLegacyPinHash(hash)) {
+                return await bcrypt.compare(pin.toString(), hash);
+            }
+            return await bcrypt.compare(this.pepperPIN(pin).toString('hex'), hash.slice(PIN_HASH_PREFIX.length));
         } catch (error) {
             console.error('❌ Erro ao verificar PIN:', error);
             return false;
         }
     }
 
+    /**
+     * Hash gravado antes do pepper (regravado no próximo PIN correto)
+     */
+    isLegacyPinHash(hash) {
+        return !hash.startsWith(PIN_HASH_PREFIX);
+    }
+
     /**
      * Validar formato do PIN
      * @param {string} pin - PIN para validar
@@ -244,14 +388,14 @@ class EncryptionManager {
      * Criptografar múltiplos dados de uma vez
      * @param {object} dataObject - Objeto com dados para criptografar
      * @param {string} pin - PIN do usuário
-     * @returns {object} - Objeto com dados criptografados
+     * @returns {Promise<object>} - Objeto com dados criptografados
      */
-    encryptMultiple(dataObject, pin) {
+    async encryptMultiple(dataObject, pin) {
         const encrypted = {};
         
         for (const [key, value] of Object.entries(dataObject)) {
             if (value && typeof value === 'string') {
-                encrypted[key] = this.encryptWithPIN(value, pin);
+                encrypted[key] = await this.encryptWithPIN(value, pin);
             }
         }
         
@@ -262,15 +406,15 @@ class EncryptionManager {
      * Descriptografar múltiplos dados de uma vez
      * @param {object} encryptedObject - Objeto com dados criptografados
      * @param {string} pin - PIN do usuário
-     * @returns {object} - Objeto com dados descriptografados
+     * @returns {Promise<object>} - Objeto com dados descriptografados
      */
-    decryptMultiple(encryptedObject, pin) {
+    async decryptMultiple(encryptedObject, pin) {
         const decrypted = {};
         
         for (const [key, value] of Object.entries(encryptedObject)) {
             if (value && typeof value === 'string') {
                 try {
-                    decrypted[key] = this.decryptWithPIN(value, pin);
+                    decrypted[key] = await this.decryptWithPIN(value, pin);
                 } catch (error) {
                     console.error(`❌ Erro ao descriptografar ${key}:`, error.message);
                     throw error;
@@ -284,13 +428,13 @@ class EncryptionManager {
     /**
      * Testar se a criptografia está funcionando
      */
-    testEncryption() {
+    async testEncryption() {
         try {
             const testData = "test_data_123";
             const testPin = "1234";
             
-            const encrypted = this.encryptWithPIN(testData, testPin);
-            const decrypted = this.decryptWithPIN(encrypted, testPin);
+            const encrypted = await this.encryptWithPIN(testData, testPin);
+            const decrypted = await this.decryptWithPIN(encrypted, testPin);
             
             if (decrypted === testData) {
                 console.log('✅ Sistema de criptografia funcionando corretamente');
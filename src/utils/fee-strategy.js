@@ -0,0 +1,127 @@
+// src/utils/fee-strategy.js
+const { ComputeBudgetProgram } = require('@solana/web3.js');
+const { simulateInstructions } = require('./simulation');
+
+/**
+ * Velocidades disponíveis: percentil das taxas recentes pagas nas mesmas contas.
+ * floor (microLamports/CU) é o mínimo de cada velocidade e o valor usado quando o RPC
+ * não responde: em contas de usuário quase todo slot vem com taxa zero
+ */
+const SPEEDS = {
+    economy: { percentile: 25, floor: 1000, label: '🐢 Econômica' },
+    normal: { percentile: 50, floor: 10000, label: '🚗 Normal' },
+    fast: { percentile: 90, floor: 100000, label: '🚀 Rápida' }
+};
+
+const DEFAULT_SPEED = 'normal';
+
+const MAX_MICRO_LAMPORTS = 2000000; // Teto contra picos: 2 lamports/CU
+
+const MAX_COMPUTE_UNITS = 1400000;
+const COMPUTE_UNITS_MARGIN = 1.1;
+const BUDGET_INSTRUCTIONS_UNITS = 300; // As duas instruções de compute budget custam 150 CU cada
+
+// Limite de contas aceito por getRecentPrioritizationFees
+const MAX_LOCKED_ACCOUNTS = 128;
+
+function normalizeSpeed(speed) {
+    return SPEEDS[speed] ? speed : DEFAULT_SPEED;
+}
+
+function percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.max(0, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[index];
+}
+
+/**
+ * Preço por CU (microLamports) a partir das taxas recentes nas contas graváveis
+ */
+async function estimatePriorityFee(connection, writableAccounts, speed) {
+    const { percentile: p, floor } = SPEEDS[normalizeSpeed(speed)];
+
+    let fees;
+    try {
+        fees = await connection.getRecentPrioritizationFees({
+            lockedWritableAccounts: writableAccounts.slice(0, MAX_LOCKED_ACCOUNTS)
+        });
+    } catch (error) {
+        return floor;
+    }
+
+    // Slots sem disputa pelas contas não dizem nada sobre o preço sob congestionamento
+    const paid = (fees || []).map(fee => fee.prioritizationFee).filter(fee => fee > 0);
+    if (paid.length === 0) {
+        return floor;
+    }
+
+    return Math.min(MAX_MICRO_LAMPORTS, Math.max(floor, percentile(paid, p)));
+}
+
+/**
+ * Limite de CU a partir do consumo simulado, com margem
+ */
+function computeUnitLimitFromSimulation(unitsConsumed) {
+    const units = Math.ceil(unitsConsumed * COMPUTE_UNITS_MARGIN) + BUDGET_INSTRUCTIONS_UNITS;
+    return Math.min(MAX_COMPUTE_UNITS, units);
+}
+
+function priorityFeeLamports(unitLimit, microLamports) {
+    return Math.ceil((unitLimit * microLamports) / 1000000);
+}
+
+function buildComputeBudgetInstructions(feePlan) {
+    return [
+        ComputeBudgetProgram.setComputeUnitLimit({ units: feePlan.unitLimit }),
+        ComputeBudgetProgram.setComputeUnitPrice({ microLamports: feePlan.microLamports })
+    ];
+}
+
+/**
+ * Simular as instruções (sem compute budget) e montar o plano de taxa.
+ * O resultado é o da simulação com fee/solDelta já incluindo a prioridade e feePlan
+ * { speed, label, unitLimit, microLamports, baseFee, priorityFee, totalFee }
+ */
+async function planTransaction(connection, { payer, instructions, lookupTables = [], speed, defaultProgram = null }) {
+    speed = normalizeSpeed(speed);
+
+    const simulation = await simulateInstructions(connection, {
+        payer,
+        instructions: [ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }), ...instructions],
+        lookupTables,
+        defaultProgram
+    });
+
+    if (!simulation.success) {
+        return simulation;
+    }
+
+    const unitLimit = computeUnitLimitFromSimulation(simulation.unitsConsumed);
+    const microLamports = await estimatePriorityFee(connection, simulation.writableAccounts, speed);
+    const priorityFee = priorityFeeLamports(unitLimit, microLamports);
+
+    return {
+        ...simulation,
+        fee: simulation.fee + priorityFee,
+        solDelta: simulation.solDelta - priorityFee,
+        feePlan: {
+            speed,
+            label: SPEEDS[speed].label,
+            unitLimit,
+            microLamports,
+            baseFee: simulation.fee,
+            priorityFee,
+            totalFee: simulation.fee + priorityFee
+        }
+    };
+}
+
+module.exports = {
+    SPEEDS,
+    DEFAULT_SPEED,
+    normalizeSpeed,
+    estimatePriorityFee,
+    computeUnitLimitFromSimulation,
+    buildComputeBudgetInstructions,
+    planTransaction
+};
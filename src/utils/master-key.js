@@ -0,0 +1,130 @@
+// src/utils/master-key.js
+const crypto = require('crypto');
+const fs = require('fs');
+const encryptionManager = require('./encryption');
+
+const KEY_LENGTH = 32;
+const DATA_KEY_AAD = 'donut-data-key';
+
+/**
+ * Chave de 32 bytes em hex ou base64
+ */
+function parseKey(raw, source) {
+    const text = String(raw).trim();
+    const key = /^[0-9a-fA-F]{64}$/.test(text)
+        ? Buffer.from(text, 'hex')
+        : Buffer.from(text, 'base64');
+
+    if (key.length !== KEY_LENGTH) {
+        throw new Error(`Master key inválida em ${source}: são necessários ${KEY_LENGTH} bytes (hex ou base64)`);
+    }
+    return key;
+}
+
+/**
+ * Provedor de master key: só cifra/decifra data keys, a master key nunca sai dele.
+ * Interface assíncrona para que um KMS real possa substituir os provedores locais
+ */
+class MasterKeyProvider {
+    constructor() {
+        this.keys = new Map();
+        this.activeKeyId = null;
+    }
+
+    getKey(masterKeyId) {
+        const key = this.keys.get(masterKeyId);
+        if (!key) {
+            throw new Error(`Master key ${masterKeyId} indisponível neste provedor`);
+        }
+        return key;
+    }
+
+    async wrapKey(dataKey) {
+        const sealed = encryptionManager.encryptWithKey(dataKey, this.getKey(this.activeKeyId), DATA_KEY_AAD);
+
+        return {
+            masterKeyId: this.activeKeyId,
+            wrapped: JSON.stringify(sealed)
+        };
+    }
+
+    async unwrapKey(masterKeyId, wrapped) {
+        return encryptionManager.decryptWithKey(JSON.parse(wrapped), this.getKey(masterKeyId), DATA_KEY_AAD);
+    }
+}
+
+/**
+ * Master key em arquivo (MASTER_KEY_FILE). O ID é a impressão digital da chave;
+ * MASTER_KEY_PREVIOUS_FILE mantém a anterior legível enquanto a rotação roda
+ */
+class FileMasterKeyProvider extends MasterKeyProvider {
+    constructor() {
+        super();
+        this.activeKeyId = this.loadFile(process.env.MASTER_KEY_FILE, 'MASTER_KEY_FILE');
+
+        if (process.env.MASTER_KEY_PREVIOUS_FILE) {
+            this.loadFile(process.env.MASTER_KEY_PREVIOUS_FILE, 'MASTER_KEY_PREVIOUS_FILE');
+        }
+    }
+
+    loadFile(filePath, variable) {
+        if (!filePath) {
+            throw new Error(`${variable} não configurado`);
+        }
+
+        const key = parseKey(fs.readFileSync(filePath, 'utf8'), variable);
+        const keyId = `file-${crypto.createHash('sha256').update(key).digest('hex').slice(0, 16)}`;
+        this.keys.set(keyId, key);
+        return keyId;
+    }
+}
+
+/**
+ * Stand-in local de um KMS: keyring JSON em LOCAL_KMS_KEYRING_FILE
+ * no formato { "active": "<id>", "keys": { "<id>": "<chave>" } }
+ */
+class LocalKmsProvider extends MasterKeyProvider {
+    constructor() {
+        super();
+
+        const filePath = process.env.LOCAL_KMS_KEYRING_FILE;
+        if (!filePath) {
+            throw new Error('LOCAL_KMS_KEYRING_FILE não configurado');
+        }
+
+        const keyring = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        for (const [keyId, value] of Object.entries(keyring.keys || {})) {
+            this.keys.set(keyId, parseKey(value, `${filePath} (${keyId})`));
+        }
+
+        if (!this.keys.has(keyring.active)) {
+            throw new Error(`Keyring ${filePath} sem a chave ativa "${keyring.active}"`);
+        }
+        this.activeKeyId = keyring.active;
+    }
+}
+
+const PROVIDERS = {
+    file: FileMasterKeyProvider,
+    'local-kms': LocalKmsProvider
+};
+
+/**
+ * Provedor escolhido por MASTER_KEY_PROVIDER (file por padrão)
+ */
+function loadMasterKeyProvider() {
+    const name = process.env.MASTER_KEY_PROVIDER || 'file';
+    const Provider = PROVIDERS[name];
+
+    if (!Provider) {
+        throw new Error(`MASTER_KEY_PROVIDER inválido: ${name} (use ${Object.keys(PROVIDERS).join(' ou ')})`);
+    }
+
+    return new Provider();
+}
+
+module.exports = {
+    loadMasterKeyProvider,
+    FileMasterKeyProvider,
+    LocalKmsProvider
+};
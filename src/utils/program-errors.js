@@ -0,0 +1,226 @@
+// src/utils/program-errors.js
+const { LangErrorCode } = require('@coral-xyz/anchor');
+const config = require('../config/solana-programs.config');
+
+/**
+ * Textos por nome de erro da IDL.
+ * action: retry (tentar depois), fund (adicionar saldo), refund (reembolso pelo suporte), support
+ */
+const ERROR_DETAILS = {
+    // ===== Matriz =====
+    ReferrerNotRegistered: {
+        explanation: 'Quem te convidou ainda não tem matriz registrada.',
+        suggestion: 'Peça um novo link de convite ou tente novamente mais tarde.',
+        action: 'support'
+    },
+    InsufficientDeposit: {
+        explanation: 'O valor enviado ficou abaixo do mínimo exigido pelo contrato.',
+        suggestion: 'O preço do SOL pode ter mudado. Adicione um pouco mais de SOL e tente novamente.',
+        action: 'fund'
+    },
+    SwapFailed: {
+        explanation: 'A troca de SOL por DONUT na pool falhou.',
+        suggestion: 'Costuma ser instabilidade momentânea da pool. Aguarde alguns minutos e tente novamente.',
+        action: 'retry'
+    },
+    BurnFailed: {
+        explanation: 'A queima dos tokens DONUT não pôde ser concluída.',
+        suggestion: 'Aguarde alguns minutos e tente novamente.',
+        action: 'retry'
+    },
+    PriceMeteoraReadFailed: {
+        explanation: 'Não foi possível ler o preço na pool Meteora.',
+        suggestion: 'Aguarde alguns minutos e tente novamente.',
+        action: 'retry'
+    },
+    MeteoraCalculationOverflow: {
+        explanation: 'O cálculo de preço da pool saiu dos limites esperados.',
+        suggestion: 'Aguarde alguns minutos e tente novamente.',
+        action: 'retry'
+    },
+    UnusedDepositDetected: {
+        explanation: 'Seu depósito não foi alocado pelo contrato.',
+        suggestion: 'Não tente novamente. Fale com o suporte para o reembolso do valor.',
+        action: 'refund'
+    },
+    SolReserveFailed: {
+        explanation: 'A reserva de SOL do slot não pôde ser processada.',
+        suggestion: 'Aguarde alguns minutos e tente novamente.',
+        action: 'retry'
+    },
+    ReferrerPaymentFailed: {
+        explanation: 'O pagamento ao seu referenciador falhou.',
+        suggestion: 'Aguarde alguns minutos e tente novamente.',
+        action: 'retry'
+    },
+    WrapSolFailed: {
+        explanation: 'Não foi possível converter SOL em WSOL.',
+        suggestion: 'Verifique se há SOL livre para as taxas e tente novamente.',
+        action: 'fund'
+    },
+    UnwrapSolFailed: {
+        explanation: 'Não foi possível converter WSOL de volta para SOL.',
+        suggestion: 'Aguarde alguns minutos e tente novamente.',
+        action: 'retry'
+    },
+    MissingUplineAccount: {
+        explanation: 'Faltaram contas da sua linha de indicação na transação.',
+        suggestion: 'A matriz do referenciador mudou durante o envio. Tente novamente.',
+        action: 'retry'
+    },
+    UplineRequiredForNonBase: {
+        explanation: 'A linha de indicação do referenciador não foi enviada.',
+        suggestion: 'A matriz do referenciador mudou durante o envio. Tente novamente.',
+        action: 'retry'
+    },
+    UserNotRegisteredInAirdrop: {
+        explanation: 'Sua wallet ainda não está registrada no airdrop.',
+        suggestion: 'Tente novamente: o registro no airdrop é feito antes da matriz.',
+        action: 'retry'
+    },
+
+    // ===== Airdrop =====
+    NoTokensToClaim: {
+        explanation: 'Não há DONUT disponível para resgate.',
+        suggestion: 'Os tokens ficam disponíveis após o processamento semanal.',
+        action: 'retry'
+    },
+    WeekAlreadyProcessed: {
+        explanation: 'Esta semana já foi processada.',
+        suggestion: 'Atualize a tela para ver o estado atual.',
+        action: 'retry'
+    },
+    WeekLimitExceeded: {
+        explanation: 'O airdrop chegou ao limite de semanas.',
+        suggestion: 'Nenhuma ação necessária.',
+        action: 'support'
+    },
+    VaultNotCreated: {
+        explanation: 'O cofre de tokens do airdrop ainda não foi criado.',
+        suggestion: 'Fale com o suporte.',
+        action: 'support'
+    },
+
+    // ===== Comuns =====
+    NotAuthorized: {
+        explanation: 'A wallet não tem permissão para esta operação.',
+        suggestion: 'Fale com o suporte.',
+        action: 'support'
+    },
+    AccountNotInitialized: {
+        explanation: 'Uma conta necessária ainda não existe na blockchain.',
+        suggestion: 'Aguarde alguns segundos e tente novamente.',
+        action: 'retry'
+    }
+};
+
+// Erros de configuração de contas (endereços de pool, vault, mint...) só o suporte resolve
+const CONFIGURATION_ERRORS = [
+    'MissingVaultAAccounts', 'InvalidSlotOwner', 'InvalidAccountOwner', 'SlotNotRegistered',
+    'InvalidWalletForATA', 'PaymentWalletInvalid', 'InvalidPoolAddress', 'InvalidVaultAddress',
+    'InvalidTokenMintAddress', 'InvalidVaultProgram', 'InvalidAmmProgram', 'InvalidProtocolFeeAccount'
+];
+
+const CONFIGURATION_DETAILS = {
+    explanation: 'Uma das contas enviadas não é a esperada pelo contrato.',
+    suggestion: 'Isso não depende de você. Fale com o suporte informando o código do erro.',
+    action: 'support'
+};
+
+function indexErrors(idl) {
+    return new Map((idl?.errors || []).map(error => [error.code, error]));
+}
+
+const PROGRAMS = {
+    matrix: { id: config.PROGRAM_IDS.MATRIX.toString(), errors: indexErrors(config.MATRIX_IDL) },
+    airdrop: { id: config.PROGRAM_IDS.AIRDROP.toString(), errors: indexErrors(config.AIRDROP_IDL) }
+};
+
+const LANG_ERROR_NAMES = new Map(Object.entries(LangErrorCode).map(([name, code]) => [code, name]));
+
+/**
+ * Extrair { code, programId } de erros do Anchor, de envio/simulação (logs) ou do status da transação
+ */
+function extractCustomError(error) {
+    if (!error) return null;
+
+    // AnchorError do SDK já vem decodificado
+    if (error.error?.errorCode?.number !== undefined) {
+        return { code: error.error.errorCode.number, programId: error.program?.toString() || null };
+    }
+
+    // Logs de simulação / SendTransactionError
+    const logs = error.logs || [];
+    for (let i = logs.length - 1; i >= 0; i--) {
+        const match = /Program (\w+) failed: custom program error: 0x([0-9a-fA-F]+)/.exec(logs[i]);
+        if (match) {
+            return { code: parseInt(match[2], 16), programId: match[1] };
+        }
+    }
+
+    // Erro da transação: { InstructionError: [índice, { Custom: código }] }
+    const transactionError = error.transactionError || error.err || error;
+    const custom = transactionError?.InstructionError?.[1]?.Custom;
+    if (typeof custom === 'number') {
+        return { code: custom, programId: null };
+    }
+
+    const message = typeof error === 'string' ? error : error.message || '';
+    const hexMatch = /custom program error: 0x([0-9a-fA-F]+)/.exec(message);
+    if (hexMatch) {
+        return { code: parseInt(hexMatch[1], 16), programId: null };
+    }
+
+    const numberMatch = /Error Number: (\d+)/.exec(message);
+    if (numberMatch) {
+        return { code: parseInt(numberMatch[1], 10), programId: null };
+    }
+
+    return null;
+}
+
+/**
+ * Decodificar erro de programa para nome da IDL + texto ao usuário.
+ * Sem programId nos logs, o código é interpretado na IDL de defaultProgram
+ * @returns {Object|null} { code, name, program, label, explanation, suggestion, action }
+ */
+function decodeProgramError(error, defaultProgram = 'matrix') {
+    const extracted = extractCustomError(error);
+    if (!extracted) return null;
+
+    const { code, programId } = extracted;
+    const programKey = Object.keys(PROGRAMS).find(key => PROGRAMS[key].id === programId)
+        || (programId ? null : defaultProgram);
+
+    let name = null;
+    let idlMessage = null;
+
+    if (code >= 6000 && programKey) {
+        const idlError = PROGRAMS[programKey].errors.get(code);
+        name = idlError?.name || null;
+        idlMessage = idlError?.msg || null;
+    } else if (code < 6000) {
+        name = LANG_ERROR_NAMES.get(code) || null;
+    }
+
+    const details = ERROR_DETAILS[name]
+        || (CONFIGURATION_ERRORS.includes(name) ? CONFIGURATION_DETAILS : null)
+        || {
+            explanation: idlMessage || 'A blockchain recusou a transação.',
+            suggestion: 'Tente novamente em alguns minutos. Se persistir, fale com o suporte.',
+            action: 'support'
+        };
+
+    return {
+        code,
+        name: name || 'Unknown',
+        program: programKey || programId,
+        label: `${code} ${name || 'Unknown'}`,
+        ...details
+    };
+}
+
+module.exports = {
+    decodeProgramError,
+    extractCustomError
+};
@@ -0,0 +1,145 @@
+// src/utils/simulation.js
+const {
+    TransactionMessage,
+    VersionedTransaction,
+    PACKET_DATA_SIZE
+} = require('@solana/web3.js');
+const { decodeProgramError } = require('./program-errors');
+const { formatters } = require('./formatting');
+
+// Erros do runtime (sem código de programa) mais comuns em envios
+const RUNTIME_ERRORS = {
+    AccountNotFound: 'A wallet não tem SOL para pagar a taxa.',
+    InsufficientFundsForFee: 'Saldo insuficiente para pagar a taxa de rede.',
+    InsufficientFundsForRent: 'O saldo restante ficaria abaixo do mínimo de rent.',
+    BlockhashNotFound: 'Rede congestionada. Tente novamente em alguns segundos.'
+};
+
+/**
+ * Descrever o erro da simulação em português
+ */
+function describeSimulationError(err, logs, defaultProgram) {
+    const programError = decodeProgramError({ transactionError: err, logs }, defaultProgram);
+    if (programError && programError.name !== 'Unknown') {
+        return { message: `${programError.explanation} ${programError.suggestion}`, programError };
+    }
+
+    if (typeof err === 'string' && RUNTIME_ERRORS[err]) {
+        return { message: RUNTIME_ERRORS[err], programError: null };
+    }
+
+    // System Program: transferência maior que o saldo
+    if ((logs || []).some(line => line.includes('insufficient lamports'))) {
+        return { message: 'Saldo de SOL insuficiente para esta transação.', programError: null };
+    }
+
+    return { message: `A simulação falhou: ${JSON.stringify(err)}`, programError };
+}
+
+/**
+ * Simular instruções como transação versionada, sem assinatura.
+ * Retorna consumo de CU, taxa, variação de SOL do pagador e contas criadas (rent)
+ */
+async function simulateInstructions(connection, { payer, instructions, lookupTables = [], defaultProgram = null }) {
+    const { blockhash } = await connection.getLatestBlockhash('confirmed');
+
+    let message;
+    let transaction;
+    try {
+        message = new TransactionMessage({
+            payerKey: payer,
+            recentBlockhash: blockhash,
+            instructions
+        }).compileToV0Message(lookupTables);
+
+        transaction = new VersionedTransaction(message);
+        if (transaction.serialize().length > PACKET_DATA_SIZE) {
+            throw new RangeError('transaction too large');
+        }
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return { success: false, tooLarge: true, error: 'Transação grande demais para simular antes do envio.' };
+        }
+        throw error;
+    }
+
+    // Contas graváveis endereçadas diretamente (as da LUT não mudam de dono/rent aqui)
+    const writable = message.staticAccountKeys.filter((key, index) => message.isAccountWritable(index));
+    const before = await connection.getMultipleAccountsInfo(writable, 'confirmed');
+
+    const [simulation, feeResult] = await Promise.all([
+        connection.simulateTransaction(transaction, {
+            sigVerify: false,
+            replaceRecentBlockhash: true,
+            commitment: 'confirmed',
+            accounts: { encoding: 'base64', addresses: writable.map(key => key.toString()) }
+        }),
+        connection.getFeeForMessage(message, 'confirmed')
+    ]);
+
+    const { err, logs, unitsConsumed, accounts } = simulation.value;
+
+    const result = {
+        unitsConsumed: unitsConsumed || 0,
+        fee: feeResult.value || 0,
+        logs: logs || [],
+        writableAccounts: writable
+    };
+
+    if (err) {
+        const { message: errorMessage, programError } = describeSimulationError(err, logs, defaultProgram);
+        return { ...result, success: false, error: errorMessage, programError };
+    }
+
+    let solDelta = 0;
+    const createdAccounts = [];
+
+    writable.forEach((key, index) => {
+        const post = accounts?.[index];
+        const preLamports = before[index]?.lamports || 0;
+        const postLamports = post?.lamports || 0;
+
+        // SOL enviado a um endereço novo não é conta criada: só contas com dados pagam rent
+        const hasData = !!post && Buffer.from(post.data[0], 'base64').length > 0;
+
+        if (key.equals(payer)) {
+            solDelta = postLamports - preLamports;
+        } else if (preLamports === 0 && hasData) {
+            createdAccounts.push({ address: key.toString(), rent: postLamports });
+        }
+    });
+
+    return { ...result, success: true, solDelta, createdAccounts };
+}
+
+function lamportsToSol(lamports) {
+    return (lamports / 1e9).toFixed(6);
+}
+
+/**
+ * Resumo da simulação para a tela de confirmação (sem negrito: serve a qualquer handler)
+ */
+function formatSimulationSummary(simulation) {
+    const sign = simulation.solDelta > 0 ? '+' : '';
+
+    let summary = '🧪 Simulação:\n';
+    summary += `• Variação de SOL: ${sign}${lamportsToSol(simulation.solDelta)} SOL\n`;
+    summary += `• Taxa de rede: ${lamportsToSol(simulation.fee)} SOL\n`;
+    if (simulation.feePlan) {
+        summary += `• Velocidade: ${simulation.feePlan.label} (prioridade ${(simulation.feePlan.priorityFee / 1e9).toFixed(9)} SOL)\n`;
+    }
+    summary += `• Compute units: ${simulation.unitsConsumed.toLocaleString('pt-BR')}`;
+    summary += simulation.feePlan ? ` (limite ${simulation.feePlan.unitLimit.toLocaleString('pt-BR')})\n` : '\n';
+
+    for (const account of simulation.createdAccounts) {
+        summary += `• Conta criada: ${formatters.formatAddress(account.address)} (rent ${lamportsToSol(account.rent)} SOL)\n`;
+    }
+
+    return summary;
+}
+
+module.exports = {
+    simulateInstructions,
+    describeSimulationError,
+    formatSimulationSummary
+};